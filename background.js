@@ -1,5 +1,55 @@
 // ===== BACKGROUND SERVICE WORKER =====
 
+importScripts(
+    'scripts/utils.js',
+    'scripts/settings.js',
+    'scripts/i18n.js',
+    'scripts/trafficProviders.js',
+    'scripts/roadGraph.js',
+    'scripts/routingEngine.js',
+    'scripts/geocoder.js',
+    'scripts/historyStore.js',
+    'scripts/forecastModel.js',
+    'scripts/incidents.js',
+    'scripts/commuteMonitor.js',
+    'scripts/pageContextStore.js',
+    'scripts/favorites.js',
+    'scripts/favoritesStore.js'
+);
+
+const ROAD_NETWORK_PATH = 'data/road-network.geojson';
+
+/**
+ * Badge background per traffic status
+ */
+const BADGE_COLORS = {
+    smooth: '#16a34a',
+    moderate: '#f59e0b',
+    heavy: '#ef4444'
+};
+
+/**
+ * The location badge reports the delay over a drive of this length (meters)
+ * through the nearest readings
+ */
+const BADGE_REFERENCE_DISTANCE = 10000;
+
+/**
+ * Minutes a later departure must save before the page overlay suggests it
+ */
+const PAGE_ROUTE_MIN_SAVING = 5;
+
+/**
+ * Context menu actions on a place. Each is offered for selected text and on
+ * links, where the place is the address the link shows or points to.
+ */
+const CONTEXT_MENU_ACTIONS = ['checkTraffic', 'routeFromLocation', 'addFavorite'];
+
+/**
+ * chrome.storage.session key of a context menu result waiting for the popup
+ */
+const POPUP_REQUEST_KEY = 'popupRequest';
+
 class TrafficAnalyzerBackground {
     constructor() {
         this.isEnabled = true;
@@ -7,6 +57,26 @@ class TrafficAnalyzerBackground {
         this.dataCache = new Map();
         this.lastFetch = 0;
         this.activeRequests = new Set();
+        this.trafficProviderId = TrafficProviders.defaultProvider;
+        this.providerApiKeys = {};
+        this.trafficProvider = null;
+        this.geocoderId = Geocoders.defaultBackend;
+        this.geocoder = null;
+        this.suggestionGeocoder = null;
+        this.roadGraphPromise = null;
+        this.historyStore = new HistoryStore();
+        this.historyRetentionDays = 30;
+        this.forecastPromise = null;
+        this.forecastTrainedAt = 0;
+        this.incidentStore = new IncidentStore();
+        this.commuteAlerts = [];
+        this.badgeContext = 'location';
+        this.pageContexts = new PageContextStore();
+        this.favoritesStore = null;
+        this.commuteMonitor = new CommuteMonitor({
+            evaluate: (alert) => this.evaluateCommute(alert),
+            notify: (id, notification) => this.showCommuteNotification(id, notification)
+        });
         
         this.init();
     }
@@ -15,6 +85,8 @@ class TrafficAnalyzerBackground {
      * Initialize background service worker
      */
     init() {
+        this.settingsLoaded = this.loadSettings();
+        appSettings.onChange((changes) => this.handleSettingsChange(changes));
         this.setupEventListeners();
         this.startPeriodicRefresh();
         console.log('Traffic Analyzer Background Service Worker initialized');
@@ -44,6 +116,22 @@ class TrafficAnalyzerBackground {
             this.handleTabUpdate(tabId, changeInfo, tab);
         });
 
+        // Page contexts only live as long as their tab
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.pageContexts.remove(tabId).catch(() => {});
+        });
+
+        // The tab badge follows the active tab's route
+        chrome.tabs.onActivated.addListener(({ tabId }) => {
+            if (this.badgeContext === 'tab') {
+                chrome.tabs.get(tabId).then(tab => this.updateBadgeForTab(tab)).catch(() => {});
+            }
+        });
+
+        chrome.contextMenus.onClicked.addListener((info, tab) => {
+            this.handleContextMenuClick(info, tab);
+        });
+
         // Handle alarm for periodic data refresh
         chrome.alarms.onAlarm.addListener((alarm) => {
             this.handleAlarm(alarm);
@@ -56,7 +144,7 @@ class TrafficAnalyzerBackground {
     async handleStartup() {
         console.log('Extension started');
         await this.loadSettings();
-        this.scheduleDataRefresh();
+        await this.scheduleDataRefresh();
     }
 
     /**
@@ -65,10 +153,11 @@ class TrafficAnalyzerBackground {
      */
     async handleInstalled(details) {
         console.log('Extension installed:', details.reason);
+        this.setupContextMenus();
         
         if (details.reason === 'install') {
-            // First time installation
-            await this.initializeDefaultSettings();
+            // First time installation; defaults need no storing, and
+            // settings synced from another device are kept
             this.showWelcomeNotification();
         } else if (details.reason === 'update') {
             // Extension updated
@@ -95,9 +184,19 @@ class TrafficAnalyzerBackground {
                     sendResponse({ success: true, data: routes });
                     break;
 
+                case 'COMPARE_PAGE_ROUTE':
+                    const comparison = await this.comparePageRoute(message.directions);
+                    sendResponse({ success: true, data: comparison });
+                    break;
+
+                case 'PLAN_DEPARTURE':
+                    const plan = await this.planDeparture(message.params);
+                    sendResponse({ success: true, data: plan });
+                    break;
+
                 case 'UPDATE_SETTINGS':
-                    await this.updateSettings(message.settings);
-                    sendResponse({ success: true });
+                    const settings = await this.updateSettings(message.settings);
+                    sendResponse({ success: true, data: settings });
                     break;
 
                 case 'REFRESH_DATA':
@@ -105,6 +204,79 @@ class TrafficAnalyzerBackground {
                     sendResponse({ success: true });
                     break;
 
+                case 'GET_TRAFFIC_PROVIDERS':
+                    sendResponse({
+                        success: true,
+                        data: {
+                            providers: TrafficProviders.list(),
+                            selected: this.trafficProviderId
+                        }
+                    });
+                    break;
+
+                case 'SEARCH_LOCATIONS':
+                    const places = await this.searchLocations(message.query, { autocomplete: message.autocomplete });
+                    sendResponse({ success: true, data: places });
+                    break;
+
+                case 'GET_GEOCODERS':
+                    await this.settingsLoaded;
+                    sendResponse({
+                        success: true,
+                        data: {
+                            geocoders: Geocoders.list(),
+                            selected: this.geocoderId
+                        }
+                    });
+                    break;
+
+                case 'GET_TRAFFIC_AT':
+                    const trafficAt = await this.getTrafficAt(message.timestamp);
+                    sendResponse({ success: true, data: trafficAt });
+                    break;
+
+                case 'GET_ANALYTICS_DATA':
+                    const analytics = await this.historyStore.getAnalytics(message.params);
+                    sendResponse({ success: true, data: analytics });
+                    break;
+
+                case 'GET_INCIDENTS':
+                    const incidents = await this.incidentStore.getActive(message.time || Date.now());
+                    sendResponse({ success: true, data: incidents });
+                    break;
+
+                case 'IMPORT_INCIDENTS':
+                    const imported = await this.importIncidents(message.incidents, message.source);
+                    sendResponse({ success: true, data: { imported } });
+                    break;
+
+                case 'CLEAR_INCIDENTS':
+                    await this.incidentStore.clear(message.source);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'PAGE_INFO_UPDATED':
+                    if (sender.tab) {
+                        await this.updatePageContext(sender.tab, message.data);
+                    }
+                    sendResponse({ success: true });
+                    break;
+
+                case 'GET_PAGE_CONTEXT':
+                    const pageContext = await this.getPageContext(message.tabId);
+                    sendResponse({ success: true, data: pageContext });
+                    break;
+
+                case 'GET_PLACE_TRAFFIC':
+                    const placeTraffic = await this.getPlaceTraffic(message.location);
+                    sendResponse({ success: true, data: placeTraffic });
+                    break;
+
+                case 'GET_POPUP_REQUEST':
+                    const popupRequest = await this.takePopupRequest();
+                    sendResponse({ success: true, data: popupRequest });
+                    break;
+
                 case 'GET_CACHED_DATA':
                     const cachedData = this.getCachedData(message.key);
                     sendResponse({ success: true, data: cachedData });
@@ -127,11 +299,44 @@ class TrafficAnalyzerBackground {
      */
     handleTabUpdate(tabId, changeInfo, tab) {
         // Update badge or take action based on current page
+        // A new document starts without the old page's places
+        if (changeInfo.status === 'loading' && changeInfo.url) {
+            this.pageContexts.remove(tabId).catch(() => {});
+        }
+
         if (changeInfo.status === 'complete' && tab.url) {
             this.updateBadgeForTab(tab);
         }
     }
 
+    /**
+     * Store what the content script found on a tab
+     * @param {Object} tab - Tab the page info came from
+     * @param {Object} pageInfo - Page info
+     */
+    async updatePageContext(tab, pageInfo) {
+        await this.settingsLoaded;
+        if (!appSettings.get('analyzePages') || !pageInfo) return;
+
+        await this.pageContexts.set(tab.id, pageInfo);
+
+        // The route may have changed since the tab finished loading
+        this.updateBadgeForTab(tab);
+    }
+
+    /**
+     * Get what was found on a tab, with the places worth offering
+     * @param {number} tabId - Tab ID
+     * @returns {Promise<Object|null>} Context with `places` (see PageContextStore.places), or null
+     */
+    async getPageContext(tabId) {
+        await this.settingsLoaded;
+        if (!appSettings.get('analyzePages')) return null;
+
+        const context = await this.pageContexts.get(tabId);
+        return context ? { ...context, places: PageContextStore.places(context) } : null;
+    }
+
     /**
      * Handle alarms for scheduled tasks
      * @param {Object} alarm - Alarm object
@@ -143,6 +348,10 @@ class TrafficAnalyzerBackground {
                 break;
             case 'cleanup-cache':
                 this.cleanupCache();
+                await this.compactHistory();
+                break;
+            case 'check-commutes':
+                await this.checkCommutes();
                 break;
         }
     }
@@ -173,172 +382,451 @@ class TrafficAnalyzerBackground {
         } catch (error) {
             console.error('Error fetching traffic data:', error);
             // Return cached data if available, even if stale
-            return cached ? cached.data : this.generateMockTrafficData(params);
+            return cached ? cached.data : this.getFallbackTrafficData();
+        }
+    }
+
+    /**
+     * Get traffic for a point in time: live data near now, replayed
+     * history in the past and the forecast in the future
+     * @param {number} timestamp - Time of interest
+     * @returns {Object|null} Traffic data, or null if there is no history for that time
+     */
+    async getTrafficAt(timestamp) {
+        const now = Date.now();
+        if (Math.abs(timestamp - now) < 5 * 60000) {
+            return this.getTrafficData();
+        }
+
+        if (timestamp < now) {
+            return this.historyStore.getTrafficAt(timestamp);
         }
+        return (await this.getForecastModel()).predictTraffic(timestamp);
     }
 
     /**
-     * Fetch traffic data from APIs
+     * Fetch traffic data from the configured provider
      * @param {Object} params - Request parameters
      * @returns {Object} Traffic data
      */
     async fetchTrafficData(params) {
-        // In a real implementation, this would call actual traffic APIs
-        // For demo purposes, we'll generate realistic mock data
-        return new Promise((resolve) => {
-            setTimeout(() => {
-                resolve(this.generateMockTrafficData(params));
-            }, 1000);
+        await this.settingsLoaded;
+        return this.trafficProvider.getTraffic(params);
+    }
+
+    /**
+     * Create the traffic provider selected in settings
+     */
+    configureTrafficProvider() {
+        this.trafficProvider = TrafficProviders.create(this.trafficProviderId, {
+            apiKey: this.providerApiKeys[this.trafficProviderId]
         });
     }
 
     /**
-     * Generate mock traffic data for demonstration
-     * @param {Object} params - Request parameters
-     * @returns {Object} Mock traffic data
+     * Traffic to show when the provider fails and nothing is cached:
+     * the forecast for now, or an empty payload without history
+     * @returns {Object} Traffic data
      */
-    generateMockTrafficData(params) {
-        const currentTime = new Date();
-        const hour = currentTime.getHours();
-        
-        // Traffic patterns based on time of day
-        let baseCongestion = 0.3;
-        if (hour >= 7 && hour <= 9) baseCongestion = 0.8; // Morning rush
-        if (hour >= 17 && hour <= 19) baseCongestion = 0.9; // Evening rush
-        if (hour >= 12 && hour <= 14) baseCongestion = 0.6; // Lunch time
-        if (hour >= 22 || hour <= 5) baseCongestion = 0.1; // Night time
-
-        const trafficPoints = [];
-        for (let i = 0; i < 50; i++) {
-            const congestion = Math.max(0, Math.min(1, 
-                baseCongestion + (Math.random() - 0.5) * 0.4
-            ));
-            
-            trafficPoints.push({
-                id: `point_${i}`,
-                lat: 40.7128 + (Math.random() - 0.5) * 0.1,
-                lng: -74.0060 + (Math.random() - 0.5) * 0.1,
-                congestion: congestion,
-                speed: Math.round((1 - congestion) * 80 + 20), // 20-100 km/h
-                timestamp: Date.now()
-            });
+    async getFallbackTrafficData() {
+        try {
+            const forecast = (await this.getForecastModel()).predictTraffic(Date.now());
+            if (forecast && forecast.points.length) {
+                forecast.summary.error = I18n.t('trafficForecastFallback');
+                return forecast;
+            }
+        } catch (error) {
+            console.error('Error forecasting fallback traffic:', error);
         }
 
         return {
-            points: trafficPoints,
+            points: [],
             summary: {
-                averageCongestion: baseCongestion,
-                averageSpeed: Math.round((1 - baseCongestion) * 80 + 20),
-                totalPoints: trafficPoints.length,
-                lastUpdated: Date.now()
+                averageCongestion: 0,
+                averageSpeed: 0,
+                totalPoints: 0,
+                lastUpdated: Date.now(),
+                error: I18n.t('trafficUnavailable')
             }
         };
     }
 
+    /**
+     * Get the forecast model, retraining it from history at most hourly
+     * @returns {Promise<ForecastModel>} Forecast model
+     */
+    async getForecastModel() {
+        // New hourly buckets are the only thing that changes the seasonal profiles
+        if (!this.forecastPromise || Date.now() - this.forecastTrainedAt > 3600000) {
+            this.forecastTrainedAt = Date.now();
+            this.forecastPromise = ForecastModel.fromHistory(this.historyStore)
+                .catch(error => {
+                    this.forecastPromise = null;
+                    throw error;
+                });
+        }
+        return this.forecastPromise;
+    }
+
     /**
      * Get route suggestions
      * @param {Object} params - Route parameters
      * @returns {Array} Route suggestions
      */
     async getRouteSuggestions(params) {
-        const { from, to, departureTime } = params;
-        
-        // Generate mock route suggestions
-        const routes = [];
-        const routeCount = 3;
-        
-        for (let i = 0; i < routeCount; i++) {
-            const baseDistance = 15000 + Math.random() * 10000; // 15-25 km
-            const baseDuration = 20 + Math.random() * 20; // 20-40 minutes
-            const congestionFactor = 0.3 + Math.random() * 0.7;
-            
-            routes.push({
-                id: `route_${i}`,
-                name: `Route ${i + 1}`,
-                distance: Math.round(baseDistance),
-                duration: Math.round(baseDuration * (1 + congestionFactor * 0.5)),
-                congestion: congestionFactor,
-                status: congestionFactor <= 0.4 ? 'optimal' : 
-                        congestionFactor <= 0.7 ? 'moderate' : 'congested',
-                eta: new Date(Date.now() + baseDuration * (1 + congestionFactor * 0.5) * 60000),
-                polyline: this.generateMockPolyline(from, to),
-                incidents: Math.random() < 0.3 ? ['Minor traffic incident'] : []
-            });
+        const { departureTime } = params;
+        const [from, to, engine] = await Promise.all([
+            this.resolveLocation(params.from),
+            this.resolveLocation(params.to),
+            this.createRoutingEngine()
+        ]);
+
+        const departure = departureTime === 'optimal'
+            ? engine.findOptimalDeparture(from, to)
+            : typeof departureTime === 'number' ? departureTime : Date.now();
+
+        return engine.route(from, to, { departureTime: departure });
+    }
+
+    /**
+     * Forecast trip durations across a window of departures
+     * @param {Object} params - `{from, to, mode, time, windowMinutes, stepMinutes}`
+     * @returns {Object} Departure plan
+     */
+    async planDeparture(params) {
+        const [from, to, engine] = await Promise.all([
+            this.resolveLocation(params.from),
+            this.resolveLocation(params.to),
+            this.createRoutingEngine()
+        ]);
+
+        return engine.planDeparture(from, to, params);
+    }
+
+    /**
+     * Time the directions a maps page shows with our own routing, for the
+     * in-page overlay. The page's time is for its selected route (or its
+     * first), leaving now. A later departure is suggested when the forecast
+     * says waiting within the next two hours saves enough time. Routes with
+     * an end outside our road network only get the page's time.
+     * @param {Object} directions - `{source, origin, destination, stops, routes}` from RouteExtractors
+     * @returns {Promise<Object>} `{source, page, ours, difference, delay, departure}`; page is
+     *   `{name, duration, eta}` or null if the page shows no time, ours is `{name, duration,
+     *   freeFlowDuration, congestion, status, eta}` or null outside the road network, difference
+     *   is ours minus the page's minutes, and departure is `{time, arrival, duration, saves}` or null
+     */
+    async comparePageRoute(directions) {
+        const [from, to, engine] = await Promise.all([
+            this.resolveLocation(directions.origin).catch(() => null),
+            this.resolveLocation(directions.destination).catch(() => null),
+            this.createRoutingEngine()
+        ]);
+
+        const now = Date.now();
+        const timed = (directions.routes || []).filter(r => r.duration);
+        const pageRoute = timed.find(r => r.selected) || timed[0];
+        const comparison = {
+            source: directions.source,
+            page: pageRoute ? {
+                name: pageRoute.name,
+                duration: pageRoute.duration,
+                eta: new Date(now + pageRoute.duration * 60000)
+            } : null,
+            ours: null,
+            difference: null,
+            delay: null,
+            departure: null
+        };
+
+        if (!engine.covers(from) || !engine.covers(to)) return comparison;
+
+        const [route] = engine.route(from, to, { departureTime: now, alternatives: 1 });
+        if (!route) return comparison;
+
+        if (engine.forecast) {
+            const plan = engine.planDeparture(from, to, { time: now, windowMinutes: 120, stepMinutes: 10 });
+            const best = plan.candidates[plan.recommended];
+            const saves = plan.candidates.length && best ? plan.candidates[0].duration.value - best.duration.value : 0;
+            if (plan.recommended > 0 && saves >= PAGE_ROUTE_MIN_SAVING) {
+                comparison.departure = {
+                    time: best.departure,
+                    arrival: best.arrival,
+                    duration: best.duration.value,
+                    saves: saves
+                };
+            }
         }
-        
-        // Sort by duration (fastest first)
-        routes.sort((a, b) => a.duration - b.duration);
-        
-        return routes;
+
+        comparison.ours = {
+            name: route.name,
+            duration: route.duration,
+            freeFlowDuration: route.freeFlowDuration,
+            congestion: route.congestion,
+            status: route.status,
+            eta: route.eta
+        };
+        comparison.difference = pageRoute ? route.duration - pageRoute.duration : null;
+        comparison.delay = Math.max(0, route.duration - route.freeFlowDuration);
+        return comparison;
     }
 
     /**
-     * Generate mock polyline for route visualization
-     * @param {Object} from - Start location
-     * @param {Object} to - End location
-     * @returns {Array} Polyline points
+     * Create a routing engine over the road graph with current traffic applied
+     * @returns {Promise<RoutingEngine>} Routing engine
      */
-    generateMockPolyline(from, to) {
-        const points = [];
-        const steps = 20;
-        
-        for (let i = 0; i <= steps; i++) {
-            const progress = i / steps;
-            const lat = from.lat + (to.lat - from.lat) * progress;
-            const lng = from.lng + (to.lng - from.lng) * progress;
-            
-            // Add some randomness to make routes look different
-            const offsetLat = (Math.random() - 0.5) * 0.01;
-            const offsetLng = (Math.random() - 0.5) * 0.01;
-            
-            points.push({
-                lat: lat + offsetLat,
-                lng: lng + offsetLng
-            });
+    async createRoutingEngine() {
+        const [graph, traffic, forecast, incidents] = await Promise.all([
+            this.getRoadGraph(),
+            this.getTrafficData(),
+            this.getForecastModel().catch(() => null),
+            this.incidentStore.getActive()
+        ]);
+        // Each engine gets its own view, so concurrent requests don't share edge state
+        const conditions = graph.withConditions();
+        conditions.applyTraffic(traffic.points);
+        conditions.applyIncidents(incidents);
+
+        return new RoutingEngine(conditions, { forecast });
+    }
+
+    /**
+     * Time the trip of a commute alert for leaving now
+     * @param {Object} alert - Commute alert
+     * @returns {Promise<Object|null>} `{route, duration, usual, incidents}`, or null without a route
+     */
+    async evaluateCommute(alert) {
+        const [from, to, engine] = await Promise.all([
+            this.resolveLocation(alert.from),
+            this.resolveLocation(alert.to),
+            this.createRoutingEngine()
+        ]);
+
+        const now = Date.now();
+        const [route] = engine.route(from, to, { departureTime: now, alternatives: 1 });
+        if (!route) return null;
+
+        // The seasonal forecast without today's live deviation is the usual trip
+        const usual = engine.forecast
+            ? engine.forecast.predictRoute(engine.graph, route.edgeIds, now, { live: false })
+            : null;
+
+        return {
+            route: route.name,
+            duration: route.duration,
+            usual: usual ? usual.duration.value : null,
+            incidents: route.incidents
+        };
+    }
+
+    /**
+     * Re-evaluate the commute alerts whose window is open
+     */
+    async checkCommutes() {
+        await this.settingsLoaded;
+        if (!this.notificationsEnabled || !this.commuteAlerts.length) return;
+
+        try {
+            await this.commuteMonitor.check(this.commuteAlerts);
+        } catch (error) {
+            console.error('Error checking commutes:', error);
         }
-        
-        return points;
+    }
+
+    /**
+     * Show a commute alert notification
+     * @param {string} id - Notification ID; a newer alert replaces the last one with the same ID
+     * @param {Object} notification - `{title, message}`
+     */
+    showCommuteNotification(id, notification) {
+        chrome.notifications.create(id, {
+            type: 'basic',
+            iconUrl: 'icons/icon48.png',
+            title: notification.title,
+            message: notification.message,
+            priority: 1
+        });
+    }
+
+    /**
+     * Store the incidents of an imported feed, replacing the feed's previous
+     * incidents, with the road segment each one affects
+     * @param {Array} incidents - Incidents parsed by Incidents.parseFeed
+     * @param {string} source - Feed name
+     * @returns {number} Number of incidents stored
+     */
+    async importIncidents(incidents, source) {
+        const normalized = (incidents || [])
+            .map(incident => Incidents.normalize(incident, source))
+            .filter(Boolean);
+
+        // Locate the feed on a view of its own; engines apply every source's incidents
+        const segments = (await this.getRoadGraph()).withConditions().applyIncidents(normalized);
+        normalized.forEach(incident => {
+            incident.segment = segments.get(incident.id) || null;
+            if (!incident.road && incident.segment) incident.road = incident.segment.name;
+        });
+
+        return this.incidentStore.replaceSource(normalized, source);
+    }
+
+    /**
+     * Load the road graph used for routing
+     * @returns {Promise<RoadGraph>} Road graph
+     */
+    async getRoadGraph() {
+        if (!this.roadGraphPromise) {
+            this.roadGraphPromise = RoadGraph.load(chrome.runtime.getURL(ROAD_NETWORK_PATH))
+                .catch(error => {
+                    this.roadGraphPromise = null;
+                    throw error;
+                });
+        }
+        return this.roadGraphPromise;
+    }
+
+    /**
+     * Resolve a route endpoint to coordinates
+     * @param {Object|string} location - `{lat, lng}` object, "lat,lng" string or place name
+     * @returns {Promise<{lat: number, lng: number}>} Coordinates
+     */
+    async resolveLocation(location) {
+        if (location && typeof location === 'object') {
+            return { lat: Number(location.lat), lng: Number(location.lng) };
+        }
+
+        const place = await this.findPlace(String(location || ''));
+        return { lat: place.lat, lng: place.lng };
+    }
+
+    /**
+     * Look up the best match for place text
+     * @param {string} text - Place name, address or "lat,lng"
+     * @returns {Promise<Object>} Place `{label, lat, lng}`
+     * @throws {Error} If nothing matches
+     */
+    async findPlace(text) {
+        const near = await this.getUserLocation();
+        const [place] = await this.geocoder.search(text, { limit: 1, near: near });
+        if (!place) {
+            throw new Error(I18n.t('unresolvedLocation', { location: text }));
+        }
+        return { label: place.label, lat: place.lat, lng: place.lng };
+    }
+
+    /**
+     * The position last reported by the popup, or the default location
+     * @returns {Promise<Object>} `{lat, lng, label}`
+     */
+    async getUserLocation() {
+        const [stored] = await Promise.all([
+            chrome.storage.local.get({ lastLocation: null }),
+            this.settingsLoaded
+        ]);
+        return stored.lastLocation
+            ? { lat: stored.lastLocation.lat, lng: stored.lastLocation.lng, label: I18n.t('currentLocation') }
+            : appSettings.get('defaultLocation');
+    }
+
+    /**
+     * Search places, biased towards the user's location
+     * @param {string} query - Free-text query
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.autocomplete] - Whether the search is a type-ahead suggestion
+     * @returns {Promise<Array>} Matching places
+     */
+    async searchLocations(query, options = {}) {
+        const near = await this.getUserLocation();
+
+        // Services that don't allow type-ahead are only asked once the
+        // query is submitted; until then suggestions come from the gazetteer
+        if (options.autocomplete && !this.geocoder.constructor.supportsAutocomplete) {
+            if (!this.suggestionGeocoder) {
+                this.suggestionGeocoder = Geocoders.create(Geocoders.defaultBackend);
+            }
+            return this.suggestionGeocoder.search(query, { near: near });
+        }
+        return this.geocoder.search(query, { near: near });
+    }
+
+    /**
+     * Create the geocoder for the selected backend
+     */
+    configureGeocoder() {
+        this.geocoder = Geocoders.create(this.geocoderId, {
+            apiKey: this.providerApiKeys[this.geocoderId]
+        });
     }
 
     /**
      * Load settings from storage
      */
     async loadSettings() {
-        const result = await chrome.storage.sync.get({
-            refreshInterval: 60000,
-            notifications: true,
-            theme: 'light'
-        });
-        
-        this.refreshInterval = result.refreshInterval;
-        this.notificationsEnabled = result.notifications;
+        await appSettings.ready;
+        this.readSettings();
+    }
+
+    /**
+     * Copy the loaded settings the worker works from
+     */
+    readSettings() {
+        this.refreshInterval = appSettings.get('refreshInterval');
+        this.notificationsEnabled = appSettings.get('notifications');
+        this.trafficProviderId = appSettings.get('trafficProvider');
+        this.providerApiKeys = appSettings.get('providerApiKeys');
+        this.geocoderId = appSettings.get('geocoder');
+        this.historyRetentionDays = appSettings.get('historyRetentionDays');
+        this.commuteAlerts = appSettings.get('commuteAlerts');
+        this.badgeContext = appSettings.get('badgeContext');
+        this.configureTrafficProvider();
+        this.configureGeocoder();
     }
 
     /**
      * Update settings
      * @param {Object} settings - New settings
+     * @returns {Promise<Object>} The validated settings that were stored
      */
     async updateSettings(settings) {
-        await chrome.storage.sync.set(settings);
-        await this.loadSettings();
-        
-        // Reschedule refresh if interval changed
-        if (settings.refreshInterval !== undefined) {
-            this.scheduleDataRefresh();
-        }
+        await this.settingsLoaded;
+        return appSettings.set(settings);
     }
 
     /**
-     * Initialize default settings on first install
+     * React to settings changed here, in the popup or on another device
+     * @param {Object} changes - Settings that changed
      */
-    async initializeDefaultSettings() {
-        await chrome.storage.sync.set({
-            refreshInterval: 60000,
-            notifications: true,
-            theme: 'light',
-            favoriteRoutes: [],
-            firstTime: false
-        });
+    async handleSettingsChange(changes) {
+        this.readSettings();
+
+        // Cached data came from the previous provider
+        if (changes.trafficProvider !== undefined || changes.providerApiKeys !== undefined) {
+            this.dataCache.clear();
+        }
+        
+        // Reschedule refresh if interval changed
+        if (changes.refreshInterval !== undefined) {
+            await this.scheduleDataRefresh();
+        }
+
+        if (changes.historyRetentionDays !== undefined) {
+            await this.compactHistory();
+        }
+
+        if (changes.commuteAlerts !== undefined) {
+            await this.scheduleCommuteChecks();
+        }
+
+        if (changes.useDeviceLocation === false) {
+            await chrome.storage.local.remove('lastLocation');
+        }
+
+        if (changes.analyzePages === false) {
+            await this.pageContexts.clear();
+        }
+
+        if (['badgeContext', 'commuteAlerts', 'defaultLocation', 'useDeviceLocation', 'analyzePages'].some(key => changes[key] !== undefined)) {
+            await this.updateBadge();
+        }
     }
 
     /**
@@ -346,18 +834,61 @@ class TrafficAnalyzerBackground {
      */
     startPeriodicRefresh() {
         this.scheduleDataRefresh();
+        this.scheduleCleanup();
+        this.scheduleCommuteChecks();
+        this.updateBadge();
     }
 
     /**
      * Schedule data refresh alarm
      */
-    scheduleDataRefresh() {
-        chrome.alarms.clear('refresh-traffic-data');
-        
-        if (this.refreshInterval > 0) {
+    async scheduleDataRefresh() {
+        await this.settingsLoaded;
+        if (!(this.refreshInterval > 0)) {
+            chrome.alarms.clear('refresh-traffic-data');
+            return;
+        }
+
+        // Like the cleanup alarm, keep an existing one unless the interval changed
+        const period = this.refreshInterval / 60000;
+        const existing = await chrome.alarms.get('refresh-traffic-data');
+        if (!existing || existing.periodInMinutes !== period) {
             chrome.alarms.create('refresh-traffic-data', {
-                delayInMinutes: this.refreshInterval / 60000,
-                periodInMinutes: this.refreshInterval / 60000
+                delayInMinutes: period,
+                periodInMinutes: period
+            });
+        }
+    }
+
+    /**
+     * Schedule hourly cache cleanup and history compaction
+     */
+    async scheduleCleanup() {
+        // Keep an existing alarm; recreating it on every worker start would keep postponing it
+        const existing = await chrome.alarms.get('cleanup-cache');
+        if (!existing) {
+            chrome.alarms.create('cleanup-cache', {
+                delayInMinutes: 60,
+                periodInMinutes: 60
+            });
+        }
+    }
+
+    /**
+     * Schedule commute checks every 5 minutes while any commute alert is set
+     */
+    async scheduleCommuteChecks() {
+        await this.settingsLoaded;
+        if (!this.commuteAlerts.length) {
+            chrome.alarms.clear('check-commutes');
+            return;
+        }
+
+        const existing = await chrome.alarms.get('check-commutes');
+        if (!existing) {
+            chrome.alarms.create('check-commutes', {
+                delayInMinutes: 1,
+                periodInMinutes: 5
             });
         }
     }
@@ -371,11 +902,44 @@ class TrafficAnalyzerBackground {
         // Clear cache to force fresh data
         this.dataCache.clear();
         this.lastFetch = 0;
+
+        await this.recordSnapshot();
+        await this.updateBadge();
         
         // Notify active tabs about data refresh
         this.notifyDataRefresh();
     }
 
+    /**
+     * Fetch current traffic and save it to the history store
+     */
+    async recordSnapshot() {
+        try {
+            // Fetch directly so the mock fallback never ends up in history
+            const data = await this.fetchTrafficData({});
+            this.dataCache.set(`traffic_${JSON.stringify({})}`, {
+                data,
+                timestamp: Date.now()
+            });
+            await this.historyStore.addSnapshot(data);
+            (await this.getForecastModel()).setCurrent(data);
+        } catch (error) {
+            console.error('Error recording traffic snapshot:', error);
+        }
+    }
+
+    /**
+     * Drop history older than the retention settings
+     */
+    async compactHistory() {
+        try {
+            await this.settingsLoaded;
+            await this.historyStore.compact({ retentionDays: this.historyRetentionDays });
+        } catch (error) {
+            console.error('Error compacting traffic history:', error);
+        }
+    }
+
     /**
      * Get cached data
      * @param {string} key - Cache key
@@ -403,20 +967,382 @@ class TrafficAnalyzerBackground {
     }
 
     /**
-     * Update badge for specific tab
+     * Update the badge for the chosen context: the user's location, the next
+     * favorite commute, or the route on the active tab
+     */
+    async updateBadge() {
+        await this.settingsLoaded;
+
+        try {
+            if (this.badgeContext === 'commute') {
+                this.applyBadge(await this.getCommuteStatus() || await this.getLocationStatus());
+                return;
+            }
+
+            if (this.badgeContext === 'tab') {
+                const [tab] = await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+                if (tab) {
+                    await this.updateBadgeForTab(tab);
+                    return;
+                }
+            }
+            this.applyBadge(await this.getLocationStatus());
+        } catch (error) {
+            console.error('Error updating badge:', error);
+            this.applyBadge(null);
+        }
+    }
+
+    /**
+     * Show the status of the route on a tab, once it is the active tab.
+     * Tabs without a route show the location status.
      * @param {Object} tab - Tab object
      */
-    updateBadgeForTab(tab) {
-        // Update extension badge based on current traffic conditions
-        chrome.action.setBadgeText({
-            text: '🔴', // Could be traffic status indicator
-            tabId: tab.id
+    async updateBadgeForTab(tab) {
+        if (this.badgeContext !== 'tab' || !tab.active) return;
+
+        try {
+            this.applyBadge(await this.getTabRouteStatus(tab) || await this.getLocationStatus());
+        } catch (error) {
+            console.error('Error updating tab badge:', error);
+        }
+    }
+
+    /**
+     * Set the badge text, color and tooltip
+     * @param {Object|null} status - `{label, congestion, delay}` from a get*Status method, or null when unavailable
+     */
+    applyBadge(status) {
+        if (!status) {
+            chrome.action.setBadgeText({ text: '' });
+            chrome.action.setTitle({ title: I18n.t('extName') });
+            return;
+        }
+
+        const level = Utils.getTrafficColor(status.congestion);
+        const delay = Math.max(0, Math.round(status.delay));
+
+        chrome.action.setBadgeText({ text: delay > 99 ? '99+' : `+${delay}` });
+        chrome.action.setBadgeBackgroundColor({ color: BADGE_COLORS[level] });
+        chrome.action.setBadgeTextColor?.({ color: '#ffffff' });
+        chrome.action.setTitle({
+            title: `${I18n.t('extName')}\n` + I18n.t('badgeTitle', {
+                label: status.label,
+                level: I18n.t(`trafficLevel_${level}`),
+                delay: Utils.formatDuration(delay)
+            })
         });
+    }
+
+    /**
+     * Traffic around the last position reported by the popup, or the default location
+     * @returns {Promise<Object|null>} `{label, congestion, delay}`; delay is for a drive of BADGE_REFERENCE_DISTANCE
+     */
+    async getLocationStatus() {
+        const [traffic, stored] = await Promise.all([
+            this.getTrafficData(),
+            chrome.storage.local.get({ lastLocation: null }),
+            this.settingsLoaded
+        ]);
+        const location = stored.lastLocation || appSettings.get('defaultLocation');
+
+        return this.getPlaceStatus(stored.lastLocation ? I18n.t('badgeNearYou') : location.label, location, traffic);
+    }
 
-        chrome.action.setBadgeBackgroundColor({
-            color: '#ef4444',
-            tabId: tab.id
+    /**
+     * Traffic through the readings nearest a place
+     * @param {string} label - Name shown with the status
+     * @param {Object} location - `{lat, lng}`
+     * @param {Object} traffic - Traffic data
+     * @returns {Object|null} `{label, congestion, delay, speed, freeFlowSpeed}`; delay is for a drive of
+     *   BADGE_REFERENCE_DISTANCE, speeds are km/h, and null means there are no readings
+     */
+    getPlaceStatus(label, location, traffic) {
+        const nearest = (traffic.points || [])
+            .filter(point => point.speed > 0 && point.freeFlowSpeed > 0)
+            .map(point => ({ point, distance: Utils.calculateDistance(location.lat, location.lng, point.lat, point.lng) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, 5)
+            .map(({ point }) => point);
+        if (!nearest.length) return null;
+
+        const average = (key) => nearest.reduce((sum, point) => sum + point[key], 0) / nearest.length;
+        const hours = (speed) => BADGE_REFERENCE_DISTANCE / 1000 / speed;
+
+        return {
+            label: label,
+            congestion: average('congestion'),
+            delay: (hours(average('speed')) - hours(average('freeFlowSpeed'))) * 60,
+            speed: average('speed'),
+            freeFlowSpeed: average('freeFlowSpeed')
+        };
+    }
+
+    /**
+     * Traffic around a place picked in the popup or on a page
+     * @param {Object|string} location - Place (see resolveLocation)
+     * @returns {Promise<Object|null>} Place status (see getPlaceStatus) with the place's `lat` and `lng`
+     */
+    async getPlaceTraffic(location) {
+        const [place, traffic] = await Promise.all([
+            this.resolveLocation(location),
+            this.getTrafficData()
+        ]);
+
+        const label = (location && typeof location === 'object' ? location.label : location) ||
+            `${place.lat.toFixed(5)}, ${place.lng.toFixed(5)}`;
+        const status = this.getPlaceStatus(label, place, traffic);
+        return status ? { ...status, lat: place.lat, lng: place.lng } : null;
+    }
+
+    /**
+     * Traffic on the favorite whose commute window is open or opens next
+     * @returns {Promise<Object|null>} `{label, congestion, delay}`, or null without commute alerts
+     */
+    async getCommuteStatus() {
+        const upcoming = this.commuteAlerts
+            .map(alert => ({ alert, start: CommuteMonitor.nextWindow(alert) }))
+            .filter(({ start }) => start !== null)
+            .sort((a, b) => a.start - b.start);
+        if (!upcoming.length) return null;
+
+        const { alert } = upcoming[0];
+        return this.getRouteStatus(alert.name, alert.from, alert.to);
+    }
+
+    /**
+     * Traffic on the route detected on a tab
+     * @param {Object} tab - Tab object
+     * @returns {Promise<Object|null>} `{label, congestion, delay}`, or null if the tab shows no route
+     */
+    async getTabRouteStatus(tab) {
+        const context = await this.getPageContext(tab.id);
+        const directions = context?.directions;
+        if (!directions?.origin || !directions.destination) return null;
+
+        try {
+            return await this.getRouteStatus(I18n.t('badgePageRoute'), directions.origin, directions.destination);
+        } catch (error) {
+            // Routes we can't time, e.g. outside the road network, show the location status
+            console.warn('Could not time the page route:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Traffic on the fastest route between two places, leaving now
+     * @param {string} label - Name shown in the badge tooltip
+     * @param {Object|string} from - Start (see resolveLocation)
+     * @param {Object|string} to - Destination (see resolveLocation)
+     * @returns {Promise<Object|null>} `{label, congestion, delay}`; delay is over free-flow travel
+     */
+    async getRouteStatus(label, from, to) {
+        const [start, end, engine] = await Promise.all([
+            this.resolveLocation(from),
+            this.resolveLocation(to),
+            this.createRoutingEngine()
+        ]);
+
+        const [route] = engine.route(start, end, { departureTime: Date.now(), alternatives: 1 });
+        return route ? {
+            label: label,
+            congestion: route.congestion,
+            delay: route.duration - route.freeFlowDuration
+        } : null;
+    }
+
+    /**
+     * Create the context menu items; they persist, so this runs on install and update
+     */
+    setupContextMenus() {
+        chrome.contextMenus.removeAll(() => {
+            CONTEXT_MENU_ACTIONS.forEach(action => {
+                chrome.contextMenus.create({
+                    id: action,
+                    title: I18n.t(`contextMenu_${action}`),
+                    contexts: ['selection', 'link']
+                });
+            });
+        });
+    }
+
+    /**
+     * Run a context menu action and show the result on the tab
+     * @param {Object} info - Click info
+     * @param {Object} tab - Tab the menu was opened on
+     */
+    async handleContextMenuClick(info, tab) {
+        const action = String(info.menuItemId);
+        if (!CONTEXT_MENU_ACTIONS.includes(action)) return;
+
+        const text = info.selectionText?.trim() || await this.findLinkPlace(info, tab);
+        if (!text) return;
+
+        let result;
+        try {
+            result = await this.runPlaceAction(action, text);
+        } catch (error) {
+            console.error('Error running context menu action:', error);
+            result = { action: action, query: text, error: error.message };
+        }
+        await this.showPlaceResult(tab, result);
+    }
+
+    /**
+     * Find the place a right-clicked link is about: the address the content
+     * script finds around it, or else the place in a maps link's URL
+     * @param {Object} info - Click info
+     * @param {Object} tab - Tab the menu was opened on
+     * @returns {Promise<string|null>} Place text, or null
+     */
+    async findLinkPlace(info, tab) {
+        if (tab?.id !== undefined) {
+            try {
+                const response = await chrome.tabs.sendMessage(tab.id, { type: 'GET_CONTEXT_MENU_TARGET' }, { frameId: info.frameId || 0 });
+                if (response?.data) return response.data;
+            } catch (error) {
+                // No content script on the page
+            }
+        }
+
+        let url;
+        try {
+            url = new URL(info.linkUrl);
+        } catch (error) {
+            return null;
+        }
+
+        // Search and destination parameters of maps links, or a map position "@lat,lng"
+        const params = ['q', 'query', 'address', 'daddr', 'destination', 'where'];
+        const value = params.map(param => url.searchParams.get(param)).find(Boolean);
+        if (value) return value.replace(/^(?:ll|loc):/, '').trim();
+
+        const position = url.pathname.match(/@(-?\d+\.\d+),(-?\d+\.\d+)/);
+        return position ? `${position[1]}, ${position[2]}` : null;
+    }
+
+    /**
+     * Look up place text and run a context menu action on it
+     * @param {string} action - One of CONTEXT_MENU_ACTIONS
+     * @param {string} text - Place text
+     * @returns {Promise<Object>} `{action, query, place}` with `traffic` (see getPlaceTraffic) for
+     *   'checkTraffic', `origin` and `route` for 'routeFromLocation', or `favorite` `{id, name}` for 'addFavorite'
+     */
+    async runPlaceAction(action, text) {
+        const place = await this.findPlace(text);
+        const result = { action: action, query: text, place: place };
+
+        if (action === 'checkTraffic') {
+            result.traffic = await this.getPlaceTraffic(place);
+        } else if (action === 'routeFromLocation') {
+            const [origin, engine] = await Promise.all([this.getUserLocation(), this.createRoutingEngine()]);
+            const [route] = engine.route(origin, place, { departureTime: Date.now(), alternatives: 1 });
+            if (!route) return { action: action, query: text, error: I18n.t('noRouteFound') };
+
+            result.origin = origin;
+            result.route = {
+                name: route.name,
+                distance: route.distance,
+                duration: route.duration,
+                freeFlowDuration: route.freeFlowDuration,
+                congestion: route.congestion,
+                status: route.status,
+                // A timestamp, so the result can wait in storage for the popup
+                eta: route.eta.getTime()
+            };
+        } else if (action === 'addFavorite') {
+            const favorite = await this.addPlaceToFavorites(place);
+            result.favorite = { id: favorite.id, name: favorite.name };
+        }
+        return result;
+    }
+
+    /**
+     * Save a favorite from the user's location to a place
+     * @param {Object} place - Destination `{label, lat, lng}`
+     * @returns {Promise<Object>} Favorite
+     */
+    async addPlaceToFavorites(place) {
+        if (!this.favoritesStore) {
+            this.favoritesStore = new FavoritesStore();
+        }
+        await this.favoritesStore.ready;
+
+        const favorite = Favorites.normalize({
+            name: place.label,
+            from: await this.getUserLocation(),
+            to: place
         });
+        await this.favoritesStore.save([favorite, ...this.favoritesStore.list()]);
+        return favorite;
+    }
+
+    /**
+     * Show a context menu result in the tab's overlay; on pages without the
+     * content script, in the popup, or else as a notification
+     * @param {Object} tab - Tab the menu was opened on
+     * @param {Object} result - Result of runPlaceAction, or `{action, query, error}`
+     */
+    async showPlaceResult(tab, result) {
+        try {
+            const response = await chrome.tabs.sendMessage(tab.id, { type: 'SHOW_PLACE_RESULT', result: result });
+            if (response?.success) return;
+        } catch (error) {
+            // No content script on this tab
+        }
+
+        try {
+            await chrome.storage.session.set({ [POPUP_REQUEST_KEY]: { ...result, createdAt: Date.now() } });
+            await chrome.action.openPopup();
+        } catch (error) {
+            chrome.storage.session.remove(POPUP_REQUEST_KEY).catch(() => {});
+            chrome.notifications.create(`place-${result.action}`, {
+                type: 'basic',
+                iconUrl: 'icons/icon48.png',
+                title: result.place?.label || result.query,
+                message: this.describePlaceResult(result)
+            });
+        }
+    }
+
+    /**
+     * One-line summary of a context menu result
+     * @param {Object} result - Result of runPlaceAction, or `{action, query, error}`
+     * @returns {string} Summary
+     */
+    describePlaceResult(result) {
+        if (result.error) return result.error;
+
+        if (result.action === 'checkTraffic') {
+            if (!result.traffic) return I18n.t('placeNoReadings');
+            return I18n.t('placeTraffic', {
+                level: I18n.t(`trafficLevel_${Utils.getTrafficColor(result.traffic.congestion)}`),
+                speed: Utils.formatSpeed(result.traffic.speed),
+                delay: Utils.formatDuration(Utils.convertDelayRate(Math.max(0, result.traffic.delay))),
+                distance: Utils.getDelayRateDistance()
+            });
+        }
+        if (result.action === 'routeFromLocation') {
+            return I18n.t('placeRouteSummary', {
+                origin: result.origin.label,
+                duration: Utils.formatDuration(result.route.duration),
+                eta: Utils.formatTime(result.route.eta)
+            });
+        }
+        return I18n.t('favoriteAdded', { name: result.favorite.name });
+    }
+
+    /**
+     * Hand the popup the context menu result it was opened for
+     * @returns {Promise<Object|null>} Result, or null if the popup was opened by hand
+     */
+    async takePopupRequest() {
+        const stored = await chrome.storage.session.get(POPUP_REQUEST_KEY);
+        const request = stored[POPUP_REQUEST_KEY];
+        if (!request) return null;
+
+        await chrome.storage.session.remove(POPUP_REQUEST_KEY);
+        return Date.now() - request.createdAt < 60000 ? request : null;
     }
 
     /**
@@ -426,8 +1352,8 @@ class TrafficAnalyzerBackground {
         chrome.notifications.create('welcome', {
             type: 'basic',
             iconUrl: 'icons/icon48.png',
-            title: 'Traffic Analyzer Pro',
-            message: 'Extension installed successfully! Click the icon to start analyzing traffic.'
+            title: I18n.t('extName'),
+            message: I18n.t('welcomeMessage')
         });
     }
 
@@ -4,6 +4,11 @@ class TrafficAnalyzerContent {
     constructor() {
         this.isInitialized = false;
         this.pageInfo = null;
+        this.trafficSummary = null;
+        this.routeComparison = null;
+        this.comparedRoute = null;
+        this.dismissedRoute = null;
+        this.placeResult = null;
         
         this.init();
     }
@@ -11,13 +16,24 @@ class TrafficAnalyzerContent {
     /**
      * Initialize content script
      */
-    init() {
-        // Only initialize on relevant pages or when needed
-        if (this.isRelevantPage()) {
+    async init() {
+        await appSettings.ready;
+
+        // Only initialize on relevant pages, and only if the user lets us read them
+        if (appSettings.get('analyzePages') && this.isRelevantPage()) {
             this.setupPageIntegration();
-            this.setupMessageListener();
             this.extractPageInfo();
         }
+
+        // Context menu actions work on any page
+        this.setupMessageListener();
+        this.addContextMenus();
+
+        appSettings.onChange((changes) => {
+            if (changes.analyzePages === false) {
+                this.hideTrafficOverlay();
+            }
+        });
         
         this.isInitialized = true;
     }
@@ -44,6 +60,11 @@ class TrafficAnalyzerContent {
             'maps', 'directions', 'navigation', 'traffic', 'route'
         ];
         
+        // Sites we can read directions from
+        if (RouteExtractors.find(window.location)) {
+            return true;
+        }
+        
         // Check domain
         if (relevantDomains.some(d => domain.includes(d))) {
             return true;
@@ -62,7 +83,6 @@ class TrafficAnalyzerContent {
      */
     setupPageIntegration() {
         this.injectTrafficOverlay();
-        this.addContextMenus();
         this.monitorLocationChanges();
     }
 
@@ -87,7 +107,7 @@ class TrafficAnalyzerContent {
             case 'GET_PAGE_INFO':
                 sendResponse({
                     success: true,
-                    data: this.getPageInfo()
+                    data: appSettings.get('analyzePages') ? this.getPageInfo() : null
                 });
                 break;
                 
@@ -101,6 +121,18 @@ class TrafficAnalyzerContent {
                 sendResponse({ success: true });
                 break;
                 
+            case 'GET_CONTEXT_MENU_TARGET':
+                sendResponse({
+                    success: true,
+                    data: this.findAddressAt(this.lastContextMenuEvent?.element)
+                });
+                break;
+                
+            case 'SHOW_PLACE_RESULT':
+                this.showPlaceResult(message.result);
+                sendResponse({ success: true });
+                break;
+                
             case 'HIDE_TRAFFIC_OVERLAY':
                 this.hideTrafficOverlay();
                 sendResponse({ success: true });
@@ -125,10 +157,8 @@ class TrafficAnalyzerContent {
         // Extract location information if available
         info.locations = this.extractLocations();
         
-        // Extract route information if on maps page
-        if (this.isMapsPage()) {
-            info.routes = this.extractRouteInfo();
-        }
+        // Directions shown by a supported maps site
+        info.directions = RouteExtractors.extract(document, window.location);
         
         this.pageInfo = info;
         
@@ -137,116 +167,96 @@ class TrafficAnalyzerContent {
             type: 'PAGE_INFO_UPDATED',
             data: info
         });
+
+        this.compareRoute();
     }
 
     /**
-     * Extract location information from page
-     * @returns {Array} Array of locations found on page
+     * Time the page's directions with our own routing and show both in the
+     * overlay. Nothing is sent again while the route stays the same.
+     * @param {boolean} [force] - Compare even if the route has not changed
      */
-    extractLocations() {
-        const locations = [];
-        
-        // Look for address patterns in text content
-        const addressRegex = /\b\d+\s+[\w\s]+(street|st|avenue|ave|road|rd|boulevard|blvd|drive|dr|lane|ln|way|circle|cir|court|ct|place|pl)\b/gi;
-        const matches = document.body.textContent.match(addressRegex);
-        
-        if (matches) {
-            matches.forEach(address => {
-                locations.push({
-                    type: 'address',
-                    text: address.trim(),
-                    confidence: 0.7
-                });
-            });
+    async compareRoute(force = false) {
+        const directions = this.pageInfo?.directions;
+        if (!directions?.origin || !directions.destination) {
+            this.comparedRoute = null;
+            if (this.routeComparison) {
+                this.routeComparison = null;
+                if (this.trafficOverlayVisible) this.showTrafficOverlay(this.trafficSummary);
+            }
+            return;
         }
-        
-        // Look for coordinates in data attributes or text
-        const coordRegex = /(-?\d+\.?\d*),\s*(-?\d+\.?\d*)/g;
-        const coordMatches = document.body.textContent.match(coordRegex);
-        
-        if (coordMatches) {
-            coordMatches.forEach(coord => {
-                const [lat, lng] = coord.split(',').map(c => parseFloat(c.trim()));
-                if (Math.abs(lat) <= 90 && Math.abs(lng) <= 180) {
-                    locations.push({
-                        type: 'coordinates',
-                        lat: lat,
-                        lng: lng,
-                        confidence: 0.9
-                    });
-                }
+
+        const key = JSON.stringify([directions.origin, directions.destination, directions.routes.map(route => route.duration)]);
+        if (key === this.comparedRoute && !force) return;
+        this.comparedRoute = key;
+
+        let comparison = null;
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'COMPARE_PAGE_ROUTE',
+                directions: directions
             });
+            // Nothing to show without the page's time or ours
+            comparison = response.success && (response.data.page || response.data.ours) ? response.data : null;
+        } catch (error) {
+            console.error('Error comparing page route:', error);
         }
-        
-        return locations.slice(0, 10); // Limit to first 10 locations
-    }
 
-    /**
-     * Extract route information from maps pages
-     * @returns {Array} Array of route information
-     */
-    extractRouteInfo() {
-        const routes = [];
-        
-        // This would be customized for each maps service
-        if (window.location.hostname.includes('maps.google.com')) {
-            routes.push(...this.extractGoogleMapsRoutes());
+        // The page moved on to another route while this one was timed
+        if (key !== this.comparedRoute) return;
+        this.routeComparison = comparison;
+
+        // Closing the overlay keeps it closed until the route changes
+        if (comparison && key !== this.dismissedRoute) {
+            this.refreshTrafficOverlay();
+        } else if (this.trafficOverlayVisible) {
+            this.showTrafficOverlay(this.trafficSummary);
         }
-        
-        return routes;
     }
 
     /**
-     * Extract routes from Google Maps (example implementation)
-     * @returns {Array} Array of Google Maps routes
+     * Extract location information from page
+     * @returns {Array} Array of locations found on page
      */
-    extractGoogleMapsRoutes() {
-        const routes = [];
+    extractLocations() {
+        const locations = [];
         
-        try {
-            // Look for route panels or direction elements
-            const routeElements = document.querySelectorAll('[data-value="Directions"]');
-            
-            routeElements.forEach((element, index) => {
-                const routeData = {
-                    id: `google_route_${index}`,
-                    source: 'google_maps',
-                    element: element,
-                    extracted: true
-                };
-                
-                // Try to extract duration and distance
-                const durationElement = element.querySelector('[jstcache="461"]');
-                const distanceElement = element.querySelector('[jstcache="459"]');
-                
-                if (durationElement) {
-                    routeData.duration = durationElement.textContent.trim();
-                }
-                
-                if (distanceElement) {
-                    routeData.distance = distanceElement.textContent.trim();
-                }
-                
-                routes.push(routeData);
+        // Look for address patterns in text content
+        Utils.findAddresses(document.body.textContent).forEach(address => {
+            locations.push({
+                type: 'address',
+                text: address,
+                confidence: 0.7
             });
-        } catch (error) {
-            console.log('Could not extract Google Maps routes:', error);
-        }
+        });
+        
+        // Look for coordinates in text
+        Utils.findCoordinates(document.body.textContent).forEach(({ lat, lng, text }) => {
+            locations.push({
+                type: 'coordinates',
+                lat: lat,
+                lng: lng,
+                text: text,
+                confidence: 0.9
+            });
+        });
         
-        return routes;
+        return locations.slice(0, 10); // Limit to first 10 locations
     }
 
     /**
-     * Check if current page is a maps page
-     * @returns {boolean} True if maps page
+     * Find the address an element shows, looking at the nearest block
+     * around it so part of an address still counts
+     * @param {Element} element - Element under the pointer
+     * @returns {string|null} Address, or null
      */
-    isMapsPage() {
-        const domain = window.location.hostname;
-        const mapsKeywords = ['maps', 'directions', 'navigation'];
-        
-        return mapsKeywords.some(keyword => 
-            domain.includes(keyword) || window.location.href.includes(keyword)
-        );
+    findAddressAt(element) {
+        const block = element?.closest?.('address, p, li, td, dd, h1, h2, h3, h4, a, div');
+        const text = (block || element)?.textContent || '';
+
+        // Large containers hold many addresses; none of them is the one clicked
+        return text.length <= 500 ? Utils.findAddresses(text)[0] || null : null;
     }
 
     /**
@@ -262,8 +272,11 @@ class TrafficAnalyzerContent {
      * @param {Object} message - Refresh message
      */
     handleDataRefresh(message) {
-        // Update any displayed traffic information
-        if (this.trafficOverlayVisible) {
+        // Update any displayed traffic information; the route comparison
+        // refreshes the overlay itself
+        if (this.routeComparison) {
+            this.compareRoute(true);
+        } else if (this.trafficOverlayVisible) {
             this.refreshTrafficOverlay();
         }
         
@@ -277,10 +290,15 @@ class TrafficAnalyzerContent {
         // Create overlay container
         const overlay = document.createElement('div');
         overlay.id = 'traffic-analyzer-overlay';
+
+        // Follows the extension's language, not the page's
+        const direction = I18n.getDirection();
+        overlay.lang = I18n.getLanguage();
+        overlay.dir = direction;
         overlay.style.cssText = `
             position: fixed;
             top: 20px;
-            right: 20px;
+            ${direction === 'rtl' ? 'left' : 'right'}: 20px;
             width: 300px;
             max-height: 400px;
             background: rgba(255, 255, 255, 0.95);
@@ -290,7 +308,7 @@ class TrafficAnalyzerContent {
             z-index: 10000;
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
             display: none;
-            overflow: hidden;
+            overflow-y: auto;
         `;
         
         document.body.appendChild(overlay);
@@ -301,6 +319,7 @@ class TrafficAnalyzerContent {
      * Add context menu functionality
      */
     addContextMenus() {
+        // The background asks for the address here once an item is clicked
         document.addEventListener('contextmenu', (e) => {
             this.lastContextMenuEvent = {
                 x: e.clientX,
@@ -332,8 +351,10 @@ class TrafficAnalyzerContent {
      * @param {Object} data - Traffic data to display
      */
     showTrafficOverlay(data) {
-        if (!this.trafficOverlay) return;
+        // Pages we don't read only get the overlay for context menu results
+        if (!this.trafficOverlay) this.injectTrafficOverlay();
         
+        this.trafficSummary = data;
         this.trafficOverlay.innerHTML = this.createOverlayContent(data);
         this.trafficOverlay.style.display = 'block';
         this.trafficOverlayVisible = true;
@@ -342,6 +363,8 @@ class TrafficAnalyzerContent {
         const closeBtn = this.trafficOverlay.querySelector('.close-btn');
         if (closeBtn) {
             closeBtn.addEventListener('click', () => {
+                this.dismissedRoute = this.comparedRoute;
+                this.placeResult = null;
                 this.hideTrafficOverlay();
             });
         }
@@ -355,10 +378,10 @@ class TrafficAnalyzerContent {
     createOverlayContent(data) {
         return `
             <div style="padding: 16px; position: relative;">
-                <button class="close-btn" style="
+                <button class="close-btn" title="${I18n.t('close')}" style="
                     position: absolute;
                     top: 8px;
-                    right: 8px;
+                    inset-inline-end: 8px;
                     background: none;
                     border: none;
                     font-size: 20px;
@@ -369,11 +392,15 @@ class TrafficAnalyzerContent {
                 ">×</button>
                 
                 <h3 style="margin: 0 0 12px 0; color: #333; font-size: 16px;">
-                    🚦 Traffic Analyzer
+                    🚦 ${I18n.t('overlayTitle')}
                 </h3>
                 
+                ${this.placeResult ? this.createPlaceResultContent(this.placeResult) : ''}
+                
+                ${this.routeComparison ? this.createComparisonContent(this.routeComparison) : ''}
+                
                 <div style="margin-bottom: 12px;">
-                    <div style="font-size: 14px; color: #666;">Current Conditions</div>
+                    <div style="font-size: 14px; color: #666;">${I18n.t('overlayConditions')}</div>
                     <div style="font-size: 18px; font-weight: 600; color: #333;">
                         ${this.formatTrafficStatus(data)}
                     </div>
@@ -381,22 +408,141 @@ class TrafficAnalyzerContent {
                 
                 <div style="display: flex; gap: 12px; margin-bottom: 12px;">
                     <div style="flex: 1; text-align: center;">
-                        <div style="font-size: 12px; color: #666;">Avg Speed</div>
+                        <div style="font-size: 12px; color: #666;">${I18n.t('overlayAvgSpeed')}</div>
                         <div style="font-size: 16px; font-weight: 600; color: #333;">
-                            ${data.averageSpeed || 45} km/h
+                            ${Utils.formatSpeed(data.averageSpeed || 45)}
                         </div>
                     </div>
                     <div style="flex: 1; text-align: center;">
-                        <div style="font-size: 12px; color: #666;">Congestion</div>
+                        <div style="font-size: 12px; color: #666;">${I18n.t('overlayCongestion')}</div>
                         <div style="font-size: 16px; font-weight: 600; color: #333;">
-                            ${Math.round((data.averageCongestion || 0.4) * 100)}%
+                            ${Utils.formatPercent(data.averageCongestion || 0.4)}
                         </div>
                     </div>
                 </div>
                 
                 <div style="font-size: 11px; color: #999; text-align: center;">
-                    Updated ${new Date().toLocaleTimeString()}
+                    ${I18n.t('overlayUpdated', { time: Utils.formatTime(Date.now()) })}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show the result of a context menu action in the overlay
+     * @param {Object} result - `{action, query, place, traffic|origin+route|favorite}` or `{action, query, error}`
+     */
+    showPlaceResult(result) {
+        this.placeResult = result;
+        this.refreshTrafficOverlay();
+    }
+
+    /**
+     * Create the overlay section for a context menu result
+     * @param {Object} result - Context menu result
+     * @returns {string} HTML content
+     */
+    createPlaceResultContent(result) {
+        let body;
+        if (result.error) {
+            body = `<span style="color: #ef4444;">${Utils.escapeHtml(result.error)}</span>`;
+        } else if (result.action === 'checkTraffic') {
+            const traffic = result.traffic;
+            body = traffic ? I18n.t('placeTraffic', {
+                level: I18n.t(`trafficLevel_${Utils.getTrafficColor(traffic.congestion)}`),
+                speed: Utils.formatSpeed(traffic.speed),
+                delay: Utils.formatDuration(Utils.convertDelayRate(Math.max(0, traffic.delay))),
+                distance: Utils.getDelayRateDistance()
+            }) : I18n.t('placeNoReadings');
+        } else if (result.action === 'routeFromLocation') {
+            const delay = result.route.duration - result.route.freeFlowDuration;
+            body = `
+                ${I18n.t('placeRouteSummary', {
+                    origin: Utils.escapeHtml(result.origin.label),
+                    duration: Utils.formatDuration(result.route.duration),
+                    eta: Utils.formatTime(result.route.eta)
+                })}
+                <div style="font-size: 12px; color: #666; margin-top: 4px;">
+                    ${delay >= 1 ? I18n.t('overlayDelay', { delay: Utils.formatDuration(delay) }) : I18n.t('overlayNoDelay')}
                 </div>
+            `;
+        } else {
+            body = I18n.t('favoriteAdded', { name: Utils.escapeHtml(result.favorite.name) });
+        }
+
+        return `
+            <div style="margin-bottom: 12px;">
+                <div style="font-size: 14px; color: #666; margin-bottom: 4px;">
+                    📍 ${Utils.escapeHtml(result.place?.label || result.query)}
+                </div>
+                <div style="font-size: 14px; color: #333;">${body}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Create the overlay section comparing the page's ETA with ours
+     * @param {Object} comparison - Result of COMPARE_PAGE_ROUTE
+     * @returns {string} HTML content
+     */
+    createComparisonContent(comparison) {
+        const { page, ours, difference, delay, departure } = comparison;
+        const column = (label, eta, duration) => `
+            <div style="flex: 1; text-align: center; padding: 8px; background: rgba(0, 0, 0, 0.04); border-radius: 8px;">
+                <div style="font-size: 12px; color: #666;">${label}</div>
+                <div style="font-size: 18px; font-weight: 600; color: #333;">
+                    ${eta ? Utils.formatTime(eta) : '–'}
+                </div>
+                <div style="font-size: 12px; color: #666;">
+                    ${duration ? Utils.formatDuration(duration) : I18n.t('overlayNoPageTime')}
+                </div>
+            </div>
+        `;
+
+        const source = I18n.t(`pageSource_${comparison.source}`);
+        let verdict = '';
+        if (difference !== null && Math.abs(difference) >= 1) {
+            verdict = I18n.t(difference > 0 ? 'overlayOursLater' : 'overlayOursEarlier', {
+                difference: Utils.formatDuration(Math.abs(difference)),
+                source: source
+            });
+        } else if (difference !== null) {
+            verdict = I18n.t('overlayOursSame', { source });
+        }
+
+        // Outside our road network there is only the page's time to show
+        if (!ours) {
+            return `
+                <div style="margin-bottom: 12px;">
+                    <div style="font-size: 14px; color: #666; margin-bottom: 6px;">${I18n.t('overlayArrival')}</div>
+                    <div style="display: flex; gap: 8px; margin-bottom: 8px;">
+                        ${column(source, page?.eta, page?.duration)}
+                    </div>
+                    <div style="font-size: 12px; color: #666;">${I18n.t('overlayOutsideNetwork')}</div>
+                </div>
+            `;
+        }
+
+        return `
+            <div style="margin-bottom: 12px;">
+                <div style="font-size: 14px; color: #666; margin-bottom: 6px;">${I18n.t('overlayArrival')}</div>
+                <div style="display: flex; gap: 8px; margin-bottom: 8px;">
+                    ${column(source, page?.eta, page?.duration)}
+                    ${column(I18n.t('overlayOurEstimate'), ours.eta, ours.duration)}
+                </div>
+                ${verdict ? `<div style="font-size: 12px; color: #666; margin-bottom: 4px;">${verdict}</div>` : ''}
+                <div style="font-size: 13px; color: #333; margin-bottom: 4px;">
+                    ${delay >= 1 ? I18n.t('overlayDelay', { delay: Utils.formatDuration(delay) }) : I18n.t('overlayNoDelay')}
+                </div>
+                ${departure ? `
+                    <div style="font-size: 13px; color: #333; padding: 8px; background: rgba(102, 126, 234, 0.1); border-radius: 8px;">
+                        💡 ${I18n.t('overlayLeaveLater', {
+                            time: Utils.formatTime(departure.time),
+                            arrival: Utils.formatTime(departure.arrival),
+                            saves: Utils.formatDuration(departure.saves)
+                        })}
+                    </div>
+                ` : ''}
             </div>
         `;
     }
@@ -409,9 +555,9 @@ class TrafficAnalyzerContent {
     formatTrafficStatus(data) {
         const congestion = data.averageCongestion || 0.4;
         
-        if (congestion <= 0.3) return '🟢 Smooth Traffic';
-        if (congestion <= 0.6) return '🟡 Moderate Traffic';
-        return '🔴 Heavy Traffic';
+        if (congestion <= 0.3) return `🟢 ${I18n.t('overlayStatus_smooth')}`;
+        if (congestion <= 0.6) return `🟡 ${I18n.t('overlayStatus_moderate')}`;
+        return `🔴 ${I18n.t('overlayStatus_heavy')}`;
     }
 
     /**
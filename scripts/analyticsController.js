@@ -6,7 +6,10 @@ class AnalyticsController {
         this.currentPeriod = '6h';
         this.analyticsData = null;
         this.dataManager = new DataManager();
-        this.timeSliderValue = 12;
+        this.timeExplorer = null;
+        this.timeCursor = null;
+        this.cursorRequestId = 0;
+        this.timeStats = null;
         
         this.init();
     }
@@ -25,13 +28,31 @@ class AnalyticsController {
             });
         });
 
+        // Export the charted series
+        document.querySelectorAll('[data-analytics-export]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportData(btn.dataset.analyticsExport));
+        });
+
         // Time slider
         const timeSlider = document.getElementById('timeSlider');
         if (timeSlider) {
-            timeSlider.addEventListener('input', (e) => {
-                this.updateTimeSlider(e.target.value);
+            this.timeExplorer = new TimeExplorer(timeSlider, {
+                label: document.getElementById('currentTime'),
+                playButton: document.getElementById('timePlay'),
+                stepBackButton: document.getElementById('timeStepBack'),
+                stepForwardButton: document.getElementById('timeStepForward'),
+                nowButton: document.getElementById('timeNow'),
+                onChange: (cursor) => this.updateTimeCursor(cursor)
             });
         }
+
+        // Redraw in the new units or clock
+        Utils.events.on('settingsChanged', (settings) => {
+            if (settings.units !== undefined || settings.clock !== undefined) {
+                this.updateCharts();
+                if (this.timeStats) this.renderTimeStats(...this.timeStats);
+            }
+        });
     }
 
     async loadData() {
@@ -43,7 +64,7 @@ class AnalyticsController {
             this.updateCharts();
         } catch (error) {
             console.error('Error loading analytics data:', error);
-            this.showError('Failed to load analytics data');
+            this.showError(I18n.t('analyticsLoadFailed'));
         }
     }
 
@@ -67,7 +88,7 @@ class AnalyticsController {
             data: {
                 labels: [],
                 datasets: [{
-                    label: 'Average Speed (km/h)',
+                    label: I18n.t('averageSpeedSeries', { unit: Utils.getSpeedUnit() }),
                     data: [],
                     borderColor: '#667eea',
                     backgroundColor: 'rgba(102, 126, 234, 0.1)',
@@ -87,7 +108,7 @@ class AnalyticsController {
                 plugins: {
                     tooltip: {
                         callbacks: {
-                            label: (context) => `Speed: ${context.parsed.y} km/h`
+                            label: (context) => I18n.t('speedTooltip', { speed: Utils.formatNumber(context.parsed.y), unit: Utils.getSpeedUnit() })
                         }
                     }
                 }
@@ -104,7 +125,7 @@ class AnalyticsController {
             data: {
                 labels: [],
                 datasets: [{
-                    label: 'Average Delay (min)',
+                    label: I18n.t('averageDelaySeries', { distance: Utils.getDelayRateDistance() }),
                     data: [],
                     backgroundColor: '#f093fb',
                     borderColor: '#764ba2',
@@ -122,7 +143,7 @@ class AnalyticsController {
                 plugins: {
                     tooltip: {
                         callbacks: {
-                            label: (context) => `Delay: ${context.parsed.y} minutes`
+                            label: (context) => I18n.t('delayTooltip', { delay: Utils.formatDuration(context.parsed.y) })
                         }
                     }
                 }
@@ -144,6 +165,10 @@ class AnalyticsController {
     }
 
     createMockSpeedVisualization() {
+        const samples = this.sampleSeries(this.analyticsData?.speedTrends, 12);
+        if (!samples.length) return this.createEmptyVisualization();
+
+        const maxSpeed = Math.max(...samples.map(s => s.value), 1);
         const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
         const gradient = isDark 
             ? 'linear-gradient(to top, #3b82f6, #1e40af)'
@@ -176,13 +201,14 @@ class AnalyticsController {
                 </div>
                 
                 <!-- Interactive Bars -->
-                ${Array.from({ length: 12 }, (_, i) => {
-                    const height = 25 + Math.sin(i * 0.5) * 20 + Math.random() * 30;
-                    const speed = Math.round(35 + height * 0.8);
-                    const time = new Date(Date.now() - (11 - i) * 3600000).getHours();
+                ${samples.map(sample => {
+                    const height = Math.max(5, (sample.value / maxSpeed) * 80);
+                    const speed = Utils.formatSpeed(sample.value);
+                    const time = this.formatTimestamp(sample.timestamp);
                     
                     return `
                         <div class="chart-bar" 
+                             data-timestamp="${sample.timestamp}"
                              onmouseover="this.querySelector('.bar-tooltip').style.opacity='1'"
                              onmouseout="this.querySelector('.bar-tooltip').style.opacity='0'"
                              style="
@@ -214,7 +240,7 @@ class AnalyticsController {
                                 pointer-events: none;
                                 z-index: 10;
                             ">
-                                ${speed} km/h at ${time}:00
+                                ${I18n.t('speedAtTime', { speed, time })}
                                 <div style="
                                     position: absolute;
                                     top: 100%;
@@ -254,7 +280,7 @@ class AnalyticsController {
                             </div>
                             
                             <!-- Time Label -->
-                            <div style="font-size: 9px; color: ${isDark ? '#94a3b8' : '#94a3b8'}; font-weight: 400;">${time}:00</div>
+                            <div style="font-size: 9px; color: ${isDark ? '#94a3b8' : '#94a3b8'}; font-weight: 400;">${time}</div>
                         </div>
                     `;
                 }).join('')}
@@ -272,7 +298,7 @@ class AnalyticsController {
                     padding: 4px 8px;
                     border-radius: 12px;
                 ">
-                    Average Speed Trends (${this.currentPeriod})
+                    ${I18n.t('speedTrendsPeriod', { period: I18n.t(`period_${this.currentPeriod}`) })}
                 </div>
             </div>
             
@@ -286,6 +312,10 @@ class AnalyticsController {
     }
 
     createMockDelayVisualization() {
+        const samples = this.sampleSeries(this.analyticsData?.delayPatterns, 10);
+        if (!samples.length) return this.createEmptyVisualization();
+
+        const maxDelay = Math.max(...samples.map(s => s.value), 1);
         const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
         
         return `
@@ -312,17 +342,18 @@ class AnalyticsController {
                 "></div>
                 
                 <!-- Delay Bars with Animations -->
-                ${Array.from({ length: 10 }, (_, i) => {
-                    const baseDelay = [5, 12, 18, 8, 25, 15, 7, 22, 11, 16][i];
-                    const height = (baseDelay / 30) * 80 + 15;
+                ${samples.map((sample, i) => {
+                    const baseDelay = sample.value;
+                    const height = (baseDelay / maxDelay) * 80 + 15;
                     const delayColor = baseDelay > 20 ? '#ef4444' : baseDelay > 10 ? '#f59e0b' : '#22c55e';
                     const gradient = `linear-gradient(to top, ${delayColor}, ${delayColor}88)`;
-                    const routeName = ['Route A', 'Route B', 'Route C', 'Route D', 'Route E', 'Route F', 'Route G', 'Route H', 'Route I', 'Route J'][i];
+                    const label = this.formatTimestamp(sample.timestamp);
                     
                     return `
                         <div class="delay-bar" 
+                             data-timestamp="${sample.timestamp}"
                              data-delay="${baseDelay}"
-                             data-route="${routeName}"
+                             data-time="${label}"
                              style="
                                  display: flex; 
                                  flex-direction: column; 
@@ -336,7 +367,7 @@ class AnalyticsController {
                              "
                              onmouseover="this.style.transform='scale(1.05)'; this.querySelector('.delay-tooltip').style.opacity='1'"
                              onmouseout="this.style.transform='scale(1)'; this.querySelector('.delay-tooltip').style.opacity='0'"
-                             onclick="window.analyticsController?.showDelayDetails('${routeName}', ${baseDelay})">
+                             onclick="window.analyticsController?.showDelayDetails('${label}', ${baseDelay})">
                             
                             <!-- Tooltip -->
                             <div class="delay-tooltip" style="
@@ -356,8 +387,11 @@ class AnalyticsController {
                                 z-index: 10;
                                 box-shadow: 0 4px 12px rgba(0,0,0,0.15);
                             ">
-                                <div style="font-weight: 600;">${routeName}</div>
-                                <div style="font-size: 10px; opacity: 0.9;">Avg delay: ${baseDelay} min</div>
+                                <div style="font-weight: 600;">${label}</div>
+                                <div style="font-size: 10px; opacity: 0.9;">${I18n.t('avgDelayPer', {
+                                    delay: Utils.formatDuration(Utils.convertDelayRate(baseDelay)),
+                                    distance: Utils.getDelayRateDistance()
+                                })}</div>
                                 <div style="
                                     position: absolute;
                                     top: 100%;
@@ -427,7 +461,7 @@ class AnalyticsController {
                                 height: 40px;
                                 display: flex;
                                 align-items: center;
-                            ">${routeName}</div>
+                            ">${label}</div>
                         </div>
                     `;
                 }).join('')}
@@ -446,7 +480,7 @@ class AnalyticsController {
                     border-radius: 12px;
                     backdrop-filter: blur(4px);
                 ">
-                    Route Delay Analysis (${this.currentPeriod})
+                    ${I18n.t('delayPerPeriod', { distance: Utils.getDelayRateDistance(), period: I18n.t(`period_${this.currentPeriod}`) })}
                 </div>
             </div>
             
@@ -493,32 +527,59 @@ class AnalyticsController {
             this.createMockCharts();
         }
 
+        this.highlightTimeSlice();
         this.hideLoading();
     }
 
     updateSpeedChart() {
         const data = this.analyticsData.speedTrends || [];
-        const labels = data.map(d => new Date(d.timestamp).toLocaleTimeString([], { 
-            hour: '2-digit', 
-            minute: '2-digit' 
-        }));
-        const values = data.map(d => d.value);
+        const labels = data.map(d => this.formatTimestamp(d.timestamp));
+        const values = data.map(d => Utils.convertSpeed(d.value));
 
         this.charts.speed.data.labels = labels;
+        this.charts.speed.data.datasets[0].label = I18n.t('averageSpeedSeries', { unit: Utils.getSpeedUnit() });
         this.charts.speed.data.datasets[0].data = values;
+        this.charts.speed.options.scales.y.max = Utils.convertSpeed(100);
         this.charts.speed.update();
     }
 
     updateDelayChart() {
         const data = this.analyticsData.delayPatterns || [];
-        const labels = data.map((d, i) => `Period ${i + 1}`);
-        const values = data.map(d => d.value);
+        const labels = data.map(d => this.formatTimestamp(d.timestamp));
+        const values = data.map(d => Utils.convertDelayRate(d.value));
 
         this.charts.delay.data.labels = labels;
+        this.charts.delay.data.datasets[0].label = I18n.t('averageDelaySeries', { distance: Utils.getDelayRateDistance() });
         this.charts.delay.data.datasets[0].data = values;
         this.charts.delay.update();
     }
 
+    sampleSeries(series, count) {
+        if (!series || series.length <= count) return series || [];
+
+        const step = (series.length - 1) / (count - 1);
+        return Array.from({ length: count }, (_, i) => series[Math.round(i * step)]);
+    }
+
+    formatTimestamp(timestamp) {
+        const time = Utils.formatTime(timestamp);
+
+        // Multi-day periods need the date to tell samples apart
+        if (this.currentPeriod === '7d' || this.currentPeriod === '30d') {
+            return `${Utils.formatDate(timestamp)} ${time}`;
+        }
+        return time;
+    }
+
+    createEmptyVisualization() {
+        return `
+            <div class="analytics-empty">
+                <i class="fas fa-history"></i>
+                <span>${I18n.t('noHistoryForPeriod')}</span>
+            </div>
+        `;
+    }
+
     changePeriod(period) {
         this.currentPeriod = period;
         
@@ -530,88 +591,174 @@ class AnalyticsController {
         this.loadData();
     }
 
-    updateTimeSlider(value) {
-        this.timeSliderValue = value;
-        
-        const currentTimeLabel = document.getElementById('currentTime');
-        if (currentTimeLabel) {
-            const timeOfDay = parseFloat(value);
-            let label = 'Present';
-            
-            if (timeOfDay < 12) {
-                label = `${Math.floor(timeOfDay)}h ago`;
-            } else if (timeOfDay > 12) {
-                label = `+${Math.floor(timeOfDay - 12)}h future`;
+    exportData(format) {
+        const table = this.buildExportTable();
+        if (!table.rows.length) {
+            window.ToastManager?.show({
+                type: 'warning',
+                message: I18n.t('exportNoAnalytics'),
+                icon: 'fa-file-export',
+                duration: 3000
+            });
+            return;
+        }
+
+        const summary = this.analyticsData.summary || {};
+        const content = format === 'csv'
+            ? DataExport.toCSV(table.columns, table.rows)
+            : DataExport.toJSON({
+                period: this.currentPeriod,
+                from: DataExport.toISOTime(summary.from),
+                to: DataExport.toISOTime(summary.to),
+                resolution: summary.resolution || null,
+                summary: {
+                    averageSpeed: typeof summary.averageSpeed === 'number' ? Utils.convertSpeed(summary.averageSpeed) : null,
+                    averageDelay: typeof summary.averageDelay === 'number' ? Utils.convertDelayRate(summary.averageDelay) : null,
+                    peakCongestion: summary.peakCongestion ?? null,
+                    samples: summary.samples ?? null
+                },
+                series: table.rows.map(row => Object.fromEntries(table.columns.map((column, i) => [column, row[i]])))
+            });
+
+        const filename = DataExport.download(content, `analytics-${this.currentPeriod}`, format);
+        window.ToastManager?.show({
+            type: 'success',
+            message: I18n.t('exportSaved', { file: filename }),
+            icon: 'fa-file-export',
+            duration: 3000
+        });
+    }
+
+    buildExportTable() {
+        // Columns name their units so the file stays readable without the popup
+        const distance = Utils.getUnits() === Utils.unitSystems.imperial ? 'mi' : 'km';
+        const speeds = this.analyticsData?.speedTrends || [];
+        const delays = this.analyticsData?.delayPatterns || [];
+        const congestion = this.analyticsData?.congestionLevels || [];
+        const value = (series, i, convert) => (typeof series[i]?.value === 'number' ? convert(series[i].value) : null);
+
+        return {
+            columns: ['timestamp', distance === 'mi' ? 'speed_mph' : 'speed_kmh', `delay_min_per_10${distance}`, 'congestion'],
+            rows: speeds.map((sample, i) => [
+                DataExport.toISOTime(sample.timestamp),
+                value(speeds, i, Utils.convertSpeed),
+                value(delays, i, Utils.convertDelayRate),
+                value(congestion, i, level => level)
+            ])
+        };
+    }
+
+    async updateTimeCursor(cursor) {
+        this.timeCursor = cursor.mode === 'live' ? null : cursor;
+        Utils.events.emit('timeCursorChanged', cursor);
+        this.highlightTimeSlice();
+
+        const requestId = ++this.cursorRequestId;
+        try {
+            const traffic = cursor.mode === 'live'
+                ? await this.dataManager.getTrafficData()
+                : await this.dataManager.getTrafficAt(cursor.timestamp);
+
+            // A newer cursor position may have resolved first
+            if (requestId !== this.cursorRequestId) return;
+            this.renderTimeStats(cursor, traffic);
+        } catch (error) {
+            console.error('Error loading traffic for time cursor:', error);
+            if (requestId === this.cursorRequestId) {
+                this.renderTimeStats(cursor, null);
             }
-            
-            currentTimeLabel.textContent = label;
+        }
+    }
+
+    renderTimeStats(cursor, traffic) {
+        const stats = document.getElementById('timeExplorerStats');
+        if (!stats) return;
+        this.timeStats = [cursor, traffic];
+
+        const snapshot = traffic ? HistoryStore.createSnapshot(traffic, cursor.timestamp) : null;
+        if (!snapshot) {
+            stats.innerHTML = `
+                <span class="time-mode ${cursor.mode}">${I18n.t(`timeMode_${cursor.mode}`)}</span>
+                <span class="time-stats-empty">${I18n.t(cursor.mode === 'forecast' ? 'noForecastYet' : 'noTrafficRecorded')}</span>
+            `;
+            return;
         }
 
-        // Here you would filter/update the charts based on the time slider value
-        this.updateChartsForTime(value);
+        const status = Utils.getTrafficColor(snapshot.averageCongestion);
+        stats.innerHTML = `
+            <span class="time-mode ${cursor.mode}">${I18n.t(`timeMode_${cursor.mode}`)}</span>
+            <span>${I18n.t('statSpeed', {
+                speed: `<strong>${Utils.formatNumber(Utils.convertSpeed(snapshot.averageSpeed))}</strong>`,
+                unit: Utils.getSpeedUnit()
+            })}</span>
+            <span class="status-${status}">${I18n.t('statCongestion', {
+                congestion: `<strong>${Utils.formatPercent(snapshot.averageCongestion)}</strong>`
+            })}</span>
+            <span>${I18n.t('statDelay', {
+                delay: `<strong>${Utils.formatNumber(Utils.convertDelayRate(snapshot.averageDelay), { minimumFractionDigits: 1 })}</strong>`,
+                distance: Utils.getDelayRateDistance()
+            })}</span>
+        `;
     }
 
-    updateChartsForTime(timeValue) {
-        // This would filter the data based on the time slider position
-        // For demo purposes, we'll add a visual indicator and highlight relevant data
-        const hour = Math.floor(parseFloat(timeValue));
-        const period = hour < 12 ? 'Past' : hour > 12 ? 'Future' : 'Present';
-        
-        // Update chart highlighting
-        this.highlightTimeSlice(timeValue);
-        
-        if (window.ToastManager) {
-            window.ToastManager.show({
-                type: 'info',
-                message: `Viewing ${period} traffic data (${hour}:00)`,
-                icon: 'fa-clock',
-                duration: 1500
+    highlightTimeSlice() {
+        const timestamp = this.timeCursor?.timestamp;
+
+        if (this.charts.speed && this.charts.delay) {
+            [this.charts.speed, this.charts.delay].forEach(chart => {
+                const index = this.findSampleIndex(this.analyticsData?.speedTrends, timestamp);
+                const active = index === -1 ? [] : [{ datasetIndex: 0, index: index }];
+                chart.setActiveElements(active);
+                chart.tooltip.setActiveElements(active, { x: 0, y: 0 });
+                chart.update();
             });
+            return;
         }
+
+        // Fallback charts: mark the bar closest to the cursor
+        ['#speedChart .chart-bar', '#delayChart .delay-bar'].forEach(selector => {
+            const bars = [...document.querySelectorAll(selector)];
+            const samples = bars.map(bar => ({ timestamp: parseInt(bar.dataset.timestamp) }));
+            const index = this.findSampleIndex(samples, timestamp);
+            bars.forEach((bar, i) => bar.classList.toggle('time-highlight', i === index));
+        });
     }
-    
-    highlightTimeSlice(timeValue) {
-        // Add visual highlighting to charts based on time slider
-        const speedChart = document.getElementById('speedChart');
-        const delayChart = document.getElementById('delayChart');
-        
-        // Remove existing highlights
-        document.querySelectorAll('.time-highlight').forEach(el => el.remove());
-        
-        // Add highlight overlay
-        [speedChart, delayChart].forEach(chart => {
-            if (!chart) return;
-            
-            const highlight = document.createElement('div');
-            highlight.className = 'time-highlight';
-            highlight.style.cssText = `
-                position: absolute;
-                top: 0;
-                left: ${(timeValue / 24) * 100}%;
-                width: 2px;
-                height: 100%;
-                background: #3b82f6;
-                box-shadow: 0 0 8px rgba(59, 130, 246, 0.5);
-                z-index: 100;
-                pointer-events: none;
-                animation: slideIndicator 0.3s ease;
-            `;
-            
-            chart.style.position = 'relative';
-            chart.appendChild(highlight);
+
+    findSampleIndex(samples, timestamp) {
+        if (!samples || !samples.length || timestamp === undefined) return -1;
+
+        // Only highlight when the cursor falls inside the charted range
+        const interval = samples.length > 1
+            ? (samples[samples.length - 1].timestamp - samples[0].timestamp) / (samples.length - 1)
+            : 0;
+        if (timestamp < samples[0].timestamp - interval / 2 ||
+            timestamp > samples[samples.length - 1].timestamp + interval / 2) {
+            return -1;
+        }
+
+        let best = 0;
+        samples.forEach((sample, i) => {
+            if (Math.abs(sample.timestamp - timestamp) < Math.abs(samples[best].timestamp - timestamp)) {
+                best = i;
+            }
         });
+        return best;
     }
     
-    showDelayDetails(routeName, delay) {
+    showDelayDetails(label, delay) {
         if (window.ToastManager) {
-            const severity = delay > 20 ? 'High' : delay > 10 ? 'Moderate' : 'Low';
+            const severity = delay > 20 ? 'high' : delay > 10 ? 'moderate' : 'low';
             const icon = delay > 20 ? 'fa-exclamation-triangle' : 
                         delay > 10 ? 'fa-clock' : 'fa-check-circle';
             const type = delay > 20 ? 'warning' : delay > 10 ? 'info' : 'success';
             
             window.ToastManager.show({
                 type: type,
-                message: `${routeName}: ${delay} min average delay • ${severity} traffic`,
+                message: I18n.t(`delayDetails_${severity}`, {
+                    time: label,
+                    delay: Utils.formatDuration(Utils.convertDelayRate(delay)),
+                    distance: Utils.getDelayRateDistance()
+                }),
                 icon: icon,
                 duration: 3000
             });
@@ -624,8 +771,8 @@ class AnalyticsController {
 
         const loadingHTML = `
             <div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #64748b;">
-                <i class="fas fa-spinner fa-spin" style="margin-right: 8px;"></i>
-                Loading analytics...
+                <i class="fas fa-spinner fa-spin" style="margin-inline-end: 8px;"></i>
+                ${I18n.t('loadingAnalytics')}
             </div>
         `;
 
@@ -643,7 +790,7 @@ class AnalyticsController {
 
         const errorHTML = `
             <div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #ef4444;">
-                <i class="fas fa-exclamation-triangle" style="margin-right: 8px;"></i>
+                <i class="fas fa-exclamation-triangle" style="margin-inline-end: 8px;"></i>
                 ${message}
             </div>
         `;
@@ -676,10 +823,6 @@ class AnalyticsController {
     refreshData() {
         this.loadData();
     }
-
-    loadData() {
-        this.loadData();
-    }
 }
 
 window.AnalyticsController = AnalyticsController;
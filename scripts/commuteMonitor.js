@@ -0,0 +1,161 @@
+// ===== COMMUTE MONITOR =====
+
+/**
+ * Commute window used when a favorite's alerts are first switched on:
+ * weekdays 7:30-9:00, alerting at 10 minutes slower than usual
+ */
+const COMMUTE_DEFAULTS = {
+    days: [1, 2, 3, 4, 5],
+    start: '07:30',
+    end: '09:00',
+    threshold: 10
+};
+
+/**
+ * Watches favorite routes during their commute windows and raises an alert
+ * when the trip gets slower than usual or a new incident appears on it.
+ *
+ * An alert is `{id, name, from, to, days, start, end, threshold}`: days are
+ * weekday numbers (0 = Sunday), start and end are local "HH:MM" times (a
+ * window ending before it starts runs past midnight) and threshold is the
+ * extra minutes over the usual duration that trigger an alert.
+ */
+class CommuteMonitor {
+    /**
+     * @param {Object} options - Monitor options
+     * @param {Function} options.evaluate - `(alert) => Promise<{route, duration, usual, incidents}>`
+     *   for leaving now; usual is null when there is no history to compare with
+     * @param {Function} options.notify - `(id, {title, message}) => void`
+     * @param {Object} [options.storage] - chrome.storage area for per-window state (defaults to chrome.storage.local)
+     */
+    constructor(options) {
+        this.evaluate = options.evaluate;
+        this.notify = options.notify;
+        this.storage = options.storage || chrome.storage.local;
+        this.stateKey = 'commuteAlertState';
+    }
+
+    /**
+     * Start of the commute window a time falls in
+     * @param {Object} alert - Commute alert
+     * @param {number} [time] - Timestamp (defaults to now)
+     * @returns {number|null} Window start timestamp, or null outside the window
+     */
+    static windowStart(alert, time = Date.now()) {
+        const toMinutes = (value) => {
+            const [hours, minutes] = value.split(':').map(Number);
+            return hours * 60 + minutes;
+        };
+        const start = toMinutes(alert.start);
+        const end = toMinutes(alert.end);
+        const date = new Date(time);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+
+        // Overnight windows belong to the day they start on
+        const overnight = end <= start;
+        const startedYesterday = overnight && minutes < end;
+        const inWindow = startedYesterday || (minutes >= start && (overnight || minutes < end));
+        if (!inWindow) return null;
+
+        const day = new Date(date);
+        if (startedYesterday) day.setDate(day.getDate() - 1);
+        if (!alert.days.includes(day.getDay())) return null;
+
+        day.setHours(Math.floor(start / 60), start % 60, 0, 0);
+        return day.getTime();
+    }
+
+    /**
+     * Start of the commute window a time falls in, or else of the next one
+     * @param {Object} alert - Commute alert
+     * @param {number} [time] - Timestamp (defaults to now)
+     * @returns {number|null} Window start timestamp, or null if the alert has no days
+     */
+    static nextWindow(alert, time = Date.now()) {
+        const current = CommuteMonitor.windowStart(alert, time);
+        if (current !== null) return current;
+
+        const [hours, minutes] = alert.start.split(':').map(Number);
+        for (let offset = 0; offset <= 7; offset++) {
+            const day = new Date(time);
+            day.setDate(day.getDate() + offset);
+            day.setHours(hours, minutes, 0, 0);
+            if (day.getTime() > time && alert.days.includes(day.getDay())) {
+                return day.getTime();
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Re-evaluate every alert whose window is open and notify on changes
+     * @param {Array} alerts - Commute alerts
+     * @param {number} [time] - Timestamp (defaults to now)
+     * @returns {Promise<number>} Number of notifications raised
+     */
+    async check(alerts, time = Date.now()) {
+        const stored = (await this.storage.get({ [this.stateKey]: {} }))[this.stateKey];
+        const state = {};
+        let raised = 0;
+
+        for (const alert of alerts) {
+            const windowStart = CommuteMonitor.windowStart(alert, time);
+            if (windowStart === null) continue;
+
+            // Each window starts afresh, so incidents are reported once per commute
+            const previous = stored[alert.id]?.window === windowStart
+                ? stored[alert.id]
+                : { window: windowStart, delayed: false, incidents: [] };
+            state[alert.id] = previous;
+
+            let result;
+            try {
+                result = await this.evaluate(alert);
+            } catch (error) {
+                console.error(`Error checking commute "${alert.name}":`, error);
+                continue;
+            }
+            if (!result) continue;
+
+            const extra = result.usual !== null ? result.duration - result.usual : 0;
+            const delayed = extra >= alert.threshold;
+            if (delayed && !previous.delayed) {
+                this.notify(`commute-delay-${alert.id}`, {
+                    title: I18n.t('commuteSlowerTitle', { name: alert.name, extra: Utils.formatDuration(extra) }),
+                    message: I18n.t('commuteSlowerMessage', {
+                        route: result.route,
+                        duration: Utils.formatDuration(result.duration),
+                        usual: Utils.formatDuration(result.usual)
+                    })
+                });
+                raised++;
+            }
+
+            const fresh = result.incidents.filter(incident => !previous.incidents.includes(incident.id));
+            if (fresh.length) {
+                const [worst] = fresh;
+                this.notify(`commute-incident-${alert.id}`, {
+                    title: I18n.plural('commuteIncidentsTitle', fresh.length, { name: alert.name }),
+                    message: worst.closed
+                        ? I18n.t('commuteIncidentClosed', { title: worst.title })
+                        : worst.delay
+                            ? I18n.t('commuteIncidentDelay', { title: worst.title, delay: Utils.formatDuration(worst.delay) })
+                            : worst.title
+                });
+                raised++;
+            }
+
+            state[alert.id] = {
+                window: windowStart,
+                delayed: delayed,
+                incidents: [...new Set([...previous.incidents, ...result.incidents.map(incident => incident.id)])]
+            };
+        }
+
+        // Drops the state of alerts whose window has closed or that were removed
+        await this.storage.set({ [this.stateKey]: state });
+        return raised;
+    }
+}
+
+self.CommuteMonitor = CommuteMonitor;
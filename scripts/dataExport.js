@@ -0,0 +1,293 @@
+// ===== DATA EXPORT =====
+
+/**
+ * File formats data can be exported as
+ */
+const EXPORT_FORMATS = {
+    csv: { mime: 'text/csv', extension: 'csv' },
+    json: { mime: 'application/json', extension: 'json' },
+    geojson: { mime: 'application/geo+json', extension: 'geojson' },
+    gpx: { mime: 'application/gpx+xml', extension: 'gpx' }
+};
+
+/**
+ * Builds export files from analytics series and routes, and saves them.
+ *
+ * Routes are the objects RoutingEngine returns, optionally with `from` and
+ * `to` labels: a polyline of `{lat, lng}`, distance in meters, durations in
+ * minutes, departure and arrival times (Date objects, or ISO strings once
+ * passed through a runtime message) and the incidents along the way. Times are written as ISO 8601 in UTC.
+ */
+class DataExport {
+    /**
+     * Build CSV text (RFC 4180)
+     * @param {Array<string>} columns - Header row
+     * @param {Array<Array>} rows - Rows of values; null and undefined are left empty
+     * @returns {string} CSV text
+     */
+    static toCSV(columns, rows) {
+        return [columns, ...rows]
+            .map(row => row.map(value => DataExport.csvField(value)).join(','))
+            .join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Quote a CSV field when it needs it. Text starting with a formula
+     * character is prefixed with an apostrophe so spreadsheets don't run it.
+     * @param {*} value - Field value
+     * @returns {string} Field
+     */
+    static csvField(value) {
+        if (value === null || value === undefined) return '';
+
+        let text = String(value);
+        if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Build indented JSON text
+     * @param {*} data - Data
+     * @returns {string} JSON text
+     */
+    static toJSON(data) {
+        return JSON.stringify(data, null, 2) + '\n';
+    }
+
+    /**
+     * Build a GeoJSON FeatureCollection (RFC 7946) with a LineString per
+     * route and a Point per incident on it
+     * @param {Array} routes - Routes
+     * @returns {Object} FeatureCollection
+     */
+    static routesToGeoJSON(routes) {
+        const features = [];
+
+        routes.forEach(route => {
+            features.push({
+                type: 'Feature',
+                geometry: {
+                    type: 'LineString',
+                    coordinates: (route.polyline || []).map(point => DataExport.toPosition(point))
+                },
+                properties: {
+                    kind: 'route',
+                    id: route.id || null,
+                    name: route.name || null,
+                    from: route.from || null,
+                    to: route.to || null,
+                    roads: route.roads || [],
+                    distance: route.distance,
+                    duration: route.duration,
+                    freeFlowDuration: route.freeFlowDuration ?? null,
+                    congestion: route.congestion ?? null,
+                    departureTime: DataExport.toISOTime(route.departureTime),
+                    eta: DataExport.toISOTime(route.eta),
+                    tollCost: route.tollCost || null,
+                    tollCurrency: route.tollCost ? route.tollCurrency : null,
+                    incidents: (route.incidents || []).map(incident => incident.id)
+                }
+            });
+
+            (route.incidents || []).forEach(incident => {
+                if (!incident.location) return;
+                features.push({
+                    type: 'Feature',
+                    geometry: {
+                        type: 'Point',
+                        coordinates: DataExport.toPosition(incident.location)
+                    },
+                    properties: {
+                        kind: 'incident',
+                        id: incident.id,
+                        route: route.id || route.name || null,
+                        type: incident.type,
+                        severity: incident.severity,
+                        closed: Boolean(incident.closed),
+                        title: incident.title || null,
+                        road: incident.road || null,
+                        delay: incident.delay ?? null
+                    }
+                });
+            });
+        });
+
+        return { type: 'FeatureCollection', features: features };
+    }
+
+    /**
+     * Build a GPX 1.1 document with a track per route and a waypoint per
+     * incident. Track points are timed from the departure to the ETA in
+     * proportion to the distance covered.
+     * @param {Array} routes - Routes
+     * @param {string} [name] - Document name
+     * @returns {string} GPX XML
+     */
+    static routesToGPX(routes, name = '') {
+        const xml = DataExport.escapeXml;
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<gpx version="1.1" creator="${xml(I18n.t('extName'))}" xmlns="http://www.topografix.com/GPX/1/1">`,
+            '  <metadata>',
+            ...(name ? [`    <name>${xml(name)}</name>`] : []),
+            `    <time>${DataExport.toISOTime(Date.now())}</time>`,
+            '  </metadata>'
+        ];
+
+        // GPX wants every waypoint before the first track
+        routes.forEach(route => {
+            (route.incidents || []).forEach(incident => {
+                if (!incident.location) return;
+                lines.push(
+                    `  <wpt lat="${incident.location.lat}" lon="${incident.location.lng}">`,
+                    `    <name>${xml(incident.title || Incidents.typeInfo(incident.type).label)}</name>`,
+                    ...(incident.road ? [`    <desc>${xml(incident.road)}</desc>`] : []),
+                    `    <type>${xml(incident.type)}</type>`,
+                    '  </wpt>'
+                );
+            });
+        });
+
+        routes.forEach(route => {
+            const points = route.polyline || [];
+            const times = DataExport.interpolateTimes(points, route.departureTime, route.eta);
+
+            lines.push(
+                '  <trk>',
+                `    <name>${xml(route.name || '')}</name>`,
+                `    <desc>${xml(DataExport.describeRoute(route))}</desc>`,
+                '    <trkseg>'
+            );
+            points.forEach((point, i) => {
+                const time = times ? DataExport.toISOTime(times[i]) : null;
+                lines.push(time
+                    ? `      <trkpt lat="${point.lat}" lon="${point.lng}"><time>${time}</time></trkpt>`
+                    : `      <trkpt lat="${point.lat}" lon="${point.lng}"/>`);
+            });
+            lines.push('    </trkseg>', '  </trk>');
+        });
+
+        lines.push('</gpx>');
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * One-line summary of a route for file formats without structured fields
+     * @param {Object} route - Route
+     * @returns {string} Summary
+     */
+    static describeRoute(route) {
+        const summary = I18n.t('exportRouteSummary', {
+            distance: Utils.formatDistance(route.distance),
+            duration: Utils.formatDuration(route.duration),
+            eta: route.eta ? Utils.formatTime(route.eta) : '-'
+        });
+        return route.from && route.to
+            ? I18n.t('exportRouteEndpoints', { from: route.from, to: route.to, summary: summary })
+            : summary;
+    }
+
+    /**
+     * Time each polyline point between two times by the distance covered
+     * @param {Array} points - Polyline
+     * @param {Date|string|number} start - Time at the first point
+     * @param {Date|string|number} end - Time at the last point
+     * @returns {Array<number>|null} Times in milliseconds, or null without both times
+     */
+    static interpolateTimes(points, start, end) {
+        if (!start || !end || !points.length) return null;
+
+        const from = new Date(start).getTime();
+        const to = new Date(end).getTime();
+        if (!Number.isFinite(from) || !Number.isFinite(to)) return null;
+
+        const cumulative = [0];
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            cumulative.push(cumulative[i - 1] + Utils.calculateDistance(a.lat, a.lng, b.lat, b.lng));
+        }
+
+        const total = cumulative[cumulative.length - 1];
+        return cumulative.map((distance, i) => Math.round(total
+            ? from + (to - from) * distance / total
+            : i ? to : from));
+    }
+
+    /**
+     * GeoJSON position of a point: longitude first
+     * @param {Object} point - `{lat, lng}`
+     * @returns {Array<number>} `[lng, lat]`
+     */
+    static toPosition(point) {
+        return [point.lng, point.lat];
+    }
+
+    /**
+     * Format a time as ISO 8601 in UTC
+     * @param {Date|string|number} timestamp - Time
+     * @returns {string|null} ISO time, or null without a valid time
+     */
+    static toISOTime(timestamp) {
+        const time = timestamp ? new Date(timestamp).getTime() : NaN;
+        return Number.isFinite(time) ? new Date(time).toISOString() : null;
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     * @param {*} text - Text
+     * @returns {string} Escaped text
+     */
+    static escapeXml(text) {
+        return String(text).replace(/[<>&"']/g, char => ({
+            '<': '&lt;',
+            '>': '&gt;',
+            '&': '&amp;',
+            '"': '&quot;',
+            '\'': '&apos;'
+        })[char]);
+    }
+
+    /**
+     * Name an export file after its contents and the current time
+     * @param {string} name - What the file holds, e.g. 'analytics-24h'
+     * @param {string} format - Key of EXPORT_FORMATS
+     * @returns {string} File name, e.g. 'traffic-analytics-24h-20240107-0830.csv'
+     */
+    static getFilename(name, format) {
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        const stamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}`;
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        return `traffic-${slug}-${stamp}.${EXPORT_FORMATS[format].extension}`;
+    }
+
+    /**
+     * Save text as a file through the browser's downloads
+     * @param {string} content - File contents
+     * @param {string} name - What the file holds, see getFilename()
+     * @param {string} format - Key of EXPORT_FORMATS
+     * @returns {string} File name
+     */
+    static download(content, name, format) {
+        const filename = DataExport.getFilename(name, format);
+        const blob = new Blob([content], { type: `${EXPORT_FORMATS[format].mime};charset=utf-8` });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.hidden = true;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoking straight away can cancel the download in some browsers
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        return filename;
+    }
+}
+
+self.DataExport = DataExport;
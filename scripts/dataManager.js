@@ -33,6 +33,15 @@ class DataManager {
         Utils.events.on('settingsChanged', (settings) => {
             this.handleSettingsChange(settings);
         });
+
+        // Incidents change route times, so cached routes are stale too
+        Utils.events.on('incidentsChanged', () => {
+            for (const key of this.cache.keys()) {
+                if (key.startsWith('incidents_') || key.startsWith('routes_')) {
+                    this.cache.delete(key);
+                }
+            }
+        });
     }
 
     /**
@@ -81,14 +90,44 @@ class DataManager {
         }
     }
 
+    /**
+     * Get traffic for a point in time (replayed history or forecast)
+     * @param {number} timestamp - Time of interest
+     * @returns {Promise<Object|null>} Traffic data, or null if nothing is known for that time
+     */
+    async getTrafficAt(timestamp) {
+        // Slider positions within the same minute share a result
+        const minute = Math.round(timestamp / 60000) * 60000;
+        const cacheKey = `traffic_at_${minute}`;
+
+        const cachedData = this.getFromCache(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
+
+        let data;
+        if (chrome && chrome.runtime) {
+            data = await this.sendMessageToBackground({
+                type: 'GET_TRAFFIC_AT',
+                timestamp: minute
+            });
+        } else if (minute < Date.now()) {
+            data = await this.getHistoryStore().getTrafficAt(minute);
+        } else {
+            data = (await this.getForecastModel()).predictTraffic(minute);
+        }
+
+        this.setCache(cacheKey, data);
+        return data;
+    }
+
     /**
      * Get route suggestions
      * @param {Object} params - Route parameters
      * @returns {Promise<Array>} Route suggestions
      */
     async getRouteSuggestions(params) {
-        const { from, to, departureTime } = params;
-        const cacheKey = `routes_${from}_${to}_${departureTime}`;
+        const cacheKey = `routes_${JSON.stringify(params)}`;
         
         const cachedData = this.getFromCache(cacheKey);
         if (cachedData) {
@@ -118,8 +157,166 @@ class DataManager {
             
         } catch (error) {
             console.error('Error fetching route suggestions:', error);
-            return this.getFromCache(cacheKey, true) || this.generateFallbackRoutes(params);
+
+            // A made-up route would be misleading, so only stale results are acceptable
+            const staleData = this.getFromCache(cacheKey, true);
+            if (staleData) {
+                return staleData;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Forecast trip durations across a window of departures
+     * @param {Object} params - `{from, to, mode, time, windowMinutes, stepMinutes}`
+     * @returns {Promise<Object>} Plan `{mode, time, candidates, recommended, onTime}`
+     */
+    async planDeparture(params) {
+        if (chrome && chrome.runtime) {
+            return this.sendMessageToBackground({
+                type: 'PLAN_DEPARTURE',
+                params: params
+            });
+        }
+        return this.fetchDeparturePlanDirect(params);
+    }
+
+    /**
+     * Get the incidents in effect at a time
+     * @param {number} [time] - Timestamp (defaults to now)
+     * @returns {Promise<Array>} Active incidents, most severe first
+     */
+    async getIncidents(time = Date.now()) {
+        // One request per minute is plenty for incident windows
+        const minute = Math.floor(time / 60000) * 60000;
+        const cacheKey = `incidents_${minute}`;
+
+        const cachedData = this.getFromCache(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
+
+        const data = chrome && chrome.runtime
+            ? await this.sendMessageToBackground({ type: 'GET_INCIDENTS', time: minute })
+            : await this.getIncidentStore().getActive(minute);
+
+        this.setCache(cacheKey, data);
+        return data;
+    }
+
+    /**
+     * Import an incident feed file
+     * @param {string} text - Open511 JSON, DATEX II XML or a JSON incident list
+     * @param {string} source - Feed name; re-importing a feed replaces its incidents
+     * @returns {Promise<number>} Number of incidents imported
+     */
+    async importIncidentFeed(text, source) {
+        // Parsed here because DATEX II needs DOMParser, which workers lack
+        const incidents = Incidents.parseFeed(text, source);
+
+        let imported;
+        if (chrome && chrome.runtime) {
+            ({ imported } = await this.sendMessageToBackground({
+                type: 'IMPORT_INCIDENTS',
+                incidents: incidents,
+                source: source
+            }));
+        } else {
+            imported = await this.getIncidentStore().replaceSource(incidents, source);
+        }
+
+        Utils.events.emit('incidentsChanged');
+        return imported;
+    }
+
+    /**
+     * Remove imported incidents
+     * @param {string} [source] - Only remove this feed's incidents
+     */
+    async clearIncidents(source) {
+        if (chrome && chrome.runtime) {
+            await this.sendMessageToBackground({ type: 'CLEAR_INCIDENTS', source: source });
+        } else {
+            await this.getIncidentStore().clear(source);
+        }
+        Utils.events.emit('incidentsChanged');
+    }
+
+    /**
+     * Search places matching a free-text query
+     * @param {string} query - Place name, address or "lat,lng"
+     * @param {Object} [options] - Search options
+     * @param {boolean} [options.autocomplete] - Whether the search is a type-ahead suggestion
+     * @returns {Promise<Array>} Matching places `{label, lat, lng, type, source}`
+     */
+    async searchLocations(query, options = {}) {
+        const autocomplete = Boolean(options.autocomplete);
+        const cacheKey = `places_${autocomplete ? 'suggest_' : ''}${query.trim().toLowerCase()}`;
+
+        const cachedData = this.getFromCache(cacheKey);
+        if (cachedData) {
+            return cachedData;
+        }
+
+        let data;
+        if (chrome && chrome.runtime) {
+            data = await this.sendMessageToBackground({
+                type: 'SEARCH_LOCATIONS',
+                query: query,
+                autocomplete: autocomplete
+            });
+        } else {
+            if (!this.geocoder) {
+                this.geocoder = Geocoders.create(Geocoders.defaultBackend);
+            }
+            data = await this.geocoder.search(query);
         }
+
+        this.setCache(cacheKey, data);
+        return data;
+    }
+
+    /**
+     * Resolve free text to the best matching place
+     * @param {string} text - Place name, address or "lat,lng"
+     * @returns {Promise<Object|null>} Best match, or null if nothing matched
+     */
+    async geocodeLocation(text) {
+        const [place] = await this.searchLocations(text);
+        return place || null;
+    }
+
+    /**
+     * Get what the content script found on the active tab
+     * @returns {Promise<Object|null>} Page context with its `places`, or null if nothing was found
+     */
+    async getPageContext() {
+        if (!(chrome && chrome.tabs)) return null;
+
+        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        return tab ? this.sendMessageToBackground({ type: 'GET_PAGE_CONTEXT', tabId: tab.id }) : null;
+    }
+
+    /**
+     * Get the context menu result the popup was opened to show
+     * @returns {Promise<Object|null>} Result, or null if the popup was opened by hand
+     */
+    async takePopupRequest() {
+        return chrome && chrome.runtime ? this.sendMessageToBackground({ type: 'GET_POPUP_REQUEST' }) : null;
+    }
+
+    /**
+     * Get traffic through the readings nearest a place
+     * @param {Object|string} location - `{lat, lng, label}` or place text
+     * @returns {Promise<Object|null>} `{label, lat, lng, congestion, delay, speed, freeFlowSpeed}`; delay is
+     *   minutes lost per 10 km, and null means there are no readings nearby
+     */
+    async getPlaceTraffic(location) {
+        return this.sendMessageToBackground({
+            type: 'GET_PLACE_TRAFFIC',
+            location: location
+        });
     }
 
     /**
@@ -136,7 +333,17 @@ class DataManager {
         }
 
         try {
-            const data = await this.fetchAnalyticsDataDirect(params);
+            let data;
+
+            if (chrome && chrome.runtime) {
+                data = await this.sendMessageToBackground({
+                    type: 'GET_ANALYTICS_DATA',
+                    params: params
+                });
+            } else {
+                data = await this.fetchAnalyticsDataDirect(params);
+            }
+
             this.setCache(cacheKey, data);
             
             Utils.events.emit('dataUpdated', {
@@ -165,7 +372,7 @@ class DataManager {
                 } else if (response && response.success) {
                     resolve(response.data);
                 } else {
-                    reject(new Error(response?.error || 'Unknown error'));
+                    reject(new Error(response?.error || I18n.t('unknownError')));
                 }
             });
         });
@@ -177,174 +384,138 @@ class DataManager {
      * @returns {Promise<Object>} Traffic data
      */
     async fetchTrafficDataDirect(params) {
-        // In a real implementation, this would make HTTP requests to traffic APIs
-        // For demo purposes, generate mock data
-        return this.generateMockTrafficData(params);
+        // Without the background worker there is no provider; use the forecast for now
+        const forecast = (await this.getForecastModel()).predictTraffic(Date.now());
+        if (!forecast) {
+            throw new Error(I18n.t('noHistoryToForecast'));
+        }
+        return forecast;
     }
 
     /**
-     * Fetch route suggestions directly
+     * Compute route suggestions directly with the bundled routing engine
      * @param {Object} params - Route parameters
      * @returns {Promise<Array>} Route suggestions
      */
     async fetchRouteSuggestionsDirect(params) {
-        return this.generateMockRoutes(params);
+        const engine = await this.createRoutingEngine();
+        const departure = params.departureTime === 'optimal'
+            ? engine.findOptimalDeparture(params.from, params.to)
+            : typeof params.departureTime === 'number' ? params.departureTime : Date.now();
+
+        return engine.route(params.from, params.to, { departureTime: departure });
     }
 
     /**
-     * Fetch analytics data directly
-     * @param {Object} params - Analytics parameters
-     * @returns {Promise<Object>} Analytics data
+     * Plan a departure directly with the bundled routing engine
+     * @param {Object} params - Plan parameters
+     * @returns {Promise<Object>} Departure plan
      */
-    async fetchAnalyticsDataDirect(params) {
-        return this.generateMockAnalytics(params);
+    async fetchDeparturePlanDirect(params) {
+        const engine = await this.createRoutingEngine();
+        return engine.planDeparture(params.from, params.to, params);
     }
 
     /**
-     * Generate mock traffic data
-     * @param {Object} params - Request parameters
-     * @returns {Object} Mock traffic data
+     * Create a routing engine over the road graph with current traffic applied
+     * @returns {Promise<RoutingEngine>} Routing engine
      */
-    generateMockTrafficData(params) {
-        const currentHour = new Date().getHours();
-        let baseCongestion = 0.3;
-        
-        // Simulate traffic patterns
-        if (currentHour >= 7 && currentHour <= 9) baseCongestion = 0.8;
-        if (currentHour >= 17 && currentHour <= 19) baseCongestion = 0.9;
-        if (currentHour >= 12 && currentHour <= 14) baseCongestion = 0.6;
-        if (currentHour >= 22 || currentHour <= 5) baseCongestion = 0.1;
-
-        const points = [];
-        for (let i = 0; i < 50; i++) {
-            const congestion = Math.max(0, Math.min(1, 
-                baseCongestion + (Math.random() - 0.5) * 0.4
-            ));
-            
-            points.push({
-                id: `point_${i}`,
-                lat: 40.7128 + (Math.random() - 0.5) * 0.2,
-                lng: -74.0060 + (Math.random() - 0.5) * 0.2,
-                congestion: congestion,
-                speed: Math.round((1 - congestion) * 80 + 20),
-                timestamp: Date.now(),
-                roadType: ['highway', 'arterial', 'local'][Math.floor(Math.random() * 3)]
-            });
+    async createRoutingEngine() {
+        const [graph, traffic, forecast, incidents] = await Promise.all([
+            this.getRoadGraph(),
+            this.getTrafficData(),
+            this.getForecastModel().catch(() => null),
+            this.getIncidentStore().getActive()
+        ]);
+        // Each engine gets its own view, so concurrent requests don't share edge state
+        const conditions = graph.withConditions();
+        conditions.applyTraffic(traffic.points);
+        conditions.applyIncidents(incidents);
+
+        return new RoutingEngine(conditions, { forecast });
+    }
+
+    /**
+     * Get a forecast model trained on the stored history, retrained hourly
+     * @returns {Promise<ForecastModel>} Forecast model
+     */
+    async getForecastModel() {
+        if (!this.forecastPromise || Date.now() - this.forecastTrainedAt > 3600000) {
+            this.forecastTrainedAt = Date.now();
+            this.forecastPromise = ForecastModel.fromHistory(this.getHistoryStore())
+                .catch(error => {
+                    this.forecastPromise = null;
+                    throw error;
+                });
         }
+        return this.forecastPromise;
+    }
 
-        return {
-            points: points,
-            summary: {
-                averageCongestion: baseCongestion,
-                averageSpeed: Math.round((1 - baseCongestion) * 80 + 20),
-                totalPoints: points.length,
-                lastUpdated: Date.now(),
-                region: 'New York City'
-            }
-        };
+    /**
+     * Get the history store shared with the background worker
+     * @returns {HistoryStore} History store
+     */
+    getHistoryStore() {
+        if (!this.historyStore) {
+            this.historyStore = new HistoryStore();
+        }
+        return this.historyStore;
     }
 
     /**
-     * Generate mock route suggestions
-     * @param {Object} params - Route parameters
-     * @returns {Array} Mock routes
+     * Get the incident store used without the background worker
+     * @returns {IncidentStore} Incident store
      */
-    generateMockRoutes(params) {
-        const routes = [];
-        const routeNames = ['Via Highway', 'Scenic Route', 'Fastest Route'];
-        
-        for (let i = 0; i < 3; i++) {
-            const baseDistance = 15000 + Math.random() * 10000;
-            const baseDuration = 20 + Math.random() * 20;
-            const congestionFactor = 0.2 + Math.random() * 0.8;
-            
-            routes.push({
-                id: `route_${i}`,
-                name: routeNames[i],
-                distance: Math.round(baseDistance),
-                duration: Math.round(baseDuration * (1 + congestionFactor * 0.5)),
-                congestion: congestionFactor,
-                status: Utils.getTrafficColor(congestionFactor),
-                eta: Utils.calculateETA(baseDistance, (1 - congestionFactor) * 60 + 20),
-                polyline: this.generateMockPolyline(),
-                incidents: Math.random() < 0.3 ? ['Construction ahead'] : [],
-                tollCost: Math.random() < 0.4 ? (5 + Math.random() * 15).toFixed(2) : null
-            });
+    getIncidentStore() {
+        if (!this.incidentStore) {
+            this.incidentStore = new IncidentStore();
         }
-        
-        return routes.sort((a, b) => a.duration - b.duration);
+        return this.incidentStore;
     }
 
     /**
-     * Generate mock polyline
-     * @returns {Array} Polyline points
+     * Load the bundled road graph
+     * @returns {Promise<RoadGraph>} Road graph
      */
-    generateMockPolyline() {
-        const points = [];
-        const steps = 20;
-        
-        for (let i = 0; i <= steps; i++) {
-            points.push({
-                lat: 40.7128 + (Math.random() - 0.5) * 0.1,
-                lng: -74.0060 + (Math.random() - 0.5) * 0.1
-            });
+    async getRoadGraph() {
+        if (!this.roadGraphPromise) {
+            this.roadGraphPromise = RoadGraph.load('data/road-network.geojson')
+                .catch(error => {
+                    this.roadGraphPromise = null;
+                    throw error;
+                });
         }
-        
-        return points;
+        return this.roadGraphPromise;
     }
 
     /**
-     * Generate mock analytics data
-     * @param {Object} params - Analytics parameters
-     * @returns {Object} Mock analytics data
+     * Load the bundled district polygons
+     * @returns {Promise<Object>} GeoJSON FeatureCollection
      */
-    generateMockAnalytics(params) {
-        const period = params.period || '24h';
-        const dataPoints = period === '1h' ? 60 : period === '6h' ? 72 : 144;
-        
-        const speedData = [];
-        const delayData = [];
-        const congestionData = [];
-        
-        for (let i = 0; i < dataPoints; i++) {
-            const hour = (Date.now() - (dataPoints - i) * 60000) / 1000 / 3600;
-            const timeOfDay = hour % 24;
-            
-            let baseCongestion = 0.3;
-            if (timeOfDay >= 7 && timeOfDay <= 9) baseCongestion = 0.8;
-            if (timeOfDay >= 17 && timeOfDay <= 19) baseCongestion = 0.9;
-            
-            const congestion = baseCongestion + (Math.random() - 0.5) * 0.2;
-            const speed = (1 - congestion) * 60 + 20 + (Math.random() - 0.5) * 10;
-            const delay = congestion * 30 + (Math.random() - 0.5) * 10;
-            
-            speedData.push({
-                timestamp: Date.now() - (dataPoints - i) * 60000,
-                value: Math.max(10, Math.round(speed))
-            });
-            
-            delayData.push({
-                timestamp: Date.now() - (dataPoints - i) * 60000,
-                value: Math.max(0, Math.round(delay))
-            });
-            
-            congestionData.push({
-                timestamp: Date.now() - (dataPoints - i) * 60000,
-                value: Math.max(0, Math.min(1, congestion))
-            });
+    async getDistricts() {
+        if (!this.districtsPromise) {
+            this.districtsPromise = fetch('data/districts.geojson')
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load districts (${response.status})`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    this.districtsPromise = null;
+                    throw error;
+                });
         }
-        
-        return {
-            speedTrends: speedData,
-            delayPatterns: delayData,
-            congestionLevels: congestionData,
-            summary: {
-                averageSpeed: speedData.reduce((sum, d) => sum + d.value, 0) / speedData.length,
-                averageDelay: delayData.reduce((sum, d) => sum + d.value, 0) / delayData.length,
-                peakCongestion: Math.max(...congestionData.map(d => d.value)),
-                period: period
-            }
-        };
+        return this.districtsPromise;
+    }
+
+    /**
+     * Read analytics directly from the history store
+     * @param {Object} params - Analytics parameters
+     * @returns {Promise<Object>} Analytics data
+     */
+    async fetchAnalyticsDataDirect(params) {
+        return this.getHistoryStore().getAnalytics(params);
     }
 
     /**
@@ -424,6 +595,28 @@ class DataManager {
         }
     }
 
+    /**
+     * Change settings. The background worker stores them when it is
+     * running, so it has switched providers etc. before this resolves.
+     * @param {Object} changes - Settings to change
+     * @returns {Promise<Object>} The validated settings that were stored
+     * @throws {Error} If a setting is unknown or invalid
+     */
+    async updateSettings(changes) {
+        if (typeof chrome === 'undefined' || !chrome.runtime) {
+            return appSettings.set(changes);
+        }
+
+        const settings = await this.sendMessageToBackground({
+            type: 'UPDATE_SETTINGS',
+            settings: changes
+        });
+
+        // Don't wait for storage.onChanged to reach this context
+        await appSettings.apply(settings);
+        return settings;
+    }
+
     /**
      * Handle settings change
      * @param {Object} settings - New settings
@@ -432,6 +625,12 @@ class DataManager {
         if (settings.refreshInterval !== undefined) {
             this.cacheTimeout = Math.max(settings.refreshInterval, 30000); // Min 30 seconds
         }
+
+        // Data from the previous source should not be served again
+        if (settings.trafficProvider !== undefined || settings.providerApiKeys !== undefined ||
+            settings.geocoder !== undefined) {
+            this.clearCache();
+        }
     }
 
     /**
@@ -447,31 +646,11 @@ class DataManager {
                 averageSpeed: 45,
                 totalPoints: 0,
                 lastUpdated: Date.now(),
-                error: 'Unable to fetch real-time data'
+                error: I18n.t('trafficUnavailable')
             }
         };
     }
 
-    /**
-     * Generate fallback routes
-     * @param {Object} params - Route parameters
-     * @returns {Array} Fallback routes
-     */
-    generateFallbackRoutes(params) {
-        return [{
-            id: 'fallback_route',
-            name: 'Default Route',
-            distance: 20000,
-            duration: 30,
-            congestion: 0.5,
-            status: 'moderate',
-            eta: new Date(Date.now() + 30 * 60000),
-            polyline: [],
-            incidents: [],
-            error: 'Unable to calculate optimal routes'
-        }];
-    }
-
     /**
      * Generate fallback analytics
      * @param {Object} params - Analytics parameters
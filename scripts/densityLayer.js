@@ -0,0 +1,260 @@
+// ===== DENSITY LAYER =====
+
+/**
+ * Default color ramp, keyed by normalized density (0-1)
+ */
+const DEFAULT_DENSITY_GRADIENT = {
+    0.2: '#22c55e',
+    0.45: '#a3e635',
+    0.6: '#f59e0b',
+    0.8: '#ef4444',
+    1.0: '#991b1b'
+};
+
+/**
+ * Canvas kernel density layer for a SlippyMap.
+ * Each point is stamped as a blurred circle whose opacity is its weight, so
+ * overlapping points accumulate; the resulting alpha channel is then mapped
+ * through a color gradient.
+ */
+class DensityLayer {
+    /**
+     * @param {SlippyMap} map - Map the layer is drawn on
+     * @param {Object} options - Layer options
+     * @param {number} [options.radius] - Kernel radius in pixels
+     * @param {number} [options.blur] - Share of the radius that fades out (0-1)
+     * @param {Object} [options.gradient] - Stop (0-1) -> CSS color
+     * @param {number} [options.max] - Weight that maps to the top of the gradient
+     * @param {number} [options.minOpacity] - Opacity of the faintest density
+     * @param {number} [options.hitRadius] - Max click distance (px) for hitTest()
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.points = [];
+        this.projected = null; // Float64Array of world pixels at zoom 0
+        this.hitGrid = new Map();
+        this.hitCellSize = 32;
+
+        this.canvas = Utils.createElement('canvas', { className: 'density-layer' });
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.map.overlayPane.appendChild(this.canvas);
+
+        this.setOptions({
+            radius: 25,
+            blur: 0.85,
+            gradient: DEFAULT_DENSITY_GRADIENT,
+            max: 1,
+            minOpacity: 0.05,
+            hitRadius: 12,
+            ...options
+        });
+    }
+
+    /**
+     * Update layer options and redraw
+     * @param {Object} options - Options to change (see constructor)
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options };
+
+        if (options.radius !== undefined || options.blur !== undefined) {
+            this.stamp = this.createStamp(this.options.radius, this.options.blur);
+        }
+        if (options.gradient !== undefined) {
+            this.palette = this.createPalette(this.options.gradient);
+        }
+
+        if (this.points.length) this.render();
+    }
+
+    /**
+     * Set the points to draw
+     * @param {Array} points - Points with `lat`, `lng` and optional `weight` (0-1)
+     */
+    setData(points) {
+        this.points = points.filter(p => Utils.isValidCoordinates(p.lat, p.lng));
+
+        // Project once; panning and zooming only need a scale and an offset
+        this.projected = new Float64Array(this.points.length * 2);
+        this.points.forEach((point, i) => {
+            const world = SlippyMap.project(point.lat, point.lng, 0);
+            this.projected[i * 2] = world.x;
+            this.projected[i * 2 + 1] = world.y;
+        });
+
+        this.render();
+    }
+
+    /**
+     * Draw the layer for the current map view
+     */
+    render() {
+        const size = this.map.getSize();
+        if (!size.width || !size.height) return;
+
+        this.resize(size);
+
+        const ctx = this.ctx;
+        const ratio = this.pixelRatio;
+        const scale = Math.pow(2, this.map.zoom);
+        const origin = this.map.getOrigin();
+        const radius = this.options.radius;
+        const max = this.options.max;
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.hitGrid.clear();
+
+        for (let i = 0; i < this.points.length; i++) {
+            const x = this.projected[i * 2] * scale - origin.x;
+            const y = this.projected[i * 2 + 1] * scale - origin.y;
+            if (x < -radius || y < -radius || x > size.width + radius || y > size.height + radius) continue;
+
+            const weight = this.points[i].weight ?? 1;
+            ctx.globalAlpha = Math.min(Math.max(weight / max, this.options.minOpacity), 1);
+            // The stamp is at device resolution; the transform maps it back to CSS pixels
+            ctx.drawImage(this.stamp, x - radius, y - radius, radius * 2, radius * 2);
+
+            this.addToHitGrid(i, x, y);
+        }
+
+        ctx.globalAlpha = 1;
+        this.colorize();
+    }
+
+    /**
+     * Match the canvas to the map size and device pixel ratio
+     * @param {Object} size - `{width, height}` in CSS pixels
+     */
+    resize(size) {
+        this.pixelRatio = window.devicePixelRatio || 1;
+        const width = Math.round(size.width * this.pixelRatio);
+        const height = Math.round(size.height * this.pixelRatio);
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+            this.canvas.style.width = `${size.width}px`;
+            this.canvas.style.height = `${size.height}px`;
+        }
+    }
+
+    /**
+     * Map accumulated alpha to gradient colors
+     */
+    colorize() {
+        const image = this.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+        const pixels = image.data;
+        const palette = this.palette;
+
+        for (let i = 3; i < pixels.length; i += 4) {
+            const alpha = pixels[i];
+            if (!alpha) continue;
+
+            const offset = alpha * 4;
+            pixels[i - 3] = palette[offset];
+            pixels[i - 2] = palette[offset + 1];
+            pixels[i - 1] = palette[offset + 2];
+        }
+
+        this.ctx.putImageData(image, 0, 0);
+    }
+
+    /**
+     * Pre-render the blurred circle drawn for each point at device resolution
+     * @param {number} radius - Kernel radius in pixels
+     * @param {number} blur - Share of the radius that fades out
+     * @returns {HTMLCanvasElement} Stamp canvas
+     */
+    createStamp(radius, blur) {
+        const ratio = window.devicePixelRatio || 1;
+        const size = Math.ceil(radius * 2 * ratio);
+        const stamp = document.createElement('canvas');
+        stamp.width = size;
+        stamp.height = size;
+
+        const ctx = stamp.getContext('2d');
+        const center = size / 2;
+        const gradient = ctx.createRadialGradient(center, center, center * (1 - blur), center, center, center);
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, size, size);
+        return stamp;
+    }
+
+    /**
+     * Build a 256-entry RGBA lookup table from gradient stops
+     * @param {Object} gradient - Stop (0-1) -> CSS color
+     * @returns {Uint8ClampedArray} Palette
+     */
+    createPalette(gradient) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 1;
+
+        const ctx = canvas.getContext('2d');
+        const linear = ctx.createLinearGradient(0, 0, 256, 0);
+        Object.entries(gradient).forEach(([stop, color]) => {
+            linear.addColorStop(parseFloat(stop), color);
+        });
+
+        ctx.fillStyle = linear;
+        ctx.fillRect(0, 0, 256, 1);
+        return ctx.getImageData(0, 0, 256, 1).data;
+    }
+
+    /**
+     * Index a drawn point for hit-testing
+     * @param {number} index - Point index
+     * @param {number} x - Container pixel x
+     * @param {number} y - Container pixel y
+     */
+    addToHitGrid(index, x, y) {
+        const key = `${Math.floor(x / this.hitCellSize)},${Math.floor(y / this.hitCellSize)}`;
+        if (!this.hitGrid.has(key)) this.hitGrid.set(key, []);
+        this.hitGrid.get(key).push({ index, x, y });
+    }
+
+    /**
+     * Find the drawn point closest to a container pixel
+     * @param {number} x - Container pixel x
+     * @param {number} y - Container pixel y
+     * @returns {Object|null} Point, or null if none is within `hitRadius`
+     */
+    hitTest(x, y) {
+        const col = Math.floor(x / this.hitCellSize);
+        const row = Math.floor(y / this.hitCellSize);
+        const cells = Math.ceil(this.options.hitRadius / this.hitCellSize);
+        let best = null;
+        let bestDistance = this.options.hitRadius;
+
+        for (let c = col - cells; c <= col + cells; c++) {
+            for (let r = row - cells; r <= row + cells; r++) {
+                (this.hitGrid.get(`${c},${r}`) || []).forEach(entry => {
+                    const distance = Math.hypot(entry.x - x, entry.y - y);
+                    if (distance <= bestDistance) {
+                        best = entry;
+                        bestDistance = distance;
+                    }
+                });
+            }
+        }
+
+        return best ? this.points[best.index] : null;
+    }
+
+    /**
+     * Remove the layer from the map
+     */
+    remove() {
+        this.canvas.remove();
+        this.points = [];
+        this.hitGrid.clear();
+    }
+}
+
+// Make globally available
+window.DensityLayer = DensityLayer;
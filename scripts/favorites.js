@@ -0,0 +1,149 @@
+// ===== FAVORITES =====
+
+/**
+ * Icons and colors a favorite can be marked with; the first of each is the default
+ */
+const FAVORITE_ICONS = ['fa-star', 'fa-home', 'fa-briefcase', 'fa-graduation-cap', 'fa-shopping-cart', 'fa-dumbbell', 'fa-plane', 'fa-heart'];
+const FAVORITE_COLORS = ['#667eea', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#06b6d4', '#64748b'];
+
+/**
+ * Favorite routes: the stored shape and helpers.
+ *
+ * A favorite is `{id, name, from, to, waypoints, departureWindows, tags,
+ * notes, icon, color, pinned, geometry, source, distance, averageDuration,
+ * commute, useCount, lastUsed, createdAt, updatedAt}`. Places (`from`, `to`
+ * and each waypoint) are `{label, lat, lng}` with null coordinates until the
+ * label has been looked up. Departure windows are `{days, start, end}` like
+ * commute windows. Distance is in meters and averageDuration in minutes,
+ * both null until known; times are milliseconds.
+ */
+class Favorites {
+    /**
+     * Fill in defaults, drop invalid values and upgrade favorites saved with
+     * text places
+     * @param {Object} favorite - Favorite-like object
+     * @returns {Object} Favorite
+     */
+    static normalize(favorite) {
+        const now = Date.now();
+        const number = (value) => (typeof value === 'number' && isFinite(value) ? value : null);
+
+        // Keep the first spelling of tags that only differ in case
+        const tags = [];
+        (favorite.tags || []).forEach(tag => {
+            const text = String(tag).trim();
+            if (text && !tags.some(t => t.toLowerCase() === text.toLowerCase())) tags.push(text);
+        });
+
+        return {
+            id: favorite.id || Utils.generateId(),
+            name: String(favorite.name || '').trim(),
+            from: Favorites.normalizePlace(favorite.from),
+            to: Favorites.normalizePlace(favorite.to),
+            waypoints: (favorite.waypoints || []).map(Favorites.normalizePlace).filter(place => place.label),
+            departureWindows: (favorite.departureWindows || []).filter(Favorites.isValidWindow),
+            tags: tags,
+            notes: String(favorite.notes || ''),
+            icon: FAVORITE_ICONS.includes(favorite.icon) ? favorite.icon : FAVORITE_ICONS[0],
+            color: /^#[0-9a-f]{6}$/i.test(favorite.color) ? favorite.color : FAVORITE_COLORS[0],
+            pinned: Boolean(favorite.pinned),
+            geometry: Array.isArray(favorite.geometry) && favorite.geometry.length >= 2 ? favorite.geometry : null,
+            source: favorite.source || null,
+            distance: number(favorite.distance),
+            averageDuration: number(favorite.averageDuration),
+            commute: favorite.commute || null,
+            useCount: number(favorite.useCount) || 0,
+            lastUsed: number(favorite.lastUsed),
+            createdAt: number(favorite.createdAt) || now,
+            updatedAt: number(favorite.updatedAt) || number(favorite.createdAt) || now
+        };
+    }
+
+    /**
+     * Normalize a place; text is kept as the label, and "lat, lng" text
+     * also gives the coordinates
+     * @param {Object|string} place - Place or text
+     * @returns {Object} `{label, lat, lng}`
+     */
+    static normalizePlace(place) {
+        if (place && typeof place === 'object') {
+            const valid = Utils.isValidCoordinates(place.lat, place.lng);
+            return {
+                label: String(place.label || '').trim(),
+                lat: valid ? place.lat : null,
+                lng: valid ? place.lng : null
+            };
+        }
+
+        const label = String(place || '').trim();
+        const coordinates = Utils.parseCoordinates(label);
+        return { label, lat: coordinates?.lat ?? null, lng: coordinates?.lng ?? null };
+    }
+
+    /**
+     * Check whether a place has been looked up
+     * @param {Object} place - Place
+     * @returns {boolean} True if it has coordinates
+     */
+    static hasCoordinates(place) {
+        return Boolean(place) && Utils.isValidCoordinates(place.lat, place.lng);
+    }
+
+    /**
+     * Route endpoint for the background worker: the coordinates when known,
+     * otherwise the label to look up
+     * @param {Object} place - Place
+     * @returns {Object|string} `{lat, lng, label}` or label
+     */
+    static toEndpoint(place) {
+        return Favorites.hasCoordinates(place) ? { lat: place.lat, lng: place.lng, label: place.label } : place.label;
+    }
+
+    /**
+     * Check a departure window
+     * @param {Object} window - `{days, start, end}`
+     * @returns {boolean} True if usable
+     */
+    static isValidWindow(window) {
+        const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+        return Boolean(window) &&
+            Array.isArray(window.days) && window.days.length > 0 &&
+            window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6) &&
+            time.test(window.start) && time.test(window.end) && window.start !== window.end;
+    }
+
+    /**
+     * Check whether a favorite matches a search. Every word must appear in
+     * the name, a place, a tag or the notes; `#word` only matches tags.
+     * @param {Object} favorite - Favorite
+     * @param {string} query - Search text
+     * @returns {boolean} True if it matches
+     */
+    static matches(favorite, query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const tags = favorite.tags.map(tag => tag.toLowerCase());
+        const text = [
+            favorite.name,
+            favorite.from.label,
+            favorite.to.label,
+            ...favorite.waypoints.map(place => place.label),
+            ...favorite.tags,
+            favorite.notes
+        ].join('\n').toLowerCase();
+
+        return words.every(word => (word.startsWith('#') && word.length > 1
+            ? tags.includes(word.slice(1))
+            : text.includes(word)));
+    }
+
+    /**
+     * List order: pinned favorites first, otherwise the saved order
+     * @param {Array} favorites - Favorites in saved order
+     * @returns {Array} Favorites in list order
+     */
+    static order(favorites) {
+        return [...favorites.filter(favorite => favorite.pinned), ...favorites.filter(favorite => !favorite.pinned)];
+    }
+}
+
+self.Favorites = Favorites;
@@ -4,219 +4,694 @@ class FavoritesController {
     constructor() {
         this.favorites = [];
         this.container = null;
-        
+        this.dataManager = new DataManager();
+        this.store = new FavoritesStore();
+        this.syncedAlerts = null;
+        this.exporting = false;
+        this.searchQuery = '';
+        this.draggedId = null;
+
         this.init();
     }
 
     init() {
         this.container = document.getElementById('favoritesList');
-        this.loadFavorites();
         this.setupEventListeners();
         this.renderFavorites();
+        this.loadFavorites();
     }
 
     setupEventListeners() {
         const addBtn = document.getElementById('addFavorite');
         if (addBtn) {
-            addBtn.addEventListener('click', () => this.showAddFavoriteModal());
+            addBtn.addEventListener('click', () => this.openFavoriteModal());
+        }
+
+        // Route files, from the picker or dropped on the section
+        const fileInput = document.getElementById('favoriteFile');
+        document.getElementById('importFavorites')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', () => {
+            this.importRouteFiles(Array.from(fileInput.files));
+            fileInput.value = '';
+        });
+        this.setupDropZone(document.getElementById('favorites-section'));
+
+        document.querySelectorAll('[data-favorite-export]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportFavorites(btn.dataset.favoriteExport));
+        });
+
+        document.getElementById('favoritesSearch')?.addEventListener('input', Utils.debounce((e) => {
+            this.searchQuery = e.target.value.trim();
+            this.renderFavorites();
+        }, 150));
+
+        if (this.container) {
+            this.container.addEventListener('click', (e) => this.handleListClick(e));
+            this.setupReordering(this.container);
         }
+
+        Utils.events.on('settingsChanged', (settings) => {
+            if (settings.units !== undefined || settings.clock !== undefined) this.renderFavorites();
+        });
+
+        // Edits synced from other devices
+        this.store.onChange((favorites) => {
+            this.favorites = favorites;
+            this.renderFavorites();
+        });
     }
 
-    loadFavorites() {
-        this.favorites = Utils.storage.get('favorite_routes', []);
-        
-        // Add some sample favorites if none exist
-        if (this.favorites.length === 0) {
-            this.favorites = [
-                {
-                    id: Utils.generateId(),
-                    name: 'Home to Work',
-                    from: 'Home',
-                    to: 'Downtown Office',
-                    distance: 15200,
-                    averageDuration: 25,
-                    lastUsed: Date.now() - 86400000, // Yesterday
-                    useCount: 12
-                },
-                {
-                    id: Utils.generateId(),
-                    name: 'Airport Route',
-                    from: 'City Center',
-                    to: 'International Airport',
-                    distance: 28500,
-                    averageDuration: 35,
-                    lastUsed: Date.now() - 604800000, // Week ago
-                    useCount: 3
-                }
-            ];
-            this.saveFavorites();
+    async loadFavorites() {
+        try {
+            await this.store.importLegacy(localStorage);
+            this.favorites = this.store.list();
+
+            // Add some sample favorites the first time favorites are used, on any device
+            if (!this.favorites.length && !(await this.store.hasHistory())) {
+                this.favorites = this.createSampleFavorites();
+                this.saveFavorites();
+            }
+        } catch (error) {
+            console.error('Error loading favorites:', error);
         }
+        this.renderFavorites();
+    }
+
+    createSampleFavorites() {
+        // Fixed IDs keep devices that start at the same time from adding them twice
+        return [
+            {
+                id: 'sample-commute',
+                name: I18n.t('sampleFavoriteCommute'),
+                from: I18n.t('sampleFavoriteHome'),
+                to: I18n.t('sampleFavoriteOffice'),
+                icon: 'fa-briefcase',
+                distance: 15200,
+                averageDuration: 25,
+                lastUsed: Date.now() - 86400000, // Yesterday
+                useCount: 12
+            },
+            {
+                id: 'sample-airport',
+                name: I18n.t('sampleFavoriteAirport'),
+                from: I18n.t('sampleFavoriteCityCenter'),
+                to: I18n.t('sampleFavoriteAirportTerminal'),
+                icon: 'fa-plane',
+                distance: 28500,
+                averageDuration: 35,
+                lastUsed: Date.now() - 604800000, // Week ago
+                useCount: 3
+            }
+        ].map(favorite => Favorites.normalize(favorite));
     }
 
     renderFavorites() {
         if (!this.container) return;
 
-        if (this.favorites.length === 0) {
+        const hasFavorites = this.favorites.length > 0;
+        const exportBar = document.getElementById('favoritesExport');
+        if (exportBar) exportBar.hidden = !hasFavorites;
+        const search = document.getElementById('favoritesSearch')?.closest('.favorites-search');
+        if (search) search.hidden = !hasFavorites;
+
+        if (!hasFavorites) {
             this.showEmptyState();
             return;
         }
 
-        const favoritesHTML = this.favorites.map(favorite => 
-            this.createFavoriteCard(favorite)
-        ).join('');
+        const visible = Favorites.order(this.favorites)
+            .filter(favorite => !this.searchQuery || Favorites.matches(favorite, this.searchQuery));
+        if (!visible.length) {
+            this.showNoMatches();
+            return;
+        }
 
-        this.container.innerHTML = favoritesHTML;
-        this.attachEventListeners();
+        this.container.innerHTML = visible.map(favorite => this.createFavoriteCard(favorite)).join('');
     }
 
     createFavoriteCard(favorite) {
+        // The saved order is ambiguous while some favorites are filtered out
+        const reorderable = !this.searchQuery;
+
         return `
-            <div class="favorite-item" data-favorite-id="${favorite.id}">
+            <div class="favorite-item${favorite.pinned ? ' pinned' : ''}" data-favorite-id="${favorite.id}" draggable="${reorderable}" style="--favorite-color: ${favorite.color};">
                 <div class="favorite-header">
+                    ${reorderable ? `
+                        <button class="favorite-drag-handle" data-action="reorder" title="${I18n.t('favoriteReorderHint')}" aria-label="${I18n.t('favoriteReorder', { name: Utils.escapeHtml(favorite.name) })}">
+                            <i class="fas fa-grip-vertical"></i>
+                        </button>
+                    ` : ''}
+                    <span class="favorite-icon"><i class="fas ${favorite.icon}"></i></span>
                     <div class="favorite-info">
-                        <div class="favorite-name">${favorite.name}</div>
+                        <div class="favorite-name">${Utils.escapeHtml(favorite.name)}</div>
                         <div class="favorite-route">
                             <i class="fas fa-map-marker-alt"></i>
-                            ${favorite.from}
+                            ${Utils.escapeHtml(favorite.from.label)}
                             <i class="fas fa-arrow-right" style="margin: 0 8px;"></i>
                             <i class="fas fa-flag"></i>
-                            ${favorite.to}
+                            ${Utils.escapeHtml(favorite.to.label)}
                         </div>
+                        ${favorite.waypoints.length ? `
+                            <div class="favorite-via">
+                                ${I18n.t('favoriteVia', {
+                                    places: Utils.escapeHtml(Utils.getFormatter('ListFormat', { type: 'conjunction' })
+                                        .format(favorite.waypoints.map(place => place.label)))
+                                })}
+                            </div>
+                        ` : ''}
                     </div>
                     <div class="favorite-actions">
-                        <button class="favorite-btn" onclick="favoritesController.editFavorite('${favorite.id}')" title="Edit">
+                        <button class="favorite-btn${favorite.pinned ? ' active' : ''}" data-action="pin" title="${I18n.t(favorite.pinned ? 'unpin' : 'pin')}" aria-pressed="${favorite.pinned}">
+                            <i class="fas fa-thumbtack"></i>
+                        </button>
+                        <button class="favorite-btn${favorite.commute ? ' active' : ''}" data-action="commute" title="${I18n.t('commuteAlerts')}">
+                            <i class="fas fa-bell"></i>
+                        </button>
+                        <button class="favorite-btn" data-action="edit" title="${I18n.t('edit')}">
                             <i class="fas fa-edit"></i>
                         </button>
-                        <button class="favorite-btn delete" onclick="favoritesController.deleteFavorite('${favorite.id}')" title="Delete">
+                        <button class="favorite-btn delete" data-action="delete" title="${I18n.t('delete')}">
                             <i class="fas fa-trash"></i>
                         </button>
                     </div>
                 </div>
-                
+
+                ${favorite.tags.length ? `
+                    <div class="favorite-tags">
+                        ${favorite.tags.map(tag => `
+                            <button class="favorite-tag" data-tag="${Utils.escapeHtml(tag)}" title="${I18n.t('favoriteTagFilter')}">#${Utils.escapeHtml(tag)}</button>
+                        `).join('')}
+                    </div>
+                ` : ''}
+
+                ${favorite.notes ? `<p class="favorite-notes">${Utils.escapeHtml(favorite.notes)}</p>` : ''}
+
                 <div class="favorite-stats">
-                    <span class="favorite-stat">
-                        <i class="fas fa-route"></i>
-                        ${Utils.formatDistance(favorite.distance)}
-                    </span>
-                    <span class="favorite-stat">
-                        <i class="fas fa-clock"></i>
-                        ~${Utils.formatDuration(favorite.averageDuration)}
-                    </span>
-                    <span class="favorite-stat">
-                        <i class="fas fa-history"></i>
-                        Used ${favorite.useCount} times
-                    </span>
-                    <span class="favorite-stat">
-                        <i class="fas fa-calendar"></i>
-                        ${this.getLastUsedText(favorite.lastUsed)}
-                    </span>
+                    ${favorite.distance !== null ? `
+                        <span class="favorite-stat">
+                            <i class="fas fa-route"></i>
+                            ${Utils.formatDistance(favorite.distance)}
+                        </span>
+                    ` : ''}
+                    ${favorite.averageDuration ? `
+                        <span class="favorite-stat">
+                            <i class="fas fa-clock"></i>
+                            ~${Utils.formatDuration(favorite.averageDuration)}
+                        </span>
+                    ` : ''}
+                    ${favorite.useCount ? `
+                        <span class="favorite-stat">
+                            <i class="fas fa-history"></i>
+                            ${I18n.plural('favoriteUseCount', favorite.useCount)}
+                        </span>
+                        <span class="favorite-stat">
+                            <i class="fas fa-calendar"></i>
+                            ${this.getLastUsedText(favorite.lastUsed)}
+                        </span>
+                    ` : `
+                        <span class="favorite-stat">
+                            <i class="fas fa-history"></i>
+                            ${I18n.t('favoriteNotUsed')}
+                        </span>
+                    `}
+                    ${favorite.departureWindows.map(window => `
+                        <span class="favorite-stat" title="${I18n.t('favoriteDepartureWindows')}">
+                            <i class="fas fa-sign-out-alt"></i>
+                            ${this.describeWindow(window)}
+                        </span>
+                    `).join('')}
+                    ${favorite.commute ? `
+                        <span class="favorite-stat">
+                            <i class="fas fa-bell"></i>
+                            ${this.describeWindow(favorite.commute)}
+                        </span>
+                    ` : ''}
+                    ${favorite.source ? `
+                        <span class="favorite-stat">
+                            <i class="fas fa-file-import"></i>
+                            ${Utils.escapeHtml(favorite.source)}
+                        </span>
+                    ` : ''}
                 </div>
-                
+
                 <div class="favorite-actions" style="margin-top: 12px;">
-                    <button class="action-btn" onclick="favoritesController.useFavorite('${favorite.id}')">
-                        <i class="fas fa-play"></i> Use Route
+                    <button class="action-btn" data-action="use">
+                        <i class="fas fa-play"></i> ${I18n.t('useRoute')}
                     </button>
-                    <button class="action-btn primary" onclick="favoritesController.navigateToFavorite('${favorite.id}')">
-                        <i class="fas fa-navigation"></i> Navigate
+                    <button class="action-btn primary" data-action="navigate">
+                        <i class="fas fa-navigation"></i> ${I18n.t('routeNavigate')}
                     </button>
                 </div>
             </div>
         `;
     }
 
-    attachEventListeners() {
-        const favoriteCards = this.container.querySelectorAll('.favorite-item');
-        favoriteCards.forEach(card => {
-            card.addEventListener('click', (e) => {
-                if (e.target.closest('.favorite-actions') || e.target.closest('.favorite-btn')) {
-                    return; // Don't trigger card selection for button clicks
-                }
-                this.selectFavorite(card.dataset.favoriteId);
+    handleListClick(e) {
+        const tag = e.target.closest('[data-tag]');
+        if (tag) {
+            this.filterByTag(tag.dataset.tag);
+            return;
+        }
+
+        const card = e.target.closest('[data-favorite-id]');
+        if (!card) return;
+
+        const favoriteId = card.dataset.favoriteId;
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        switch (action) {
+            case 'pin':
+                this.togglePin(favoriteId);
+                break;
+            case 'commute':
+                this.editCommuteAlert(favoriteId);
+                break;
+            case 'edit':
+                this.editFavorite(favoriteId);
+                break;
+            case 'delete':
+                this.deleteFavorite(favoriteId);
+                break;
+            case 'use':
+                this.useFavorite(favoriteId);
+                break;
+            case 'navigate':
+                this.navigateToFavorite(favoriteId);
+                break;
+            case 'reorder':
+                break;
+            default:
+                if (!e.target.closest('button')) this.selectFavorite(favoriteId);
+        }
+    }
+
+    filterByTag(tag) {
+        const search = document.getElementById('favoritesSearch');
+        this.searchQuery = `#${tag}`;
+        if (search) search.value = this.searchQuery;
+        this.renderFavorites();
+    }
+
+    setupReordering(list) {
+        const clearMarkers = () => {
+            list.querySelectorAll('.drop-before, .drop-after').forEach(card => {
+                card.classList.remove('drop-before', 'drop-after');
             });
+        };
+        // Pinned favorites stay above the others, so only reorder within a group
+        const getTarget = (e) => {
+            const card = e.target.closest('.favorite-item');
+            const dragged = this.favorites.find(f => f.id === this.draggedId);
+            const target = card && this.favorites.find(f => f.id === card.dataset.favoriteId);
+            if (!dragged || !target || target === dragged || target.pinned !== dragged.pinned) return null;
+
+            const rect = card.getBoundingClientRect();
+            return { card, target, after: e.clientY > rect.top + rect.height / 2 };
+        };
+
+        list.addEventListener('dragstart', (e) => {
+            const card = e.target.closest?.('.favorite-item[draggable="true"]');
+            if (!card) return;
+
+            this.draggedId = card.dataset.favoriteId;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', this.draggedId);
+            card.classList.add('dragging');
+        });
+        list.addEventListener('dragover', (e) => {
+            const drop = this.draggedId && getTarget(e);
+            clearMarkers();
+            if (!drop) return;
+
+            e.preventDefault();
+            drop.card.classList.add(drop.after ? 'drop-after' : 'drop-before');
+        });
+        list.addEventListener('drop', (e) => {
+            const drop = this.draggedId && getTarget(e);
+            clearMarkers();
+            if (!drop) return;
+
+            e.preventDefault();
+            this.moveFavorite(this.draggedId, drop.target.id, drop.after);
+        });
+        list.addEventListener('dragend', () => {
+            this.draggedId = null;
+            clearMarkers();
+            list.querySelector('.dragging')?.classList.remove('dragging');
+        });
+
+        // Arrow keys on the handle move a favorite one place
+        list.addEventListener('keydown', (e) => {
+            if (!['ArrowUp', 'ArrowDown'].includes(e.key) || !e.target.closest('[data-action="reorder"]')) return;
+
+            e.preventDefault();
+            const favoriteId = e.target.closest('[data-favorite-id]').dataset.favoriteId;
+            const ordered = Favorites.order(this.favorites);
+            const index = ordered.findIndex(f => f.id === favoriteId);
+            const neighbor = ordered[index + (e.key === 'ArrowUp' ? -1 : 1)];
+            if (!neighbor || neighbor.pinned !== ordered[index].pinned) return;
+
+            this.moveFavorite(favoriteId, neighbor.id, e.key === 'ArrowDown');
+            this.container.querySelector(`[data-favorite-id="${favoriteId}"] [data-action="reorder"]`)?.focus();
         });
     }
 
-    showAddFavoriteModal() {
-        // Create a simple modal for adding favorites
-        const modal = this.createAddFavoriteModal();
-        document.body.appendChild(modal);
+    moveFavorite(favoriteId, targetId, after) {
+        const from = this.favorites.findIndex(f => f.id === favoriteId);
+        if (from === -1 || favoriteId === targetId) return;
+
+        const [favorite] = this.favorites.splice(from, 1);
+        const to = this.favorites.findIndex(f => f.id === targetId);
+        this.favorites.splice(after ? to + 1 : to, 0, favorite);
+
+        this.saveFavorites();
+        this.renderFavorites();
     }
 
-    createAddFavoriteModal() {
+    togglePin(favoriteId) {
+        const favorite = this.favorites.find(f => f.id === favoriteId);
+        if (!favorite) return;
+
+        favorite.pinned = !favorite.pinned;
+        favorite.updatedAt = Date.now();
+        this.saveFavorites();
+        this.renderFavorites();
+    }
+
+    setupDropZone(zone) {
+        if (!zone) return;
+
+        // dragenter and dragleave also fire when moving between children
+        let depth = 0;
+        const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+        zone.addEventListener('dragenter', (e) => {
+            if (!hasFiles(e)) return;
+            depth++;
+            zone.classList.add('drop-active');
+        });
+        zone.addEventListener('dragover', (e) => {
+            if (hasFiles(e)) e.preventDefault();
+        });
+        zone.addEventListener('dragleave', (e) => {
+            if (hasFiles(e) && --depth <= 0) {
+                depth = 0;
+                zone.classList.remove('drop-active');
+            }
+        });
+        zone.addEventListener('drop', (e) => {
+            if (!hasFiles(e)) return;
+            e.preventDefault();
+            depth = 0;
+            zone.classList.remove('drop-active');
+            this.importRouteFiles(Array.from(e.dataTransfer.files));
+        });
+    }
+
+    async importRouteFiles(files) {
+        for (const file of files) {
+            try {
+                const routes = RouteImport.parse(await file.text(), file.name);
+                if (!routes.length) {
+                    this.showToast('warning', I18n.t('noRoutesInFile', { file: file.name }), 'fa-file-import');
+                    continue;
+                }
+
+                this.favorites.unshift(...routes.map(route => this.createImportedFavorite(route, file.name)));
+                this.saveFavorites();
+                this.renderFavorites();
+                this.showToast('success', I18n.plural('favoritesImported', routes.length, { file: file.name }), 'fa-file-import');
+            } catch (error) {
+                console.error('Error importing routes:', error);
+                this.showToast('error', I18n.t('importFailed', { file: file.name, error: error.message }), 'fa-exclamation-triangle');
+            }
+        }
+    }
+
+    createImportedFavorite(route, filename) {
+        // Label the ends with their coordinates, which every geocoder accepts
+        const place = (point) => ({ label: `${point.lat.toFixed(5)}, ${point.lng.toFixed(5)}`, lat: point.lat, lng: point.lng });
+
+        return Favorites.normalize({
+            name: route.name,
+            from: place(route.polyline[0]),
+            to: place(route.polyline[route.polyline.length - 1]),
+            distance: route.distance,
+            averageDuration: route.duration,
+            geometry: route.polyline,
+            source: filename
+        });
+    }
+
+    openFavoriteModal(favorite = null) {
         const overlay = Utils.createElement('div', {
             className: 'modal-overlay'
         });
-
         const modal = Utils.createElement('div', {
             className: 'modal'
         });
-
         const header = Utils.createElement('div', {
             className: 'modal-header'
         }, [
             Utils.createElement('h2', {
                 className: 'modal-title'
-            }, 'Add Favorite Route'),
+            }, favorite ? I18n.t('editFavoriteTitle', { name: favorite.name }) : I18n.t('addFavoriteTitle')),
             Utils.createElement('button', {
-                className: 'modal-close'
+                className: 'modal-close',
+                title: I18n.t('close')
             }, Utils.createElement('i', {
                 className: 'fas fa-times'
             }))
         ]);
-
         const body = Utils.createElement('div', {
             className: 'modal-body'
-        }, this.createAddFavoriteForm());
+        });
+        body.innerHTML = this.createFavoriteForm(favorite || Favorites.normalize({}), !favorite);
 
         modal.appendChild(header);
         modal.appendChild(body);
         overlay.appendChild(modal);
+        document.body.appendChild(overlay);
 
-        // Setup event listeners
-        const closeBtn = header.querySelector('.modal-close');
-        closeBtn.addEventListener('click', () => {
-            this.closeModal(overlay);
-        });
+        const form = body.querySelector('form');
+        const autocompletes = new Map();
+        const attachAutocomplete = (input, place) => {
+            const autocomplete = new LocationAutocomplete(input, {
+                search: (query) => this.dataManager.searchLocations(query, { autocomplete: true })
+            });
+            if (place) this.fillPlace(autocomplete, place);
+            autocompletes.set(input, autocomplete);
+        };
+
+        attachAutocomplete(form.elements.from, favorite?.from);
+        attachAutocomplete(form.elements.to, favorite?.to);
+        form.querySelectorAll('[name="waypoint"]').forEach((input, i) => attachAutocomplete(input, favorite.waypoints[i]));
 
+        header.querySelector('.modal-close').addEventListener('click', () => this.closeModal(overlay));
         overlay.addEventListener('click', (e) => {
             if (e.target === overlay) {
                 this.closeModal(overlay);
             }
         });
 
-        return overlay;
+        form.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'cancel') {
+                this.closeModal(overlay);
+            } else if (action === 'add-waypoint') {
+                const list = form.querySelector('.favorite-waypoints');
+                list.insertAdjacentHTML('beforeend', this.createWaypointRow({ label: '' }));
+                const input = list.lastElementChild.querySelector('input');
+                attachAutocomplete(input);
+                input.focus();
+            } else if (action === 'add-window') {
+                form.querySelector('.favorite-windows').insertAdjacentHTML('beforeend', this.createWindowRow(COMMUTE_DEFAULTS));
+            } else if (action === 'remove-row') {
+                const row = e.target.closest('.favorite-form-row');
+                const input = row.querySelector('[name="waypoint"]');
+                if (input) autocompletes.delete(input);
+                row.remove();
+            }
+        });
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const values = this.readFavoriteForm(form, autocompletes);
+            if (values) {
+                // The list may have been replaced by a synced copy while the form was open
+                this.saveFavorite(values, favorite && this.favorites.find(f => f.id === favorite.id));
+                this.closeModal(overlay);
+            }
+        });
+
+        form.elements.name.focus();
     }
 
-    createAddFavoriteForm() {
+    createFavoriteForm(favorite, isNew) {
         return `
-            <form id="addFavoriteForm" style="display: flex; flex-direction: column; gap: 16px;">
+            <form class="favorite-form">
                 <div class="form-group">
-                    <label class="form-label">Route Name</label>
-                    <input type="text" class="form-input" id="favoriteName" placeholder="e.g., Home to Work" required>
+                    <label class="form-label" for="favoriteName">${I18n.t('favoriteNameLabel')}</label>
+                    <input type="text" class="form-input" id="favoriteName" name="name" value="${Utils.escapeHtml(favorite.name)}" placeholder="${I18n.t('favoriteNamePlaceholder')}" required>
                 </div>
-                
+
+                <div class="form-group favorite-place">
+                    <label class="form-label" for="favoriteFrom">${I18n.t('favoriteFromLabel')}</label>
+                    <input type="text" class="form-input" id="favoriteFrom" name="from" placeholder="${I18n.t('favoriteFromPlaceholder')}" required>
+                </div>
+
+                <div class="form-group favorite-place">
+                    <label class="form-label" for="favoriteTo">${I18n.t('favoriteToLabel')}</label>
+                    <input type="text" class="form-input" id="favoriteTo" name="to" placeholder="${I18n.t('favoriteToPlaceholder')}" required>
+                </div>
+
                 <div class="form-group">
-                    <label class="form-label">From Location</label>
-                    <input type="text" class="form-input" id="favoriteFrom" placeholder="Start location" required>
+                    <label class="form-label">${I18n.t('favoriteWaypoints')}</label>
+                    <div class="favorite-waypoints">
+                        ${favorite.waypoints.map(place => this.createWaypointRow(place)).join('')}
+                    </div>
+                    <button type="button" class="form-button secondary favorite-add-row" data-action="add-waypoint">
+                        <i class="fas fa-plus"></i> ${I18n.t('favoriteAddWaypoint')}
+                    </button>
                 </div>
-                
+
                 <div class="form-group">
-                    <label class="form-label">To Location</label>
-                    <input type="text" class="form-input" id="favoriteTo" placeholder="Destination" required>
+                    <label class="form-label">${I18n.t('favoriteDepartureWindows')}</label>
+                    <div class="favorite-windows">
+                        ${favorite.departureWindows.map(window => this.createWindowRow(window)).join('')}
+                    </div>
+                    <button type="button" class="form-button secondary favorite-add-row" data-action="add-window">
+                        <i class="fas fa-plus"></i> ${I18n.t('favoriteAddWindow')}
+                    </button>
+                </div>
+
+                <div class="form-group">
+                    <label class="form-label" for="favoriteTags">${I18n.t('favoriteTagsLabel')}</label>
+                    <input type="text" class="form-input" id="favoriteTags" name="tags" value="${Utils.escapeHtml(favorite.tags.join(', '))}" placeholder="${I18n.t('favoriteTagsPlaceholder')}">
+                </div>
+
+                <div class="form-group">
+                    <label class="form-label" for="favoriteNotes">${I18n.t('favoriteNotesLabel')}</label>
+                    <textarea class="form-input" id="favoriteNotes" name="notes" rows="2">${Utils.escapeHtml(favorite.notes)}</textarea>
                 </div>
-                
+
+                <div class="form-group">
+                    <label class="form-label">${I18n.t('favoriteIconLabel')}</label>
+                    <div class="favorite-icon-picker">
+                        ${FAVORITE_ICONS.map(icon => `
+                            <label class="favorite-choice">
+                                <input type="radio" name="icon" value="${icon}" ${favorite.icon === icon ? 'checked' : ''}>
+                                <span><i class="fas ${icon}"></i></span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label class="form-label">${I18n.t('favoriteColorLabel')}</label>
+                    <div class="favorite-color-picker">
+                        ${FAVORITE_COLORS.map(color => `
+                            <label class="favorite-choice">
+                                <input type="radio" name="color" value="${color}" ${favorite.color === color ? 'checked' : ''}>
+                                <span style="background: ${color};"></span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+
+                <label class="commute-toggle">
+                    <input type="checkbox" name="pinned" ${favorite.pinned ? 'checked' : ''}>
+                    ${I18n.t('favoritePinnedLabel')}
+                </label>
+
                 <div style="display: flex; gap: 12px; margin-top: 20px;">
-                    <button type="button" class="form-button secondary" onclick="this.closest('.modal-overlay').remove()">
-                        Cancel
+                    <button type="button" class="form-button secondary" data-action="cancel">
+                        ${I18n.t('cancel')}
                     </button>
                     <button type="submit" class="form-button primary">
-                        <i class="fas fa-plus"></i> Add Favorite
+                        <i class="fas fa-save"></i> ${I18n.t(isNew ? 'addFavorite' : 'save')}
                     </button>
                 </div>
             </form>
         `;
     }
 
+    createWaypointRow(place) {
+        // Each input needs an id for its suggestion list
+        return `
+            <div class="favorite-form-row favorite-place">
+                <input type="text" class="form-input" id="favoriteStop${Utils.generateId()}" name="waypoint" value="${Utils.escapeHtml(place.label)}" placeholder="${I18n.t('favoriteWaypointPlaceholder')}" aria-label="${I18n.t('favoriteWaypoints')}">
+                <button type="button" class="favorite-btn delete" data-action="remove-row" title="${I18n.t('remove')}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    createWindowRow(window) {
+        return `
+            <div class="favorite-form-row favorite-window">
+                <div class="favorite-window-fields">
+                    ${this.createDayPicker(window.days)}
+                    <div class="commute-times">
+                        <input type="time" class="form-input" name="start" value="${window.start}" aria-label="${I18n.t('commuteFrom')}" required>
+                        <input type="time" class="form-input" name="end" value="${window.end}" aria-label="${I18n.t('commuteUntil')}" required>
+                    </div>
+                </div>
+                <button type="button" class="favorite-btn delete" data-action="remove-row" title="${I18n.t('remove')}">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `;
+    }
+
+    createDayPicker(days) {
+        // List Monday first
+        const order = [1, 2, 3, 4, 5, 6, 0];
+
+        return `
+            <div class="commute-days">
+                ${order.map(day => `
+                    <label class="commute-day">
+                        <input type="checkbox" name="day" value="${day}" ${days.includes(day) ? 'checked' : ''}>
+                        <span>${this.getWeekdayName(day)}</span>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    readFavoriteForm(form, autocompletes) {
+        const readPlace = (input) => {
+            const selected = autocompletes.get(input)?.selectedPlace;
+            return Favorites.normalizePlace(selected || input.value);
+        };
+
+        const departureWindows = Array.from(form.querySelectorAll('.favorite-window')).map(row => ({
+            days: Array.from(row.querySelectorAll('[name="day"]:checked')).map(input => parseInt(input.value)),
+            start: row.querySelector('[name="start"]').value,
+            end: row.querySelector('[name="end"]').value
+        }));
+        if (!departureWindows.every(Favorites.isValidWindow)) {
+            this.showToast('warning', I18n.t('favoriteWindowInvalid'), 'fa-exclamation-triangle');
+            return null;
+        }
+
+        return {
+            name: form.elements.name.value.trim(),
+            from: readPlace(form.elements.from),
+            to: readPlace(form.elements.to),
+            waypoints: Array.from(form.querySelectorAll('[name="waypoint"]'))
+                .filter(input => input.value.trim())
+                .map(readPlace),
+            departureWindows: departureWindows,
+            tags: form.elements.tags.value.split(','),
+            notes: form.elements.notes.value.trim(),
+            icon: form.querySelector('[name="icon"]:checked')?.value,
+            color: form.querySelector('[name="color"]:checked')?.value,
+            pinned: form.elements.pinned.checked
+        };
+    }
+
     closeModal(modal) {
         modal.style.opacity = '0';
         setTimeout(() => {
@@ -226,45 +701,212 @@ class FavoritesController {
         }, 300);
     }
 
-    addFavorite(name, from, to) {
-        const favorite = {
-            id: Utils.generateId(),
-            name: name,
-            from: from,
-            to: to,
-            distance: 15000 + Math.random() * 20000, // Mock distance
-            averageDuration: 20 + Math.random() * 30, // Mock duration
-            lastUsed: Date.now(),
-            useCount: 1,
-            createdAt: Date.now()
-        };
+    addFavorite(values) {
+        const favorite = Favorites.normalize(values);
 
         this.favorites.unshift(favorite);
         this.saveFavorites();
         this.renderFavorites();
+        this.updateFavoriteStats(favorite);
+        return favorite;
+    }
 
-        if (window.ToastManager) {
-            window.ToastManager.show({
-                type: 'success',
-                message: `Added "${name}" to favorites`,
-                icon: 'fa-star',
-                duration: 3000
-            });
+    saveFavorite(values, favorite) {
+        if (!favorite) {
+            this.addFavorite(values);
+            this.showToast('success', I18n.t('favoriteAdded', { name: values.name }), 'fa-star');
+            return;
         }
+
+        // A different trip makes the measured route and stats stale
+        const samePlace = (a, b) => a.label === b.label && a.lat === b.lat && a.lng === b.lng;
+        const sameTrip = samePlace(favorite.from, values.from) && samePlace(favorite.to, values.to);
+
+        Object.assign(favorite, Favorites.normalize({ ...favorite, ...values, updatedAt: Date.now() }));
+        if (!sameTrip) {
+            favorite.geometry = null;
+            favorite.source = null;
+            favorite.distance = null;
+            favorite.averageDuration = null;
+        }
+
+        this.saveFavorites();
+        this.renderFavorites();
+        this.updateFavoriteStats(favorite);
+        this.showToast('success', I18n.t('favoriteSaved', { name: favorite.name }), 'fa-save');
+    }
+
+    async updateFavoriteStats(favorite) {
+        if (favorite.distance !== null && favorite.averageDuration !== null) return;
+
+        try {
+            const route = await this.resolveFavoriteRoute(favorite);
+            if (favorite.distance === null) favorite.distance = route.distance;
+            if (favorite.averageDuration === null) favorite.averageDuration = route.duration;
+            favorite.updatedAt = Date.now();
+        } catch (error) {
+            // Unresolved places are looked up again when the favorite is used
+            console.error(`Error routing favorite "${favorite.name}":`, error);
+        }
+
+        // Looking the places up may also have added their coordinates
+        this.saveFavorites();
+        this.renderFavorites();
     }
 
     editFavorite(favoriteId) {
         const favorite = this.favorites.find(f => f.id === favoriteId);
         if (!favorite) return;
 
-        if (window.ToastManager) {
-            window.ToastManager.show({
-                type: 'info',
-                message: `Edit functionality would open here for "${favorite.name}"`,
-                icon: 'fa-edit',
-                duration: 2000
-            });
+        this.openFavoriteModal(favorite);
+    }
+
+    editCommuteAlert(favoriteId) {
+        const favorite = this.favorites.find(f => f.id === favoriteId);
+        if (!favorite) return;
+
+        const overlay = Utils.createElement('div', {
+            className: 'modal-overlay'
+        });
+        const modal = Utils.createElement('div', {
+            className: 'modal'
+        });
+        const header = Utils.createElement('div', {
+            className: 'modal-header'
+        }, [
+            Utils.createElement('h2', {
+                className: 'modal-title'
+            }, I18n.t('commuteAlertsTitle', { name: favorite.name })),
+            Utils.createElement('button', {
+                className: 'modal-close',
+                title: I18n.t('close')
+            }, Utils.createElement('i', {
+                className: 'fas fa-times'
+            }))
+        ]);
+        const body = Utils.createElement('div', {
+            className: 'modal-body'
+        });
+        // A new alert starts from the favorite's usual departure time
+        const commute = favorite.commute || { ...COMMUTE_DEFAULTS, ...favorite.departureWindows[0] };
+        body.innerHTML = this.createCommuteAlertForm(commute, !!favorite.commute);
+
+        modal.appendChild(header);
+        modal.appendChild(body);
+        overlay.appendChild(modal);
+        document.body.appendChild(overlay);
+
+        header.querySelector('.modal-close').addEventListener('click', () => this.closeModal(overlay));
+        body.querySelector('[data-action="cancel"]').addEventListener('click', () => this.closeModal(overlay));
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay) {
+                this.closeModal(overlay);
+            }
+        });
+
+        body.querySelector('form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const current = this.favorites.find(f => f.id === favorite.id);
+            if (!current || this.saveCommuteAlert(current, e.target)) {
+                this.closeModal(overlay);
+            }
+        });
+    }
+
+    createCommuteAlertForm(commute, enabled) {
+        return `
+            <form class="commute-alert-form">
+                <label class="commute-toggle">
+                    <input type="checkbox" name="enabled" ${enabled ? 'checked' : ''}>
+                    ${I18n.t('commuteAlertToggle')}
+                </label>
+
+                <div class="form-group">
+                    <label class="form-label">${I18n.t('commuteDays')}</label>
+                    ${this.createDayPicker(commute.days)}
+                </div>
+
+                <div class="commute-times">
+                    <div class="form-group">
+                        <label class="form-label">${I18n.t('commuteFrom')}</label>
+                        <input type="time" class="form-input" name="start" value="${commute.start}" required>
+                    </div>
+                    <div class="form-group">
+                        <label class="form-label">${I18n.t('commuteUntil')}</label>
+                        <input type="time" class="form-input" name="end" value="${commute.end}" required>
+                    </div>
+                </div>
+
+                <div class="form-group">
+                    <label class="form-label">${I18n.t('commuteThreshold')}</label>
+                    <select class="form-input" name="threshold">
+                        ${[5, 10, 15, 20, 30].map(minutes => `
+                            <option value="${minutes}" ${commute.threshold === minutes ? 'selected' : ''}>${Utils.formatDuration(minutes)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+
+                <div style="display: flex; gap: 12px; margin-top: 20px;">
+                    <button type="button" class="form-button secondary" data-action="cancel">
+                        ${I18n.t('cancel')}
+                    </button>
+                    <button type="submit" class="form-button primary">
+                        <i class="fas fa-bell"></i> ${I18n.t('save')}
+                    </button>
+                </div>
+            </form>
+        `;
+    }
+
+    saveCommuteAlert(favorite, form) {
+        const days = Array.from(form.querySelectorAll('[name="day"]:checked')).map(input => parseInt(input.value));
+        const start = form.elements.start.value;
+        const end = form.elements.end.value;
+
+        if (form.elements.enabled.checked) {
+            if (!days.length || start === end) {
+                this.showToast('warning', I18n.t('commuteInvalid'), 'fa-exclamation-triangle');
+                return false;
+            }
+            favorite.commute = {
+                days: days,
+                start: start,
+                end: end,
+                threshold: parseInt(form.elements.threshold.value)
+            };
+        } else {
+            favorite.commute = null;
         }
+        favorite.updatedAt = Date.now();
+
+        this.saveFavorites();
+        this.renderFavorites();
+        this.showToast(
+            'success',
+            favorite.commute
+                ? I18n.t('commuteWatching', { name: favorite.name, window: this.describeWindow(favorite.commute) })
+                : I18n.t('commuteOff', { name: favorite.name }),
+            'fa-bell'
+        );
+        return true;
+    }
+
+    describeWindow(window) {
+        const days = [...window.days].sort((a, b) => a - b).join(',');
+        const label = {
+            '1,2,3,4,5': I18n.t('commuteWeekdays'),
+            '0,6': I18n.t('commuteWeekends'),
+            '0,1,2,3,4,5,6': I18n.t('commuteDaily')
+        }[days] || Utils.getFormatter('ListFormat', { style: 'narrow', type: 'unit' }).format([...window.days]
+            .sort((a, b) => (a + 6) % 7 - (b + 6) % 7)
+            .map(day => this.getWeekdayName(day)));
+
+        return I18n.t('commuteWindow', { days: label, start: window.start, end: window.end });
+    }
+
+    getWeekdayName(day) {
+        // 7 January 2024 was a Sunday
+        return Utils.formatDate(new Date(2024, 0, 7 + day).getTime(), { weekday: 'short' });
     }
 
     deleteFavorite(favoriteId) {
@@ -272,9 +914,9 @@ class FavoritesController {
         if (favoriteIndex === -1) return;
 
         const favorite = this.favorites[favoriteIndex];
-        
+
         // Confirm deletion
-        if (confirm(`Delete "${favorite.name}" from favorites?`)) {
+        if (confirm(I18n.t('favoriteDeleteConfirm', { name: favorite.name }))) {
             this.favorites.splice(favoriteIndex, 1);
             this.saveFavorites();
             this.renderFavorites();
@@ -282,7 +924,7 @@ class FavoritesController {
             if (window.ToastManager) {
                 window.ToastManager.show({
                     type: 'success',
-                    message: `Removed "${favorite.name}" from favorites`,
+                    message: I18n.t('favoriteRemoved', { name: favorite.name }),
                     icon: 'fa-trash',
                     duration: 2000
                 });
@@ -297,56 +939,132 @@ class FavoritesController {
         // Update usage stats
         favorite.lastUsed = Date.now();
         favorite.useCount++;
+        favorite.updatedAt = favorite.lastUsed;
         this.saveFavorites();
         this.renderFavorites();
 
         // Navigate to routes section and populate the form
         if (window.PopupController) {
             window.PopupController.navigateToSection('routes');
-            
+
             setTimeout(() => {
-                const fromInput = document.getElementById('fromLocation');
-                const toInput = document.getElementById('toLocation');
-                
-                if (fromInput && toInput) {
-                    fromInput.value = favorite.from;
-                    toInput.value = favorite.to;
-                    
-                    // Trigger route search
-                    if (window.routeController) {
-                        window.routeController.searchRoutes();
-                    }
-                }
+                const routes = window.routeController;
+                if (!routes?.fromAutocomplete || !routes.toAutocomplete) return;
+
+                this.fillPlace(routes.fromAutocomplete, favorite.from);
+                this.fillPlace(routes.toAutocomplete, favorite.to);
+                routes.searchRoutes();
             }, 100);
         }
 
         if (window.ToastManager) {
             window.ToastManager.show({
                 type: 'info',
-                message: `Loading route: ${favorite.name}`,
+                message: I18n.t('favoriteLoading', { name: favorite.name }),
                 icon: 'fa-route',
                 duration: 2000
             });
         }
     }
 
+    fillPlace(autocomplete, place) {
+        // Places that were never looked up are searched by their label
+        if (Favorites.hasCoordinates(place)) {
+            autocomplete.setPlace({ ...place });
+        } else {
+            autocomplete.setPlace(null);
+            autocomplete.input.value = place.label;
+        }
+    }
+
     navigateToFavorite(favoriteId) {
         const favorite = this.favorites.find(f => f.id === favoriteId);
         if (!favorite) return;
 
-        if (window.ToastManager) {
-            window.ToastManager.show({
-                type: 'success',
-                message: `Starting navigation: ${favorite.name}`,
-                icon: 'fa-navigation',
-                duration: 3000
-            });
-        }
-
         // Update usage stats
         favorite.lastUsed = Date.now();
         favorite.useCount++;
+        favorite.updatedAt = favorite.lastUsed;
         this.saveFavorites();
+
+        if (window.navigationController) {
+            window.navigationController.navigateBetween(favorite.from, favorite.to);
+        }
+    }
+
+    async exportFavorites(format) {
+        if (!this.favorites.length || this.exporting) return;
+
+        // Route each favorite in current traffic
+        this.exporting = true;
+        this.showToast('info', I18n.plural('favoritesExporting', this.favorites.length), 'fa-file-export');
+
+        const routes = [];
+        const skipped = [];
+        // One at a time to stay within the geocoder's rate limit
+        for (const favorite of Favorites.order(this.favorites)) {
+            try {
+                routes.push(await this.resolveFavoriteRoute(favorite));
+            } catch (error) {
+                console.error(`Error routing favorite "${favorite.name}":`, error);
+                skipped.push(favorite.name);
+            }
+        }
+        this.exporting = false;
+        // Keep the coordinates found on the way
+        this.saveFavorites();
+
+        if (!routes.length) {
+            this.showToast('error', I18n.t('exportFavoritesFailed'), 'fa-exclamation-triangle');
+            return;
+        }
+
+        const content = format === 'gpx'
+            ? DataExport.routesToGPX(routes, I18n.t('favoritesTitle'))
+            : DataExport.toJSON(DataExport.routesToGeoJSON(routes));
+        const filename = DataExport.download(content, 'favorites', format);
+
+        if (skipped.length) {
+            this.showToast('warning', I18n.t('exportFavoritesSkipped', {
+                file: filename,
+                names: Utils.getFormatter('ListFormat', { type: 'conjunction' }).format(skipped)
+            }), 'fa-file-export');
+        } else {
+            this.showToast('success', I18n.t('exportSaved', { file: filename }), 'fa-file-export');
+        }
+    }
+
+    async resolveFavoriteRoute(favorite) {
+        const unresolved = !Favorites.hasCoordinates(favorite.from) || !Favorites.hasCoordinates(favorite.to);
+        const [from, to] = await Promise.all([
+            this.resolvePlace(favorite.from),
+            this.resolvePlace(favorite.to)
+        ]);
+        // The coordinates found are saved, and synced, with the favorite
+        if (unresolved) favorite.updatedAt = Date.now();
+
+        const [route] = await this.dataManager.getRouteSuggestions({
+            from: Favorites.toEndpoint(from),
+            to: Favorites.toEndpoint(to),
+            departureTime: 'now'
+        });
+        if (!route) throw new Error(I18n.t('noRouteFound'));
+
+        return { ...route, id: favorite.id, name: favorite.name, from: from.label, to: to.label };
+    }
+
+    async resolvePlace(place) {
+        if (Favorites.hasCoordinates(place)) return place;
+
+        const found = await this.dataManager.geocodeLocation(place.label);
+        if (!found) {
+            throw new Error(I18n.t('placeNotFound', { place: place.label }));
+        }
+
+        // Remember where the label was found; the caller saves the favorite
+        place.lat = found.lat;
+        place.lng = found.lng;
+        return place;
     }
 
     selectFavorite(favoriteId) {
@@ -367,30 +1085,78 @@ class FavoritesController {
             this.container.innerHTML = `
                 <div class="empty-state" style="text-align: center; padding: 60px 20px; color: #94a3b8;">
                     <i class="fas fa-star" style="font-size: 64px; margin-bottom: 20px; opacity: 0.3;"></i>
-                    <h3 style="margin-bottom: 8px; color: #64748b;">No Favorite Routes</h3>
-                    <p style="margin-bottom: 20px; font-size: 14px;">Save your frequently used routes for quick access</p>
-                    <button class="form-button primary" onclick="document.getElementById('addFavorite').click()">
-                        <i class="fas fa-plus"></i> Add Your First Favorite
+                    <h3 style="margin-bottom: 8px; color: #64748b;">${I18n.t('favoritesEmptyTitle')}</h3>
+                    <p style="margin-bottom: 20px; font-size: 14px;">${I18n.t('favoritesEmptyHint')}</p>
+                    <button class="form-button primary" data-action="add">
+                        <i class="fas fa-plus"></i> ${I18n.t('addFirstFavorite')}
                     </button>
                 </div>
             `;
+            this.container.querySelector('[data-action="add"]').addEventListener('click', () => this.openFavoriteModal());
         }
     }
 
+    showNoMatches() {
+        this.container.innerHTML = `
+            <div class="empty-state" style="text-align: center; padding: 40px 20px; color: #94a3b8;">
+                <i class="fas fa-search" style="font-size: 32px; margin-bottom: 12px; opacity: 0.3;"></i>
+                <p style="font-size: 14px;">${I18n.t('favoritesNoMatches', { query: Utils.escapeHtml(this.searchQuery) })}</p>
+            </div>
+        `;
+    }
+
     getLastUsedText(timestamp) {
         const now = Date.now();
         const diff = now - timestamp;
         const days = Math.floor(diff / (24 * 60 * 60 * 1000));
-        
-        if (days === 0) return 'Today';
-        if (days === 1) return 'Yesterday';
-        if (days < 7) return `${days} days ago`;
-        if (days < 30) return `${Math.floor(days / 7)} weeks ago`;
-        return `${Math.floor(days / 30)} months ago`;
+
+        const relative = Utils.getFormatter('RelativeTimeFormat', { numeric: 'auto' });
+        if (days < 7) return relative.format(-days, 'day');
+        if (days < 30) return relative.format(-Math.floor(days / 7), 'week');
+        return relative.format(-Math.floor(days / 30), 'month');
     }
 
     saveFavorites() {
-        Utils.storage.set('favorite_routes', this.favorites);
+        this.store.save(this.favorites).then(({ trimmed }) => {
+            if (trimmed.length) {
+                this.showToast('warning', I18n.t('favoritesSyncTrimmed', {
+                    names: Utils.getFormatter('ListFormat', { type: 'conjunction' }).format(trimmed)
+                }), 'fa-cloud');
+            }
+        }).catch(error => {
+            console.error('Error saving favorites:', error);
+            this.showToast('error', I18n.t('favoritesSaveFailed', { error: error.message }), 'fa-exclamation-triangle');
+        });
+        this.syncCommuteAlerts();
+    }
+
+    async syncCommuteAlerts() {
+        // The background worker checks commutes, so it keeps its own copy of the alerts
+        const alerts = this.favorites
+            .filter(favorite => favorite.commute)
+            .map(favorite => ({
+                id: favorite.id,
+                name: favorite.name,
+                from: Favorites.toEndpoint(favorite.from),
+                to: Favorites.toEndpoint(favorite.to),
+                ...favorite.commute
+            }));
+
+        const serialized = JSON.stringify(alerts);
+        if (serialized === this.syncedAlerts || !(typeof chrome !== 'undefined' && chrome.runtime)) return;
+
+        try {
+            await this.dataManager.updateSettings({ commuteAlerts: alerts });
+            this.syncedAlerts = serialized;
+        } catch (error) {
+            console.error('Error saving commute alerts:', error);
+        }
+    }
+
+    showToast(type, message, icon) {
+        if (window.ToastManager) {
+            window.ToastManager.show({ type, message, icon, duration: 3000 });
+        }
     }
 
     updateTheme(theme) {
@@ -398,12 +1164,10 @@ class FavoritesController {
     }
 
     refreshData() {
-        this.loadFavorites();
         this.renderFavorites();
     }
 
     loadData() {
-        this.loadFavorites();
         this.renderFavorites();
     }
 }
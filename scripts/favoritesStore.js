@@ -0,0 +1,441 @@
+// ===== FAVORITES STORE =====
+
+/**
+ * Layout of favorites in chrome.storage.sync. Each favorite has its own
+ * record under `favorite.<id>`, so edits to different favorites never
+ * overwrite each other; records too large for one item are split into
+ * `favorite.<id>.<n>` chunks. The list order and the deletions are kept
+ * under their own keys.
+ */
+const FAVORITES_SYNC = {
+    prefix: 'favorite.',
+    orderKey: 'favoritesOrder',
+    deletedKey: 'favoritesDeleted',
+    // Deletions are remembered this long so that offline devices don't bring favorites back
+    tombstoneDays: 30
+};
+
+/**
+ * chrome.storage.sync quotas, with room left in the total for settings
+ */
+const FAVORITES_SYNC_LIMITS = {
+    bytes: 102400,
+    reservedBytes: 8192,
+    bytesPerItem: 8192,
+    items: 512
+};
+
+/**
+ * Popup localStorage key favorites were kept under before they were synced
+ */
+const LEGACY_FAVORITES_KEY = 'favorite_routes';
+
+/**
+ * Favorites stored in chrome.storage.sync, so they follow the browser
+ * profile across devices.
+ *
+ * Every favorite carries its `updatedAt` time, and a save only overwrites
+ * a stored favorite that is older than the saved one: when two devices
+ * edit the same favorite, the later edit wins, and edits to different
+ * favorites are both kept. A deletion wins over edits made before it.
+ * The order is last-writer-wins; favorites missing from it (added on
+ * another device at the same time) are listed first, newest first.
+ */
+class FavoritesStore {
+    /**
+     * @param {Object} [storage] - chrome.storage area (defaults to chrome.storage.sync, or memory)
+     */
+    constructor(storage) {
+        this.storage = storage || (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.sync : null);
+        this.favorites = [];
+        // updatedAt of each favorite as last read, to tell our deletions from remote edits
+        this.known = new Map();
+        this.listeners = [];
+        // Saves run one after another, each against what the last one stored
+        this.saving = Promise.resolve();
+
+        if (this.storage && chrome.storage.onChanged) {
+            chrome.storage.onChanged.addListener((changes, area) => {
+                if (area === 'sync' && Object.keys(changes).some(key => FavoritesStore.isFavoritesKey(key))) {
+                    this.refresh().catch(error => console.error('Error reading synced favorites:', error));
+                }
+            });
+        }
+
+        this.ready = this.load();
+    }
+
+    /**
+     * Check whether a storage key belongs to the favorites
+     * @param {string} key - Storage key
+     * @returns {boolean} True for favorites keys
+     */
+    static isFavoritesKey(key) {
+        return key.startsWith(FAVORITES_SYNC.prefix) || key === FAVORITES_SYNC.orderKey || key === FAVORITES_SYNC.deletedKey;
+    }
+
+    /**
+     * Load the stored favorites
+     * @returns {Promise<Array>} Favorites
+     */
+    async load() {
+        if (!this.storage) return this.favorites;
+
+        this.setFavorites(FavoritesStore.read(await this.storage.get(null), this.favorites));
+        return this.favorites;
+    }
+
+    /**
+     * Get a copy of the favorites in list order; wait for `ready` first
+     * @returns {Array} Favorites
+     */
+    list() {
+        return structuredClone(this.favorites);
+    }
+
+    /**
+     * Check whether favorites were ever stored, on this device or another
+     * @returns {Promise<boolean>} True once a list has been saved
+     */
+    async hasHistory() {
+        if (!this.storage) return this.favorites.length > 0;
+
+        const stored = await this.storage.get([FAVORITES_SYNC.orderKey]);
+        return Boolean(stored[FAVORITES_SYNC.orderKey]);
+    }
+
+    /**
+     * Save the favorites in list order. Favorites that were removed from
+     * the list are deleted, unless another device edited them since they
+     * were read.
+     * @param {Array} favorites - Favorites
+     * @returns {Promise<Object>} `{trimmed}`: names of favorites saved without their route line to fit the quota
+     * @throws {Error} If the favorites don't fit in sync storage even without route lines
+     */
+    save(favorites) {
+        const saved = this.saving.then(() => this.write(structuredClone(favorites)));
+        this.saving = saved.catch(() => {});
+        return saved;
+    }
+
+    /**
+     * Write a save; see save()
+     * @param {Array} favorites - Favorites
+     * @returns {Promise<Object>} `{trimmed}`
+     */
+    async write(favorites) {
+        await this.ready;
+        if (!this.storage) {
+            this.setFavorites(favorites);
+            return { trimmed: [] };
+        }
+
+        const stored = await this.storage.get(null);
+        const current = FavoritesStore.readRecords(stored);
+        const now = Date.now();
+        const deleted = { ...(stored[FAVORITES_SYNC.deletedKey] || {}) };
+        const writes = {};
+        const removals = [];
+
+        // Later edits win, whichever device made them
+        const changed = favorites.filter(favorite => {
+            const existing = current.get(favorite.id);
+            return !(deleted[favorite.id] >= favorite.updatedAt) && (!existing || favorite.updatedAt > existing.updatedAt);
+        });
+
+        const listed = new Set(favorites.map(favorite => favorite.id));
+        current.forEach((record, id) => {
+            if (deleted[id] >= record.updatedAt) {
+                // Deleted on another device; drop the leftover record
+                removals.push(...FavoritesStore.recordKeys(id, record.chunks));
+            } else if (!listed.has(id) && this.known.has(id) && record.updatedAt <= this.known.get(id)) {
+                deleted[id] = now;
+                removals.push(...FavoritesStore.recordKeys(id, record.chunks));
+            }
+        });
+
+        // Forget old deletions
+        const expiry = now - FAVORITES_SYNC.tombstoneDays * 24 * 60 * 60 * 1000;
+        Object.keys(deleted).forEach(id => {
+            if (deleted[id] < expiry) delete deleted[id];
+        });
+        if (JSON.stringify(deleted) !== JSON.stringify(stored[FAVORITES_SYNC.deletedKey] || {})) {
+            writes[FAVORITES_SYNC.deletedKey] = deleted;
+        }
+
+        const ids = favorites.map(favorite => favorite.id);
+        if (JSON.stringify(ids) !== JSON.stringify(stored[FAVORITES_SYNC.orderKey]?.ids)) {
+            writes[FAVORITES_SYNC.orderKey] = { ids, updatedAt: now };
+        }
+
+        const trimmed = FavoritesStore.fitQuota(stored, changed, writes, removals, current);
+
+        if (removals.length) await this.storage.remove(removals.filter(key => !(key in writes)));
+        if (Object.keys(writes).length) await this.storage.set(writes);
+
+        // Read back what is stored now, which also picks up remote edits that won
+        const result = { ...stored, ...writes };
+        removals.forEach(key => {
+            if (!(key in writes)) delete result[key];
+        });
+        this.update(FavoritesStore.read(result, favorites), favorites);
+        return { trimmed };
+    }
+
+    /**
+     * Add the records of changed favorites to the writes, leaving out
+     * route lines, largest first, while the favorites would exceed the
+     * sync quota
+     * @param {Object} stored - Everything in the storage area
+     * @param {Array} changed - Favorites to write
+     * @param {Object} writes - Pending writes, added to
+     * @param {Array} removals - Pending removals, added to
+     * @param {Map} current - Stored records by id
+     * @returns {Array<string>} Names of favorites written without their route line
+     * @throws {Error} If the favorites don't fit even without route lines
+     */
+    static fitQuota(stored, changed, writes, removals, current) {
+        const records = new Map(changed.map(favorite => [favorite.id, FavoritesStore.serialize(favorite)]));
+        const trimmed = [];
+
+        const measure = () => {
+            const result = { ...stored, ...writes };
+            removals.forEach(key => delete result[key]);
+            current.forEach((record, id) => {
+                if (records.has(id)) FavoritesStore.recordKeys(id, record.chunks).forEach(key => delete result[key]);
+            });
+            records.forEach(record => Object.assign(result, record));
+
+            return {
+                bytes: Object.entries(result).reduce((total, [key, value]) => total + FavoritesStore.byteSize(key, value), 0),
+                items: Object.keys(result).length
+            };
+        };
+
+        const withLines = changed
+            .filter(favorite => favorite.geometry)
+            .sort((a, b) => b.geometry.length - a.geometry.length);
+        let usage = measure();
+        while (usage.bytes > FAVORITES_SYNC_LIMITS.bytes - FAVORITES_SYNC_LIMITS.reservedBytes ||
+            usage.items > FAVORITES_SYNC_LIMITS.items) {
+            const favorite = withLines.shift();
+            if (!favorite) throw new Error(I18n.t('favoritesSyncFull'));
+
+            records.set(favorite.id, FavoritesStore.serialize({ ...favorite, geometry: null }));
+            trimmed.push(favorite.name);
+            usage = measure();
+        }
+
+        // Chunks a shorter record no longer uses
+        changed.forEach(favorite => {
+            const previous = current.get(favorite.id);
+            const record = records.get(favorite.id);
+            if (previous) {
+                removals.push(...FavoritesStore.recordKeys(favorite.id, previous.chunks).filter(key => !(key in record)));
+            }
+            Object.assign(writes, record);
+        });
+        return trimmed;
+    }
+
+    /**
+     * Move favorites the popup kept in localStorage into sync storage.
+     * Favorites already synced from another device are kept; a local copy
+     * with the same name and places is treated as the same favorite.
+     * @param {Storage} legacy - The popup's localStorage
+     * @returns {Promise<number>} Number of favorites imported
+     */
+    async importLegacy(legacy) {
+        await this.ready;
+
+        const raw = legacy.getItem(LEGACY_FAVORITES_KEY);
+        if (raw === null) return 0;
+
+        let imported = [];
+        try {
+            imported = JSON.parse(raw).map(favorite => Favorites.normalize(favorite));
+        } catch (error) {
+            console.warn('Ignoring unreadable legacy favorites:', error.message);
+        }
+
+        const sameTrip = (a, b) => a.name === b.name && a.from.label === b.from.label && a.to.label === b.to.label;
+        const added = imported.filter(favorite => !this.favorites.some(existing => existing.id === favorite.id || sameTrip(existing, favorite)));
+
+        if (added.length) await this.save([...added, ...this.favorites]);
+        legacy.removeItem(LEGACY_FAVORITES_KEY);
+        return added.length;
+    }
+
+    /**
+     * Observe changes made on other devices or in other contexts
+     * @param {Function} callback - Called with the favorites
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Re-read storage after a change made elsewhere
+     */
+    async refresh() {
+        await this.ready;
+        this.update(FavoritesStore.read(await this.storage.get(null), this.favorites));
+    }
+
+    /**
+     * Replace the loaded favorites and notify listeners if they differ
+     * from what the caller expects
+     * @param {Array} favorites - Favorites
+     * @param {Array} [expected] - Favorites the listeners already have (defaults to the loaded ones)
+     */
+    update(favorites, expected = this.favorites) {
+        const changed = JSON.stringify(favorites) !== JSON.stringify(expected);
+        this.setFavorites(favorites);
+        if (changed) {
+            this.listeners.forEach(listener => listener(this.list()));
+        }
+    }
+
+    /**
+     * Replace the loaded favorites
+     * @param {Array} favorites - Favorites
+     */
+    setFavorites(favorites) {
+        this.favorites = favorites;
+        this.known = new Map(favorites.map(favorite => [favorite.id, favorite.updatedAt]));
+    }
+
+    /**
+     * Storage records for a favorite: one item, or a head and chunks when
+     * it is larger than an item may be
+     * @param {Object} favorite - Favorite
+     * @returns {Object} `{key: value}`
+     */
+    static serialize(favorite) {
+        const key = FAVORITES_SYNC.prefix + favorite.id;
+        const single = { updatedAt: favorite.updatedAt, data: favorite };
+        if (FavoritesStore.byteSize(key, single) <= FAVORITES_SYNC_LIMITS.bytesPerItem) {
+            return { [key]: single };
+        }
+
+        // Every chunk carries the version, so a half-synced update is recognized
+        const text = JSON.stringify(favorite);
+        const records = {};
+        let start = 0;
+        let index = 0;
+        while (start < text.length) {
+            const chunkKey = `${key}.${index}`;
+            let size = Math.min(text.length - start, FAVORITES_SYNC_LIMITS.bytesPerItem);
+            const chunk = () => ({ updatedAt: favorite.updatedAt, data: text.slice(start, start + size) });
+            // Escaped quotes and multi-byte characters take more than a byte
+            while (FavoritesStore.byteSize(chunkKey, chunk()) > FAVORITES_SYNC_LIMITS.bytesPerItem) {
+                size = Math.floor(size * 0.75);
+            }
+            // Don't split a surrogate pair
+            const last = text.charCodeAt(start + size - 1);
+            if (start + size < text.length && last >= 0xd800 && last <= 0xdbff) size--;
+
+            records[chunkKey] = chunk();
+            start += size;
+            index++;
+        }
+        records[key] = { updatedAt: favorite.updatedAt, chunks: index };
+        return records;
+    }
+
+    /**
+     * Storage keys a favorite's record uses
+     * @param {string} id - Favorite ID
+     * @param {number} chunks - Number of chunks, 0 for a single item
+     * @returns {Array<string>} Keys
+     */
+    static recordKeys(id, chunks) {
+        const key = FAVORITES_SYNC.prefix + id;
+        return [key, ...Array.from({ length: chunks }, (_, i) => `${key}.${i}`)];
+    }
+
+    /**
+     * Find the favorite records in storage
+     * @param {Object} stored - Everything in the storage area
+     * @returns {Map} `id -> {updatedAt, chunks}`
+     */
+    static readRecords(stored) {
+        const records = new Map();
+        Object.entries(stored).forEach(([key, value]) => {
+            const id = key.startsWith(FAVORITES_SYNC.prefix) && key.slice(FAVORITES_SYNC.prefix.length);
+            if (!id || id.includes('.') || !value) return;
+            records.set(id, { updatedAt: value.updatedAt, chunks: value.chunks || 0 });
+        });
+        return records;
+    }
+
+    /**
+     * Rebuild the favorites from storage. A chunked favorite whose chunks
+     * haven't all arrived yet keeps its previous copy, if there is one.
+     * @param {Object} stored - Everything in the storage area
+     * @param {Array} previous - Favorites read before
+     * @returns {Array} Favorites in list order
+     */
+    static read(stored, previous = []) {
+        const deleted = stored[FAVORITES_SYNC.deletedKey] || {};
+        const favorites = [];
+
+        FavoritesStore.readRecords(stored).forEach((record, id) => {
+            if (deleted[id] >= record.updatedAt) return;
+
+            const favorite = FavoritesStore.assemble(stored, id, record);
+            const fallback = previous.find(f => f.id === id);
+            if (favorite) {
+                favorites.push(Favorites.normalize(favorite));
+            } else if (fallback) {
+                favorites.push(fallback);
+            }
+        });
+
+        // Saved order first; favorites missing from it go on top, newest first
+        const order = stored[FAVORITES_SYNC.orderKey]?.ids || [];
+        return favorites.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id) || b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Put a favorite back together from its record
+     * @param {Object} stored - Everything in the storage area
+     * @param {string} id - Favorite ID
+     * @param {Object} record - `{updatedAt, chunks}`
+     * @returns {Object|null} Favorite, or null while chunks are missing or outdated
+     */
+    static assemble(stored, id, record) {
+        const key = FAVORITES_SYNC.prefix + id;
+        if (!record.chunks) return stored[key].data || null;
+
+        let text = '';
+        for (let i = 0; i < record.chunks; i++) {
+            const chunk = stored[`${key}.${i}`];
+            if (!chunk || chunk.updatedAt !== record.updatedAt) return null;
+            text += chunk.data;
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Size of an item as counted against the sync quota: the key and the
+     * JSON of the value, in UTF-8
+     * @param {string} key - Storage key
+     * @param {*} value - Value
+     * @returns {number} Bytes
+     */
+    static byteSize(key, value) {
+        return new TextEncoder().encode(key + JSON.stringify(value)).length;
+    }
+}
+
+self.FavoritesStore = FavoritesStore;
@@ -0,0 +1,209 @@
+// ===== FEATURE LAYER =====
+
+/**
+ * Fill/stroke colors per traffic status
+ */
+const FEATURE_STATUS_COLORS = {
+    smooth: '#22c55e',
+    moderate: '#f59e0b',
+    heavy: '#ef4444',
+    unknown: '#94a3b8'
+};
+
+/**
+ * Canvas layer for a SlippyMap that draws lines and polygons colored by
+ * traffic status, with hit-testing in screen space.
+ * Features are `{line: [{lat, lng}]}` or `{polygons: [[[{lat, lng}]]]}`
+ * (outer ring then holes) plus a `status` and any other properties.
+ */
+class FeatureLayer {
+    /**
+     * @param {SlippyMap} map - Map the layer is drawn on
+     * @param {Object} options - Layer options
+     * @param {number} [options.lineWidth] - Line width in pixels
+     * @param {number} [options.fillOpacity] - Polygon fill opacity
+     * @param {Function} [options.label] - `(feature) => string` drawn at polygon centers
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.options = { lineWidth: 4, fillOpacity: 0.35, label: null, ...options };
+        this.features = [];
+        this.screenShapes = [];
+
+        this.canvas = Utils.createElement('canvas', { className: 'feature-layer' });
+        this.ctx = this.canvas.getContext('2d');
+        this.map.overlayPane.appendChild(this.canvas);
+    }
+
+    /**
+     * Set the features to draw
+     * @param {Array} features - Line or polygon features
+     * @param {Object} options - Options to change for this set (see constructor)
+     */
+    setFeatures(features, options = {}) {
+        this.features = features;
+        this.options = { ...this.options, ...options };
+        this.render();
+    }
+
+    /**
+     * Draw the layer for the current map view
+     */
+    render() {
+        const size = this.map.getSize();
+        if (!size.width || !size.height) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        if (this.canvas.width !== Math.round(size.width * ratio) || this.canvas.height !== Math.round(size.height * ratio)) {
+            this.canvas.width = Math.round(size.width * ratio);
+            this.canvas.height = Math.round(size.height * ratio);
+            this.canvas.style.width = `${size.width}px`;
+            this.canvas.style.height = `${size.height}px`;
+        }
+
+        const ctx = this.ctx;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+
+        const toScreen = (p) => this.map.latLngToPoint(p.lat, p.lng);
+        this.screenShapes = this.features.map(feature => {
+            const color = FEATURE_STATUS_COLORS[feature.status] || FEATURE_STATUS_COLORS.unknown;
+
+            if (feature.line) {
+                const line = feature.line.map(toScreen);
+                ctx.beginPath();
+                line.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+                ctx.strokeStyle = color;
+                ctx.lineWidth = this.options.lineWidth;
+                ctx.lineCap = 'round';
+                ctx.stroke();
+                return { feature, line };
+            }
+
+            const polygons = feature.polygons.map(rings => rings.map(ring => ring.map(toScreen)));
+            ctx.beginPath();
+            polygons.forEach(rings => rings.forEach(ring => {
+                ring.forEach((p, i) => i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y));
+                ctx.closePath();
+            }));
+            ctx.globalAlpha = this.options.fillOpacity;
+            ctx.fillStyle = color;
+            ctx.fill('evenodd');
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.stroke();
+            return { feature, polygons };
+        });
+
+        if (this.options.label) {
+            this.renderLabels();
+        }
+    }
+
+    /**
+     * Draw labels at the center of polygons large enough to hold them
+     */
+    renderLabels() {
+        const ctx = this.ctx;
+        ctx.font = '600 11px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        this.screenShapes.forEach(({ feature, polygons }) => {
+            if (!polygons) return;
+
+            const outer = polygons[0][0];
+            const xs = outer.map(p => p.x);
+            const ys = outer.map(p => p.y);
+            const width = Math.max(...xs) - Math.min(...xs);
+            const text = this.options.label(feature);
+            if (!text || ctx.measureText(text).width > width * 0.8) return;
+
+            const x = xs.reduce((a, b) => a + b, 0) / xs.length;
+            const y = ys.reduce((a, b) => a + b, 0) / ys.length;
+            ctx.lineWidth = 3;
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.strokeText(text, x, y);
+            ctx.fillStyle = '#1f2937';
+            ctx.fillText(text, x, y);
+        });
+    }
+
+    /**
+     * Find the feature under a container pixel
+     * @param {number} x - Container pixel x
+     * @param {number} y - Container pixel y
+     * @returns {Object|null} Feature
+     */
+    hitTest(x, y) {
+        const tolerance = this.options.lineWidth / 2 + 4;
+
+        // Topmost (last drawn) first
+        for (let i = this.screenShapes.length - 1; i >= 0; i--) {
+            const shape = this.screenShapes[i];
+
+            if (shape.line) {
+                for (let j = 1; j < shape.line.length; j++) {
+                    if (FeatureLayer.distanceToSegment(x, y, shape.line[j - 1], shape.line[j]) <= tolerance) {
+                        return shape.feature;
+                    }
+                }
+            } else if (shape.polygons.some(rings => FeatureLayer.containsPoint(x, y, rings))) {
+                return shape.feature;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Distance from a pixel to a screen segment
+     * @param {number} x - Pixel x
+     * @param {number} y - Pixel y
+     * @param {Object} a - Segment start `{x, y}`
+     * @param {Object} b - Segment end `{x, y}`
+     * @returns {number} Distance in pixels
+     */
+    static distanceToSegment(x, y, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared ? Math.min(Math.max(((x - a.x) * dx + (y - a.y) * dy) / lengthSquared, 0), 1) : 0;
+        return Math.hypot(x - (a.x + t * dx), y - (a.y + t * dy));
+    }
+
+    /**
+     * Test whether a pixel lies inside screen rings (even-odd rule)
+     * @param {number} x - Pixel x
+     * @param {number} y - Pixel y
+     * @param {Array} rings - Rings of `{x, y}`
+     * @returns {boolean} Whether the pixel is inside
+     */
+    static containsPoint(x, y, rings) {
+        let inside = false;
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const a = ring[i];
+                const b = ring[j];
+                if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                    inside = !inside;
+                }
+            }
+        });
+        return inside;
+    }
+
+    /**
+     * Remove the layer from the map
+     */
+    remove() {
+        this.canvas.remove();
+        this.features = [];
+        this.screenShapes = [];
+    }
+}
+
+// Make globally available
+window.FeatureLayer = FeatureLayer;
@@ -0,0 +1,403 @@
+// ===== FORECAST MODEL =====
+
+/**
+ * Lowest standard deviation reported for a prediction, per metric.
+ * Slots with few observations use twice this floor.
+ */
+const FORECAST_MIN_DEVIATION = {
+    congestion: 0.05,
+    speed: 2
+};
+
+/**
+ * Traffic forecasts from stored history.
+ * Each location (and the network as a whole) gets a seasonal baseline per
+ * day-of-week × hour-of-day slot, updated with exponential smoothing so
+ * recent weeks count more than old ones. The latest live reading shifts
+ * the baseline by its deviation, which decays as the horizon grows.
+ */
+class ForecastModel {
+    /**
+     * @param {Object} options - Model options
+     * @param {number} [options.alpha] - Smoothing factor for slot levels (0-1)
+     * @param {number} [options.damping] - Share of the live deviation kept per hour ahead (0-1)
+     * @param {number} [options.z] - Z-score of the confidence interval (1.96 = 95%)
+     */
+    constructor(options = {}) {
+        this.alpha = options.alpha || 0.3;
+        this.damping = options.damping ?? 0.7;
+        this.z = options.z ?? 1.96;
+        this.locations = new Map(); // segment id -> seasonal profile
+        this.network = ForecastModel.createProfile();
+        this.segments = new Map(); // segment id -> {name, lat, lng, freeFlowSpeed}
+        this.current = null; // {timestamp, residuals: Map, network}
+        this.trainedAt = null;
+        this.observations = 0;
+    }
+
+    /**
+     * Train a model from a history store's hourly buckets
+     * @param {HistoryStore} historyStore - History store
+     * @param {Object} options - Model options (see constructor)
+     * @returns {Promise<ForecastModel>} Trained model
+     */
+    static async fromHistory(historyStore, options = {}) {
+        const now = Date.now();
+        const [buckets, segments, recent] = await Promise.all([
+            historyStore.getBuckets('1h', 0, now),
+            historyStore.getSegments(),
+            historyStore.getSnapshots(now - 3600000, now)
+        ]);
+
+        const model = new ForecastModel(options);
+        model.train(buckets, segments);
+
+        const latest = recent[recent.length - 1];
+        if (latest) {
+            model.setCurrent({ points: latest.points }, latest.timestamp);
+        }
+        return model;
+    }
+
+    /**
+     * Fit the seasonal profiles
+     * @param {Array} buckets - Hourly history buckets, oldest first
+     * @param {Map} [segments] - Segment id -> metadata, used to place predicted points
+     */
+    train(buckets, segments = new Map()) {
+        this.segments = segments;
+
+        buckets.forEach(bucket => {
+            const slot = ForecastModel.slotOf(bucket.start);
+
+            ForecastModel.observe(this.network, slot, {
+                congestion: HistoryStore.mean(bucket.metrics.congestion),
+                speed: HistoryStore.mean(bucket.metrics.speed)
+            }, this.alpha);
+
+            Object.entries(bucket.segments).forEach(([id, [congestion, speed, count]]) => {
+                if (!this.locations.has(id)) {
+                    this.locations.set(id, ForecastModel.createProfile());
+                }
+                ForecastModel.observe(this.locations.get(id), slot, {
+                    congestion: congestion / count,
+                    speed: speed / count
+                }, this.alpha);
+            });
+        });
+
+        this.observations = buckets.length;
+        this.trainedAt = Date.now();
+    }
+
+    /**
+     * Whether the model has any history to predict from
+     * @returns {boolean} Trained state
+     */
+    isTrained() {
+        return this.observations > 0;
+    }
+
+    /**
+     * Record the latest live readings; their deviation from the baseline is
+     * carried into near-term predictions
+     * @param {Object} traffic - Traffic data `{points}`
+     * @param {number} [timestamp] - Reading time
+     */
+    setCurrent(traffic, timestamp = Date.now()) {
+        if (!this.isTrained()) return;
+
+        const residuals = new Map();
+        const totals = { congestion: 0, speed: 0, count: 0 };
+
+        (traffic?.points || []).forEach(point => {
+            if (typeof point.congestion !== 'number' || typeof point.speed !== 'number') return;
+
+            totals.congestion += point.congestion;
+            totals.speed += point.speed;
+            totals.count += 1;
+
+            const baseline = this.baseline(this.locations.get(String(point.id)), timestamp);
+            if (baseline) {
+                residuals.set(String(point.id), {
+                    congestion: point.congestion - baseline.congestion.level,
+                    speed: point.speed - baseline.speed.level
+                });
+            }
+        });
+
+        const network = this.baseline(this.network, timestamp);
+        this.current = {
+            timestamp: timestamp,
+            residuals: residuals,
+            network: network && totals.count ? {
+                congestion: totals.congestion / totals.count - network.congestion.level,
+                speed: totals.speed / totals.count - network.speed.level
+            } : null
+        };
+    }
+
+    /**
+     * Predict congestion and speed at one location
+     * @param {string} id - Segment id
+     * @param {Date|number} time - Time of interest
+     * @param {boolean} [live] - Carry the latest live deviation into the prediction
+     * @returns {Object|null} `{congestion, speed, samples, basis}`, each metric `{value, low, high}`
+     */
+    predictLocation(id, time, live = true) {
+        const key = String(id);
+        return this.predict(this.locations.get(key), time, live ? this.current?.residuals.get(key) : null);
+    }
+
+    /**
+     * Predict the network-wide average congestion and speed
+     * @param {Date|number} time - Time of interest
+     * @param {boolean} [live] - Carry the latest live deviation into the prediction
+     * @returns {Object|null} `{congestion, speed, samples, basis}`, each metric `{value, low, high}`
+     */
+    predictNetwork(time, live = true) {
+        return this.predict(this.network, time, live ? this.current?.network : null);
+    }
+
+    /**
+     * Predict every known location as a traffic payload
+     * @param {Date|number} time - Time of interest
+     * @returns {Object|null} Traffic data `{points, summary}`; points carry `congestionRange` and `speedRange`
+     */
+    predictTraffic(time) {
+        if (!this.isTrained()) return null;
+
+        const timestamp = new Date(time).getTime();
+        const points = [];
+        this.locations.forEach((profile, id) => {
+            // Bucket keys are strings; segment ids keep their original type
+            const segment = this.segments.get(id) ?? this.segments.get(Number(id));
+            const prediction = this.predictLocation(id, timestamp);
+            if (!segment || !prediction) return;
+
+            points.push({
+                id: segment.id,
+                name: segment.name,
+                lat: segment.lat,
+                lng: segment.lng,
+                congestion: prediction.congestion.value,
+                speed: Math.round(prediction.speed.value),
+                freeFlowSpeed: segment.freeFlowSpeed,
+                congestionRange: [prediction.congestion.low, prediction.congestion.high],
+                speedRange: [Math.round(prediction.speed.low), Math.round(prediction.speed.high)],
+                timestamp: timestamp
+            });
+        });
+
+        const network = this.predictNetwork(timestamp);
+        return {
+            points: points,
+            summary: {
+                averageCongestion: network ? Math.round(network.congestion.value * 100) / 100 : 0,
+                averageSpeed: network ? Math.round(network.speed.value) : 0,
+                congestionRange: network ? [network.congestion.low, network.congestion.high] : null,
+                totalPoints: points.length,
+                lastUpdated: timestamp,
+                timestamp: timestamp,
+                source: 'forecast'
+            }
+        };
+    }
+
+    /**
+     * Predict the travel time of a route through a road graph.
+     * Edges are walked in order so each uses the forecast for the time it is
+     * reached. The graph must have had `applyTraffic` called so edges know
+     * their nearest reading location.
+     * @param {RoadGraph} graph - Road graph
+     * @param {Array} edgeIds - Route edge IDs
+     * @param {Date|number} departure - Departure time
+     * @param {Object} [options] - Prediction options
+     * @param {boolean} [options.live] - Carry the latest live deviation; false gives the usual travel time
+     * @returns {Object|null} `{duration, eta, congestion}`; duration (minutes) and congestion are `{value, low, high}`
+     */
+    predictRoute(graph, edgeIds, departure, options = {}) {
+        if (!this.isTrained()) return null;
+
+        const live = options.live !== false;
+        const start = new Date(departure).getTime();
+        const seconds = { value: 0, low: 0, high: 0 };
+        const congestion = { value: 0, low: 0, high: 0 };
+        let distance = 0;
+
+        edgeIds.forEach(id => {
+            const edge = graph.edges[id];
+            const reachedAt = start + seconds.value * 1000;
+            const prediction = (edge.trafficPointId !== null && edge.trafficPointId !== undefined
+                ? this.predictLocation(edge.trafficPointId, reachedAt, live)
+                : null) || this.predictNetwork(reachedAt, live);
+
+            const levels = prediction
+                ? prediction.congestion
+                : { value: graph.getCongestion(edge), low: graph.getCongestion(edge), high: graph.getCongestion(edge) };
+
+            // Lower congestion gives the optimistic (low) travel time
+            ['value', 'low', 'high'].forEach(bound => {
+                seconds[bound] += edge.length / (graph.speedForCongestion(edge, levels[bound]) / 3.6);
+                congestion[bound] += levels[bound] * edge.length;
+            });
+            distance += edge.length;
+        });
+
+        const round = (value) => Math.round(value * 100) / 100;
+        return {
+            duration: {
+                value: Math.max(1, Math.round(seconds.value / 60)),
+                low: Math.max(1, Math.round(seconds.low / 60)),
+                high: Math.max(1, Math.round(seconds.high / 60))
+            },
+            eta: new Date(start + seconds.value * 1000),
+            congestion: {
+                value: round(distance ? congestion.value / distance : 0),
+                low: round(distance ? congestion.low / distance : 0),
+                high: round(distance ? congestion.high / distance : 0)
+            }
+        };
+    }
+
+    /**
+     * Predict from a seasonal profile
+     * @param {Object} profile - Seasonal profile
+     * @param {Date|number} time - Time of interest
+     * @param {Object} [residual] - Live deviation `{congestion, speed}`
+     * @returns {Object|null} Prediction
+     */
+    predict(profile, time, residual) {
+        const timestamp = new Date(time).getTime();
+        const baseline = this.baseline(profile, timestamp);
+        if (!baseline) return null;
+
+        // The live deviation fades out as the forecast looks further ahead
+        const hoursAhead = this.current ? (timestamp - this.current.timestamp) / 3600000 : Infinity;
+        const carry = residual && hoursAhead >= 0 && hoursAhead < Infinity
+            ? Math.pow(this.damping, hoursAhead)
+            : 0;
+
+        const estimate = (metric, min, max) => {
+            const stats = baseline[metric];
+            const floor = FORECAST_MIN_DEVIATION[metric] * (stats.count < 3 ? 2 : 1);
+            const deviation = Math.max(Math.sqrt(stats.variance), floor);
+            const value = stats.level + (carry ? residual[metric] * carry : 0);
+            const clamp = (v) => Math.min(Math.max(v, min), max);
+
+            return {
+                value: clamp(value),
+                low: clamp(value - this.z * deviation),
+                high: clamp(value + this.z * deviation)
+            };
+        };
+
+        return {
+            congestion: estimate('congestion', 0, 1),
+            speed: estimate('speed', 0, Infinity),
+            samples: baseline.congestion.count,
+            basis: baseline.basis
+        };
+    }
+
+    /**
+     * Seasonal level and variance for a time, falling back from the
+     * day-of-week × hour slot to the hour of day and then to all hours
+     * @param {Object} profile - Seasonal profile
+     * @param {number} timestamp - Time of interest
+     * @returns {Object|null} `{congestion, speed, basis}` with `{level, variance, count}` per metric
+     */
+    baseline(profile, timestamp) {
+        if (!profile) return null;
+
+        const slot = ForecastModel.slotOf(timestamp);
+        const candidates = [
+            ['weekly', profile.weekly.get(slot.weekly)],
+            ['daily', profile.daily.get(slot.hour)],
+            ['overall', profile.overall]
+        ];
+
+        for (const [basis, stats] of candidates) {
+            if (stats && stats.congestion.count) {
+                return { ...stats, basis };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Create an empty seasonal profile
+     * @returns {Object} Profile
+     */
+    static createProfile() {
+        return {
+            weekly: new Map(), // dayOfWeek * 24 + hour -> stats
+            daily: new Map(), // hour -> stats
+            overall: ForecastModel.createStats()
+        };
+    }
+
+    /**
+     * Create empty smoothing state for both metrics
+     * @returns {Object} Stats
+     */
+    static createStats() {
+        return {
+            congestion: { level: 0, variance: 0, count: 0 },
+            speed: { level: 0, variance: 0, count: 0 }
+        };
+    }
+
+    /**
+     * Fold an observation into every level of a profile
+     * @param {Object} profile - Seasonal profile
+     * @param {Object} slot - Slot keys from slotOf()
+     * @param {Object} values - `{congestion, speed}`
+     * @param {number} alpha - Smoothing factor
+     */
+    static observe(profile, slot, values, alpha) {
+        if (!profile.weekly.has(slot.weekly)) profile.weekly.set(slot.weekly, ForecastModel.createStats());
+        if (!profile.daily.has(slot.hour)) profile.daily.set(slot.hour, ForecastModel.createStats());
+
+        [profile.weekly.get(slot.weekly), profile.daily.get(slot.hour), profile.overall].forEach(stats => {
+            Object.entries(values).forEach(([metric, value]) => {
+                if (typeof value === 'number') {
+                    ForecastModel.smooth(stats[metric], value, alpha);
+                }
+            });
+        });
+    }
+
+    /**
+     * Exponentially weighted update of a level and its variance
+     * @param {Object} stats - `{level, variance, count}`, updated in place
+     * @param {number} value - Observation
+     * @param {number} alpha - Smoothing factor
+     */
+    static smooth(stats, value, alpha) {
+        if (!stats.count) {
+            stats.level = value;
+            stats.variance = 0;
+        } else {
+            const diff = value - stats.level;
+            stats.level += alpha * diff;
+            stats.variance = (1 - alpha) * (stats.variance + alpha * diff * diff);
+        }
+        stats.count += 1;
+    }
+
+    /**
+     * Seasonal slot keys for a time (local time)
+     * @param {number} timestamp - Time
+     * @returns {{weekly: number, hour: number}} Slot keys
+     */
+    static slotOf(timestamp) {
+        const date = new Date(timestamp);
+        return {
+            weekly: date.getDay() * 24 + date.getHours(),
+            hour: date.getHours()
+        };
+    }
+}
+
+self.ForecastModel = ForecastModel;
@@ -0,0 +1,358 @@
+// ===== GEOCODER =====
+
+/**
+ * Words rewritten before matching so that "Fifth Avenue and 34th Street"
+ * matches "5th Ave & 34th St"
+ */
+const GEOCODER_ABBREVIATIONS = {
+    avenue: 'ave', av: 'ave', street: 'st', str: 'st', road: 'rd', boulevard: 'blvd',
+    drive: 'dr', place: 'pl', square: 'sq', highway: 'hwy', and: '&', at: '&',
+    first: '1st', second: '2nd', third: '3rd', fourth: '4th', fifth: '5th', sixth: '6th',
+    seventh: '7th', eighth: '8th', ninth: '9th', tenth: '10th', eleventh: '11th',
+    lex: 'lexington'
+};
+
+/**
+ * Shortest time between two Nominatim requests, in ms, per its usage policy
+ */
+const NOMINATIM_MIN_INTERVAL = 1000;
+
+/**
+ * Base class for geocoding backends.
+ * Results are `{label, lat, lng, type, source}` objects.
+ */
+class GeocoderBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {string} [options.apiKey] - API key or access token
+     * @param {Object} [options.near] - `{lat, lng}` used to bias results when a search gives none
+     * @param {Function} [options.fetch] - fetch implementation
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+    }
+
+    static get id() {
+        return 'base';
+    }
+
+    static get label() {
+        return I18n.t('geocoderGeneric');
+    }
+
+    static get requiresApiKey() {
+        return false;
+    }
+
+    /**
+     * Whether the service may be queried as the user types
+     * @returns {boolean} True if it may
+     */
+    static get supportsAutocomplete() {
+        return true;
+    }
+
+    /**
+     * Search for places matching a query
+     * @param {string} query - Free-text query
+     * @param {Object} options - Search options
+     * @param {number} [options.limit] - Max results
+     * @param {Object} [options.near] - `{lat, lng}` used to bias results
+     * @returns {Promise<Array>} Matching places
+     */
+    async search(query, options = {}) {
+        const coordinates = Utils.parseCoordinates(query);
+        if (coordinates) {
+            return [{
+                label: `${coordinates.lat.toFixed(5)}, ${coordinates.lng.toFixed(5)}`,
+                lat: coordinates.lat,
+                lng: coordinates.lng,
+                type: 'coordinates',
+                source: 'input'
+            }];
+        }
+
+        const trimmed = (query || '').trim();
+        if (trimmed.length < 2) return [];
+
+        if (this.constructor.requiresApiKey && !this.options.apiKey) {
+            throw new Error(I18n.t('apiKeyRequired', { service: this.constructor.label }));
+        }
+
+        return this.searchPlaces(trimmed, { limit: 5, ...options });
+    }
+
+    /**
+     * Backend-specific place search
+     * @param {string} query - Trimmed query
+     * @param {Object} options - Search options
+     * @returns {Promise<Array>} Matching places
+     */
+    async searchPlaces(query, options) {
+        throw new Error(`${this.constructor.name} must implement searchPlaces()`);
+    }
+
+    /**
+     * Fetch JSON from the backend service
+     * @param {string} url - Request URL
+     * @returns {Promise<Object>} Parsed JSON body
+     */
+    async fetchJson(url) {
+        const response = await this.fetchImpl(url);
+        if (!response.ok) {
+            throw new Error(I18n.t('serviceRequestFailed', { service: this.constructor.label, status: response.status }));
+        }
+        return response.json();
+    }
+}
+
+/**
+ * Offline backend searching the bundled gazetteer
+ */
+class GazetteerGeocoder extends GeocoderBackend {
+    static get id() {
+        return 'gazetteer';
+    }
+
+    static get label() {
+        return I18n.t('geocoderGazetteer');
+    }
+
+    /**
+     * Load and index the gazetteer
+     * @returns {Promise<Array>} Indexed places
+     */
+    async loadPlaces() {
+        if (!this.placesPromise) {
+            const path = this.options.gazetteerPath || 'data/gazetteer.json';
+            const url = typeof chrome !== 'undefined' && chrome.runtime?.getURL
+                ? chrome.runtime.getURL(path)
+                : path;
+
+            const source = this.options.gazetteer
+                ? Promise.resolve(this.options.gazetteer)
+                : this.fetchJson(url);
+
+            this.placesPromise = source.then(data => data.places.map(place => ({
+                ...place,
+                names: [place.name, ...(place.aliases || [])].map(name => GazetteerGeocoder.tokenize(name))
+            })));
+        }
+        return this.placesPromise;
+    }
+
+    async searchPlaces(query, options) {
+        const places = await this.loadPlaces();
+        const queryTokens = GazetteerGeocoder.tokenize(query);
+        if (!queryTokens.length) return [];
+
+        return places
+            .map(place => ({ place, score: Math.max(...place.names.map(name => GazetteerGeocoder.score(queryTokens, name))) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score || a.place.name.length - b.place.name.length)
+            .slice(0, options.limit)
+            .map(({ place }) => ({
+                label: place.name,
+                lat: place.lat,
+                lng: place.lng,
+                type: place.type,
+                source: GazetteerGeocoder.id
+            }));
+    }
+
+    /**
+     * Split a name into normalized tokens
+     * @param {string} text - Place name or query
+     * @returns {Array<string>} Tokens
+     */
+    static tokenize(text) {
+        return String(text)
+            .toLowerCase()
+            .replace(/[@+]/g, ' & ')
+            .replace(/[^\w&'\s]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(token => GEOCODER_ABBREVIATIONS[token] || token)
+            // A bare street number such as "34" matches "34th"
+            .map(token => /^\d+$/.test(token) ? token + GazetteerGeocoder.ordinalSuffix(parseInt(token, 10)) : token)
+            .filter(token => token !== '&');
+    }
+
+    /**
+     * Ordinal suffix for a number
+     * @param {number} n - Number
+     * @returns {string} "st", "nd", "rd" or "th"
+     */
+    static ordinalSuffix(n) {
+        if (n % 100 >= 11 && n % 100 <= 13) return 'th';
+        return { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+    }
+
+    /**
+     * Score how well query tokens match a place name.
+     * Every query token must prefix a distinct name token; full-word and
+     * in-order matches rank higher.
+     * @param {Array<string>} queryTokens - Query tokens
+     * @param {Array<string>} nameTokens - Name tokens
+     * @returns {number} Score (0 if no match)
+     */
+    static score(queryTokens, nameTokens) {
+        const used = new Set();
+        let exactWords = 0;
+        let inOrder = true;
+        let lastIndex = -1;
+
+        for (const token of queryTokens) {
+            const index = nameTokens.findIndex((nameToken, i) => !used.has(i) && nameToken.startsWith(token));
+            if (index === -1) return 0;
+
+            used.add(index);
+            if (nameTokens[index] === token) exactWords++;
+            if (index < lastIndex) inOrder = false;
+            lastIndex = index;
+        }
+
+        return queryTokens.length / nameTokens.length +
+            exactWords / queryTokens.length * 0.5 +
+            (inOrder ? 0.25 : 0);
+    }
+}
+
+/**
+ * OpenStreetMap Nominatim backend. Its usage policy allows no type-ahead
+ * searches and at most one request a second, so it is only asked for
+ * submitted queries and requests are spaced out.
+ */
+class NominatimGeocoder extends GeocoderBackend {
+    static get id() {
+        return 'nominatim';
+    }
+
+    static get label() {
+        return 'OpenStreetMap Nominatim';
+    }
+
+    static get supportsAutocomplete() {
+        return false;
+    }
+
+    /**
+     * Wait until the next request is allowed; requests from every instance
+     * share the one slot
+     */
+    static async throttle() {
+        const now = Date.now();
+        const at = Math.max(now, NominatimGeocoder.nextRequestAt || 0);
+        NominatimGeocoder.nextRequestAt = at + NOMINATIM_MIN_INTERVAL;
+
+        if (at > now) {
+            await new Promise(resolve => setTimeout(resolve, at - now));
+        }
+    }
+
+    async searchPlaces(query, options) {
+        let url = 'https://nominatim.openstreetmap.org/search?format=jsonv2' +
+            `&q=${encodeURIComponent(query)}&limit=${options.limit}`;
+
+        const near = options.near || this.options.near;
+        if (near) {
+            // Prefer results within roughly 25 km of the user
+            url += `&viewbox=${near.lng - 0.3},${near.lat + 0.2},${near.lng + 0.3},${near.lat - 0.2}`;
+        }
+
+        await NominatimGeocoder.throttle();
+        const results = await this.fetchJson(url);
+        return results.map(result => ({
+            label: result.display_name,
+            lat: parseFloat(result.lat),
+            lng: parseFloat(result.lon),
+            type: result.type || result.category,
+            source: NominatimGeocoder.id
+        }));
+    }
+}
+
+/**
+ * Mapbox Geocoding API backend
+ */
+class MapboxGeocoder extends GeocoderBackend {
+    static get id() {
+        return 'mapbox';
+    }
+
+    static get label() {
+        return 'Mapbox Geocoding';
+    }
+
+    static get requiresApiKey() {
+        return true;
+    }
+
+    async searchPlaces(query, options) {
+        let url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json` +
+            `?autocomplete=true&limit=${options.limit}&access_token=${encodeURIComponent(this.options.apiKey)}`;
+
+        const near = options.near || this.options.near;
+        if (near) {
+            url += `&proximity=${near.lng},${near.lat}`;
+        }
+
+        const response = await this.fetchJson(url);
+        return (response.features || []).map(feature => ({
+            label: feature.place_name,
+            lat: feature.center[1],
+            lng: feature.center[0],
+            type: feature.place_type?.[0],
+            source: MapboxGeocoder.id
+        }));
+    }
+}
+
+/**
+ * Registry of available geocoding backends
+ */
+const Geocoders = {
+    defaultBackend: GazetteerGeocoder.id,
+
+    registry: {
+        [GazetteerGeocoder.id]: GazetteerGeocoder,
+        [NominatimGeocoder.id]: NominatimGeocoder,
+        [MapboxGeocoder.id]: MapboxGeocoder
+    },
+
+    /**
+     * Register an additional backend
+     * @param {Function} BackendClass - GeocoderBackend subclass
+     */
+    register(BackendClass) {
+        this.registry[BackendClass.id] = BackendClass;
+    },
+
+    /**
+     * Create a backend instance
+     * @param {string} id - Backend ID
+     * @param {Object} options - Backend options
+     * @returns {GeocoderBackend} Backend instance
+     */
+    create(id, options = {}) {
+        const BackendClass = this.registry[id] || this.registry[this.defaultBackend];
+        return new BackendClass(options);
+    },
+
+    /**
+     * List available backends for settings UIs
+     * @returns {Array} Backend descriptors
+     */
+    list() {
+        return Object.values(this.registry).map(BackendClass => ({
+            id: BackendClass.id,
+            label: BackendClass.label,
+            requiresApiKey: BackendClass.requiresApiKey,
+            supportsAutocomplete: BackendClass.supportsAutocomplete
+        }));
+    }
+};
+
+self.GeocoderBackend = GeocoderBackend;
+self.Geocoders = Geocoders;
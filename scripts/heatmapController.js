@@ -6,6 +6,17 @@ class HeatmapController {
         this.zoomLevel = 10;
         this.trafficData = null;
         this.container = null;
+        this.map = null;
+        this.densityLayer = null;
+        this.featureLayer = null;
+        this.renderedData = null;
+        this.roadGraph = null;
+        this.districts = null;
+        this.aggregateCache = new Map(); // view -> {data, features}
+        this.fitPending = false;
+        this.timeCursor = null; // null while showing live traffic
+        this.incidentLayer = null;
+        this.incidents = [];
         this.dataManager = new DataManager();
         
         this.init();
@@ -28,220 +39,396 @@ class HeatmapController {
         // Zoom controls
         document.getElementById('zoomIn')?.addEventListener('click', () => this.zoomIn());
         document.getElementById('zoomOut')?.addEventListener('click', () => this.zoomOut());
+
+        // The analytics time explorer replays history and forecasts here
+        Utils.events.on('timeCursorChanged', (cursor) => {
+            this.timeCursor = cursor.mode === 'live' ? null : cursor;
+            this.loadInitialData();
+        });
+
+        // Incidents feed
+        const fileInput = document.getElementById('incidentFile');
+        document.getElementById('importIncidents')?.addEventListener('click', () => fileInput?.click());
+        fileInput?.addEventListener('change', () => {
+            if (fileInput.files[0]) this.importIncidentFeed(fileInput.files[0]);
+            fileInput.value = '';
+        });
+        document.getElementById('clearIncidents')?.addEventListener('click', () => this.clearIncidents());
+        document.getElementById('incidentFeed')?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-incident-id]');
+            if (item) this.focusIncident(item.dataset.incidentId);
+        });
+        Utils.events.on('incidentsChanged', () => this.loadIncidents());
+        Utils.events.on('settingsChanged', (settings) => {
+            if (settings.clock !== undefined) this.renderIncidentFeed();
+        });
     }
 
     async loadInitialData() {
+        this.loadIncidents();
+
         try {
             this.showLoading();
-            this.trafficData = await this.dataManager.getTrafficData();
+            const cursor = this.timeCursor;
+            const data = cursor
+                ? await this.dataManager.getTrafficAt(cursor.timestamp)
+                : await this.dataManager.getTrafficData();
+
+            // The cursor moved while this request was in flight
+            if (cursor !== this.timeCursor) return;
+
+            this.trafficData = data || { points: [], summary: { totalPoints: 0 } };
             this.renderHeatmap();
         } catch (error) {
             console.error('Error loading heatmap data:', error);
-            this.showError('Failed to load traffic heatmap');
+            this.showError(I18n.t('heatmapLoadFailed'));
+        }
+    }
+
+    async loadIncidents() {
+        const cursor = this.timeCursor;
+
+        try {
+            const incidents = await this.dataManager.getIncidents(cursor ? cursor.timestamp : Date.now());
+            if (cursor !== this.timeCursor) return;
+
+            this.incidents = incidents;
+            this.incidentLayer?.setIncidents(incidents);
+            this.renderIncidentFeed();
+        } catch (error) {
+            console.error('Error loading incidents:', error);
+        }
+    }
+
+    renderIncidentFeed() {
+        const feed = document.getElementById('incidentFeed');
+        const count = document.getElementById('incidentCount');
+        if (count) count.textContent = this.incidents.length;
+        if (!feed) return;
+
+        if (!this.incidents.length) {
+            feed.innerHTML = `
+                <div class="incident-empty">
+                    ${I18n.t(this.timeCursor ? 'noIncidentsAtTime' : 'noIncidentsReported')}
+                </div>
+            `;
+            return;
+        }
+
+        feed.innerHTML = this.incidents.map(incident => {
+            const { label, icon } = Incidents.typeInfo(incident.type);
+            const meta = [
+                label,
+                incident.closed ? I18n.t('incidentClosed') : null,
+                I18n.t(`incidentSeverity_${incident.severity}`),
+                I18n.t('incidentSince', { time: Utils.formatTime(incident.startTime) }),
+                incident.endTime ? I18n.t('incidentUntil', { time: Utils.formatTime(incident.endTime) }) : null
+            ].filter(Boolean);
+
+            return `
+                <button class="incident-item ${incident.severity}" data-incident-id="${Utils.escapeHtml(incident.id)}">
+                    <i class="fas ${icon} incident-icon"></i>
+                    <div class="incident-info">
+                        <div class="incident-title">${Utils.escapeHtml(incident.title)}</div>
+                        <div class="incident-meta">${meta.join(' · ')}</div>
+                        <div class="incident-meta">${Utils.escapeHtml(incident.source)}</div>
+                    </div>
+                </button>
+            `;
+        }).join('');
+    }
+
+    focusIncident(id) {
+        const incident = this.incidents.find(i => i.id === id);
+        if (!incident) return;
+
+        if (this.map) {
+            this.map.setView(incident.location, Math.max(this.zoomLevel, 15));
+            this.incidentLayer.highlight(id);
+        }
+        this.showIncidentDetails(incident);
+    }
+
+    showIncidentDetails(incident) {
+        const details = [
+            incident.title,
+            incident.road && !incident.title.includes(incident.road) ? incident.road : null,
+            incident.delay !== null ? I18n.t('delayAmount', { delay: Utils.formatDuration(incident.delay) }) : null,
+            incident.description
+        ].filter(Boolean);
+
+        window.ToastManager?.show({
+            type: incident.severity === 'major' || incident.severity === 'severe' ? 'warning' : 'info',
+            message: details.join(' • '),
+            icon: Incidents.typeInfo(incident.type).icon,
+            duration: 5000
+        });
+    }
+
+    async importIncidentFeed(file) {
+        try {
+            const imported = await this.dataManager.importIncidentFeed(await file.text(), file.name);
+            window.ToastManager?.show({
+                type: imported ? 'success' : 'warning',
+                message: imported
+                    ? I18n.plural('incidentsImported', imported, { file: file.name })
+                    : I18n.t('noIncidentsInFile', { file: file.name }),
+                icon: 'fa-file-import',
+                duration: 3000
+            });
+        } catch (error) {
+            console.error('Error importing incidents:', error);
+            this.showError(I18n.t('importFailed', { file: file.name, error: error.message }));
+        }
+    }
+
+    async clearIncidents() {
+        if (!this.incidents.length || !confirm(I18n.t('clearIncidentsConfirm'))) return;
+
+        try {
+            await this.dataManager.clearIncidents();
+        } catch (error) {
+            console.error('Error clearing incidents:', error);
+            this.showError(I18n.t('clearIncidentsFailed'));
         }
     }
 
     renderHeatmap() {
         if (!this.container || !this.trafficData) return;
 
-        const mockHeatmap = this.createMockHeatmapVisualization();
-        this.container.innerHTML = mockHeatmap;
+        if (!this.map) {
+            this.createMap();
+        }
+        this.renderOverlay();
         this.hideLoading();
     }
 
-    createMockHeatmapVisualization() {
-        const isDark = document.documentElement.getAttribute('data-theme') === 'dark';
-        const bgGradient = isDark 
-            ? 'linear-gradient(135deg, #1e293b, #334155)' 
-            : 'linear-gradient(135deg, #e0f2fe, #f1f5f9)';
-        
-        // Generate more realistic traffic data points based on current view and zoom
-        const trafficPoints = this.generateTrafficPoints();
-        const roadSegments = this.generateRoadSegments();
-        
-        return `
-            <div class="heatmap-container" style="
-                width: 100%; 
-                height: 100%; 
-                position: relative; 
-                background: ${bgGradient};
-                border-radius: 8px;
-                overflow: hidden;
-                cursor: grab;
-            ">
-                <!-- Road Network Base -->
-                <svg width="100%" height="100%" style="position: absolute; top: 0; left: 0; z-index: 1;">
-                    ${roadSegments.map(segment => `
-                        <path d="${segment.path}" 
-                              stroke="${isDark ? '#475569' : '#cbd5e1'}" 
-                              stroke-width="${segment.width}" 
-                              fill="none" 
-                              opacity="0.8"/>
-                    `).join('')}
-                </svg>
-                
-                <!-- Traffic Intensity Heatmap -->
-                <div class="traffic-overlay" style="position: absolute; top: 0; left: 0; width: 100%; height: 100%; z-index: 2;">
-                    ${trafficPoints.map((point, index) => `
-                        <div class="traffic-hotspot" 
-                             data-intensity="${point.intensity}"
-                             data-location="${point.location}"
-                             data-speed="${point.speed}"
-                             style="
-                                 position: absolute;
-                                 top: ${point.y}%;
-                                 left: ${point.x}%;
-                                 width: ${point.size}px;
-                                 height: ${point.size}px;
-                                 background: ${this.getIntensityColor(point.intensity)};
-                                 border-radius: 50%;
-                                 animation: heatmapPulse ${1.5 + Math.random()}s infinite;
-                                 opacity: 0.8;
-                                 cursor: pointer;
-                                 transform: translate(-50%, -50%);
-                                 transition: all 0.3s ease;
-                             "
-                             onmouseover="this.style.opacity='1'; this.style.transform='translate(-50%, -50%) scale(1.2)'"
-                             onmouseout="this.style.opacity='0.8'; this.style.transform='translate(-50%, -50%) scale(1)'"
-                             onclick="window.heatmapController?.showTrafficDetails('${point.location}', ${point.speed}, '${point.intensity}')">
-                        </div>
-                    `).join('')}
-                </div>
-                
-                <!-- Interactive Controls Overlay -->
-                <div class="heatmap-controls" style="
-                    position: absolute;
-                    top: 10px;
-                    right: 10px;
-                    z-index: 10;
-                    display: flex;
-                    flex-direction: column;
-                    gap: 8px;
-                ">
-                    <button class="zoom-btn" onclick="window.heatmapController?.zoomIn()" 
-                            style="
-                                padding: 8px;
-                                background: rgba(255, 255, 255, 0.9);
-                                border: none;
-                                border-radius: 6px;
-                                cursor: pointer;
-                                box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                                transition: all 0.2s;
-                            "
-                            onmouseover="this.style.background='rgba(255, 255, 255, 1)'"
-                            onmouseout="this.style.background='rgba(255, 255, 255, 0.9)'">
-                        <i class="fas fa-plus" style="color: #374151;"></i>
-                    </button>
-                    <button class="zoom-btn" onclick="window.heatmapController?.zoomOut()" 
-                            style="
-                                padding: 8px;
-                                background: rgba(255, 255, 255, 0.9);
-                                border: none;
-                                border-radius: 6px;
-                                cursor: pointer;
-                                box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                                transition: all 0.2s;
-                            "
-                            onmouseover="this.style.background='rgba(255, 255, 255, 1)'"
-                            onmouseout="this.style.background='rgba(255, 255, 255, 0.9)'">
-                        <i class="fas fa-minus" style="color: #374151;"></i>
-                    </button>
-                    <button class="refresh-btn" onclick="window.heatmapController?.refreshData()" 
-                            style="
-                                padding: 8px;
-                                background: rgba(59, 130, 246, 0.9);
-                                border: none;
-                                border-radius: 6px;
-                                cursor: pointer;
-                                box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                                transition: all 0.2s;
-                            "
-                            onmouseover="this.style.background='rgba(59, 130, 246, 1)'"
-                            onmouseout="this.style.background='rgba(59, 130, 246, 0.9)'">
-                        <i class="fas fa-sync-alt" style="color: white;"></i>
-                    </button>
-                </div>
-                
-                <!-- Traffic Legend -->
-                <div class="traffic-legend" style="
-                    position: absolute;
-                    bottom: 10px;
-                    left: 10px;
-                    z-index: 10;
-                    background: rgba(255, 255, 255, 0.95);
-                    border-radius: 8px;
-                    padding: 12px;
-                    box-shadow: 0 2px 8px rgba(0,0,0,0.15);
-                    font-size: 11px;
-                    color: #374151;
-                ">
-                    <div style="font-weight: 600; margin-bottom: 6px;">Traffic Intensity</div>
-                    <div style="display: flex; gap: 12px; align-items: center;">
-                        <div style="display: flex; align-items: center; gap: 4px;">
-                            <div style="width: 8px; height: 8px; background: #22c55e; border-radius: 50%;"></div>
-                            <span>Light</span>
-                        </div>
-                        <div style="display: flex; align-items: center; gap: 4px;">
-                            <div style="width: 8px; height: 8px; background: #f59e0b; border-radius: 50%;"></div>
-                            <span>Moderate</span>
-                        </div>
-                        <div style="display: flex; align-items: center; gap: 4px;">
-                            <div style="width: 8px; height: 8px; background: #ef4444; border-radius: 50%;"></div>
-                            <span>Heavy</span>
-                        </div>
-                    </div>
-                </div>
-                
-                <!-- View Info -->
-                <div class="view-info" style="
-                    position: absolute;
-                    top: 10px;
-                    left: 10px;
-                    z-index: 10;
-                    background: rgba(0, 0, 0, 0.7);
-                    color: white;
-                    padding: 6px 12px;
-                    border-radius: 20px;
-                    font-size: 12px;
-                    font-weight: 500;
-                ">
-                    ${this.currentView.toUpperCase()} VIEW • ZOOM ${this.zoomLevel}
-                </div>
-                
-                <!-- Live Update Indicator -->
-                <div class="live-indicator" style="
-                    position: absolute;
-                    top: 40px;
-                    left: 10px;
-                    z-index: 10;
-                    display: flex;
-                    align-items: center;
-                    gap: 4px;
-                    color: #22c55e;
-                    font-size: 10px;
-                    font-weight: 500;
-                ">
-                    <div style="width: 6px; height: 6px; background: #22c55e; border-radius: 50%; animation: blink 1.5s infinite;"></div>
-                    LIVE
-                </div>
-            </div>
-            
-            <style>
-                @keyframes heatmapPulse {
-                    0%, 100% { transform: translate(-50%, -50%) scale(1); }
-                    50% { transform: translate(-50%, -50%) scale(1.1); }
-                }
-                @keyframes blink {
-                    0%, 50% { opacity: 1; }
-                    51%, 100% { opacity: 0.3; }
-                }
-                .heatmap-container:active {
-                    cursor: grabbing;
+    createMap() {
+        this.map = new SlippyMap(this.container, {
+            zoom: this.zoomLevel,
+            onViewChange: ({ zoom }) => {
+                // The first render with a real size frames the data
+                if (this.fitPending) {
+                    this.fitPending = false;
+                    this.map.fitBounds(this.getPoints());
                 }
-            </style>
+                this.zoomLevel = zoom;
+                this.renderOverlay();
+            }
+        });
+        this.fitPending = true;
+
+        this.map.element.insertAdjacentHTML('beforeend', `
+            <div class="map-view-info"></div>
+            <div class="map-live-indicator">
+                <span class="live-dot"></span>
+                ${I18n.t('mapLive')}
+            </div>
+        `);
+
+        this.densityLayer = new DensityLayer(this.map, {
+            radius: appSettings.get('heatmapRadius')
+        });
+
+        this.featureLayer = new FeatureLayer(this.map);
+
+        this.incidentLayer = new IncidentLayer(this.map, {
+            onSelect: (incident) => this.showIncidentDetails(incident)
+        });
+        this.incidentLayer.setIncidents(this.incidents);
+
+        this.map.element.insertAdjacentHTML('beforeend', `
+            <div class="map-summary hidden"></div>
+        `);
+
+        this.map.element.addEventListener('click', (e) => {
+            const hit = this.hitTest(e);
+            if (hit?.point) {
+                const point = hit.point;
+                this.showTrafficDetails(point.name || I18n.t('trafficSensor'), point.speed, Utils.getTrafficColor(point.congestion));
+            } else if (hit?.feature) {
+                this.showAggregateDetails(hit.feature);
+            }
+        });
+
+        this.map.element.addEventListener('mousemove', (e) => {
+            this.map.element.classList.toggle('over-point', !!this.hitTest(e));
+        });
+
+        Utils.events.on('settingsChanged', (settings) => {
+            if (settings.heatmapRadius !== undefined) {
+                this.densityLayer.setOptions({ radius: settings.heatmapRadius });
+            }
+        });
+    }
+
+    hitTest(e) {
+        const rect = this.map.element.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        // Individual readings are only drawn in the area view
+        const point = this.currentView === 'area' ? this.densityLayer.hitTest(x, y) : null;
+        if (point) return { point };
+
+        const feature = this.featureLayer.hitTest(x, y);
+        return feature ? { feature } : null;
+    }
+
+    getPoints() {
+        return (this.trafficData?.points || []).filter(point =>
+            Utils.isValidCoordinates(point.lat, point.lng)
+        );
+    }
+
+    renderOverlay() {
+        if (!this.map) return;
+
+        // Only re-project when the data changed; pans and zooms just redraw
+        if (this.renderedData !== this.trafficData) {
+            this.renderedData = this.trafficData;
+            this.densityLayer.setData(this.getPoints().map(point => ({
+                ...point,
+                weight: point.congestion
+            })));
+        } else {
+            this.densityLayer.render();
+        }
+        this.densityLayer.canvas.hidden = this.currentView !== 'area';
+
+        this.renderAggregates();
+        this.incidentLayer.render();
+
+        const viewInfo = this.map.element.querySelector('.map-view-info');
+        if (viewInfo) {
+            viewInfo.textContent = I18n.t(`mapViewInfo_${this.currentView}`, { zoom: Utils.formatNumber(this.zoomLevel) });
+        }
+
+        this.updateTimeIndicator();
+    }
+
+    updateTimeIndicator() {
+        const indicator = this.map.element.querySelector('.map-live-indicator');
+        if (!indicator) return;
+
+        const cursor = this.timeCursor;
+        const time = cursor ? Utils.formatTime(cursor.timestamp) : null;
+        const label = !cursor ? I18n.t('mapLive')
+            : !this.getPoints().length ? I18n.t('mapNoData', { time })
+            : I18n.t(cursor.mode === 'past' ? 'mapReplay' : 'mapForecast', { time });
+
+        indicator.classList.toggle('past', cursor?.mode === 'past');
+        indicator.classList.toggle('forecast', cursor?.mode === 'forecast');
+        indicator.lastChild.textContent = ` ${label}`;
+    }
+
+    renderAggregates() {
+        const view = this.currentView;
+        const points = this.getPoints();
+        let features = [];
+        let options = {};
+
+        if (view === 'road') {
+            if (!this.roadGraph) {
+                this.loadReferenceData();
+            } else {
+                features = this.getCachedAggregate('road', () => TrafficAggregator.byRoad(points, this.roadGraph));
+            }
+            options = { lineWidth: this.zoomLevel >= 16 ? 6 : this.zoomLevel >= 14 ? 4 : 2, label: null };
+        } else if (view === 'city') {
+            if (!this.districts) {
+                this.loadReferenceData();
+            } else {
+                features = this.getCachedAggregate('city', () => TrafficAggregator.byDistrict(points, this.districts));
+            }
+            options = { fillOpacity: 0.35, label: (district) => district.name };
+        } else {
+            // Cells cover roughly the same screen area at every zoom level
+            const cellSize = Math.min(Math.max(60 * Math.pow(2, 17 - this.zoomLevel), 60), 5000);
+            features = TrafficAggregator.byGrid(points, { cellSize: cellSize, shape: 'hex' });
+            options = { fillOpacity: 0.12, label: null };
+        }
+
+        this.featureLayer.setFeatures(features, options);
+        this.renderDistrictSummary(view === 'city' ? features : []);
+    }
+
+    getCachedAggregate(view, compute) {
+        const cached = this.aggregateCache.get(view);
+        if (cached && cached.data === this.trafficData) {
+            return cached.features;
+        }
+
+        const features = compute();
+        this.aggregateCache.set(view, { data: this.trafficData, features: features });
+        return features;
+    }
+
+    async loadReferenceData() {
+        if (this.referenceDataPromise) return;
+
+        try {
+            this.referenceDataPromise = Promise.all([
+                this.dataManager.getRoadGraph(),
+                this.dataManager.getDistricts()
+            ]);
+            [this.roadGraph, this.districts] = await this.referenceDataPromise;
+            this.renderOverlay();
+        } catch (error) {
+            console.error('Error loading map reference data:', error);
+            this.showError(I18n.t('referenceDataFailed'));
+        } finally {
+            this.referenceDataPromise = null;
+        }
+    }
+
+    renderDistrictSummary(districts) {
+        const summary = this.map.element.querySelector('.map-summary');
+        if (!summary) return;
+
+        const ranked = districts
+            .filter(district => district.count > 0)
+            .sort((a, b) => b.congestion - a.congestion)
+            .slice(0, 5);
+
+        summary.classList.toggle('hidden', !ranked.length);
+        summary.innerHTML = `
+            <div class="map-summary-title">${I18n.t('mostCongestedDistricts')}</div>
+            ${ranked.map(district => `
+                <div class="map-summary-row">
+                    <span class="status-dot ${district.status}"></span>
+                    <span class="map-summary-name">${district.name}</span>
+                    <span>${Number.isFinite(district.speed) ? Utils.formatSpeed(district.speed) : '–'}</span>
+                </div>
+            `).join('')}
         `;
     }
 
+    showAggregateDetails(feature) {
+        let message;
+        if (this.currentView === 'road') {
+            message = I18n.t('roadDetails', {
+                name: feature.name,
+                speed: Utils.formatSpeed(feature.speed),
+                freeFlow: Utils.formatSpeed(feature.freeFlowSpeed)
+            });
+        } else if (this.currentView === 'city') {
+            const details = {
+                name: feature.name,
+                speed: Utils.formatSpeed(feature.speed),
+                heavy: Utils.formatPercent(feature.heavyShare),
+                slowest: feature.slowest?.name
+            };
+            message = !feature.count ? I18n.t('districtNoReadings', details)
+                : feature.slowest ? I18n.t('districtDetailsSlowest', details)
+                : I18n.t('districtDetails', details);
+        } else {
+            message = I18n.plural('cellDetails', feature.count, { speed: Utils.formatSpeed(feature.speed) });
+        }
+
+        this.showStatusToast(message, feature.status);
+    }
+
     switchView(view) {
         this.currentView = view;
         document.querySelectorAll('[data-view]').forEach(btn => {
@@ -251,21 +438,28 @@ class HeatmapController {
     }
 
     zoomIn() {
-        this.zoomLevel = Math.min(this.zoomLevel + 1, 18);
-        this.renderHeatmap();
+        this.setZoom(this.zoomLevel + 1);
     }
 
     zoomOut() {
-        this.zoomLevel = Math.max(this.zoomLevel - 1, 1);
-        this.renderHeatmap();
+        this.setZoom(this.zoomLevel - 1);
+    }
+
+    setZoom(zoom) {
+        if (this.map) {
+            this.map.setZoom(zoom);
+        } else {
+            this.zoomLevel = Math.min(Math.max(zoom, 2), 18);
+        }
     }
 
     showLoading() {
-        if (this.container) {
+        // Keep the current map on screen while it refreshes
+        if (this.container && !this.map) {
             this.container.innerHTML = `
                 <div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #64748b;">
-                    <i class="fas fa-spinner fa-spin" style="margin-right: 8px;"></i>
-                    Loading traffic data...
+                    <i class="fas fa-spinner fa-spin" style="margin-inline-end: 8px;"></i>
+                    ${I18n.t('loadingTraffic')}
                 </div>
             `;
         }
@@ -276,76 +470,31 @@ class HeatmapController {
     }
 
     showError(message) {
+        if (this.map) {
+            window.ToastManager?.show({
+                type: 'error',
+                message: message,
+                icon: 'fa-exclamation-triangle',
+                duration: 4000
+            });
+            return;
+        }
+
         if (this.container) {
             this.container.innerHTML = `
                 <div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #ef4444;">
-                    <i class="fas fa-exclamation-triangle" style="margin-right: 8px;"></i>
+                    <i class="fas fa-exclamation-triangle" style="margin-inline-end: 8px;"></i>
                     ${message}
                 </div>
             `;
         }
     }
 
-    generateTrafficPoints() {
-        const points = [];
-        const numPoints = Math.min(15 + this.zoomLevel, 25);
-        
-        for (let i = 0; i < numPoints; i++) {
-            const intensity = ['light', 'moderate', 'heavy'][Math.floor(Math.random() * 3)];
-            const point = {
-                x: 10 + Math.random() * 80,
-                y: 10 + Math.random() * 80,
-                intensity: intensity,
-                size: intensity === 'heavy' ? 35 : intensity === 'moderate' ? 25 : 18,
-                speed: Math.round(20 + Math.random() * 60),
-                location: this.generateLocationName()
-            };
-            points.push(point);
-        }
-        
-        return points;
-    }
-    
-    generateRoadSegments() {
-        const segments = [];
-        
-        // Major highways
-        segments.push(
-            { path: 'M 20 30 Q 150 25 280 40', width: 4 },
-            { path: 'M 10 80 Q 100 75 200 85 Q 250 90 300 95', width: 4 },
-            { path: 'M 60 10 Q 65 50 70 120 Q 75 180 80 220', width: 4 }
-        );
-        
-        // Secondary roads
-        for (let i = 0; i < 8; i++) {
-            segments.push({
-                path: `M ${20 + i * 35} ${15 + Math.random() * 20} Q ${50 + i * 35} ${60 + Math.random() * 40} ${80 + i * 35} ${120 + Math.random() * 60}`,
-                width: 2
-            });
-        }
-        
-        return segments;
-    }
-    
-    generateLocationName() {
-        const locations = [
-            'Main St & 5th Ave', 'Highway 101', 'Downtown Area', 'Industrial Zone',
-            'Residential District', 'Commercial Center', 'Business Park', 'University Campus',
-            'Shopping Mall', 'Airport Access', 'Bridge Crossing', 'Tunnel Entrance'
-        ];
-        return locations[Math.floor(Math.random() * locations.length)];
-    }
-    
-    getIntensityColor(intensity) {
-        const colors = {
-            'light': 'radial-gradient(circle, rgba(34, 197, 94, 0.7), rgba(34, 197, 94, 0.1))',
-            'moderate': 'radial-gradient(circle, rgba(245, 158, 11, 0.8), rgba(245, 158, 11, 0.1))',
-            'heavy': 'radial-gradient(circle, rgba(239, 68, 68, 0.9), rgba(239, 68, 68, 0.1))'
-        };
-        return colors[intensity] || colors['moderate'];
-    }
-    
     showTrafficDetails(location, speed, intensity) {
+        this.showStatusToast(I18n.t(`pointDetails_${intensity}`, { name: location, speed: Utils.formatSpeed(speed) }), intensity);
+    }
+
+    showStatusToast(message, intensity) {
         if (window.ToastManager) {
             const icon = intensity === 'heavy' ? 'fa-exclamation-triangle' : 
                         intensity === 'moderate' ? 'fa-clock' : 'fa-check-circle';
@@ -354,7 +503,7 @@ class HeatmapController {
                         
             window.ToastManager.show({
                 type: type,
-                message: `${location}: ${speed} km/h avg speed • ${intensity.toUpperCase()} traffic`,
+                message: message,
                 icon: icon,
                 duration: 3000
             });
@@ -362,7 +511,7 @@ class HeatmapController {
     }
     
     updateTheme(theme) {
-        // Update visualization colors based on theme
+        // Tiles follow the theme through CSS; only the overlay needs redrawing
         this.renderHeatmap();
     }
 
@@ -0,0 +1,553 @@
+// ===== HISTORY STORE =====
+
+const HISTORY_DB_NAME = 'traffic_analyzer_history';
+const HISTORY_DB_VERSION = 1;
+
+const HISTORY_MINUTE = 60 * 1000;
+const HISTORY_HOUR = 60 * HISTORY_MINUTE;
+const HISTORY_DAY = 24 * HISTORY_HOUR;
+
+/**
+ * Bucket sizes used for downsampling, keyed by resolution id
+ */
+const HISTORY_RESOLUTIONS = {
+    '5m': 5 * HISTORY_MINUTE,
+    '1h': HISTORY_HOUR
+};
+
+/**
+ * Default retention per tier. Hourly buckets follow the
+ * `historyRetentionDays` setting.
+ */
+const HISTORY_RETENTION = {
+    raw: HISTORY_DAY,
+    '5m': 7 * HISTORY_DAY,
+    '1h': 30 * HISTORY_DAY
+};
+
+/**
+ * Analytics periods and their length
+ */
+const HISTORY_PERIODS = {
+    '1h': HISTORY_HOUR,
+    '6h': 6 * HISTORY_HOUR,
+    '24h': HISTORY_DAY,
+    '7d': 7 * HISTORY_DAY,
+    '30d': 30 * HISTORY_DAY
+};
+
+/**
+ * Time-series store for traffic snapshots in IndexedDB.
+ * Every snapshot is kept raw for a day and rolled into 5-minute and hourly
+ * buckets as it is written, so compaction only has to drop expired records.
+ * Segment names and locations are stored once in `segments`; snapshots and
+ * buckets only hold readings keyed by segment id.
+ * The store is shared by the background worker and the popup (same origin).
+ */
+class HistoryStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} [options.dbName] - IndexedDB database name
+     * @param {number} [options.maxChartPoints] - Max samples returned per series
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || HISTORY_DB_NAME;
+        this.maxChartPoints = options.maxChartPoints || 96;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and create or upgrade) the database
+     * @returns {Promise<IDBDatabase>} Database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, HISTORY_DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('snapshots')) {
+                        db.createObjectStore('snapshots', { keyPath: 'timestamp' });
+                    }
+                    if (!db.objectStoreNames.contains('buckets')) {
+                        db.createObjectStore('buckets', { keyPath: ['resolution', 'start'] });
+                    }
+                    if (!db.objectStoreNames.contains('segments')) {
+                        const segments = db.createObjectStore('segments', { keyPath: 'id' });
+                        segments.createIndex('lastSeen', 'lastSeen');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Save a traffic payload and fold it into the downsampled buckets
+     * @param {Object} traffic - Traffic data `{points, summary}`
+     * @param {number} [timestamp] - Capture time, defaults to now
+     * @returns {Promise<Object|null>} Stored snapshot, or null if it had no usable points
+     */
+    async addSnapshot(traffic, timestamp = Date.now()) {
+        const snapshot = HistoryStore.createSnapshot(traffic, timestamp);
+        if (!snapshot) return null;
+
+        const db = await this.open();
+        const tx = db.transaction(['snapshots', 'buckets', 'segments'], 'readwrite');
+        const buckets = tx.objectStore('buckets');
+        const segments = tx.objectStore('segments');
+
+        tx.objectStore('snapshots').put(snapshot);
+        traffic.points
+            .filter(p => p.id !== undefined && Utils.isValidCoordinates(p.lat, p.lng))
+            .forEach(p => segments.put({
+                id: p.id,
+                name: p.name,
+                lat: p.lat,
+                lng: p.lng,
+                freeFlowSpeed: p.freeFlowSpeed,
+                lastSeen: timestamp
+            }));
+        Object.entries(HISTORY_RESOLUTIONS).forEach(([resolution, size]) => {
+            const start = Math.floor(timestamp / size) * size;
+            const request = buckets.get([resolution, start]);
+            request.onsuccess = () => {
+                const bucket = request.result || HistoryStore.createBucket(resolution, start);
+                buckets.put(HistoryStore.mergeSnapshot(bucket, snapshot));
+            };
+        });
+
+        await HistoryStore.transactionDone(tx);
+        return snapshot;
+    }
+
+    /**
+     * Get raw snapshots in a time range
+     * @param {number} from - Start timestamp (inclusive)
+     * @param {number} to - End timestamp (inclusive)
+     * @returns {Promise<Array>} Snapshots, oldest first
+     */
+    async getSnapshots(from, to) {
+        const db = await this.open();
+        const store = db.transaction('snapshots').objectStore('snapshots');
+        return HistoryStore.request(store.getAll(IDBKeyRange.bound(from, to)));
+    }
+
+    /**
+     * Get the name and location of every recorded segment
+     * @returns {Promise<Map>} Segment id -> `{id, name, lat, lng, freeFlowSpeed, lastSeen}`
+     */
+    async getSegments() {
+        const db = await this.open();
+        const store = db.transaction('segments').objectStore('segments');
+        const segments = await HistoryStore.request(store.getAll());
+        return new Map(segments.map(segment => [segment.id, segment]));
+    }
+
+    /**
+     * Get downsampled buckets in a time range
+     * @param {string} resolution - '5m' or '1h'
+     * @param {number} from - Start timestamp (inclusive)
+     * @param {number} to - End timestamp (inclusive)
+     * @returns {Promise<Array>} Buckets, oldest first
+     */
+    async getBuckets(resolution, from, to) {
+        const db = await this.open();
+        const store = db.transaction('buckets').objectStore('buckets');
+        return HistoryStore.request(store.getAll(IDBKeyRange.bound([resolution, from], [resolution, to])));
+    }
+
+    /**
+     * Build chart series for an analytics period from stored history.
+     * Periods up to a day read raw snapshots, up to a week 5-minute
+     * buckets and anything longer hourly buckets.
+     * @param {Object} params - Analytics parameters
+     * @param {string} [params.period] - '1h', '6h', '24h', '7d' or '30d'
+     * @returns {Promise<Object>} `{speedTrends, delayPatterns, congestionLevels, summary}`
+     */
+    async getAnalytics(params = {}) {
+        const period = HISTORY_PERIODS[params.period] ? params.period : '24h';
+        const to = Date.now();
+        const from = to - HISTORY_PERIODS[period];
+
+        let samples;
+        let resolution;
+        if (HISTORY_PERIODS[period] <= HISTORY_RETENTION.raw) {
+            resolution = 'raw';
+            samples = (await this.getSnapshots(from, to)).map(snapshot => ({
+                timestamp: snapshot.timestamp,
+                weight: 1,
+                speed: snapshot.averageSpeed,
+                congestion: snapshot.averageCongestion,
+                delay: snapshot.averageDelay,
+                peakCongestion: snapshot.averageCongestion
+            }));
+        } else {
+            resolution = HISTORY_PERIODS[period] <= HISTORY_RETENTION['5m'] ? '5m' : '1h';
+            const start = Math.floor(from / HISTORY_RESOLUTIONS[resolution]) * HISTORY_RESOLUTIONS[resolution];
+            samples = (await this.getBuckets(resolution, start, to)).map(bucket => ({
+                timestamp: bucket.start,
+                weight: bucket.samples,
+                speed: HistoryStore.mean(bucket.metrics.speed),
+                congestion: HistoryStore.mean(bucket.metrics.congestion),
+                delay: HistoryStore.mean(bucket.metrics.delay),
+                peakCongestion: bucket.peakCongestion
+            }));
+        }
+
+        const series = HistoryStore.downsample(samples, from, to, this.maxChartPoints);
+        const weightedMean = (key) => {
+            const valid = samples.filter(s => typeof s[key] === 'number');
+            const weight = valid.reduce((sum, s) => sum + s.weight, 0);
+            return weight ? valid.reduce((sum, s) => sum + s[key] * s.weight, 0) / weight : null;
+        };
+        const averageSpeed = weightedMean('speed');
+        const averageDelay = weightedMean('delay');
+
+        return {
+            speedTrends: series.map(s => ({ timestamp: s.timestamp, value: Math.round(s.speed) })),
+            delayPatterns: series.map(s => ({ timestamp: s.timestamp, value: Math.round(s.delay * 10) / 10 })),
+            congestionLevels: series.map(s => ({ timestamp: s.timestamp, value: Math.round(s.congestion * 100) / 100 })),
+            summary: {
+                averageSpeed: averageSpeed === null ? null : Math.round(averageSpeed),
+                averageDelay: averageDelay === null ? null : Math.round(averageDelay * 10) / 10,
+                peakCongestion: samples.length
+                    ? Math.round(Math.max(...samples.map(s => s.peakCongestion)) * 100) / 100
+                    : null,
+                samples: samples.reduce((sum, s) => sum + s.weight, 0),
+                resolution: resolution,
+                from: from,
+                to: to,
+                period: period
+            }
+        };
+    }
+
+    /**
+     * Rebuild the traffic payload recorded closest to a point in time.
+     * Uses the nearest raw snapshot within `tolerance`, then the 5-minute
+     * or hourly bucket containing the time.
+     * @param {number} timestamp - Time to replay
+     * @param {Object} options - Lookup options
+     * @param {number} [options.tolerance] - Max distance (ms) to a raw snapshot
+     * @returns {Promise<Object|null>} Traffic data `{points, summary}`, or null if nothing was recorded
+     */
+    async getTrafficAt(timestamp, options = {}) {
+        const tolerance = options.tolerance || 10 * HISTORY_MINUTE;
+        const segments = await this.getSegments();
+
+        const snapshots = await this.getSnapshots(timestamp - tolerance, timestamp + tolerance);
+        if (snapshots.length) {
+            const nearest = snapshots.reduce((best, snapshot) =>
+                Math.abs(snapshot.timestamp - timestamp) < Math.abs(best.timestamp - timestamp) ? snapshot : best
+            );
+            const readings = new Map(nearest.points.map(p => [p.id, p]));
+            return HistoryStore.toTraffic(readings, segments, { timestamp: nearest.timestamp, source: 'snapshot' });
+        }
+
+        for (const [resolution, size] of Object.entries(HISTORY_RESOLUTIONS)) {
+            const start = Math.floor(timestamp / size) * size;
+            const [bucket] = await this.getBuckets(resolution, start, start);
+            if (bucket) {
+                return HistoryStore.toTraffic(HistoryStore.segmentMeans([bucket]), segments, {
+                    timestamp: start,
+                    source: resolution
+                });
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Drop records older than each tier's retention
+     * @param {Object} options - Compaction options
+     * @param {number} [options.retentionDays] - How long hourly buckets are kept
+     * @param {number} [options.now] - Reference time
+     * @returns {Promise<void>}
+     */
+    async compact(options = {}) {
+        const now = options.now || Date.now();
+        const retention = {
+            ...HISTORY_RETENTION,
+            '1h': options.retentionDays ? options.retentionDays * HISTORY_DAY : HISTORY_RETENTION['1h']
+        };
+
+        const db = await this.open();
+        const tx = db.transaction(['snapshots', 'buckets', 'segments'], 'readwrite');
+        const buckets = tx.objectStore('buckets');
+
+        tx.objectStore('snapshots').delete(IDBKeyRange.upperBound(now - retention.raw, true));
+        Object.keys(HISTORY_RESOLUTIONS).forEach(resolution => {
+            buckets.delete(IDBKeyRange.bound([resolution, 0], [resolution, now - retention[resolution]], false, true));
+        });
+
+        // Segments no longer referenced by any bucket
+        const stale = tx.objectStore('segments').index('lastSeen')
+            .openCursor(IDBKeyRange.upperBound(now - retention['1h'], true));
+        stale.onsuccess = () => {
+            const cursor = stale.result;
+            if (!cursor) return;
+            cursor.delete();
+            cursor.continue();
+        };
+
+        await HistoryStore.transactionDone(tx);
+    }
+
+    /**
+     * Delete all stored history
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const db = await this.open();
+        const tx = db.transaction(['snapshots', 'buckets', 'segments'], 'readwrite');
+        tx.objectStore('snapshots').clear();
+        tx.objectStore('buckets').clear();
+        tx.objectStore('segments').clear();
+        await HistoryStore.transactionDone(tx);
+    }
+
+    /**
+     * Reduce a traffic payload to the fields kept in history.
+     * Delay is the time lost per 10 km against free flow. Points without a
+     * free-flow speed use the 95th percentile speed of the snapshot instead.
+     * @param {Object} traffic - Traffic data `{points, summary}`
+     * @param {number} timestamp - Capture time
+     * @returns {Object|null} Snapshot
+     */
+    static createSnapshot(traffic, timestamp) {
+        const points = (traffic?.points || []).filter(p =>
+            p.id !== undefined && typeof p.congestion === 'number' && typeof p.speed === 'number'
+        );
+        if (!points.length) return null;
+
+        const referenceSpeed = HistoryStore.percentile(points.map(p => p.speed), 0.95);
+        const delays = points.map(p => HistoryStore.delayPer10Km(p.speed, p.freeFlowSpeed || referenceSpeed));
+        const average = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+        return {
+            timestamp: timestamp,
+            provider: traffic.summary?.provider || null,
+            averageSpeed: average(points.map(p => p.speed)),
+            averageCongestion: average(points.map(p => p.congestion)),
+            averageDelay: average(delays),
+            points: points.map(p => ({
+                id: p.id,
+                congestion: Math.round(p.congestion * 1000) / 1000,
+                speed: p.speed
+            }))
+        };
+    }
+
+    /**
+     * Create an empty bucket
+     * @param {string} resolution - Resolution id
+     * @param {number} start - Bucket start timestamp
+     * @returns {Object} Bucket
+     */
+    static createBucket(resolution, start) {
+        return {
+            resolution: resolution,
+            start: start,
+            samples: 0,
+            metrics: { speed: [0, 0], congestion: [0, 0], delay: [0, 0] },
+            peakCongestion: 0,
+            segments: {}
+        };
+    }
+
+    /**
+     * Add a snapshot to a bucket's running sums
+     * @param {Object} bucket - Bucket
+     * @param {Object} snapshot - Snapshot
+     * @returns {Object} The same bucket
+     */
+    static mergeSnapshot(bucket, snapshot) {
+        const add = (sum, value) => {
+            sum[0] += value;
+            sum[1] += 1;
+        };
+
+        bucket.samples += 1;
+        add(bucket.metrics.speed, snapshot.averageSpeed);
+        add(bucket.metrics.congestion, snapshot.averageCongestion);
+        add(bucket.metrics.delay, snapshot.averageDelay);
+        bucket.peakCongestion = Math.max(bucket.peakCongestion, snapshot.averageCongestion);
+
+        // Per-segment sums as [congestionSum, speedSum, count]
+        snapshot.points.forEach(point => {
+            const segment = bucket.segments[point.id] || (bucket.segments[point.id] = [0, 0, 0]);
+            segment[0] += point.congestion;
+            segment[1] += point.speed;
+            segment[2] += 1;
+        });
+
+        return bucket;
+    }
+
+    /**
+     * Per-segment mean readings across buckets
+     * @param {Array} buckets - Buckets
+     * @returns {Map} Segment id -> `{congestion, speed}`
+     */
+    static segmentMeans(buckets) {
+        const sums = new Map();
+        buckets.forEach(bucket => {
+            Object.entries(bucket.segments).forEach(([id, [congestion, speed, count]]) => {
+                const sum = sums.get(id) || [0, 0, 0];
+                sums.set(id, [sum[0] + congestion, sum[1] + speed, sum[2] + count]);
+            });
+        });
+
+        const means = new Map();
+        sums.forEach(([congestion, speed, count], id) => {
+            means.set(id, { congestion: congestion / count, speed: speed / count });
+        });
+        return means;
+    }
+
+    /**
+     * Join readings with segment metadata into the `{points, summary}`
+     * shape returned by traffic providers
+     * @param {Map} readings - Segment id -> `{congestion, speed}`
+     * @param {Map} segments - Segment id -> metadata
+     * @param {Object} extra - Extra summary fields (`timestamp`, `source`, ...)
+     * @returns {Object} Traffic data
+     */
+    static toTraffic(readings, segments, extra = {}) {
+        const points = [];
+        readings.forEach((reading, id) => {
+            // Bucket keys are strings; snapshot ids keep their original type
+            const segment = segments.get(id) ?? segments.get(Number(id));
+            if (!segment) return;
+
+            points.push({
+                id: segment.id,
+                name: segment.name,
+                lat: segment.lat,
+                lng: segment.lng,
+                congestion: reading.congestion,
+                speed: Math.round(reading.speed),
+                freeFlowSpeed: segment.freeFlowSpeed,
+                timestamp: extra.timestamp
+            });
+        });
+
+        const average = (key) => points.length
+            ? points.reduce((sum, p) => sum + p[key], 0) / points.length
+            : 0;
+
+        return {
+            points: points,
+            summary: {
+                averageCongestion: Math.round(average('congestion') * 100) / 100,
+                averageSpeed: Math.round(average('speed')),
+                totalPoints: points.length,
+                lastUpdated: extra.timestamp,
+                ...extra
+            }
+        };
+    }
+
+    /**
+     * Average samples into at most `maxPoints` equal time windows
+     * @param {Array} samples - Samples `{timestamp, weight, speed, congestion, delay}`, oldest first
+     * @param {number} from - Range start
+     * @param {number} to - Range end
+     * @param {number} maxPoints - Max number of windows
+     * @returns {Array} Averaged samples, stamped with the window start
+     */
+    static downsample(samples, from, to, maxPoints) {
+        if (samples.length <= maxPoints) return samples;
+
+        const width = (to - from) / maxPoints;
+        const windows = new Map();
+
+        samples.forEach(sample => {
+            const index = Math.min(Math.floor((sample.timestamp - from) / width), maxPoints - 1);
+            if (!windows.has(index)) {
+                windows.set(index, { timestamp: Math.round(from + index * width), weight: 0, speed: 0, congestion: 0, delay: 0 });
+            }
+
+            const window = windows.get(index);
+            window.weight += sample.weight;
+            ['speed', 'congestion', 'delay'].forEach(key => {
+                window[key] += sample[key] * sample.weight;
+            });
+        });
+
+        return [...windows.values()].map(window => ({
+            timestamp: window.timestamp,
+            weight: window.weight,
+            speed: window.speed / window.weight,
+            congestion: window.congestion / window.weight,
+            delay: window.delay / window.weight
+        }));
+    }
+
+    /**
+     * Minutes lost per 10 km compared to free flow
+     * @param {number} speed - Current speed (km/h)
+     * @param {number} freeFlowSpeed - Free-flow speed (km/h)
+     * @returns {number} Delay in minutes
+     */
+    static delayPer10Km(speed, freeFlowSpeed) {
+        if (!freeFlowSpeed) return 0;
+        const current = Math.max(speed, 1); // Stopped traffic would make the delay infinite
+        return Math.max(600 / current - 600 / freeFlowSpeed, 0);
+    }
+
+    /**
+     * Percentile of a list of numbers (nearest rank)
+     * @param {Array<number>} values - Values
+     * @param {number} p - Percentile (0-1)
+     * @returns {number} Value
+     */
+    static percentile(values, p) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.min(Math.ceil(p * sorted.length) - 1, sorted.length - 1)];
+    }
+
+    /**
+     * Mean of a `[sum, count]` pair
+     * @param {Array<number>} sum - Running sum
+     * @returns {number|null} Mean
+     */
+    static mean([total, count]) {
+        return count ? total / count : null;
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request - Request
+     * @returns {Promise<*>} Request result
+     */
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Resolve when a transaction commits
+     * @param {IDBTransaction} tx - Transaction
+     * @returns {Promise<void>}
+     */
+    static transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+        });
+    }
+}
+
+self.HistoryStore = HistoryStore;
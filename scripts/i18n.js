@@ -0,0 +1,114 @@
+// ===== I18N =====
+
+/**
+ * Translated strings from the `_locales/<language>/messages.json` catalogs,
+ * read through chrome.i18n in the browser's UI language.
+ *
+ * Messages take `{name}` placeholders, filled from the params given to t().
+ * A plural message is a set of messages named `<key>_<category>`, one per
+ * Intl.PluralRules category the language uses (`zero`, `one`, `two`, `few`,
+ * `many`, `other`); the `_other` form is required and `{count}` holds the
+ * formatted count. Forms are chosen by the rules of the catalog's
+ * `catalogLanguage`, which is the default catalog's when chrome.i18n falls
+ * back to it.
+ */
+class I18n {
+    static pluralRules = null;
+
+    /**
+     * Get the language strings are shown in
+     * @returns {string} BCP 47 language tag
+     */
+    static getLanguage() {
+        if (typeof chrome !== 'undefined' && chrome.i18n) {
+            return chrome.i18n.getUILanguage();
+        }
+        return (typeof navigator !== 'undefined' && navigator.language) || 'en';
+    }
+
+    /**
+     * Get the text direction of the language
+     * @returns {string} 'ltr' or 'rtl'
+     */
+    static getDirection() {
+        return I18n.getMessage('@@bidi_dir') || 'ltr';
+    }
+
+    /**
+     * Look up a message in the catalog
+     * @param {string} key - Message name
+     * @returns {string} Message, or an empty string if there is none
+     */
+    static getMessage(key) {
+        if (typeof chrome === 'undefined' || !chrome.i18n) return '';
+        return chrome.i18n.getMessage(key);
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message name
+     * @param {Object} [params] - Values for the message's `{name}` placeholders
+     * @returns {string} Translated text; the key itself if the message is missing
+     */
+    static t(key, params = {}) {
+        const message = I18n.getMessage(key);
+        if (!message) {
+            console.warn(`Missing message "${key}"`);
+            return key;
+        }
+        return I18n.interpolate(message, params);
+    }
+
+    /**
+     * Translate a message whose wording depends on a count
+     * @param {string} key - Message name without the plural category
+     * @param {number} count - Count choosing the plural form
+     * @param {Object} [params] - Values for other placeholders
+     * @returns {string} Translated text
+     */
+    static plural(key, count, params = {}) {
+        if (!I18n.pluralRules) {
+            I18n.pluralRules = new Intl.PluralRules(I18n.getMessage('catalogLanguage') || I18n.getLanguage());
+        }
+
+        const category = I18n.pluralRules.select(count);
+        const name = I18n.getMessage(`${key}_${category}`) ? `${key}_${category}` : `${key}_other`;
+        return I18n.t(name, { count: Utils.formatNumber(count), ...params });
+    }
+
+    /**
+     * Fill `{name}` placeholders; unknown placeholders are left as they are
+     * @param {string} message - Message text
+     * @param {Object} params - Placeholder values
+     * @returns {string} Text
+     */
+    static interpolate(message, params) {
+        return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+    }
+
+    /**
+     * Translate static markup. Elements name their message in `data-i18n`
+     * (text content) or `data-i18n-title`, `data-i18n-placeholder` and
+     * `data-i18n-aria-label` (attributes). Translating the whole document also
+     * sets its language and direction.
+     * @param {Document|HTMLElement} [root] - Markup to translate
+     */
+    static localizePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = I18n.t(element.dataset.i18n);
+        });
+
+        ['title', 'placeholder', 'aria-label'].forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, I18n.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+
+        if (root === document) {
+            document.documentElement.lang = I18n.getLanguage();
+            document.documentElement.dir = I18n.getDirection();
+        }
+    }
+}
+
+self.I18n = I18n;
@@ -0,0 +1,105 @@
+// ===== INCIDENT LAYER =====
+
+/**
+ * Marker layer for a SlippyMap showing incidents as icon pins, one element
+ * per incident, colored by severity
+ */
+class IncidentLayer {
+    /**
+     * @param {SlippyMap} map - Map the layer is drawn on
+     * @param {Object} options - Layer options
+     * @param {Function} [options.onSelect] - Called with the incident whose marker was clicked
+     */
+    constructor(map, options = {}) {
+        this.map = map;
+        this.onSelect = options.onSelect || (() => {});
+        this.incidents = [];
+        this.markers = new Map(); // incident ID -> element
+
+        this.pane = Utils.createElement('div', { className: 'incident-layer' });
+        this.map.overlayPane.appendChild(this.pane);
+
+        // Markers are not drag handles; without this the map captures the
+        // pointer and the click never reaches the marker
+        this.pane.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('.incident-marker')) e.stopPropagation();
+        });
+
+        this.pane.addEventListener('click', (e) => {
+            const marker = e.target.closest('.incident-marker');
+            if (!marker) return;
+
+            // Keep the map from also treating the click as a traffic point hit
+            e.stopPropagation();
+            const incident = this.incidents.find(i => i.id === marker.dataset.id);
+            if (incident) this.onSelect(incident);
+        });
+    }
+
+    /**
+     * Set the incidents to show
+     * @param {Array} incidents - Incidents
+     */
+    setIncidents(incidents) {
+        this.incidents = incidents || [];
+        const ids = new Set(this.incidents.map(incident => incident.id));
+
+        this.markers.forEach((marker, id) => {
+            if (!ids.has(id)) {
+                marker.remove();
+                this.markers.delete(id);
+            }
+        });
+
+        this.incidents.forEach(incident => {
+            if (this.markers.has(incident.id)) return;
+
+            const { label, icon } = Incidents.typeInfo(incident.type);
+            const title = I18n.t('incidentMarkerTitle', { type: label, title: incident.title });
+            const marker = Utils.createElement('button', {
+                className: `incident-marker ${incident.severity}${incident.closed ? ' closed' : ''}`,
+                title: title,
+                'aria-label': title
+            });
+            marker.dataset.id = incident.id;
+            marker.innerHTML = `<i class="fas ${icon}"></i>`;
+            this.markers.set(incident.id, marker);
+            this.pane.appendChild(marker);
+        });
+
+        this.render();
+    }
+
+    /**
+     * Position markers for the current map view
+     */
+    render() {
+        this.incidents.forEach(incident => {
+            const marker = this.markers.get(incident.id);
+            const point = this.map.latLngToPoint(incident.location.lat, incident.location.lng);
+            marker.style.transform = `translate(${Math.round(point.x)}px, ${Math.round(point.y)}px)`;
+        });
+    }
+
+    /**
+     * Highlight one incident's marker
+     * @param {string|null} id - Incident ID, or null to clear
+     */
+    highlight(id) {
+        this.markers.forEach((marker, markerId) => {
+            marker.classList.toggle('highlighted', markerId === id);
+        });
+    }
+
+    /**
+     * Remove the layer from the map
+     */
+    remove() {
+        this.pane.remove();
+        this.markers.clear();
+        this.incidents = [];
+    }
+}
+
+// Make globally available
+window.IncidentLayer = IncidentLayer;
@@ -0,0 +1,365 @@
+// ===== INCIDENTS =====
+
+/**
+ * Incident types with their icon; labels are the `incidentType_<type>` messages
+ */
+const INCIDENT_TYPES = {
+    accident: { icon: 'fa-car-crash' },
+    construction: { icon: 'fa-hard-hat' },
+    closure: { icon: 'fa-ban' },
+    congestion: { icon: 'fa-traffic-light' },
+    event: { icon: 'fa-calendar-alt' },
+    hazard: { icon: 'fa-exclamation-triangle' },
+    weather: { icon: 'fa-cloud-rain' }
+};
+
+/**
+ * Severities in increasing order, with the share of the current speed
+ * traffic keeps on the affected road
+ */
+const INCIDENT_SEVERITIES = {
+    minor: { rank: 1, speedFactor: 0.85 },
+    moderate: { rank: 2, speedFactor: 0.6 },
+    major: { rank: 3, speedFactor: 0.35 },
+    severe: { rank: 4, speedFactor: 0.15 }
+};
+
+/**
+ * Open511 `event_type` -> incident type
+ */
+const OPEN511_TYPES = {
+    CONSTRUCTION: 'construction',
+    SPECIAL_EVENT: 'event',
+    WEATHER_CONDITION: 'weather',
+    ROAD_CONDITION: 'hazard',
+    INCIDENT: 'hazard'
+};
+
+/**
+ * DATEX II situation record `xsi:type` -> incident type
+ */
+const DATEX2_TYPES = {
+    Accident: 'accident',
+    VehicleObstruction: 'hazard',
+    ConstructionWorks: 'construction',
+    MaintenanceWorks: 'construction',
+    Roadworks: 'construction',
+    RoadOrCarriagewayOrLaneManagement: 'closure',
+    AbnormalTraffic: 'congestion',
+    PublicEvent: 'event',
+    DisturbanceActivity: 'event',
+    PoorEnvironmentConditions: 'weather',
+    WeatherRelatedRoadConditions: 'weather'
+};
+
+/**
+ * DATEX II severity -> incident severity
+ */
+const DATEX2_SEVERITIES = {
+    none: 'minor',
+    lowest: 'minor',
+    low: 'minor',
+    medium: 'moderate',
+    high: 'major',
+    highest: 'severe'
+};
+
+/**
+ * Traffic incidents: the normalized incident shape, feed parsers and helpers.
+ *
+ * An incident is `{id, type, severity, closed, title, description, road,
+ * location: {lat, lng}, startTime, endTime, delay, source}`. Times are
+ * milliseconds (endTime null when open-ended) and delay is the reported delay
+ * in minutes, or null when the feed gives none.
+ */
+class Incidents {
+    /**
+     * Fill in defaults and drop incidents without a usable location
+     * @param {Object} incident - Incident-like object
+     * @param {string} [source] - Source to use when the incident has none
+     * @returns {Object|null} Normalized incident
+     */
+    static normalize(incident, source) {
+        const location = incident.location || {};
+        const lat = parseFloat(location.lat);
+        const lng = parseFloat(location.lng);
+        if (!Utils.isValidCoordinates(lat, lng)) return null;
+
+        const type = INCIDENT_TYPES[incident.type] ? incident.type : 'hazard';
+        const closed = !!incident.closed || type === 'closure';
+        const severity = closed ? 'severe'
+            : INCIDENT_SEVERITIES[incident.severity] ? incident.severity : 'moderate';
+        const time = (value) => {
+            const timestamp = value ? new Date(value).getTime() : NaN;
+            return isNaN(timestamp) ? null : timestamp;
+        };
+
+        return {
+            id: String(incident.id || Utils.generateId()),
+            type: type,
+            severity: severity,
+            closed: closed,
+            title: incident.title || (incident.road
+                ? I18n.t('incidentOnRoad', { type: Incidents.typeInfo(type).label, road: incident.road })
+                : Incidents.typeInfo(type).label),
+            description: incident.description || '',
+            road: incident.road || '',
+            location: { lat, lng },
+            startTime: time(incident.startTime) || Date.now(),
+            endTime: time(incident.endTime),
+            delay: typeof incident.delay === 'number' ? Math.round(incident.delay) : null,
+            source: incident.source || source || 'manual'
+        };
+    }
+
+    /**
+     * Whether an incident is in effect at a time
+     * @param {Object} incident - Incident
+     * @param {number} [time] - Timestamp (defaults to now)
+     * @returns {boolean} True if active
+     */
+    static isActive(incident, time = Date.now()) {
+        return incident.startTime <= time && (incident.endTime === null || incident.endTime > time);
+    }
+
+    /**
+     * Share of the current speed traffic keeps past an incident
+     * @param {Object} incident - Incident
+     * @returns {number} Speed factor (0 for closures)
+     */
+    static speedFactor(incident) {
+        return incident.closed ? 0 : INCIDENT_SEVERITIES[incident.severity].speedFactor;
+    }
+
+    /**
+     * Sort incidents most severe first, then most recent
+     * @param {Array} incidents - Incidents
+     * @returns {Array} Sorted copy
+     */
+    static sort(incidents) {
+        return [...incidents].sort((a, b) =>
+            INCIDENT_SEVERITIES[b.severity].rank - INCIDENT_SEVERITIES[a.severity].rank ||
+            b.startTime - a.startTime
+        );
+    }
+
+    /**
+     * Display label and icon for an incident type
+     * @param {string} type - Incident type
+     * @returns {{label: string, icon: string}} Type info
+     */
+    static typeInfo(type) {
+        const known = INCIDENT_TYPES[type] ? type : 'hazard';
+        return { label: I18n.t(`incidentType_${known}`), icon: INCIDENT_TYPES[known].icon };
+    }
+
+    /**
+     * Parse a feed file, detecting its format
+     * @param {string} text - File contents
+     * @param {string} source - Source name stored on every incident
+     * @returns {Array} Normalized incidents
+     */
+    static parseFeed(text, source) {
+        const trimmed = text.trim();
+        if (trimmed.startsWith('<')) {
+            return Incidents.parseDatex2(trimmed, source);
+        }
+
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(I18n.t('feedNotJsonOrXml'));
+        }
+
+        if (Array.isArray(data?.events)) {
+            return Incidents.parseOpen511(data, source);
+        }
+        if (Array.isArray(data) || Array.isArray(data?.incidents)) {
+            return (Array.isArray(data) ? data : data.incidents)
+                .map(incident => Incidents.normalize(incident, source))
+                .filter(Boolean);
+        }
+        throw new Error(I18n.t('feedUnrecognized'));
+    }
+
+    /**
+     * Parse an Open511 JSON events document
+     * @param {Object} data - `{events: [...]}`
+     * @param {string} source - Source name
+     * @returns {Array} Normalized incidents
+     */
+    static parseOpen511(data, source) {
+        return data.events
+            .filter(event => !event.status || event.status === 'ACTIVE')
+            .map(event => {
+                const subtypes = event.event_subtypes || [];
+                const roads = event.roads || [];
+                const [interval] = event.schedule?.intervals || [];
+                const [start, end] = interval ? interval.split('/') : [];
+
+                let type = OPEN511_TYPES[event.event_type] || 'hazard';
+                if (subtypes.includes('ACCIDENT')) type = 'accident';
+
+                return Incidents.normalize({
+                    id: event.id,
+                    type: type,
+                    severity: (event.severity || '').toLowerCase(),
+                    closed: roads.some(road => road.state === 'CLOSED'),
+                    title: event.headline && event.headline !== event.event_type ? event.headline : null,
+                    description: event.description,
+                    road: roads[0]?.name,
+                    location: Incidents.geometryLocation(event.geography),
+                    startTime: start || event.created,
+                    endTime: end || null,
+                    delay: null
+                }, source);
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse a DATEX II situation publication (v2 or v3)
+     * @param {string} xml - XML document
+     * @param {string} source - Source name
+     * @returns {Array} Normalized incidents
+     */
+    static parseDatex2(xml, source) {
+        if (typeof DOMParser === 'undefined') {
+            throw new Error(I18n.t('feedNeedsDomParser'));
+        }
+
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) {
+            throw new Error(I18n.t('feedXmlInvalid'));
+        }
+
+        // Namespace prefixes differ between versions, so match local names only
+        const all = (element, name) => Array.from(element.getElementsByTagNameNS('*', name));
+        const text = (element, name) => all(element, name)[0]?.textContent.trim() || null;
+
+        const records = all(doc, 'situationRecord');
+        if (!records.length && !all(doc, 'situation').length) {
+            throw new Error(I18n.t('feedUnrecognized'));
+        }
+
+        return records.map(record => {
+            const recordType = (record.getAttributeNS('http://www.w3.org/2001/XMLSchema-instance', 'type') || '')
+                .split(':').pop();
+            const management = text(record, 'roadOrCarriagewayOrLaneManagementType') || '';
+            const delay = parseFloat(text(record, 'delayTimeValue'));
+
+            // Free-text comments nest their text in values/value
+            const comment = all(record, 'generalPublicComment')[0];
+
+            return Incidents.normalize({
+                id: record.getAttribute('id'),
+                // Obstructions and other record types are treated as hazards
+                type: DATEX2_TYPES[recordType] || 'hazard',
+                severity: DATEX2_SEVERITIES[text(record, 'severity')] || 'moderate',
+                closed: /closed|closure/i.test(management),
+                description: comment ? text(comment, 'value') : '',
+                road: text(record, 'roadName') || text(record, 'roadNumber'),
+                location: {
+                    lat: text(record, 'latitude'),
+                    lng: text(record, 'longitude')
+                },
+                startTime: text(record, 'overallStartTime') || text(record, 'situationRecordCreationTime'),
+                endTime: text(record, 'overallEndTime'),
+                delay: isNaN(delay) ? null : delay / 60
+            }, source);
+        }).filter(Boolean);
+    }
+
+    /**
+     * Representative point of a GeoJSON geometry
+     * @param {Object} geometry - Point, LineString or MultiLineString
+     * @returns {Object|null} `{lat, lng}`
+     */
+    static geometryLocation(geometry) {
+        if (!geometry) return null;
+
+        let coordinates = geometry.coordinates;
+        if (geometry.type === 'MultiLineString') coordinates = coordinates[0];
+        if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+            coordinates = coordinates[Math.floor(coordinates.length / 2)];
+        }
+        return Array.isArray(coordinates) ? { lat: coordinates[1], lng: coordinates[0] } : null;
+    }
+}
+
+/**
+ * Incidents persisted in chrome.storage.local, grouped by the feed they came from
+ */
+class IncidentStore {
+    /**
+     * @param {Object} [storage] - chrome.storage area (defaults to chrome.storage.local, or memory)
+     */
+    constructor(storage) {
+        this.storage = storage || (typeof chrome !== 'undefined' && chrome.storage ? chrome.storage.local : null);
+        this.memory = [];
+        this.key = 'incidents';
+    }
+
+    /**
+     * Get every stored incident
+     * @returns {Promise<Array>} Incidents
+     */
+    async getAll() {
+        if (!this.storage) return this.memory;
+
+        const result = await this.storage.get({ [this.key]: [] });
+        return result[this.key];
+    }
+
+    /**
+     * Get the incidents in effect at a time, most severe first
+     * @param {number} [time] - Timestamp (defaults to now)
+     * @returns {Promise<Array>} Active incidents
+     */
+    async getActive(time = Date.now()) {
+        return Incidents.sort((await this.getAll()).filter(incident => Incidents.isActive(incident, time)));
+    }
+
+    /**
+     * Replace the incidents of a source
+     * @param {Array} incidents - Normalized incidents
+     * @param {string} source - Source name
+     * @returns {Promise<number>} Number of incidents stored for the source
+     */
+    async replaceSource(incidents, source) {
+        const now = Date.now();
+        const kept = (await this.getAll()).filter(incident =>
+            incident.source !== source &&
+            // Incidents that ended over a day ago are no longer useful for replay
+            (incident.endTime === null || incident.endTime > now - 86400000)
+        );
+
+        await this.save([...kept, ...incidents.map(incident => ({ ...incident, source }))]);
+        return incidents.length;
+    }
+
+    /**
+     * Remove stored incidents
+     * @param {string} [source] - Only remove this source's incidents
+     */
+    async clear(source) {
+        const incidents = source ? (await this.getAll()).filter(i => i.source !== source) : [];
+        await this.save(incidents);
+    }
+
+    /**
+     * Write the incident list
+     * @param {Array} incidents - Incidents
+     */
+    async save(incidents) {
+        if (!this.storage) {
+            this.memory = incidents;
+            return;
+        }
+        await this.storage.set({ [this.key]: incidents });
+    }
+}
+
+self.Incidents = Incidents;
+self.IncidentStore = IncidentStore;
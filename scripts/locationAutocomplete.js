@@ -0,0 +1,272 @@
+// ===== LOCATION AUTOCOMPLETE =====
+
+const RECENT_PLACES_KEY = 'traffic_analyzer_recent_places';
+
+class LocationAutocomplete {
+    /**
+     * @param {HTMLInputElement} input - Location input
+     * @param {Object} options - Autocomplete options
+     * @param {Function} options.search - Async `(query) => places`
+     * @param {Function} [options.onSelect] - Called with the selected place
+     * @param {number} [options.minLength] - Characters typed before searching
+     */
+    constructor(input, options = {}) {
+        this.input = input;
+        this.search = options.search;
+        this.onSelect = options.onSelect || (() => {});
+        this.minLength = options.minLength || 2;
+        this.storageKey = RECENT_PLACES_KEY;
+        this.maxRecent = 8;
+        this.suggestions = [];
+        this.activeIndex = -1;
+        this.selectedPlace = null;
+        this.requestId = 0;
+        this.list = null;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the dropdown and input wiring
+     */
+    init() {
+        this.list = Utils.createElement('ul', {
+            className: 'location-suggestions hidden',
+            id: `${this.input.id}Suggestions`,
+            role: 'listbox'
+        });
+        this.input.parentNode.appendChild(this.list);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('autocomplete', 'off');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', this.list.id);
+        this.input.setAttribute('aria-expanded', 'false');
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        const debouncedUpdate = Utils.debounce(() => this.update(), 250);
+
+        this.input.addEventListener('input', () => {
+            // Typing invalidates the place picked earlier
+            this.selectedPlace = null;
+            debouncedUpdate();
+        });
+
+        this.input.addEventListener('focus', () => this.update());
+        this.input.addEventListener('blur', () => this.close());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        // mousedown fires before the input blurs and closes the list
+        this.list.addEventListener('mousedown', (e) => {
+            const item = e.target.closest('.location-suggestion');
+            if (!item) return;
+
+            e.preventDefault();
+            this.select(parseInt(item.dataset.index));
+        });
+    }
+
+    /**
+     * Handle keyboard navigation
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    handleKeydown(e) {
+        const isOpen = !this.list.classList.contains('hidden');
+
+        switch (e.key) {
+            case 'ArrowDown':
+                e.preventDefault();
+                if (!isOpen) {
+                    this.update();
+                } else {
+                    this.setActive((this.activeIndex + 1) % this.suggestions.length);
+                }
+                break;
+
+            case 'ArrowUp':
+                e.preventDefault();
+                if (isOpen) {
+                    this.setActive((this.activeIndex - 1 + this.suggestions.length) % this.suggestions.length);
+                }
+                break;
+
+            case 'Enter':
+                if (isOpen && this.activeIndex >= 0) {
+                    e.preventDefault();
+                    this.select(this.activeIndex);
+                }
+                break;
+
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    this.close();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Refresh suggestions for the current input value
+     */
+    async update() {
+        const query = this.input.value.trim();
+        const requestId = ++this.requestId;
+
+        if (!query) {
+            this.render(this.getRecentPlaces(), true);
+            return;
+        }
+
+        if (query.length < this.minLength) {
+            this.close();
+            return;
+        }
+
+        try {
+            const places = await this.search(query);
+
+            // Ignore responses for queries the user has already typed past
+            if (requestId !== this.requestId) return;
+            this.render(places, false);
+        } catch (error) {
+            console.error('Error searching locations:', error);
+            if (requestId === this.requestId) this.close();
+        }
+    }
+
+    /**
+     * Render suggestions
+     * @param {Array} places - Places to show
+     * @param {boolean} isRecent - Whether the places come from history
+     */
+    render(places, isRecent) {
+        this.suggestions = places;
+        this.activeIndex = -1;
+        this.list.innerHTML = '';
+
+        if (!places.length || document.activeElement !== this.input) {
+            this.close();
+            return;
+        }
+
+        places.forEach((place, index) => {
+            this.list.appendChild(Utils.createElement('li', {
+                className: 'location-suggestion',
+                id: `${this.list.id}-${index}`,
+                role: 'option',
+                'aria-selected': 'false',
+                dataset: { index: index }
+            }, [
+                Utils.createElement('i', {
+                    className: `fas ${isRecent ? 'fa-history' : LocationAutocomplete.getPlaceIcon(place.type)}`
+                }),
+                Utils.createElement('span', { className: 'suggestion-label' }, place.label)
+            ]));
+        });
+
+        this.list.classList.remove('hidden');
+        this.input.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Highlight a suggestion
+     * @param {number} index - Suggestion index
+     */
+    setActive(index) {
+        this.activeIndex = index;
+
+        this.list.querySelectorAll('.location-suggestion').forEach((item, i) => {
+            const isActive = i === index;
+            item.classList.toggle('active', isActive);
+            item.setAttribute('aria-selected', String(isActive));
+            if (isActive) item.scrollIntoView({ block: 'nearest' });
+        });
+
+        this.input.setAttribute('aria-activedescendant', `${this.list.id}-${index}`);
+    }
+
+    /**
+     * Select a suggestion
+     * @param {number} index - Suggestion index
+     */
+    select(index) {
+        const place = this.suggestions[index];
+        if (!place) return;
+
+        this.setPlace(place);
+        this.close();
+        this.onSelect(place);
+    }
+
+    /**
+     * Set the input to a resolved place
+     * @param {Object|null} place - Place `{label, lat, lng}`
+     */
+    setPlace(place) {
+        this.selectedPlace = place;
+        this.input.value = place ? place.label : '';
+    }
+
+    /**
+     * Hide the dropdown
+     */
+    close() {
+        this.list.classList.add('hidden');
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Get recently used places
+     * @returns {Array} Places, most recent first
+     */
+    getRecentPlaces() {
+        return Utils.storage.get(this.storageKey, []);
+    }
+
+    /**
+     * Add a place to the recent history
+     * @param {Object} place - Place `{label, lat, lng, type}`
+     */
+    addRecentPlace(place) {
+        if (!appSettings.get('saveRecentPlaces')) return;
+
+        const recent = this.getRecentPlaces().filter(p => p.label !== place.label);
+        recent.unshift({ label: place.label, lat: place.lat, lng: place.lng, type: place.type });
+        Utils.storage.set(this.storageKey, recent.slice(0, this.maxRecent));
+    }
+
+    /**
+     * Forget all recently used places
+     */
+    static clearRecentPlaces() {
+        Utils.storage.remove(RECENT_PLACES_KEY);
+    }
+
+    /**
+     * Get the icon for a place type
+     * @param {string} type - Place type
+     * @returns {string} Font Awesome icon class
+     */
+    static getPlaceIcon(type) {
+        return {
+            intersection: 'fa-map-pin',
+            landmark: 'fa-landmark',
+            station: 'fa-train',
+            park: 'fa-tree',
+            neighborhood: 'fa-city',
+            coordinates: 'fa-crosshairs'
+        }[type] || 'fa-map-marker-alt';
+    }
+}
+
+// Make globally available
+window.LocationAutocomplete = LocationAutocomplete;
@@ -0,0 +1,164 @@
+// ===== NAVIGATION CONTROLLER =====
+
+/**
+ * Icon per maneuver
+ */
+const NAVIGATION_ICONS = {
+    depart: 'fa-location-arrow',
+    continue: 'fa-arrow-up',
+    'slight-left': 'fa-arrow-left',
+    'slight-right': 'fa-arrow-right',
+    left: 'fa-arrow-left',
+    right: 'fa-arrow-right',
+    uturn: 'fa-undo',
+    arrive: 'fa-flag-checkered'
+};
+
+class NavigationController {
+    constructor() {
+        this.session = null;
+        this.destination = null;
+        this.dataManager = new DataManager();
+        this.panel = null;
+
+        this.init();
+    }
+
+    init() {
+        this.panel = document.getElementById('navigationPanel');
+        this.panel?.addEventListener('click', (e) => {
+            if (e.target.closest('#stopNavigation')) this.stop();
+        });
+    }
+
+    async start(route, destination) {
+        this.stop();
+
+        const end = route.polyline[route.polyline.length - 1];
+        this.destination = destination || (end ? { lat: end.lat, lng: end.lng } : null);
+
+        this.session = new NavigationSession(route, {
+            onUpdate: (state) => this.render(state),
+            onReroute: (position) => this.reroute(position),
+            onArrive: () => this.showToast('success', I18n.t('navArrived'), 'fa-flag-checkered'),
+            onError: (error) => {
+                console.error('Navigation error:', error);
+                this.showToast('error', error.message, 'fa-exclamation-triangle');
+            }
+        });
+        this.render(this.session.state);
+        this.panel?.classList.remove('hidden');
+
+        try {
+            this.session.start(await this.createSource());
+        } catch (error) {
+            console.error('Error starting navigation:', error);
+            this.showToast('error', I18n.t('navStartFailed', { error: error.message }), 'fa-exclamation-triangle');
+            this.stop();
+        }
+    }
+
+    async navigateBetween(fromPlace, toPlace) {
+        // Places are text, or `{label, lat, lng}` that is only looked up without coordinates
+        const locate = (place) => (Utils.isValidCoordinates(place?.lat, place?.lng)
+            ? place
+            : this.dataManager.geocodeLocation(place?.label ?? place));
+        const labelOf = (place) => place?.label ?? place;
+
+        try {
+            const [from, to] = await Promise.all([locate(fromPlace), locate(toPlace)]);
+            if (!from || !to) {
+                throw new Error(I18n.t('placeNotFound', { place: labelOf(!from ? fromPlace : toPlace) }));
+            }
+
+            const [route] = await this.dataManager.getRouteSuggestions({
+                from: { lat: from.lat, lng: from.lng, label: from.label },
+                to: { lat: to.lat, lng: to.lng, label: to.label },
+                departureTime: 'now'
+            });
+            await this.start(route, { lat: to.lat, lng: to.lng, label: to.label });
+        } catch (error) {
+            console.error('Error starting navigation:', error);
+            this.showToast('error', error.message, 'fa-exclamation-triangle');
+        }
+    }
+
+    async createSource() {
+        if (appSettings.get('navigationSource') === 'replay') {
+            // Play the sample trace faster than real time so a test run is quick
+            return TraceReplaySource.load('data/fixtures/commute-trace.json', { speed: 4 });
+        }
+        return new GeolocationSource();
+    }
+
+    async reroute(position) {
+        this.showToast('warning', I18n.t('navOffRouteRerouting'), 'fa-route');
+
+        const [route] = await this.dataManager.getRouteSuggestions({
+            from: { lat: position.lat, lng: position.lng, label: I18n.t('currentLocation') },
+            to: this.destination,
+            departureTime: 'now'
+        });
+        return route || null;
+    }
+
+    stop() {
+        if (this.session) {
+            this.session.stop();
+            this.session = null;
+        }
+        this.panel?.classList.add('hidden');
+    }
+
+    render(state) {
+        if (!this.panel) return;
+
+        const step = state.step;
+        const banner = {
+            waiting: `<i class="fas fa-satellite-dish"></i> ${I18n.t('navWaiting')}`,
+            'off-route': `<i class="fas fa-exclamation-triangle"></i> ${I18n.t('navOffRoute')}`,
+            rerouting: `<i class="fas fa-spinner fa-spin"></i> ${I18n.t('navRerouting')}`,
+            arrived: `<i class="fas fa-flag-checkered"></i> ${I18n.t('navArrived')}`
+        }[state.status];
+
+        this.panel.innerHTML = `
+            <div class="nav-maneuver">
+                <i class="fas ${NAVIGATION_ICONS[step?.maneuver] || 'fa-arrow-up'} nav-maneuver-icon ${step?.maneuver || ''}"></i>
+                <div>
+                    <div class="nav-step-distance">${step && state.status !== 'arrived' ? Utils.formatDistance(state.distanceToStep) : ''}</div>
+                    <div class="nav-instruction">${step ? step.instruction : I18n.t('navFollowRoute')}</div>
+                </div>
+            </div>
+            ${banner ? `<div class="nav-status ${state.status}">${banner}</div>` : ''}
+            <div class="nav-progress"><div class="nav-progress-bar" style="width: ${Math.round(state.progress * 100)}%"></div></div>
+            <div class="nav-footer">
+                <div class="nav-stats">
+                    <span><strong>${Utils.formatDuration(state.remainingDuration)}</strong></span>
+                    <span>${Utils.formatDistance(state.remainingDistance)}</span>
+                    <span>${I18n.t('navEta', { time: Utils.formatTime(state.eta) })}</span>
+                </div>
+                <button id="stopNavigation" class="action-btn">
+                    <i class="fas fa-times"></i> ${I18n.t(state.status === 'arrived' ? 'close' : 'navEnd')}
+                </button>
+            </div>
+        `;
+    }
+
+    showToast(type, message, icon) {
+        if (window.ToastManager) {
+            window.ToastManager.show({ type, message, icon, duration: 3000 });
+        }
+    }
+}
+
+// Make globally available
+window.NavigationController = NavigationController;
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.navigationController = new NavigationController();
+    });
+} else {
+    window.navigationController = new NavigationController();
+}
@@ -0,0 +1,270 @@
+// ===== NAVIGATION SESSION =====
+
+/**
+ * Default navigation thresholds
+ */
+const NAVIGATION_DEFAULTS = {
+    offRouteDistance: 40, // meters from the route before a fix counts as off route
+    offRouteFixes: 3,     // consecutive off-route fixes before rerouting
+    arrivalDistance: 25,  // meters from the destination that count as arrived
+    maxAccuracy: 100      // fixes less accurate than this (meters) are ignored
+};
+
+/**
+ * Maneuvers with an instruction, worded by the `maneuver_<name>` message
+ * (`maneuver_slightLeft` for slight-left)
+ */
+const NAVIGATION_MANEUVERS = ['depart', 'continue', 'slight-left', 'slight-right', 'left', 'right', 'uturn', 'arrive'];
+
+/**
+ * Follows a position source along a route: snaps each fix to the route
+ * polyline, tracks the next maneuver and the remaining distance and time,
+ * and asks for a new route after repeated off-route fixes.
+ */
+class NavigationSession {
+    /**
+     * @param {Object} route - Route from RoutingEngine (`polyline`, `steps`, `duration`)
+     * @param {Object} options - Session options (thresholds default to NAVIGATION_DEFAULTS)
+     * @param {Function} [options.onUpdate] - Called with the state after every fix
+     * @param {Function} [options.onReroute] - `(position) => Promise<Object|null>` new route from the position
+     * @param {Function} [options.onArrive] - Called with the final state
+     * @param {Function} [options.onError] - Called with position source errors
+     */
+    constructor(route, options = {}) {
+        this.options = { ...NAVIGATION_DEFAULTS, ...options };
+        this.onUpdate = options.onUpdate || (() => {});
+        this.onReroute = options.onReroute || (async () => null);
+        this.onArrive = options.onArrive || (() => {});
+        this.onError = options.onError || (() => {});
+        this.source = null;
+
+        this.setRoute(route);
+    }
+
+    /**
+     * Follow a new route, e.g. after rerouting
+     * @param {Object} route - Route to follow
+     */
+    setRoute(route) {
+        this.route = route;
+        this.polyline = route.polyline;
+        this.offRouteFixes = 0;
+        this.rerouting = false;
+        this.progressIndex = 0;
+
+        this.cumulative = [0];
+        for (let i = 1; i < this.polyline.length; i++) {
+            const a = this.polyline[i - 1];
+            const b = this.polyline[i];
+            this.cumulative.push(this.cumulative[i - 1] + Utils.calculateDistance(a.lat, a.lng, b.lat, b.lng));
+        }
+        this.totalDistance = this.cumulative[this.cumulative.length - 1];
+
+        // Remaining time is paced at the route's predicted average speed
+        this.secondsPerMeter = this.totalDistance ? route.duration * 60 / this.totalDistance : 0;
+
+        this.steps = (route.steps || []).map(step => ({
+            ...step,
+            along: this.cumulative[step.index],
+            instruction: NavigationSession.describeStep(step)
+        }));
+
+        // Without a segment to follow there is nowhere left to go
+        const status = this.polyline.length < 2 ? 'arrived' : 'waiting';
+        this.state = this.createState(status, null, {
+            segment: 0,
+            along: 0,
+            distance: 0,
+            point: this.polyline[0] || null
+        });
+    }
+
+    /**
+     * Start following positions from a source
+     * @param {Object} source - Position source with `start(onPosition, onError)` and `stop()`
+     */
+    start(source) {
+        this.stop();
+        if (this.state.status === 'arrived') {
+            this.arrive();
+            return;
+        }
+
+        this.source = source;
+        this.source.start(
+            (position) => this.update(position),
+            (error) => this.onError(error)
+        );
+    }
+
+    /**
+     * Stop following positions
+     */
+    stop() {
+        if (this.source) {
+            this.source.stop();
+            this.source = null;
+        }
+    }
+
+    /**
+     * Process a position fix
+     * @param {Object} position - `{lat, lng, accuracy, timestamp}`
+     * @returns {Object} Navigation state
+     */
+    update(position) {
+        if (this.state.status === 'arrived') return this.state;
+
+        // A fix this vague cannot tell which street the user is on
+        if (position.accuracy > this.options.maxAccuracy) return this.state;
+
+        const destination = this.polyline[this.polyline.length - 1];
+        const match = this.locate(position);
+        const threshold = Math.max(this.options.offRouteDistance, position.accuracy || 0);
+        let status = 'navigating';
+
+        if (Utils.calculateDistance(position.lat, position.lng, destination.lat, destination.lng) <= this.options.arrivalDistance) {
+            status = 'arrived';
+        } else if (match.distance > threshold) {
+            this.offRouteFixes++;
+            status = this.rerouting ? 'rerouting' : 'off-route';
+
+            if (this.offRouteFixes >= this.options.offRouteFixes && !this.rerouting) {
+                status = 'rerouting';
+                this.reroute(position);
+            }
+        } else {
+            this.offRouteFixes = 0;
+            this.progressIndex = match.segment;
+        }
+
+        this.state = this.createState(status, position, match);
+        this.onUpdate(this.state);
+
+        if (status === 'arrived') {
+            this.arrive();
+        }
+        return this.state;
+    }
+
+    /**
+     * Stop following positions once the destination is reached
+     */
+    arrive() {
+        this.stop();
+        this.onArrive(this.state);
+    }
+
+    /**
+     * Request a route from the current position and switch to it
+     * @param {Object} position - Current position
+     */
+    async reroute(position) {
+        this.rerouting = true;
+
+        try {
+            const route = await this.onReroute(position);
+            if (route && this.state.status !== 'arrived') {
+                this.setRoute(route);
+                if (this.state.status === 'arrived') {
+                    this.onUpdate(this.state);
+                    this.arrive();
+                } else {
+                    this.update(position);
+                }
+                return;
+            }
+        } catch (error) {
+            this.onError(error);
+        }
+
+        // Need another run of off-route fixes before trying again
+        this.rerouting = false;
+        this.offRouteFixes = 0;
+    }
+
+    /**
+     * Snap a position to the nearest point on the route, never moving more
+     * than one segment back so a route that doubles back keeps its progress
+     * @param {Object} position - `{lat, lng}`
+     * @returns {{segment: number, along: number, distance: number, point: Object}} Match
+     */
+    locate(position) {
+        // Local flat projection in meters around the fix
+        const metersPerLat = 111320;
+        const metersPerLng = metersPerLat * Math.cos(position.lat * Math.PI / 180);
+        const toXY = (p) => ({
+            x: (p.lng - position.lng) * metersPerLng,
+            y: (p.lat - position.lat) * metersPerLat
+        });
+
+        let best = null;
+        for (let i = Math.max(0, this.progressIndex - 1); i < this.polyline.length - 1; i++) {
+            const a = toXY(this.polyline[i]);
+            const b = toXY(this.polyline[i + 1]);
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const lengthSquared = dx * dx + dy * dy;
+            const t = lengthSquared ? Math.min(Math.max(-(a.x * dx + a.y * dy) / lengthSquared, 0), 1) : 0;
+            const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+
+            if (!best || distance < best.distance) {
+                const from = this.polyline[i];
+                const to = this.polyline[i + 1];
+                best = {
+                    segment: i,
+                    along: this.cumulative[i] + t * (this.cumulative[i + 1] - this.cumulative[i]),
+                    distance: distance,
+                    point: { lat: from.lat + t * (to.lat - from.lat), lng: from.lng + t * (to.lng - from.lng) }
+                };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Build the navigation state for a match
+     * @param {string} status - 'waiting', 'navigating', 'off-route', 'rerouting' or 'arrived'
+     * @param {Object|null} position - Position fix
+     * @param {Object} match - Result of `locate`
+     * @returns {Object} Navigation state
+     */
+    createState(status, position, match) {
+        const arrived = status === 'arrived';
+        const along = arrived ? this.totalDistance : match.along;
+        const remainingDistance = Math.max(0, this.totalDistance - along);
+        const remainingSeconds = remainingDistance * this.secondsPerMeter;
+        const timestamp = position?.timestamp || Date.now();
+
+        const stepIndex = this.steps.findIndex(step => step.along > along);
+        const step = (arrived ? this.steps[this.steps.length - 1] : this.steps[stepIndex]) || null;
+
+        return {
+            status: status,
+            position: position,
+            snapped: match.point,
+            distanceFromRoute: Math.round(match.distance),
+            distanceTravelled: Math.round(along),
+            remainingDistance: Math.round(remainingDistance),
+            remainingDuration: Math.round(remainingSeconds / 60),
+            eta: new Date(timestamp + remainingSeconds * 1000),
+            progress: this.totalDistance ? along / this.totalDistance : 1,
+            step: step,
+            distanceToStep: step ? Math.max(0, Math.round(step.along - along)) : 0
+        };
+    }
+
+    /**
+     * Spoken-style instruction for a step
+     * @param {Object} step - Route step
+     * @returns {string} Instruction such as "Turn left onto 5th Ave"
+     */
+    static describeStep(step) {
+        const maneuver = NAVIGATION_MANEUVERS.includes(step.maneuver) ? step.maneuver : 'continue';
+        const key = `maneuver_${maneuver.replace(/-(\w)/g, (match, letter) => letter.toUpperCase())}`;
+        return I18n.t(key, { road: step.road || I18n.t('maneuverUnnamedRoad') });
+    }
+}
+
+self.NavigationSession = NavigationSession;
@@ -0,0 +1,231 @@
+// ===== PAGE CONTEXT CONTROLLER =====
+
+class PageContextController {
+    constructor() {
+        this.dataManager = new DataManager();
+        this.context = null;
+        this.container = null;
+        this.maxPlaces = 3;
+
+        this.init();
+    }
+
+    init() {
+        this.container = document.getElementById('pageContext');
+        this.container?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-page-action]');
+            if (button) this.handleAction(button.dataset.pageAction, parseInt(button.dataset.index), button);
+        });
+
+        this.loadContext();
+    }
+
+    async loadContext() {
+        await appSettings.ready;
+
+        let request = null;
+        try {
+            request = await this.dataManager.takePopupRequest();
+            if (appSettings.get('analyzePages')) {
+                this.context = await this.dataManager.getPageContext();
+            }
+        } catch (error) {
+            console.error('Error loading page context:', error);
+        }
+
+        // Opened to show a context menu result
+        if (request) {
+            this.showRequest(request);
+            return;
+        }
+        if (!this.context?.places.length) return;
+
+        this.render();
+        this.prefillRoute();
+    }
+
+    showRequest(request) {
+        if (request.error) {
+            window.ToastManager?.show({
+                type: 'error',
+                message: request.error,
+                icon: 'fa-exclamation-circle'
+            });
+            return;
+        }
+
+        const place = { ...request.place, type: 'selection' };
+        const routes = window.routeController;
+
+        if (request.action === 'checkTraffic') {
+            // The place goes first, with the traffic already checked
+            this.context = {
+                domain: this.context?.domain || '',
+                places: [place, ...(this.context?.places || []).filter(p => p.label !== place.label)]
+            };
+            this.render();
+            window.PopupController?.navigateToSection('routes');
+            this.showPlaceStatus(this.container.querySelector('.page-context-status'), request.traffic);
+        } else if (request.action === 'routeFromLocation' && routes?.fromAutocomplete) {
+            this.fillPlace(routes.fromAutocomplete, request.origin);
+            this.fillPlace(routes.toAutocomplete, place);
+            window.PopupController?.navigateToSection('routes');
+            routes.searchRoutes();
+        } else if (request.action === 'addFavorite') {
+            window.PopupController?.navigateToSection('favorites');
+            window.ToastManager?.show({
+                type: 'success',
+                message: I18n.t('favoriteAdded', { name: request.favorite.name }),
+                icon: 'fa-star'
+            });
+        }
+    }
+
+    render() {
+        if (!this.container) return;
+
+        const icons = {
+            selection: 'fa-i-cursor',
+            origin: 'fa-map-marker-alt',
+            destination: 'fa-flag',
+            address: 'fa-map-pin',
+            coordinates: 'fa-crosshairs'
+        };
+
+        this.container.innerHTML = `
+            <div class="page-context-header">
+                <i class="fas fa-globe"></i>
+                <span>${this.context.domain
+                    ? I18n.t('pageContextTitle', { site: Utils.escapeHtml(this.context.domain) })
+                    : I18n.t('pageContextUntitled')}</span>
+            </div>
+            <ul class="page-context-places">
+                ${this.context.places.slice(0, this.maxPlaces).map((place, index) => `
+                    <li class="page-context-place">
+                        <div class="page-context-row">
+                            <i class="fas ${icons[place.type]}" title="${I18n.t(`pagePlace_${place.type}`)}"></i>
+                            <span class="page-context-label">${Utils.escapeHtml(place.label)}</span>
+                            <button class="control-btn" data-page-action="analyze" data-index="${index}" title="${I18n.t('analyzePlaceHint')}">
+                                <i class="fas fa-traffic-light"></i> ${I18n.t('analyzePlace')}
+                            </button>
+                            <button class="control-btn" data-page-action="route" data-index="${index}" title="${I18n.t('routeToPlace')}" aria-label="${I18n.t('routeToPlace')}">
+                                <i class="fas fa-route"></i>
+                            </button>
+                        </div>
+                        <div class="page-context-status" hidden></div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        this.container.hidden = false;
+    }
+
+    prefillRoute() {
+        const routes = window.routeController;
+        if (!routes?.fromAutocomplete || !routes.toAutocomplete) return;
+
+        // Leave whatever the user has already typed
+        if (routes.fromAutocomplete.input.value || routes.toAutocomplete.input.value) return;
+
+        const places = this.context.places;
+        const origin = places.find(place => place.type === 'origin');
+        const destination = places.find(place => place.type === 'destination');
+
+        if (origin && destination) {
+            // The page shows a route: time it straight away
+            this.fillPlace(routes.fromAutocomplete, origin);
+            this.fillPlace(routes.toAutocomplete, destination);
+            window.PopupController?.navigateToSection('routes');
+            routes.searchRoutes();
+        } else {
+            this.fillPlace(routes.toAutocomplete, destination || places[0]);
+        }
+    }
+
+    fillPlace(autocomplete, place) {
+        // Addresses that were never looked up are searched by their label
+        if (place.lat !== null && place.lng !== null) {
+            autocomplete.setPlace({ label: place.label, lat: place.lat, lng: place.lng });
+        } else {
+            autocomplete.setPlace(null);
+            autocomplete.input.value = place.label;
+        }
+    }
+
+    handleAction(action, index, button) {
+        const place = this.context?.places[index];
+        if (!place) return;
+
+        if (action === 'analyze') {
+            this.analyzePlace(place, button.closest('.page-context-place').querySelector('.page-context-status'), button);
+        } else if (action === 'route') {
+            const routes = window.routeController;
+            if (!routes?.toAutocomplete) return;
+
+            this.fillPlace(routes.toAutocomplete, place);
+            window.PopupController?.navigateToSection('routes');
+            if (routes.fromAutocomplete.input.value) {
+                routes.searchRoutes();
+            } else {
+                routes.fromAutocomplete.input.focus();
+            }
+        }
+    }
+
+    async analyzePlace(place, statusElement, button) {
+        const location = place.lat !== null ? { lat: place.lat, lng: place.lng, label: place.label } : place.label;
+
+        button.disabled = true;
+        statusElement.className = 'page-context-status';
+        statusElement.textContent = I18n.t('loading');
+        statusElement.hidden = false;
+
+        try {
+            const status = await this.dataManager.getPlaceTraffic(location);
+            this.showPlaceStatus(statusElement, status);
+
+            // Looked up now, so routing to it needs no second search
+            if (status) {
+                place.lat = status.lat;
+                place.lng = status.lng;
+            }
+        } catch (error) {
+            console.error('Error analyzing page place:', error);
+            statusElement.classList.add('error');
+            statusElement.textContent = I18n.t('placeTrafficFailed', { error: error.message });
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    showPlaceStatus(statusElement, status) {
+        statusElement.className = 'page-context-status';
+        statusElement.hidden = false;
+
+        if (!status) {
+            statusElement.textContent = I18n.t('placeNoReadings');
+            return;
+        }
+
+        const level = Utils.getTrafficColor(status.congestion);
+        statusElement.classList.add(level);
+        statusElement.textContent = I18n.t('placeTraffic', {
+            level: I18n.t(`trafficLevel_${level}`),
+            speed: Utils.formatSpeed(status.speed),
+            delay: Utils.formatDuration(Utils.convertDelayRate(Math.max(0, status.delay))),
+            distance: Utils.getDelayRateDistance()
+        });
+    }
+}
+
+// Make globally available
+window.PageContextController = PageContextController;
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        window.pageContextController = new PageContextController();
+    });
+} else {
+    window.pageContextController = new PageContextController();
+}
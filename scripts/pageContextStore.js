@@ -0,0 +1,169 @@
+// ===== PAGE CONTEXT STORE =====
+
+/**
+ * Most places of each kind kept per tab
+ */
+const PAGE_CONTEXT_LIMIT = 10;
+
+/**
+ * What the content script found on each tab, kept in chrome.storage.session
+ * so it outlives the service worker but not the browser session.
+ *
+ * A context is `{url, title, domain, updatedAt, addresses, coordinates,
+ * directions}`: addresses are `{label, confidence}`, coordinates are
+ * `{lat, lng, confidence}`, and directions are the page's route as read by
+ * RouteExtractors, or null. Places the content script reports are checked
+ * again here, since they come from page text.
+ */
+class PageContextStore {
+    /**
+     * @param {Object} [storage] - chrome.storage area (defaults to chrome.storage.session, or memory)
+     */
+    constructor(storage) {
+        this.storage = storage || (typeof chrome !== 'undefined' && chrome.storage?.session ? chrome.storage.session : null);
+        this.memory = new Map();
+        this.prefix = 'pageContext.';
+    }
+
+    /**
+     * Get a tab's context
+     * @param {number} tabId - Tab ID
+     * @returns {Promise<Object|null>} Context, or null if nothing was found on the tab
+     */
+    async get(tabId) {
+        const key = this.prefix + tabId;
+        if (!this.storage) return this.memory.get(key) || null;
+
+        const result = await this.storage.get(key);
+        return result[key] || null;
+    }
+
+    /**
+     * Replace a tab's context with what a page reported
+     * @param {number} tabId - Tab ID
+     * @param {Object} pageInfo - Page info sent by the content script
+     * @returns {Promise<Object>} Stored context
+     */
+    async set(tabId, pageInfo) {
+        const key = this.prefix + tabId;
+        const context = PageContextStore.fromPageInfo(pageInfo);
+
+        if (this.storage) {
+            await this.storage.set({ [key]: context });
+        } else {
+            this.memory.set(key, context);
+        }
+        return context;
+    }
+
+    /**
+     * Forget a tab's context
+     * @param {number} tabId - Tab ID
+     */
+    async remove(tabId) {
+        const key = this.prefix + tabId;
+        if (this.storage) {
+            await this.storage.remove(key);
+        } else {
+            this.memory.delete(key);
+        }
+    }
+
+    /**
+     * Forget every tab's context
+     */
+    async clear() {
+        if (!this.storage) {
+            this.memory.clear();
+            return;
+        }
+
+        const keys = Object.keys(await this.storage.get(null)).filter(key => key.startsWith(this.prefix));
+        if (keys.length) await this.storage.remove(keys);
+    }
+
+    /**
+     * Build a context from page info, dropping repeated and invalid places
+     * @param {Object} pageInfo - `{url, title, domain, timestamp, locations, directions}`
+     * @returns {Object} Context
+     */
+    static fromPageInfo(pageInfo) {
+        const addresses = [];
+        const coordinates = [];
+
+        (pageInfo.locations || []).forEach(location => {
+            if (location.type === 'coordinates') {
+                if (!PageContextStore.isCoordinates(location)) return;
+                if (coordinates.some(c => c.lat === location.lat && c.lng === location.lng)) return;
+                coordinates.push({ lat: location.lat, lng: location.lng, confidence: location.confidence });
+            } else {
+                const label = String(location.text || '').replace(/\s+/g, ' ').trim();
+                if (!PageContextStore.isAddress(label)) return;
+                if (addresses.some(a => a.label.toLowerCase() === label.toLowerCase())) return;
+                addresses.push({ label: label, confidence: location.confidence });
+            }
+        });
+
+        const directions = pageInfo.directions;
+        return {
+            url: pageInfo.url || '',
+            title: pageInfo.title || '',
+            domain: pageInfo.domain || '',
+            updatedAt: pageInfo.timestamp || Date.now(),
+            addresses: addresses.slice(0, PAGE_CONTEXT_LIMIT),
+            coordinates: coordinates.slice(0, PAGE_CONTEXT_LIMIT),
+            directions: directions?.origin || directions?.destination ? directions : null
+        };
+    }
+
+    /**
+     * Check that reported coordinates were written as coordinates: the text
+     * they were read from must be a lat/lng pair with decimals, not a count
+     * like "1,000"
+     * @param {Object} location - `{lat, lng, text}`
+     * @returns {boolean} True if they are
+     */
+    static isCoordinates(location) {
+        const [found] = Utils.findCoordinates(location.text);
+        return Boolean(found) && found.text === String(location.text).trim() &&
+            found.lat === location.lat && found.lng === location.lng;
+    }
+
+    /**
+     * Check that a reported address is a whole street address on its own,
+     * not a longer run of text that happens to end in a street type
+     * @param {string} label - Address text
+     * @returns {boolean} True if it is
+     */
+    static isAddress(label) {
+        return label.length <= 80 && Utils.findAddresses(label)[0] === label;
+    }
+
+    /**
+     * Places worth offering from a context: the page's route ends first,
+     * then addresses, then coordinates
+     * @param {Object} context - Context
+     * @returns {Array} Places `{label, lat, lng, type}`; type is 'origin', 'destination',
+     *   'address' or 'coordinates', and lat/lng are null for addresses not yet looked up
+     */
+    static places(context) {
+        const places = [];
+        const add = (place, type) => {
+            const label = place.label || `${place.lat.toFixed(5)}, ${place.lng.toFixed(5)}`;
+            if (places.some(p => p.label.toLowerCase() === label.toLowerCase())) return;
+            const valid = Utils.isValidCoordinates(place.lat, place.lng);
+            places.push({ label: label, lat: valid ? place.lat : null, lng: valid ? place.lng : null, type: type });
+        };
+
+        // Route ends are `{lat, lng, label}` or a label
+        const endpoint = (place) => (typeof place === 'string' ? { label: place } : place);
+        if (context.directions?.origin) add(endpoint(context.directions.origin), 'origin');
+        if (context.directions?.destination) add(endpoint(context.directions.destination), 'destination');
+
+        context.addresses.forEach(address => add(address, 'address'));
+        context.coordinates.forEach(coordinates => add(coordinates, 'coordinates'));
+        return places;
+    }
+}
+
+self.PageContextStore = PageContextStore;
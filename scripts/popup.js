@@ -13,7 +13,17 @@ class PopupController {
      * Initialize popup controller
      */
     init() {
+        // Settings changed anywhere reach the popup's components as settingsChanged
+        appSettings.onChange((changes) => {
+            Utils.events.emit('settingsChanged', changes);
+        });
+
+        appSettings.importLegacy(localStorage).catch(error => {
+            console.error('Error importing old settings:', error);
+        });
+
         document.addEventListener('DOMContentLoaded', () => {
+            I18n.localizePage();
             this.setupNavigation();
             this.initializeControllers();
             this.setupEventListeners();
@@ -131,7 +141,7 @@ class PopupController {
             
         } catch (error) {
             console.error('Error initializing controllers:', error);
-            this.showError('Failed to initialize application components');
+            this.showError(I18n.t('initFailed'));
         }
     }
 
@@ -176,7 +186,7 @@ class PopupController {
 
                 const closeButton = Utils.createElement('button', {
                     className: 'toast-close',
-                    title: 'Close'
+                    title: I18n.t('close')
                 }, Utils.createElement('i', {
                     className: 'fas fa-times'
                 }));
@@ -195,7 +205,7 @@ class PopupController {
                 const index = this.toasts.indexOf(toast);
                 if (index > -1) {
                     this.toasts.splice(index, 1);
-                    toast.style.transform = 'translateX(100%)';
+                    toast.style.transform = 'translateX(var(--toast-slide))';
                     toast.style.opacity = '0';
                     
                     setTimeout(() => {
@@ -245,6 +255,10 @@ class PopupController {
         Utils.events.on('dataUpdated', (data) => {
             this.handleDataUpdate(data);
         });
+
+        Utils.events.on('settingsChanged', (changes) => {
+            this.handleSettingsChange(changes);
+        });
     }
 
     /**
@@ -323,7 +337,7 @@ class PopupController {
      */
     async loadInitialData() {
         try {
-            this.showGlobalLoading('Loading traffic data...');
+            this.showGlobalLoading(I18n.t('loadingTraffic'));
 
             // Load user location
             await this.loadUserLocation();
@@ -339,7 +353,7 @@ class PopupController {
         } catch (error) {
             console.error('Error loading initial data:', error);
             this.hideGlobalLoading();
-            this.showError('Failed to load traffic data. Please check your connection.');
+            this.showError(I18n.t('loadTrafficFailed'));
         }
     }
 
@@ -347,17 +361,29 @@ class PopupController {
      * Load user location
      */
     async loadUserLocation() {
+        await appSettings.ready;
+
+        if (!appSettings.get('useDeviceLocation')) {
+            Utils.storage.remove('user_location');
+            Utils.events.emit('locationUpdated', appSettings.get('defaultLocation'));
+            return;
+        }
+
         try {
             const location = await Utils.getCurrentLocation();
             Utils.storage.set('user_location', location);
+
+            // The background worker cannot read the position itself; the badge uses this copy
+            if (typeof chrome !== 'undefined' && chrome.storage) {
+                chrome.storage.local.set({ lastLocation: location });
+            }
             
             Utils.events.emit('locationUpdated', location);
         } catch (error) {
             console.warn('Could not get user location:', error.message);
             
             // Use default location (can be changed in settings)
-            const defaultLocation = { lat: 40.7128, lng: -74.0060 }; // New York
-            Utils.events.emit('locationUpdated', defaultLocation);
+            Utils.events.emit('locationUpdated', appSettings.get('defaultLocation'));
         }
     }
 
@@ -405,7 +431,7 @@ class PopupController {
      * Show global loading overlay
      * @param {string} message - Loading message
      */
-    showGlobalLoading(message = 'Loading...') {
+    showGlobalLoading(message = I18n.t('loading')) {
         const overlay = document.getElementById('loadingOverlay');
         if (overlay) {
             const messageElement = overlay.querySelector('.loading-spinner p');
@@ -448,6 +474,9 @@ class PopupController {
         // Create and show settings modal
         const modal = this.createSettingsModal();
         document.body.appendChild(modal);
+
+        // Controls can only be looked up once the modal is in the document
+        this.loadCurrentSettings();
         
         // Animate in
         requestAnimationFrame(() => {
@@ -473,9 +502,10 @@ class PopupController {
         }, [
             Utils.createElement('h2', {
                 className: 'modal-title'
-            }, 'Settings'),
+            }, I18n.t('settings')),
             Utils.createElement('button', {
-                className: 'modal-close'
+                className: 'modal-close',
+                title: I18n.t('close')
             }, Utils.createElement('i', {
                 className: 'fas fa-times'
             }))
@@ -513,74 +543,362 @@ class PopupController {
             className: 'settings-content'
         });
 
-        // Theme setting
-        const themeGroup = Utils.createElement('div', {
+        container.appendChild(this.createSettingsSection(I18n.t('settingsAppearance'), [
+            this.createSelectGroup('theme', ['light', 'dark', 'auto']),
+            this.createSelectGroup('units', ['metric', 'imperial']),
+            this.createSelectGroup('clock', ['auto', '12h', '24h'])
+        ]));
+
+        // Default location, searched like the route inputs
+        const locationGroup = Utils.createElement('div', {
+            className: 'form-group'
+        }, [
+            Utils.createElement('label', {
+                className: 'form-label',
+                for: 'defaultLocation'
+            }, I18n.t('setting_defaultLocation')),
+            Utils.createElement('div', {
+                className: 'input-group'
+            }, Utils.createElement('input', {
+                className: 'form-input',
+                id: 'defaultLocation',
+                type: 'text',
+                placeholder: I18n.t('defaultLocationPlaceholder')
+            })),
+            Utils.createElement('p', {
+                className: 'form-hint'
+            }, I18n.t('defaultLocationHint'))
+        ]);
+
+        container.appendChild(this.createSettingsSection(I18n.t('settingsMapNavigation'), [
+            locationGroup,
+            this.createSelectGroup('heatmapRadius', [15, 25, 40]),
+            this.createSelectGroup('navigationSource', ['device', 'replay'])
+        ]));
+
+        // Traffic data source setting
+        const providerGroup = Utils.createElement('div', {
             className: 'form-group'
         }, [
             Utils.createElement('label', {
                 className: 'form-label'
-            }, 'Theme'),
+            }, I18n.t('setting_trafficProvider')),
             Utils.createElement('select', {
                 className: 'form-input',
-                id: 'themeSelect'
-            }, [
-                Utils.createElement('option', { value: 'light' }, 'Light'),
-                Utils.createElement('option', { value: 'dark' }, 'Dark'),
-                Utils.createElement('option', { value: 'auto' }, 'Auto (System)')
-            ])
+                id: 'trafficProvider'
+            })
         ]);
 
-        // Auto-refresh setting
-        const refreshGroup = Utils.createElement('div', {
+        // Filled by renderApiKeyFields once providers and geocoders are known
+        const apiKeyGroup = Utils.createElement('div', {
+            id: 'providerApiKeyGroup'
+        });
+
+        // Geocoding service setting
+        const geocoderGroup = Utils.createElement('div', {
             className: 'form-group'
         }, [
             Utils.createElement('label', {
                 className: 'form-label'
-            }, 'Auto-refresh Interval'),
+            }, I18n.t('setting_geocoder')),
             Utils.createElement('select', {
                 className: 'form-input',
-                id: 'refreshInterval'
-            }, [
-                Utils.createElement('option', { value: '30' }, '30 seconds'),
-                Utils.createElement('option', { value: '60' }, '1 minute'),
-                Utils.createElement('option', { value: '300' }, '5 minutes'),
-                Utils.createElement('option', { value: '0' }, 'Disabled')
-            ])
+                id: 'geocoderSelect'
+            })
         ]);
 
-        container.appendChild(themeGroup);
-        container.appendChild(refreshGroup);
-
-        // Load current settings
-        this.loadCurrentSettings();
+        container.appendChild(this.createSettingsSection(I18n.t('settingsTrafficData'), [
+            this.createSelectGroup('refreshInterval', [30000, 60000, 300000, 0]),
+            providerGroup,
+            apiKeyGroup,
+            geocoderGroup,
+            this.createSelectGroup('historyRetentionDays', [7, 30, 90])
+        ]));
+
+        container.appendChild(this.createSettingsSection(I18n.t('settingsNotifications'), [
+            this.createSelectGroup('notifications', [true, false]),
+            this.createSelectGroup('badgeContext', ['location', 'commute', 'tab'])
+        ]));
+
+        container.appendChild(this.createSettingsSection(I18n.t('settingsPrivacy'), [
+            this.createSelectGroup('useDeviceLocation', [true, false]),
+            this.createSelectGroup('saveRecentPlaces', [true, false]),
+            this.createSelectGroup('analyzePages', [true, false])
+        ]));
+
+        container.appendChild(Utils.createElement('div', {
+            className: 'settings-actions'
+        }, Utils.createElement('button', {
+            className: 'form-button secondary',
+            id: 'resetSettings',
+            type: 'button'
+        }, I18n.t('resetSettings'))));
 
         return container;
     }
 
+    /**
+     * Create a titled group of settings
+     * @param {string} title - Section title
+     * @param {Array} groups - Form groups in the section
+     * @returns {HTMLElement} Section element
+     */
+    createSettingsSection(title, groups) {
+        return Utils.createElement('section', {
+            className: 'settings-section'
+        }, [
+            Utils.createElement('h3', {
+                className: 'settings-section-title'
+            }, title),
+            ...groups
+        ]);
+    }
+
+    /**
+     * Create a select bound to a setting, labelled by the `setting_<name>`
+     * message and its options by `setting_<name>_<value>`
+     * @param {string} setting - Setting name
+     * @param {Array} values - Values offered
+     * @returns {HTMLElement} Form group
+     */
+    createSelectGroup(setting, values) {
+        return Utils.createElement('div', {
+            className: 'form-group'
+        }, [
+            Utils.createElement('label', {
+                className: 'form-label',
+                for: `${setting}Setting`
+            }, I18n.t(`setting_${setting}`)),
+            Utils.createElement('select', {
+                className: 'form-input',
+                id: `${setting}Setting`,
+                dataset: { setting }
+            }, values.map(value => Utils.createElement('option', {
+                value: String(value)
+            }, I18n.t(`setting_${setting}_${value}`))))
+        ]);
+    }
+
     /**
      * Load current settings into the modal
      */
-    loadCurrentSettings() {
-        const themeSelect = document.getElementById('themeSelect');
-        if (themeSelect && window.ThemeManager) {
-            themeSelect.value = window.ThemeManager.getCurrentTheme();
-            
-            themeSelect.addEventListener('change', (e) => {
-                window.ThemeManager.setTheme(e.target.value);
+    async loadCurrentSettings() {
+        await appSettings.ready;
+
+        document.querySelectorAll('.settings-content [data-setting]').forEach(control => {
+            const setting = control.dataset.setting;
+            control.value = String(appSettings.get(setting));
+
+            control.addEventListener('change', () => {
+                // Booleans are offered as "true"/"false" options
+                const value = SETTINGS_SCHEMA[setting].type === 'boolean'
+                    ? control.value === 'true'
+                    : control.value;
+                this.saveSettings({ [setting]: value });
+            });
+        });
+
+        const resetBtn = document.getElementById('resetSettings');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.resetSettings();
             });
         }
 
-        const refreshSelect = document.getElementById('refreshInterval');
-        if (refreshSelect) {
-            const interval = Utils.storage.get('refresh_interval', 60);
-            refreshSelect.value = interval.toString();
-            
-            refreshSelect.addEventListener('change', (e) => {
-                Utils.storage.set('refresh_interval', parseInt(e.target.value));
-                Utils.events.emit('settingsChanged', {
-                    refreshInterval: parseInt(e.target.value)
+        this.loadDefaultLocationSettings();
+        this.loadProviderSettings();
+        this.loadGeocoderSettings();
+    }
+
+    /**
+     * Show the default location and save places picked from the suggestions
+     */
+    loadDefaultLocationSettings() {
+        const locationInput = document.getElementById('defaultLocation');
+        if (!locationInput || !this.dataManager) return;
+
+        locationInput.value = appSettings.get('defaultLocation').label;
+
+        new LocationAutocomplete(locationInput, {
+            search: (query) => this.dataManager.searchLocations(query, { autocomplete: true }),
+            onSelect: (place) => {
+                this.saveSettings({
+                    defaultLocation: { lat: place.lat, lng: place.lng, label: place.label }
                 });
+            }
+        });
+
+    }
+
+    /**
+     * Populate the traffic data source controls from the background worker
+     */
+    async loadProviderSettings() {
+        const providerSelect = document.getElementById('trafficProvider');
+        if (!providerSelect || !this.dataManager) return;
+
+        try {
+            const { providers, selected } = await this.dataManager.sendMessageToBackground({
+                type: 'GET_TRAFFIC_PROVIDERS'
+            });
+
+            providers.forEach(provider => {
+                providerSelect.appendChild(Utils.createElement('option', {
+                    value: provider.id
+                }, provider.label));
+            });
+            providerSelect.value = selected;
+            this.trafficProviders = providers;
+            this.renderApiKeyFields();
+
+            providerSelect.addEventListener('change', () => {
+                this.renderApiKeyFields();
+                this.saveSettings({ trafficProvider: providerSelect.value });
+            });
+        } catch (error) {
+            console.error('Error loading traffic providers:', error);
+            providerSelect.disabled = true;
+        }
+    }
+
+    /**
+     * Populate the geocoding service select from the background worker
+     */
+    async loadGeocoderSettings() {
+        const geocoderSelect = document.getElementById('geocoderSelect');
+        if (!geocoderSelect || !this.dataManager) return;
+
+        try {
+            const { geocoders, selected } = await this.dataManager.sendMessageToBackground({
+                type: 'GET_GEOCODERS'
+            });
+
+            geocoders.forEach(geocoder => {
+                geocoderSelect.appendChild(Utils.createElement('option', {
+                    value: geocoder.id
+                }, geocoder.requiresApiKey ? I18n.t('geocoderUsesApiKey', { label: geocoder.label }) : geocoder.label));
+            });
+            geocoderSelect.value = selected;
+            this.geocoders = geocoders;
+            this.renderApiKeyFields();
+
+            geocoderSelect.addEventListener('change', () => {
+                this.renderApiKeyFields();
+                this.saveSettings({ geocoder: geocoderSelect.value });
+            });
+        } catch (error) {
+            console.error('Error loading geocoders:', error);
+            geocoderSelect.disabled = true;
+        }
+    }
+
+    /**
+     * Show a key field for each selected traffic provider or geocoder that
+     * needs one. Services are keyed by ID, so Mapbox traffic and Mapbox
+     * geocoding share a key and a field.
+     */
+    renderApiKeyFields() {
+        const container = document.getElementById('providerApiKeyGroup');
+        if (!container) return;
+
+        const services = new Map();
+        [
+            [this.trafficProviders, document.getElementById('trafficProvider')],
+            [this.geocoders, document.getElementById('geocoderSelect')]
+        ].forEach(([list, select]) => {
+            const service = (list || []).find(item => item.id === select?.value);
+            if (service?.requiresApiKey && !services.has(service.id)) {
+                services.set(service.id, service.label);
+            }
+        });
+
+        container.replaceChildren(...[...services].map(([id, label]) => {
+            const input = Utils.createElement('input', {
+                className: 'form-input',
+                id: `apiKey_${id}`,
+                type: 'password',
+                placeholder: I18n.t('apiKeyPlaceholder')
+            });
+            input.value = appSettings.get('providerApiKeys')[id] || '';
+
+            input.addEventListener('change', () => {
+                const providerApiKeys = {
+                    ...appSettings.get('providerApiKeys'),
+                    [id]: input.value.trim()
+                };
+                this.saveSettings({ providerApiKeys });
             });
+
+            return Utils.createElement('div', {
+                className: 'form-group'
+            }, [
+                Utils.createElement('label', {
+                    className: 'form-label',
+                    for: input.id
+                }, I18n.t('apiKeyFor', { service: label })),
+                input
+            ]);
+        }));
+    }
+
+    /**
+     * Save settings; every context, this one included, reacts through settingsChanged
+     * @param {Object} changes - Settings to change
+     */
+    async saveSettings(changes) {
+        try {
+            await this.dataManager.updateSettings(changes);
+
+            // Traffic data now comes from a different source
+            if (changes.trafficProvider !== undefined || changes.providerApiKeys !== undefined) {
+                this.controllers.heatmap?.refreshData();
+            }
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.showError(I18n.t('saveSettingsFailed'));
+            this.syncSettingsControls();
+        }
+    }
+
+    /**
+     * Restore every setting to its default after confirmation
+     */
+    async resetSettings() {
+        if (!confirm(I18n.t('resetSettingsConfirm'))) return;
+
+        const changes = SettingsStore.defaults();
+        delete changes.commuteAlerts;
+        delete changes.providerApiKeys;
+        await this.saveSettings(changes);
+    }
+
+    /**
+     * Show current values in the settings modal, if it is open
+     */
+    syncSettingsControls() {
+        document.querySelectorAll('.settings-content [data-setting]').forEach(control => {
+            control.value = String(appSettings.get(control.dataset.setting));
+        });
+
+        const locationInput = document.getElementById('defaultLocation');
+        if (locationInput && document.activeElement !== locationInput) {
+            locationInput.value = appSettings.get('defaultLocation').label;
+        }
+    }
+
+    /**
+     * React to settings changed here, in another context or on another device
+     * @param {Object} changes - Settings that changed
+     */
+    handleSettingsChange(changes) {
+        this.syncSettingsControls();
+
+        if (changes.saveRecentPlaces === false) {
+            LocationAutocomplete.clearRecentPlaces();
+        }
+
+        if (changes.useDeviceLocation !== undefined || changes.defaultLocation !== undefined) {
+            this.loadUserLocation();
         }
     }
 
@@ -0,0 +1,163 @@
+// ===== POSITION SOURCES =====
+//
+// Sources feed position fixes `{lat, lng, accuracy, speed, heading, timestamp}`
+// to a NavigationSession through `start(onPosition, onError)` and `stop()`.
+
+/**
+ * Live positions from the device through navigator.geolocation
+ */
+class GeolocationSource {
+    /**
+     * @param {Object} options - PositionOptions passed to watchPosition
+     */
+    constructor(options = {}) {
+        this.options = { enableHighAccuracy: true, maximumAge: 1000, timeout: 20000, ...options };
+        this.watchId = null;
+    }
+
+    /**
+     * Start watching the device position
+     * @param {Function} onPosition - Called with each fix
+     * @param {Function} onError - Called with geolocation errors
+     */
+    start(onPosition, onError) {
+        if (!navigator.geolocation) {
+            onError(new Error(I18n.t('geolocationUnsupported')));
+            return;
+        }
+
+        this.watchId = navigator.geolocation.watchPosition(
+            (position) => onPosition({
+                lat: position.coords.latitude,
+                lng: position.coords.longitude,
+                accuracy: position.coords.accuracy,
+                speed: position.coords.speed,
+                heading: position.coords.heading,
+                timestamp: position.timestamp
+            }),
+            (error) => onError(new Error(I18n.t('geolocationError', { error: error.message }))),
+            this.options
+        );
+    }
+
+    /**
+     * Stop watching the device position
+     */
+    stop() {
+        if (this.watchId !== null) {
+            navigator.geolocation.clearWatch(this.watchId);
+            this.watchId = null;
+        }
+    }
+}
+
+/**
+ * Replays a recorded GPS trace with its original timing, shifted to start now
+ */
+class TraceReplaySource {
+    /**
+     * @param {Array} points - Fixes `{lat, lng, timestamp, accuracy}` in time order
+     * @param {Object} options - Replay options
+     * @param {number} [options.speed] - Playback rate (2 = twice as fast)
+     */
+    constructor(points, options = {}) {
+        if (!points.length) {
+            throw new Error(I18n.t('traceEmpty'));
+        }
+
+        this.points = points;
+        this.speed = options.speed || 1;
+        this.timer = null;
+    }
+
+    /**
+     * Load a trace from a URL
+     * @param {string} url - JSON trace (see TraceReplaySource.parse)
+     * @param {Object} options - Replay options
+     * @returns {Promise<TraceReplaySource>} Replay source
+     */
+    static async load(url, options = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load trace (${response.status})`);
+        }
+        return new TraceReplaySource(TraceReplaySource.parse(await response.json()), options);
+    }
+
+    /**
+     * Read fixes from `{points: [{lat, lng, timestamp, accuracy}]}`, a bare
+     * array of those, or a GeoJSON LineString Feature with per-vertex times
+     * in `properties.coordTimes` (as written by GPX converters)
+     * @param {Object|Array} data - Trace JSON
+     * @returns {Array} Fixes in time order
+     */
+    static parse(data) {
+        let points;
+
+        if (data && data.type === 'Feature' && data.geometry?.type === 'LineString') {
+            const times = data.properties?.coordTimes || [];
+            points = data.geometry.coordinates.map(([lng, lat], i) => ({
+                lat: lat,
+                lng: lng,
+                timestamp: times[i] ? new Date(times[i]).getTime() : i * 1000,
+                accuracy: 10
+            }));
+        } else {
+            points = (Array.isArray(data) ? data : data?.points || []).map(p => ({
+                lat: p.lat,
+                lng: p.lng,
+                timestamp: new Date(p.timestamp).getTime(),
+                accuracy: typeof p.accuracy === 'number' ? p.accuracy : 10
+            }));
+        }
+
+        return points
+            .filter(p => Utils.isValidCoordinates(p.lat, p.lng) && !isNaN(p.timestamp))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Start replaying from the first fix
+     * @param {Function} onPosition - Called with each fix
+     */
+    start(onPosition) {
+        this.stop();
+
+        const first = this.points[0].timestamp;
+        const startedAt = Date.now();
+        let index = 0;
+
+        const emit = () => {
+            const point = this.points[index];
+            onPosition({
+                ...point,
+                speed: null,
+                heading: null,
+                timestamp: startedAt + (point.timestamp - first) / this.speed
+            });
+
+            index++;
+            if (index >= this.points.length) {
+                this.timer = null;
+                return;
+            }
+            this.timer = setTimeout(emit, (this.points[index].timestamp - point.timestamp) / this.speed);
+        };
+
+        emit();
+    }
+
+    /**
+     * Stop the replay
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+// Make globally available
+window.GeolocationSource = GeolocationSource;
+window.TraceReplaySource = TraceReplaySource;
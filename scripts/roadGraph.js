@@ -0,0 +1,508 @@
+// ===== ROAD GRAPH =====
+
+/**
+ * Free-flow speeds (km/h) used when a way has no usable `maxspeed` tag
+ */
+const DEFAULT_ROAD_SPEEDS = {
+    motorway: 90,
+    trunk: 70,
+    primary: 50,
+    secondary: 45,
+    tertiary: 40,
+    unclassified: 35,
+    residential: 30,
+    service: 20,
+    living_street: 15
+};
+
+/**
+ * Highway tags that are not drivable and are skipped when building the graph
+ */
+const NON_DRIVABLE_HIGHWAYS = ['footway', 'path', 'cycleway', 'pedestrian', 'steps', 'track', 'bridleway', 'corridor'];
+
+/**
+ * Slowest speed a fully congested edge is allowed to drop to, as a share of free-flow speed
+ */
+const MIN_SPEED_RATIO = 0.1;
+
+/**
+ * Directed road graph built from an OSM extract or a GeoJSON file
+ */
+class RoadGraph {
+    constructor() {
+        this.nodes = new Map(); // nodeId -> {id, lat, lng}
+        this.edges = []; // edgeId (index) -> edge
+        this.adjacency = new Map(); // nodeId -> [edgeId]
+        this.nodeIndex = null;
+        this.edgeIndex = null;
+        this.indexCellSize = 0.005; // degrees
+    }
+
+    /**
+     * Load a road graph from a URL (GeoJSON or Overpass JSON)
+     * @param {string} url - File URL
+     * @param {Function} fetchImpl - fetch implementation
+     * @returns {Promise<RoadGraph>} Road graph
+     */
+    static async load(url, fetchImpl = (...args) => fetch(...args)) {
+        const response = await fetchImpl(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load road network (${response.status})`);
+        }
+        return RoadGraph.fromData(await response.json());
+    }
+
+    /**
+     * Build a road graph from parsed data, detecting the format
+     * @param {Object} data - GeoJSON FeatureCollection or Overpass JSON
+     * @returns {RoadGraph} Road graph
+     */
+    static fromData(data) {
+        if (data && Array.isArray(data.elements)) {
+            return RoadGraph.fromOsm(data);
+        }
+        if (data && (data.type === 'FeatureCollection' || data.type === 'Feature')) {
+            return RoadGraph.fromGeoJSON(data);
+        }
+        throw new Error('Unsupported road network format');
+    }
+
+    /**
+     * Build a road graph from GeoJSON LineString/MultiLineString features.
+     * Feature properties follow OSM tagging (`highway`, `oneway`, `maxspeed`, `name`).
+     * @param {Object} geojson - GeoJSON FeatureCollection or Feature
+     * @returns {RoadGraph} Road graph
+     */
+    static fromGeoJSON(geojson) {
+        const graph = new RoadGraph();
+        const features = geojson.type === 'Feature' ? [geojson] : geojson.features;
+
+        features.forEach(feature => {
+            const geometry = feature.geometry;
+            if (!geometry) return;
+
+            const lines = geometry.type === 'LineString' ? [geometry.coordinates]
+                : geometry.type === 'MultiLineString' ? geometry.coordinates
+                : [];
+
+            lines.forEach(line => {
+                graph.addWay(line.map(([lng, lat]) => ({ lat, lng })), feature.properties || {});
+            });
+        });
+
+        return graph;
+    }
+
+    /**
+     * Build a road graph from an Overpass API JSON extract
+     * (`[out:json]; way[highway]; (._;>;); out;`)
+     * @param {Object} osm - Overpass JSON with `elements`
+     * @returns {RoadGraph} Road graph
+     */
+    static fromOsm(osm) {
+        const graph = new RoadGraph();
+        const osmNodes = new Map();
+
+        osm.elements.forEach(element => {
+            if (element.type === 'node') {
+                osmNodes.set(element.id, { lat: element.lat, lng: element.lon });
+            }
+        });
+
+        osm.elements.forEach(element => {
+            if (element.type !== 'way' || !element.tags?.highway) return;
+
+            const points = element.nodes
+                .map(id => osmNodes.get(id))
+                .filter(Boolean);
+            graph.addWay(points, element.tags);
+        });
+
+        return graph;
+    }
+
+    /**
+     * Add a way to the graph, creating nodes and directed edges
+     * @param {Array} points - Ordered `{lat, lng}` points
+     * @param {Object} tags - OSM-style tags
+     */
+    addWay(points, tags) {
+        if (points.length < 2 || NON_DRIVABLE_HIGHWAYS.includes(tags.highway)) return;
+
+        const oneway = RoadGraph.parseOneway(tags);
+        const freeFlowSpeed = RoadGraph.parseMaxSpeed(tags.maxspeed) ||
+            DEFAULT_ROAD_SPEEDS[tags.highway] || DEFAULT_ROAD_SPEEDS.unclassified;
+
+        for (let i = 0; i < points.length - 1; i++) {
+            const a = this.addNode(points[i].lat, points[i].lng);
+            const b = this.addNode(points[i + 1].lat, points[i + 1].lng);
+            if (a === b) continue;
+
+            const attributes = {
+                name: tags.name || tags.ref || '',
+                roadType: tags.highway || 'unclassified',
+                freeFlowSpeed: freeFlowSpeed
+            };
+
+            if (oneway >= 0) this.addEdge(a, b, attributes);
+            if (oneway <= 0) this.addEdge(b, a, attributes);
+        }
+    }
+
+    /**
+     * Add a node, merging nodes that share the same coordinate
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {string} Node ID
+     */
+    addNode(lat, lng) {
+        const id = `${lat.toFixed(6)},${lng.toFixed(6)}`;
+        if (!this.nodes.has(id)) {
+            this.nodes.set(id, { id, lat, lng });
+            this.adjacency.set(id, []);
+            this.nodeIndex = null;
+        }
+        return id;
+    }
+
+    /**
+     * Add a directed edge
+     * @param {string} from - Start node ID
+     * @param {string} to - End node ID
+     * @param {Object} attributes - Edge attributes
+     * @returns {Object} Edge
+     */
+    addEdge(from, to, attributes) {
+        const a = this.nodes.get(from);
+        const b = this.nodes.get(to);
+        const edge = {
+            id: this.edges.length,
+            from: from,
+            to: to,
+            length: Utils.calculateDistance(a.lat, a.lng, b.lat, b.lng),
+            congestion: null,
+            ...attributes
+        };
+
+        this.edges.push(edge);
+        this.adjacency.get(from).push(edge.id);
+        this.edgeIndex = null;
+        return edge;
+    }
+
+    /**
+     * Parse an OSM `oneway` tag
+     * @param {Object} tags - OSM tags
+     * @returns {number} 1 forward only, -1 reverse only, 0 both directions
+     */
+    static parseOneway(tags) {
+        const oneway = String(tags.oneway || '').toLowerCase();
+        if (oneway === 'yes' || oneway === 'true' || oneway === '1') return 1;
+        if (oneway === '-1' || oneway === 'reverse') return -1;
+        if (tags.highway === 'motorway' && oneway !== 'no') return 1;
+        return 0;
+    }
+
+    /**
+     * Parse an OSM `maxspeed` tag into km/h
+     * @param {string|number} maxspeed - Tag value, e.g. "50" or "25 mph"
+     * @returns {number|null} Speed in km/h
+     */
+    static parseMaxSpeed(maxspeed) {
+        if (maxspeed === undefined || maxspeed === null) return null;
+        const match = String(maxspeed).match(/(\d+(?:\.\d+)?)\s*(mph)?/i);
+        if (!match) return null;
+
+        const value = parseFloat(match[1]);
+        return match[2] ? value * 1.609344 : value;
+    }
+
+    /**
+     * Create a view of the graph with its own traffic and incident state.
+     * Nodes, adjacency and spatial indexes are shared with this graph; edges
+     * are copied, so conditions applied to the view leave this graph as loaded.
+     * @returns {RoadGraph} Graph view
+     */
+    withConditions() {
+        // Build the indexes once here so views don't each build their own
+        if (!this.nodeIndex) this.buildNodeIndex();
+        if (!this.edgeIndex) this.buildEdgeIndex();
+
+        const view = Object.create(this);
+        view.edges = this.edges.map(edge => ({ ...edge }));
+        return view;
+    }
+
+    /**
+     * Apply traffic point congestion to the nearest edges
+     * @param {Array} points - Traffic points with `lat`, `lng` and `congestion`
+     * @param {number} maxDistance - Max distance (m) between a point and an edge midpoint
+     */
+    applyTraffic(points, maxDistance = 200) {
+        const validPoints = (points || []).filter(p =>
+            Utils.isValidCoordinates(p.lat, p.lng) && typeof p.congestion === 'number'
+        );
+
+        // Edges without a nearby observation use the network average
+        this.defaultCongestion = validPoints.length
+            ? validPoints.reduce((sum, p) => sum + p.congestion, 0) / validPoints.length
+            : 0;
+
+        const buckets = new Map();
+        const cellKey = (lat, lng) =>
+            `${Math.floor(lat / this.indexCellSize)},${Math.floor(lng / this.indexCellSize)}`;
+
+        validPoints.forEach(point => {
+            const key = cellKey(point.lat, point.lng);
+            if (!buckets.has(key)) buckets.set(key, []);
+            buckets.get(key).push(point);
+        });
+
+        this.edges.forEach(edge => {
+            const a = this.nodes.get(edge.from);
+            const b = this.nodes.get(edge.to);
+            const midLat = (a.lat + b.lat) / 2;
+            const midLng = (a.lng + b.lng) / 2;
+            const row = Math.floor(midLat / this.indexCellSize);
+            const col = Math.floor(midLng / this.indexCellSize);
+
+            let nearest = null;
+            let nearestDistance = maxDistance;
+
+            for (let r = row - 1; r <= row + 1; r++) {
+                for (let c = col - 1; c <= col + 1; c++) {
+                    (buckets.get(`${r},${c}`) || []).forEach(point => {
+                        const distance = Utils.calculateDistance(midLat, midLng, point.lat, point.lng);
+                        if (distance <= nearestDistance) {
+                            nearest = point;
+                            nearestDistance = distance;
+                        }
+                    });
+                }
+            }
+
+            edge.congestion = nearest ? nearest.congestion : null;
+            // Lets forecasts look up the same reading location for this edge
+            edge.trafficPointId = nearest ? nearest.id : null;
+        });
+    }
+
+    /**
+     * Attach incidents to the road they are on, in both directions.
+     * Affected edges slow down by the worst incident's speed factor and
+     * closures are left out of routing.
+     * @param {Array} incidents - Active incidents
+     * @param {number} maxDistance - Max distance (m) from an incident to its road
+     * @returns {Map} Incident ID -> affected segment `{id, name}`
+     */
+    applyIncidents(incidents, maxDistance = 60) {
+        const segments = new Map();
+
+        this.edges.forEach(edge => {
+            edge.incidents = null;
+            edge.incidentFactor = 1;
+            edge.closed = false;
+        });
+
+        (incidents || []).forEach(incident => {
+            const hit = this.nearestEdge(incident.location.lat, incident.location.lng, maxDistance);
+            if (!hit) return;
+
+            // The spatial index may hold the edges of the graph this view was made from
+            const edge = this.edges[hit.edge.id];
+            const { from, to } = edge;
+            const affected = [edge, ...this.adjacency.get(to)
+                .map(id => this.edges[id])
+                .filter(edge => edge.to === from)];
+            const factor = Incidents.speedFactor(incident);
+
+            affected.forEach(edge => {
+                edge.incidents = [...(edge.incidents || []), incident]
+                    .sort((a, b) => Incidents.speedFactor(a) - Incidents.speedFactor(b));
+                edge.incidentFactor = Math.min(edge.incidentFactor, factor);
+                edge.closed = edge.closed || incident.closed;
+            });
+
+            segments.set(incident.id, {
+                id: from < to ? `${from}|${to}` : `${to}|${from}`,
+                name: edge.name || ''
+            });
+        });
+
+        return segments;
+    }
+
+    /**
+     * Get the congestion level of an edge
+     * @param {Object} edge - Edge
+     * @returns {number} Congestion level (0-1)
+     */
+    getCongestion(edge) {
+        return edge.congestion !== null ? edge.congestion : (this.defaultCongestion || 0);
+    }
+
+    /**
+     * Get the current speed of an edge
+     * @param {Object} edge - Edge
+     * @returns {number} Speed in km/h
+     */
+    getSpeed(edge) {
+        // Closed edges are skipped by routing; keep their speed finite anyway
+        const factor = Math.max(edge.incidentFactor ?? 1, MIN_SPEED_RATIO);
+        return this.speedForCongestion(edge, this.getCongestion(edge)) * factor;
+    }
+
+    /**
+     * Get the speed of an edge at a given congestion level
+     * @param {Object} edge - Edge
+     * @param {number} congestion - Congestion level (0-1)
+     * @returns {number} Speed in km/h
+     */
+    speedForCongestion(edge, congestion) {
+        return edge.freeFlowSpeed * Math.max(MIN_SPEED_RATIO, 1 - congestion);
+    }
+
+    /**
+     * Get the current travel time of an edge
+     * @param {Object} edge - Edge
+     * @returns {number} Travel time in seconds
+     */
+    getTravelTime(edge) {
+        return edge.length / (this.getSpeed(edge) / 3.6);
+    }
+
+    /**
+     * Get the highest free-flow speed in the graph
+     * @returns {number} Speed in km/h
+     */
+    getMaxSpeed() {
+        if (this.maxSpeed === undefined) {
+            this.maxSpeed = this.edges.reduce((max, edge) => Math.max(max, edge.freeFlowSpeed), 1);
+        }
+        return this.maxSpeed;
+    }
+
+    /**
+     * Find the node closest to a coordinate
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {{node: Object, distance: number}|null} Nearest node and distance in meters
+     */
+    nearestNode(lat, lng) {
+        if (!this.nodeIndex) {
+            this.buildNodeIndex();
+        }
+
+        const row = Math.floor(lat / this.indexCellSize);
+        const col = Math.floor(lng / this.indexCellSize);
+        let best = null;
+
+        // Search growing rings of cells until a node is found, then one more ring
+        for (let ring = 0; ring <= 50; ring++) {
+            for (let r = row - ring; r <= row + ring; r++) {
+                for (let c = col - ring; c <= col + ring; c++) {
+                    if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+
+                    (this.nodeIndex.get(`${r},${c}`) || []).forEach(node => {
+                        const distance = Utils.calculateDistance(lat, lng, node.lat, node.lng);
+                        if (!best || distance < best.distance) {
+                            best = { node, distance };
+                        }
+                    });
+                }
+            }
+
+            if (best && ring > 0) break;
+        }
+
+        return best;
+    }
+
+    /**
+     * Find the edge closest to a coordinate
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} maxDistance - Max distance in meters (up to about 500)
+     * @returns {{edge: Object, distance: number}|null} Nearest edge and distance in meters
+     */
+    nearestEdge(lat, lng, maxDistance = 100) {
+        if (!this.edgeIndex) {
+            this.buildEdgeIndex();
+        }
+
+        const row = Math.floor(lat / this.indexCellSize);
+        const col = Math.floor(lng / this.indexCellSize);
+        let best = null;
+
+        for (let r = row - 1; r <= row + 1; r++) {
+            for (let c = col - 1; c <= col + 1; c++) {
+                (this.edgeIndex.get(`${r},${c}`) || []).forEach(edge => {
+                    const distance = RoadGraph.distanceToSegment(
+                        lat, lng, this.nodes.get(edge.from), this.nodes.get(edge.to)
+                    );
+                    if (distance <= maxDistance && (!best || distance < best.distance)) {
+                        best = { edge, distance };
+                    }
+                });
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Distance from a coordinate to a segment, using a local flat projection
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {Object} a - Segment start `{lat, lng}`
+     * @param {Object} b - Segment end `{lat, lng}`
+     * @returns {number} Distance in meters
+     */
+    static distanceToSegment(lat, lng, a, b) {
+        const metersPerLng = 111320 * Math.cos(lat * Math.PI / 180);
+        const ax = (a.lng - lng) * metersPerLng;
+        const ay = (a.lat - lat) * 111320;
+        const bx = (b.lng - lng) * metersPerLng;
+        const by = (b.lat - lat) * 111320;
+
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared ? Math.min(Math.max(-(ax * dx + ay * dy) / lengthSquared, 0), 1) : 0;
+
+        return Math.hypot(ax + t * dx, ay + t * dy);
+    }
+
+    /**
+     * Build the spatial index used by nearestEdge()
+     */
+    buildEdgeIndex() {
+        this.edgeIndex = new Map();
+        this.edges.forEach(edge => {
+            const a = this.nodes.get(edge.from);
+            const b = this.nodes.get(edge.to);
+            const keys = new Set([a, b].map(node =>
+                `${Math.floor(node.lat / this.indexCellSize)},${Math.floor(node.lng / this.indexCellSize)}`
+            ));
+
+            keys.forEach(key => {
+                if (!this.edgeIndex.has(key)) this.edgeIndex.set(key, []);
+                this.edgeIndex.get(key).push(edge);
+            });
+        });
+    }
+
+    /**
+     * Build the spatial index used by nearestNode()
+     */
+    buildNodeIndex() {
+        this.nodeIndex = new Map();
+        this.nodes.forEach(node => {
+            const key = `${Math.floor(node.lat / this.indexCellSize)},${Math.floor(node.lng / this.indexCellSize)}`;
+            if (!this.nodeIndex.has(key)) this.nodeIndex.set(key, []);
+            this.nodeIndex.get(key).push(node);
+        });
+    }
+}
+
+self.RoadGraph = RoadGraph;
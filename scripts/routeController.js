@@ -6,6 +6,11 @@ class RouteController {
         this.selectedRoute = null;
         this.dataManager = new DataManager();
         this.container = null;
+        this.fromAutocomplete = null;
+        this.toAutocomplete = null;
+        this.departurePlan = null;
+        this.planSlot = null;
+        this.planEndpoints = null;
         
         this.init();
     }
@@ -23,45 +28,244 @@ class RouteController {
         const refreshBtn = document.getElementById('refreshRoutes');
 
         if (fromInput && toInput) {
-            const debouncedSearch = Utils.debounce(() => this.searchRoutes(), 1000);
-            fromInput.addEventListener('input', debouncedSearch);
-            toInput.addEventListener('input', debouncedSearch);
+            const autocompleteOptions = {
+                search: (query) => this.dataManager.searchLocations(query, { autocomplete: true }),
+                onSelect: () => {
+                    if (fromInput.value && toInput.value) {
+                        this.searchRoutes();
+                    }
+                }
+            };
+            this.fromAutocomplete = new LocationAutocomplete(fromInput, autocompleteOptions);
+            this.toAutocomplete = new LocationAutocomplete(toInput, autocompleteOptions);
+
+            // Enter without a highlighted suggestion searches with the typed text
+            [fromInput, toInput].forEach(input => {
+                input.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' && !e.defaultPrevented) {
+                        this.searchRoutes();
+                    }
+                });
+            });
         }
 
         swapBtn?.addEventListener('click', () => this.swapLocations());
         refreshBtn?.addEventListener('click', () => this.refreshRoutes());
 
+        // Export the suggestions shown
+        document.querySelectorAll('[data-route-export]').forEach(btn => {
+            btn.addEventListener('click', () => this.exportRoutes(btn.dataset.routeExport));
+        });
+
         // Departure time
         document.getElementById('departureTime')?.addEventListener('change', (e) => {
             this.handleDepartureTimeChange(e.target.value);
         });
+
+        // Departure planner
+        ['plannerMode', 'plannerTime', 'plannerWindow'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.refreshRoutes());
+        });
+        document.getElementById('plannerResult')?.addEventListener('click', (e) => {
+            const slot = e.target.closest('[data-slot]');
+            if (slot) this.selectPlanSlot(parseInt(slot.dataset.slot));
+        });
+
+        // Redraw in the new units or clock
+        Utils.events.on('settingsChanged', (settings) => {
+            if (settings.units === undefined && settings.clock === undefined) return;
+            if (this.currentRoutes.length) this.renderRoutes();
+            if (this.departurePlan) this.renderDeparturePlan();
+        });
     }
 
     async searchRoutes() {
-        const from = document.getElementById('fromLocation')?.value;
-        const to = document.getElementById('toLocation')?.value;
+        const from = document.getElementById('fromLocation')?.value.trim();
+        const to = document.getElementById('toLocation')?.value.trim();
         
-        if (!from || !to || from.length < 3 || to.length < 3) {
+        if (!from || !to || !this.fromAutocomplete || !this.toAutocomplete) {
             this.clearResults();
             return;
         }
 
         try {
             this.showLoading();
+
+            const [fromPlace, toPlace] = await Promise.all([
+                this.resolvePlace(this.fromAutocomplete),
+                this.resolvePlace(this.toAutocomplete)
+            ]);
+
+            if (!fromPlace || !toPlace) {
+                this.showError(I18n.t(!fromPlace ? 'startNotFound' : 'destinationNotFound'));
+                return;
+            }
             
-            const routes = await this.dataManager.getRouteSuggestions({
-                from: from,
-                to: to,
-                departureTime: document.getElementById('departureTime')?.value || 'now'
-            });
+            this.fromAutocomplete.addRecentPlace(fromPlace);
+            this.toAutocomplete.addRecentPlace(toPlace);
+
+            this.planEndpoints = {
+                from: { lat: fromPlace.lat, lng: fromPlace.lng, label: fromPlace.label },
+                to: { lat: toPlace.lat, lng: toPlace.lng, label: toPlace.label }
+            };
+
+            let departureTime = document.getElementById('departureTime')?.value || 'now';
+            if (departureTime === 'custom') {
+                departureTime = await this.planDeparture();
+            }
 
-            this.currentRoutes = routes;
-            this.renderRoutes();
+            await this.loadRoutes(departureTime);
+
+            if (departureTime === 'optimal' && this.currentRoutes.length) {
+                this.showOptimalDeparture(this.currentRoutes[0]);
+            }
             
         } catch (error) {
             console.error('Error fetching routes:', error);
-            this.showError('Failed to find routes');
+            this.showError(I18n.t('routesFailed', { error: error.message }));
+        }
+    }
+
+    async loadRoutes(departureTime) {
+        this.currentRoutes = await this.dataManager.getRouteSuggestions({
+            ...this.planEndpoints,
+            departureTime: departureTime
+        });
+        this.renderRoutes();
+    }
+
+    async planDeparture() {
+        const mode = document.getElementById('plannerMode')?.value || 'depart';
+        const timeInput = document.getElementById('plannerTime');
+        const time = timeInput?.value ? new Date(timeInput.value).getTime() : Date.now();
+
+        try {
+            this.departurePlan = await this.dataManager.planDeparture({
+                ...this.planEndpoints,
+                mode: mode,
+                time: time,
+                windowMinutes: parseInt(document.getElementById('plannerWindow')?.value) || 120
+            });
+            this.planSlot = this.departurePlan.recommended;
+            this.renderDeparturePlan();
+
+            return new Date(this.departurePlan.candidates[this.planSlot].departure).getTime();
+        } catch (error) {
+            console.error('Error planning departure:', error);
+            this.departurePlan = null;
+            this.showPlanMessage(error.message);
+
+            // Routes can still be timed for a depart-at time without a plan
+            return mode === 'depart' ? Math.max(time, Date.now()) : 'now';
+        }
+    }
+
+    async selectPlanSlot(index) {
+        if (!this.departurePlan || !this.departurePlan.candidates[index]) return;
+
+        this.planSlot = index;
+        this.renderDeparturePlan();
+
+        try {
+            this.showLoading();
+            await this.loadRoutes(new Date(this.departurePlan.candidates[index].departure).getTime());
+        } catch (error) {
+            console.error('Error fetching routes:', error);
+            this.showError(I18n.t('routesFailed', { error: error.message }));
+        }
+    }
+
+    renderDeparturePlan() {
+        const result = document.getElementById('plannerResult');
+        const plan = this.departurePlan;
+        if (!result || !plan) return;
+
+        const candidates = plan.candidates;
+        const width = 300;
+        const height = 120;
+        const pad = { left: 34, right: 8, top: 8, bottom: 20 };
+        const low = Math.min(...candidates.map(c => c.duration.low));
+        const high = Math.max(...candidates.map(c => c.duration.high));
+
+        const x = (i) => pad.left + (candidates.length > 1 ? i / (candidates.length - 1) : 0.5) * (width - pad.left - pad.right);
+        const y = (minutes) => pad.top + (high > low ? (high - minutes) / (high - low) : 0.5) * (height - pad.top - pad.bottom);
+
+        // 95% range band: upper bound left to right, then lower bound back
+        const band = [
+            ...candidates.map((c, i) => `${x(i)},${y(c.duration.high)}`),
+            ...candidates.map((c, i) => `${x(i)},${y(c.duration.low)}`).reverse()
+        ].join(' ');
+        const line = candidates.map((c, i) => `${x(i)},${y(c.duration.value)}`).join(' ');
+        const last = candidates.length - 1;
+
+        const slots = candidates.map((c, i) => `
+            <circle class="planner-slot ${c.status}${c.late ? ' late' : ''}${i === plan.recommended ? ' recommended' : ''}${i === this.planSlot ? ' selected' : ''}"
+                    cx="${x(i)}" cy="${y(c.duration.value)}" r="${i === plan.recommended ? 5 : 3.5}" data-slot="${i}">
+                <title>${I18n.t('plannerSlotTitle', {
+                    departure: Utils.formatTime(c.departure),
+                    duration: Utils.formatDuration(c.duration.value),
+                    range: Utils.formatDurationRange(c.duration.low, c.duration.high),
+                    arrival: Utils.formatTime(c.arrival)
+                })}</title>
+            </circle>
+        `).join('');
+
+        const target = plan.mode === 'arrive' ? `
+            <line class="planner-target" x1="${width - pad.right}" y1="${pad.top}" x2="${width - pad.right}" y2="${height - pad.bottom}"></line>
+        ` : '';
+
+        result.innerHTML = `
+            <svg class="planner-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${I18n.t('plannerChartLabel')}">
+                <polygon class="planner-band" points="${band}"></polygon>
+                <polyline class="planner-line" points="${line}"></polyline>
+                ${target}
+                ${slots}
+                <text class="planner-axis" x="${pad.left - 4}" y="${pad.top + 4}" text-anchor="end">${Utils.formatNumber(high, { style: 'unit', unit: 'minute', unitDisplay: 'narrow' })}</text>
+                <text class="planner-axis" x="${pad.left - 4}" y="${height - pad.bottom}" text-anchor="end">${Utils.formatNumber(low, { style: 'unit', unit: 'minute', unitDisplay: 'narrow' })}</text>
+                <text class="planner-axis" x="${x(0)}" y="${height - 4}" text-anchor="start">${Utils.formatTime(candidates[0].departure)}</text>
+                <text class="planner-axis" x="${x(last)}" y="${height - 4}" text-anchor="end">${Utils.formatTime(candidates[last].departure)}</text>
+            </svg>
+            <div class="planner-summary">${this.describePlanSlot()}</div>
+        `;
+    }
+
+    describePlanSlot() {
+        const plan = this.departurePlan;
+        const slot = plan.candidates[this.planSlot];
+        const leave = I18n.t('plannerLeave', {
+            departure: `<strong>${Utils.formatTime(slot.departure)}</strong>`,
+            arrival: Utils.formatTime(slot.arrival),
+            range: Utils.formatDurationRange(slot.duration.low, slot.duration.high),
+            route: Utils.escapeHtml(slot.route)
+        });
+
+        if (this.planSlot !== plan.recommended) {
+            return `${I18n.t('plannerOther', { leave })} <button class="planner-reset" data-slot="${plan.recommended}">${I18n.t('plannerBackToRecommended')}</button>`;
+        }
+        if (plan.mode === 'arrive' && !plan.onTime) {
+            return `<i class="fas fa-exclamation-triangle"></i> ${I18n.t('plannerLate', { time: Utils.formatTime(plan.time), leave })}`;
         }
+        return `<i class="fas fa-star"></i> ${I18n.t('plannerRecommended', { leave })}`;
+    }
+
+    showPlanMessage(message) {
+        const result = document.getElementById('plannerResult');
+        if (result) {
+            result.innerHTML = `<div class="planner-summary">${message}</div>`;
+        }
+    }
+
+    async resolvePlace(autocomplete) {
+        if (autocomplete.selectedPlace) {
+            return autocomplete.selectedPlace;
+        }
+
+        const place = await this.dataManager.geocodeLocation(autocomplete.input.value);
+        if (place) {
+            // Show which place the typed text was matched to
+            autocomplete.setPlace(place);
+        }
+        return place;
     }
 
     renderRoutes() {
@@ -76,6 +280,7 @@ class RouteController {
 
         this.container.innerHTML = routeCards;
         this.attachRouteCardEvents();
+        this.toggleExport(true);
     }
 
     createRouteCard(route, index) {
@@ -94,48 +299,63 @@ class RouteController {
                         ${route.name}
                     </div>
                     <div class="route-status ${statusClass}">
-                        ${statusIcon} ${statusClass}
+                        ${statusIcon} ${I18n.t(`trafficLevel_${statusClass}`)}
                     </div>
                 </div>
                 
                 <div class="route-details">
                     <div class="route-metric">
                         <div class="metric-value">${Utils.formatDuration(route.duration)}</div>
-                        <div class="metric-label">Duration</div>
+                        <div class="metric-label">${I18n.t('metricDuration')}</div>
                     </div>
                     <div class="route-metric">
                         <div class="metric-value">${Utils.formatDistance(route.distance)}</div>
-                        <div class="metric-label">Distance</div>
+                        <div class="metric-label">${I18n.t('metricDistance')}</div>
                     </div>
                     <div class="route-metric">
                         <div class="metric-value">${Utils.formatTime(route.eta)}</div>
-                        <div class="metric-label">ETA</div>
+                        <div class="metric-label">${I18n.t('metricEta')}</div>
                     </div>
                 </div>
 
-                ${route.incidents?.length ? `
-                    <div class="route-incidents">
-                        <i class="fas fa-exclamation-triangle"></i>
-                        ${route.incidents.join(', ')}
+                ${route.forecast && route.forecast.duration.high > route.forecast.duration.low ? `
+                    <div class="route-forecast">
+                        <i class="fas fa-chart-line"></i>
+                        ${I18n.t('routeForecast', {
+                            range: Utils.formatDurationRange(route.forecast.duration.low, route.forecast.duration.high),
+                            time: Utils.formatTime(route.departureTime)
+                        })}
                     </div>
                 ` : ''}
 
+                ${route.incidents?.length ? `
+                    <ul class="route-incidents">
+                        ${route.incidents.map(incident => `
+                            <li class="route-incident ${incident.severity}">
+                                <i class="fas ${Incidents.typeInfo(incident.type).icon}"></i>
+                                <span class="route-incident-title">${Utils.escapeHtml(incident.title)}</span>
+                                <span class="route-incident-delay">${incident.closed ? I18n.t('incidentClosed') : incident.delay ? `+${Utils.formatDuration(incident.delay)}` : ''}</span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
+
                 ${route.tollCost ? `
                     <div class="route-toll">
-                        <i class="fas fa-dollar-sign"></i>
-                        Toll: $${route.tollCost}
+                        <i class="fas fa-coins"></i>
+                        ${I18n.t('routeToll', { cost: Utils.formatCurrency(route.tollCost, route.tollCurrency) })}
                     </div>
                 ` : ''}
 
                 <div class="route-actions">
                     <button class="action-btn" onclick="routeController.selectRoute(${index})">
-                        <i class="fas fa-check"></i> Select
+                        <i class="fas fa-check"></i> ${I18n.t('routeSelect')}
                     </button>
                     <button class="action-btn" onclick="routeController.addToFavorites(${index})">
-                        <i class="fas fa-star"></i> Favorite
+                        <i class="fas fa-star"></i> ${I18n.t('routeFavorite')}
                     </button>
                     <button class="action-btn primary" onclick="routeController.startNavigation(${index})">
-                        <i class="fas fa-navigation"></i> Navigate
+                        <i class="fas fa-navigation"></i> ${I18n.t('routeNavigate')}
                     </button>
                 </div>
             </div>
@@ -168,7 +388,7 @@ class RouteController {
         if (window.ToastManager) {
             window.ToastManager.show({
                 type: 'success',
-                message: `Selected ${this.currentRoutes[index].name}`,
+                message: I18n.t('routeSelected', { name: this.currentRoutes[index].name }),
                 icon: 'fa-check',
                 duration: 2000
             });
@@ -178,11 +398,22 @@ class RouteController {
 
     addToFavorites(index) {
         const route = this.currentRoutes[index];
-        // This would integrate with FavoritesController
+        if (!route || !this.planEndpoints || !window.favoritesController) return;
+
+        const { from, to } = this.planEndpoints;
+        const favorite = window.favoritesController.addFavorite({
+            name: I18n.t('favoriteRouteName', { from: from.label, to: to.label }),
+            from: from,
+            to: to,
+            geometry: route.polyline,
+            distance: route.distance,
+            averageDuration: route.duration
+        });
+
         if (window.ToastManager) {
             window.ToastManager.show({
                 type: 'success',
-                message: `Added ${route.name} to favorites`,
+                message: I18n.t('routeAddedToFavorites', { name: favorite.name }),
                 icon: 'fa-star',
                 duration: 2000
             });
@@ -191,16 +422,40 @@ class RouteController {
 
     startNavigation(index) {
         const route = this.currentRoutes[index];
+        if (!route || !window.navigationController) return;
+
+        this.selectedRoute = route;
+        window.navigationController.start(route, this.planEndpoints?.to);
+    }
+
+    exportRoutes(format) {
+        if (!this.currentRoutes.length) return;
+
+        const routes = this.currentRoutes.map(route => ({
+            ...route,
+            from: this.planEndpoints?.from.label,
+            to: this.planEndpoints?.to.label
+        }));
+        const content = format === 'gpx'
+            ? DataExport.routesToGPX(routes, I18n.t('routesTitle'))
+            : DataExport.toJSON(DataExport.routesToGeoJSON(routes));
+
+        const filename = DataExport.download(content, 'routes', format);
         if (window.ToastManager) {
             window.ToastManager.show({
-                type: 'info',
-                message: `Starting navigation via ${route.name}`,
-                icon: 'fa-navigation',
+                type: 'success',
+                message: I18n.t('exportSaved', { file: filename }),
+                icon: 'fa-file-export',
                 duration: 3000
             });
         }
     }
 
+    toggleExport(visible) {
+        const exportBar = document.getElementById('routesExport');
+        if (exportBar) exportBar.hidden = !visible;
+    }
+
     swapLocations() {
         const fromInput = document.getElementById('fromLocation');
         const toInput = document.getElementById('toLocation');
@@ -209,6 +464,12 @@ class RouteController {
             const temp = fromInput.value;
             fromInput.value = toInput.value;
             toInput.value = temp;
+
+            const tempPlace = this.fromAutocomplete?.selectedPlace || null;
+            if (this.fromAutocomplete && this.toAutocomplete) {
+                this.fromAutocomplete.selectedPlace = this.toAutocomplete.selectedPlace;
+                this.toAutocomplete.selectedPlace = tempPlace;
+            }
             
             if (fromInput.value && toInput.value) {
                 this.searchRoutes();
@@ -221,18 +482,20 @@ class RouteController {
     }
 
     handleDepartureTimeChange(value) {
-        if (value === 'optimal' && this.currentRoutes.length > 0) {
-            const optimalTime = Utils.getOptimalDepartureTime({});
-            if (window.ToastManager) {
-                window.ToastManager.show({
-                    type: 'info',
-                    message: `Optimal departure time: ${Utils.formatTime(optimalTime)}`,
-                    icon: 'fa-clock',
-                    duration: 4000
-                });
-            }
+        const planner = document.getElementById('departurePlanner');
+        if (planner) {
+            planner.hidden = value !== 'custom';
         }
-        
+
+        const timeInput = document.getElementById('plannerTime');
+        if (value === 'custom' && timeInput && !timeInput.value) {
+            timeInput.value = this.toLocalInputValue(Math.ceil(Date.now() / 900000) * 900000);
+        }
+        if (value !== 'custom') {
+            this.departurePlan = null;
+            this.showPlanMessage('');
+        }
+
         // Re-search routes with new departure time
         if (document.getElementById('fromLocation')?.value && 
             document.getElementById('toLocation')?.value) {
@@ -240,30 +503,55 @@ class RouteController {
         }
     }
 
+    toLocalInputValue(timestamp) {
+        // datetime-local inputs take local time without a zone suffix
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    showOptimalDeparture(route) {
+        if (!window.ToastManager) return;
+
+        // Without a forecast the optimizer falls back to leaving now
+        const leaveNow = new Date(route.departureTime).getTime() - Date.now() < 60000;
+        window.ToastManager.show({
+            type: 'info',
+            message: leaveNow
+                ? I18n.t('leaveNowBest')
+                : I18n.t('optimalDeparture', { time: Utils.formatTime(route.departureTime) }),
+            icon: 'fa-clock',
+            duration: 4000
+        });
+    }
+
     showLoading() {
+        this.toggleExport(false);
         if (this.container) {
             this.container.innerHTML = `
                 <div class="loading-state" style="text-align: center; padding: 40px; color: #64748b;">
                     <i class="fas fa-spinner fa-spin" style="font-size: 24px; margin-bottom: 12px;"></i>
-                    <p>Finding best routes...</p>
+                    <p>${I18n.t('findingRoutes')}</p>
                 </div>
             `;
         }
     }
 
     showEmptyState() {
+        this.toggleExport(false);
         if (this.container) {
             this.container.innerHTML = `
                 <div class="empty-state" style="text-align: center; padding: 40px; color: #94a3b8;">
                     <i class="fas fa-route" style="font-size: 48px; margin-bottom: 16px; opacity: 0.3;"></i>
-                    <p style="margin-bottom: 8px;">Enter start and destination</p>
-                    <p style="font-size: 14px;">We'll find the best routes for you</p>
+                    <p style="margin-bottom: 8px;">${I18n.t('routesEmptyTitle')}</p>
+                    <p style="font-size: 14px;">${I18n.t('routesEmptyHint')}</p>
                 </div>
             `;
         }
     }
 
     showError(message) {
+        this.toggleExport(false);
         if (this.container) {
             this.container.innerHTML = `
                 <div class="error-state" style="text-align: center; padding: 40px; color: #ef4444;">
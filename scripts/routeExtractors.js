@@ -0,0 +1,473 @@
+// ===== ROUTE EXTRACTORS =====
+
+/**
+ * Units of distances shown on maps sites, in meters
+ */
+const EXTRACTOR_DISTANCE_UNITS = {
+    km: 1000,
+    kilometer: 1000,
+    kilometers: 1000,
+    m: 1,
+    meter: 1,
+    meters: 1,
+    mi: 1609.344,
+    mile: 1609.344,
+    miles: 1609.344,
+    ft: 0.3048,
+    feet: 0.3048,
+    yd: 0.9144,
+    yard: 0.9144,
+    yards: 0.9144
+};
+
+/**
+ * Base class for reading the directions a maps site shows.
+ *
+ * The result of `extract()` only holds plain values, so it can be sent in
+ * messages: `{source, origin, destination, stops, routes}`. The origin,
+ * destination and stops (the places visited in between, in order) are route
+ * endpoints as the background worker takes them: `{lat, lng, label}` when
+ * the page gives coordinates, otherwise the label.
+ * Routes are the alternatives listed, `{id, source, name, duration,
+ * durationText, distance, distanceText, selected}`, with the duration in
+ * minutes and the distance in meters (null when not shown) next to the
+ * text the page shows.
+ *
+ * Endpoints come from the page URL, which sites keep stable for sharing;
+ * routes from the directions panel, whose markup changes more often, so
+ * durations and distances are matched in the text of each route card
+ * rather than by class names.
+ */
+class RouteExtractor {
+    /**
+     * Extractor identifier, used as the `source` of results
+     * @returns {string} Extractor ID
+     */
+    static get id() {
+        return 'base';
+    }
+
+    /**
+     * Selectors for the directions panel; each is a list tried in order
+     * @returns {Object} `{route, name, origin, destination}`
+     */
+    static get selectors() {
+        return { route: [], name: [], origin: [], destination: [] };
+    }
+
+    /**
+     * Check whether this extractor handles a page
+     * @param {Location|URL} location - Page location
+     * @returns {boolean} True if it does
+     */
+    static matches(location) {
+        return false;
+    }
+
+    /**
+     * Read the directions shown on a page
+     * @param {Document} doc - Page document
+     * @param {Location|URL} location - Page location
+     * @returns {Object|null} `{source, origin, destination, stops, routes}`, or null if the page shows no directions
+     */
+    extract(doc, location) {
+        const source = this.constructor.id;
+        const endpoints = this.parseUrl(new URL(location.href));
+        const routes = this.parseRoutes(doc).map((route, index) => ({ id: `${source}_${index}`, source, ...route }));
+
+        // Inputs fill in labels the URL doesn't have
+        const origin = RouteExtractor.withLabel(endpoints.origin, this.readInput(doc, 'origin'));
+        const destination = RouteExtractor.withLabel(endpoints.destination, this.readInput(doc, 'destination'));
+
+        if (!origin && !destination && !routes.length) return null;
+        return { source, origin, destination, stops: endpoints.stops || [], routes };
+    }
+
+    /**
+     * Read the origin, destination and stops from the page URL
+     * @param {URL} url - Page URL
+     * @returns {{origin: Object|string|null, destination: Object|string|null, stops: Array}} Endpoints
+     */
+    parseUrl(url) {
+        return { origin: null, destination: null, stops: [] };
+    }
+
+    /**
+     * Read the route alternatives from the directions panel
+     * @param {Document} doc - Page document
+     * @returns {Array} Routes without `id` and `source`
+     */
+    parseRoutes(doc) {
+        const { route, name } = this.constructor.selectors;
+
+        return RouteExtractor.queryAll(doc, route)
+            .map(card => {
+                const text = card.textContent.replace(/\s+/g, ' ');
+                const duration = RouteExtractor.findDuration(text);
+                const distance = RouteExtractor.findDistance(text);
+                return {
+                    name: RouteExtractor.queryAll(card, name)[0]?.textContent.trim() || null,
+                    duration: duration?.minutes ?? null,
+                    durationText: duration?.text ?? null,
+                    distance: distance?.meters ?? null,
+                    distanceText: distance?.text ?? null,
+                    selected: RouteExtractor.isSelected(card)
+                };
+            })
+            .filter(route => route.duration !== null || route.distance !== null);
+    }
+
+    /**
+     * Read an endpoint input of the directions panel
+     * @param {Document} doc - Page document
+     * @param {string} which - 'origin' or 'destination'
+     * @returns {string|null} Input text
+     */
+    readInput(doc, which) {
+        const input = RouteExtractor.queryAll(doc, this.constructor.selectors[which])[0];
+        const value = (input?.value ?? input?.getAttribute?.('aria-label') ?? '').trim();
+        return value || null;
+    }
+
+    /**
+     * Elements matching the first selector that matches any
+     * @param {ParentNode} root - Element or document
+     * @param {Array<string>} selectors - Selectors to try
+     * @returns {Array<Element>} Elements
+     */
+    static queryAll(root, selectors) {
+        for (const selector of selectors) {
+            const elements = root.querySelectorAll(selector);
+            if (elements.length) return Array.from(elements);
+        }
+        return [];
+    }
+
+    /**
+     * Check whether a route card is the one highlighted
+     * @param {Element} card - Route card
+     * @returns {boolean} True if selected
+     */
+    static isSelected(card) {
+        return card.getAttribute('aria-selected') === 'true' ||
+            card.getAttribute('aria-current') === 'true' ||
+            /(^|[-_\s])(selected|active)([-_\s]|$)/i.test(card.className || '');
+    }
+
+    /**
+     * Find the first duration in text, e.g. "1 hr 5 min" or "25 min"
+     * @param {string} text - Text
+     * @returns {{minutes: number, text: string}|null} Duration
+     */
+    static findDuration(text) {
+        // A bare "m" would be meters
+        const match = text.match(/(?:\d+\s*days?\s*)?(?:\d+\s*(?:hours?|hrs?|h)\b\s*)?(?:\d+\s*(?:minutes?|mins?)\b)?/gi)
+            ?.find(candidate => /\d/.test(candidate) && /[a-z]/i.test(candidate));
+        if (!match) return null;
+
+        const part = (pattern) => parseInt(match.match(pattern)?.[1] || 0);
+        const minutes = part(/(\d+)\s*days?/i) * 1440 +
+            part(/(\d+)\s*(?:hours?|hrs?|h)\b/i) * 60 +
+            part(/(\d+)\s*(?:minutes?|mins?)\b/i);
+        return minutes ? { minutes, text: match.trim() } : null;
+    }
+
+    /**
+     * Find the first distance in text, e.g. "12.3 mi", "1.1 miles" or "15,2 km"
+     * @param {string} text - Text
+     * @returns {{meters: number, text: string}|null} Distance
+     */
+    static findDistance(text) {
+        // Longest units first, so "miles" isn't read as "m"
+        const units = Object.keys(EXTRACTOR_DISTANCE_UNITS).sort((a, b) => b.length - a.length).join('|');
+        const match = text.match(new RegExp(`(\\d[\\d.,]*)\\s*(${units})\\b`, 'i'));
+        if (!match) return null;
+
+        // A comma before three digits groups thousands; otherwise it is a decimal point
+        const number = match[1].replace(/,(?=\d{3}\b)/g, '').replace(',', '.');
+        const value = parseFloat(number);
+        return isFinite(value)
+            ? { meters: Math.round(value * EXTRACTOR_DISTANCE_UNITS[match[2].toLowerCase()]), text: match[0] }
+            : null;
+    }
+
+    /**
+     * Build a route endpoint
+     * @param {string} label - Place name
+     * @param {number} [lat] - Latitude
+     * @param {number} [lng] - Longitude
+     * @returns {Object|string|null} `{lat, lng, label}`, the label, or null with neither
+     */
+    static endpoint(label, lat, lng) {
+        const text = (label || '').trim();
+        if (Utils.isValidCoordinates(lat, lng)) {
+            return { lat, lng, label: text || `${lat.toFixed(5)}, ${lng.toFixed(5)}` };
+        }
+        return text || null;
+    }
+
+    /**
+     * Give an endpoint with only coordinates the label shown on the page
+     * @param {Object|string|null} endpoint - Endpoint from the URL
+     * @param {string|null} label - Label from the page
+     * @returns {Object|string|null} Endpoint
+     */
+    static withLabel(endpoint, label) {
+        if (!endpoint) return label;
+        if (typeof endpoint === 'object' && label && Utils.parseCoordinates(endpoint.label)) {
+            return { ...endpoint, label };
+        }
+        return endpoint;
+    }
+
+    /**
+     * Split the places of a route, in order, into its ends and the stops between
+     * @param {Array<Object|string|null>} endpoints - Places, null where unreadable
+     * @returns {{origin: Object|string|null, destination: Object|string|null, stops: Array}} Endpoints
+     */
+    static split(endpoints) {
+        return {
+            origin: endpoints[0] || null,
+            destination: endpoints.length > 1 ? endpoints[endpoints.length - 1] || null : null,
+            stops: endpoints.slice(1, -1).filter(Boolean)
+        };
+    }
+
+    /**
+     * Decode a URL path segment or query value, where "+" is a space
+     * @param {string} text - Encoded text
+     * @returns {string} Text
+     */
+    static decode(text) {
+        try {
+            return decodeURIComponent(text.replace(/\+/g, ' '));
+        } catch (error) {
+            return text;
+        }
+    }
+}
+
+/**
+ * Google Maps directions: /maps/dir/<origin>/<stop>.../<destination>/..., or
+ * the `origin`/`waypoints`/`destination` (api=1) and `saddr`/`daddr` query
+ * forms
+ */
+class GoogleMapsExtractor extends RouteExtractor {
+    static get id() {
+        return 'google_maps';
+    }
+
+    static get selectors() {
+        return {
+            route: ['[id^="section-directions-trip-"][data-trip-index]', '.section-directions-trip'],
+            name: ['[id^="section-directions-trip-title-"]', 'h1'],
+            origin: ['#directions-searchbox-0 input', 'input[aria-label^="Starting point"]'],
+            destination: ['#directions-searchbox-1 input', 'input[aria-label^="Destination"]']
+        };
+    }
+
+    static matches(location) {
+        return /(^|\.)google\.[a-z.]+$/.test(location.hostname) &&
+            (location.hostname.startsWith('maps.') || location.pathname.startsWith('/maps'));
+    }
+
+    parseUrl(url) {
+        const params = url.searchParams;
+        if (params.get('origin') || params.get('destination') || params.get('saddr') || params.get('daddr')) {
+            const place = (text) => {
+                const coordinates = Utils.parseCoordinates(text);
+                return RouteExtractor.endpoint(text, coordinates?.lat, coordinates?.lng);
+            };
+            // api=1 lists stops in waypoints, split by "|"; daddr chains them with "+to:"
+            const waypoints = (params.get('waypoints') || '').split('|').filter(Boolean);
+            const destinations = (params.get('destination') || params.get('daddr') || '').split(/\s+to:/);
+            return RouteExtractor.split([params.get('origin') || params.get('saddr'), ...waypoints, ...destinations].map(place));
+        }
+
+        const parts = url.pathname.split('/');
+        const start = parts.indexOf('dir');
+        if (start === -1) return RouteExtractor.split([]);
+
+        // Stops run up to the map position (@...) or the data segment
+        const stops = [];
+        for (const part of parts.slice(start + 1)) {
+            if (part.startsWith('@') || part.startsWith('data=') || part.startsWith('am=')) break;
+            stops.push(RouteExtractor.decode(part));
+        }
+        // A trailing slash isn't an empty stop; a missing origin is
+        if (stops.length > 1 && stops[stops.length - 1] === '') stops.pop();
+
+        // The data segment has "!1d<lng>!2d<lat>" for every stop picked from the map
+        const data = parts.find(part => part.startsWith('data=')) || '';
+        const pairs = Array.from(data.matchAll(/!1d(-?\d+(?:\.\d+)?)!2d(-?\d+(?:\.\d+)?)/g))
+            .map(match => ({ lat: parseFloat(match[2]), lng: parseFloat(match[1]) }));
+
+        return RouteExtractor.split(stops.map((label, i) => {
+            const coordinates = Utils.parseCoordinates(label) || (pairs.length === stops.length ? pairs[i] : null);
+            return RouteExtractor.endpoint(label, coordinates?.lat, coordinates?.lng);
+        }));
+    }
+}
+
+/**
+ * Waze live map: /live-map/directions?from=ll.<lat>,<lng>&to=..., where an
+ * end is "ll.<lat>,<lng>" or "place.<id>"; the older ?ll=...&navigate=yes
+ * links only give the destination. Waze routes have no stops in between.
+ *
+ * A "place.<id>" can only be resolved through Waze's own API, so those ends
+ * are left to the directions inputs, which show the place's name.
+ */
+class WazeExtractor extends RouteExtractor {
+    static get id() {
+        return 'waze';
+    }
+
+    static get selectors() {
+        return {
+            route: ['.wm-routes-item', '.wm-route-item', '[class*="routes-item"]'],
+            name: ['[class*="__title"]', '[class*="title"]'],
+            origin: ['.wm-origin-destination__origin input', 'input[placeholder^="Choose starting point"]'],
+            destination: ['.wm-origin-destination__destination input', 'input[placeholder^="Choose destination"]']
+        };
+    }
+
+    static matches(location) {
+        return /(^|\.)waze\.com$/.test(location.hostname);
+    }
+
+    parseUrl(url) {
+        const params = url.searchParams;
+        const place = (value) => {
+            const coordinates = value?.startsWith('ll.') ? Utils.parseCoordinates(value.slice(3)) : null;
+            return coordinates ? RouteExtractor.endpoint('', coordinates.lat, coordinates.lng) : null;
+        };
+
+        if (params.get('navigate') === 'yes' && params.get('ll')) {
+            return { origin: null, destination: place(`ll.${params.get('ll')}`), stops: [] };
+        }
+        return { origin: place(params.get('from')), destination: place(params.get('to')), stops: [] };
+    }
+}
+
+/**
+ * Bing Maps: ?rtp=<stop>~<stop>..., where a stop is "adr.<address>" or
+ * "pos.<lat>_<lng>[_<name>]"
+ */
+class BingMapsExtractor extends RouteExtractor {
+    static get id() {
+        return 'bing_maps';
+    }
+
+    static get selectors() {
+        return {
+            route: ['.dirsRoute', '.routeCard', '[class*="route-card"]'],
+            name: ['.drTitle', '[class*="title"]'],
+            origin: ['.wpInputContainer:first-of-type input', 'input[aria-label^="From"]'],
+            destination: ['.wpInputContainer:last-of-type input', 'input[aria-label^="To"]']
+        };
+    }
+
+    static matches(location) {
+        return /(^|\.)bing\.com$/.test(location.hostname) && location.pathname.startsWith('/maps');
+    }
+
+    parseUrl(url) {
+        const stops = (url.searchParams.get('rtp') || '').split('~').filter(Boolean).map(stop => {
+            if (stop.startsWith('adr.')) return RouteExtractor.endpoint(stop.slice(4));
+            if (stop.startsWith('pos.')) {
+                const [lat, lng, ...name] = stop.slice(4).split('_');
+                return RouteExtractor.endpoint(name.join(' '), parseFloat(lat), parseFloat(lng));
+            }
+            return null;
+        });
+
+        return RouteExtractor.split(stops);
+    }
+}
+
+/**
+ * HERE WeGo: /directions/<mode>/<stop>/<stop>..., where a stop is
+ * "<Name-With-Dashes>:<lat>,<lng>" or "mylocation"
+ */
+class HereWeGoExtractor extends RouteExtractor {
+    static get id() {
+        return 'here_wego';
+    }
+
+    static get selectors() {
+        return {
+            route: ['[data-testid="route-card"]', '.route-list__item', '.itinerary_item'],
+            name: ['[data-testid="route-name"]', '[class*="title"]'],
+            origin: ['input[data-testid="origin-input"]', 'input[aria-label^="From"]'],
+            destination: ['input[data-testid="destination-input"]', 'input[aria-label^="To"]']
+        };
+    }
+
+    static matches(location) {
+        return /(^|\.)here\.com$/.test(location.hostname) && location.pathname.includes('/directions');
+    }
+
+    parseUrl(url) {
+        const parts = url.pathname.split('/').filter(Boolean);
+        const start = parts.indexOf('directions');
+        // After the mode (drive, walk, publicTransport, bicycle)
+        const stops = start === -1 ? [] : parts.slice(start + 2).map(part => {
+            const text = RouteExtractor.decode(part);
+            const match = text.match(/^(.*):(-?\d+(?:\.\d+)?),(-?\d+(?:\.\d+)?)$/);
+            if (!match) return null;
+            return RouteExtractor.endpoint(match[1].replace(/-/g, ' '), parseFloat(match[2]), parseFloat(match[3]));
+        });
+
+        return RouteExtractor.split(stops);
+    }
+}
+
+/**
+ * Extractors by ID; the first whose `matches()` accepts a page reads it
+ */
+const RouteExtractors = {
+    registry: {
+        [GoogleMapsExtractor.id]: GoogleMapsExtractor,
+        [WazeExtractor.id]: WazeExtractor,
+        [BingMapsExtractor.id]: BingMapsExtractor,
+        [HereWeGoExtractor.id]: HereWeGoExtractor
+    },
+
+    /**
+     * Register an additional extractor
+     * @param {Function} ExtractorClass - RouteExtractor subclass
+     */
+    register(ExtractorClass) {
+        this.registry[ExtractorClass.id] = ExtractorClass;
+    },
+
+    /**
+     * Find the extractor for a page
+     * @param {Location|URL} location - Page location
+     * @returns {Function|null} RouteExtractor subclass
+     */
+    find(location) {
+        return Object.values(this.registry).find(ExtractorClass => ExtractorClass.matches(location)) || null;
+    },
+
+    /**
+     * Read the directions on a page
+     * @param {Document} doc - Page document
+     * @param {Location|URL} location - Page location
+     * @returns {Object|null} Directions (see RouteExtractor), or null without an extractor or directions
+     */
+    extract(doc, location) {
+        const ExtractorClass = this.find(location);
+        if (!ExtractorClass) return null;
+
+        try {
+            return new ExtractorClass().extract(doc, location);
+        } catch (error) {
+            console.warn(`Could not read directions with ${ExtractorClass.id}:`, error);
+            return null;
+        }
+    }
+};
+
+self.RouteExtractor = RouteExtractor;
+self.RouteExtractors = RouteExtractors;
@@ -0,0 +1,292 @@
+// ===== ROUTE IMPORT =====
+
+/**
+ * Limits for geometry kept on imported favorites: points closer than
+ * `tolerance` meters to the simplified line are dropped, and the tolerance
+ * is doubled until at most `maxPoints` remain
+ */
+const ROUTE_IMPORT_LIMITS = {
+    tolerance: 5,
+    maxPoints: 500
+};
+
+/**
+ * Reads routes from GPX, KML and GeoJSON files.
+ *
+ * A route is `{name, polyline: [{lat, lng}], distance, duration}`: the
+ * distance is measured along the file's full geometry in meters, the
+ * polyline is simplified for storage, and the duration is the minutes
+ * between the first and last timestamps when the file has them (null
+ * otherwise). Read are GPX tracks (segments joined) and routes, KML
+ * LineStrings and gx:Tracks, and GeoJSON LineStrings and MultiLineStrings;
+ * points and polygons are ignored.
+ */
+class RouteImport {
+    /**
+     * Parse a route file, detecting its format
+     * @param {string} text - File contents
+     * @param {string} filename - File name, used to name unnamed routes
+     * @returns {Array} Routes; empty if the file has no lines
+     */
+    static parse(text, filename) {
+        const fallbackName = filename.replace(/\.[^.]+$/, '');
+        const trimmed = text.trim();
+
+        if (trimmed.startsWith('<')) {
+            const doc = RouteImport.parseXml(trimmed);
+            const root = doc.documentElement.localName;
+            if (root === 'gpx') return RouteImport.parseGPX(doc, fallbackName);
+            if (root === 'kml') return RouteImport.parseKML(doc, fallbackName);
+            throw new Error(I18n.t('routeFileUnrecognized'));
+        }
+
+        let data;
+        try {
+            data = JSON.parse(trimmed);
+        } catch (error) {
+            throw new Error(I18n.t('routeFileUnrecognized'));
+        }
+        if (!['FeatureCollection', 'Feature', 'LineString', 'MultiLineString'].includes(data?.type)) {
+            throw new Error(I18n.t('routeFileUnrecognized'));
+        }
+        return RouteImport.parseGeoJSON(data, fallbackName);
+    }
+
+    /**
+     * Parse XML text
+     * @param {string} text - XML
+     * @returns {Document} Document
+     */
+    static parseXml(text) {
+        if (typeof DOMParser === 'undefined') {
+            throw new Error(I18n.t('feedNeedsDomParser'));
+        }
+
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length) {
+            throw new Error(I18n.t('feedXmlInvalid'));
+        }
+        return doc;
+    }
+
+    /**
+     * Read the tracks and routes of a GPX 1.0 or 1.1 document
+     * @param {Document} doc - GPX document
+     * @param {string} fallbackName - Name for unnamed routes
+     * @returns {Array} Routes
+     */
+    static parseGPX(doc, fallbackName) {
+        const children = (element, name) => Array.from(element.children).filter(child => child.localName === name);
+        const name = (element) => children(element, 'name')[0]?.textContent.trim() || '';
+        const point = (element) => ({
+            lat: parseFloat(element.getAttribute('lat')),
+            lng: parseFloat(element.getAttribute('lon')),
+            time: Date.parse(children(element, 'time')[0]?.textContent || '')
+        });
+
+        const lines = [
+            ...Array.from(doc.getElementsByTagNameNS('*', 'trk')).map(track => ({
+                name: name(track),
+                points: children(track, 'trkseg').flatMap(segment => children(segment, 'trkpt').map(point))
+            })),
+            ...Array.from(doc.getElementsByTagNameNS('*', 'rte')).map(route => ({
+                name: name(route),
+                points: children(route, 'rtept').map(point)
+            }))
+        ];
+
+        return RouteImport.toRoutes(lines, fallbackName);
+    }
+
+    /**
+     * Read the LineStrings and gx:Tracks of a KML document
+     * @param {Document} doc - KML document
+     * @param {string} fallbackName - Name for unnamed routes
+     * @returns {Array} Routes
+     */
+    static parseKML(doc, fallbackName) {
+        const all = (element, name) => Array.from(element.getElementsByTagNameNS('*', name));
+        const lines = [];
+
+        all(doc, 'Placemark').forEach(placemark => {
+            const name = Array.from(placemark.children).find(child => child.localName === 'name')?.textContent.trim() || '';
+
+            // "lng,lat[,alt]" tuples separated by whitespace
+            all(placemark, 'LineString').forEach(lineString => {
+                const coordinates = all(lineString, 'coordinates')[0]?.textContent.trim() || '';
+                lines.push({
+                    name: name,
+                    points: coordinates.split(/\s+/).filter(Boolean).map(tuple => {
+                        const [lng, lat] = tuple.split(',').map(parseFloat);
+                        return { lat, lng, time: NaN };
+                    })
+                });
+            });
+
+            // gx:Track pairs each "lng lat alt" gx:coord with a <when>
+            all(placemark, 'Track').forEach(track => {
+                const times = all(track, 'when').map(when => Date.parse(when.textContent));
+                lines.push({
+                    name: name,
+                    points: all(track, 'coord').map((coord, i) => {
+                        const [lng, lat] = coord.textContent.trim().split(/\s+/).map(parseFloat);
+                        return { lat, lng, time: times[i] };
+                    })
+                });
+            });
+        });
+
+        return RouteImport.toRoutes(lines, fallbackName);
+    }
+
+    /**
+     * Read the lines of a GeoJSON object. Times are taken from a
+     * `coordTimes` property, as written by GPX and KML converters.
+     * @param {Object} data - FeatureCollection, Feature or geometry
+     * @param {string} fallbackName - Name for unnamed routes
+     * @returns {Array} Routes
+     */
+    static parseGeoJSON(data, fallbackName) {
+        const features = data.type === 'FeatureCollection' ? data.features || []
+            : data.type === 'Feature' ? [data]
+                : [{ type: 'Feature', geometry: data, properties: {} }];
+        const lines = [];
+
+        features.forEach(feature => {
+            const geometry = feature?.geometry;
+            const properties = feature?.properties || {};
+            const name = properties.name || properties.title || '';
+            const toLine = (coordinates, times = []) => ({
+                name: name,
+                points: (coordinates || []).map(([lng, lat], i) => ({ lat, lng, time: Date.parse(times[i]) }))
+            });
+
+            if (geometry?.type === 'LineString') {
+                lines.push(toLine(geometry.coordinates, properties.coordTimes));
+            } else if (geometry?.type === 'MultiLineString') {
+                // One route, like the segments of a GPX track
+                const times = properties.coordTimes || [];
+                lines.push({
+                    name: name,
+                    points: (geometry.coordinates || []).flatMap((coordinates, i) => toLine(coordinates, times[i]).points)
+                });
+            }
+        });
+
+        return RouteImport.toRoutes(lines, fallbackName);
+    }
+
+    /**
+     * Turn parsed lines into routes, dropping invalid points and lines with
+     * fewer than two points
+     * @param {Array} lines - `{name, points: [{lat, lng, time}]}`
+     * @param {string} fallbackName - Name for unnamed routes
+     * @returns {Array} Routes
+     */
+    static toRoutes(lines, fallbackName) {
+        const valid = lines
+            .map(line => ({
+                name: line.name,
+                points: line.points.filter(point => Utils.isValidCoordinates(point.lat, point.lng))
+            }))
+            .filter(line => line.points.length >= 2);
+
+        return valid.map((line, i) => {
+            // One pass rather than Math.min(...times): a day-long 1 Hz track
+            // has more points than a call can take arguments
+            let first = Infinity;
+            let last = -Infinity;
+            line.points.forEach(point => {
+                if (isNaN(point.time)) return;
+                first = Math.min(first, point.time);
+                last = Math.max(last, point.time);
+            });
+            const duration = last > first ? (last - first) / 60000 : 0;
+
+            return {
+                name: line.name || (valid.length > 1 ? `${fallbackName} ${i + 1}` : fallbackName),
+                polyline: RouteImport.simplify(line.points).map(point => ({
+                    lat: Math.round(point.lat * 1e6) / 1e6,
+                    lng: Math.round(point.lng * 1e6) / 1e6
+                })),
+                distance: Math.round(RouteImport.measure(line.points)),
+                duration: duration >= 1 ? Math.round(duration) : null
+            };
+        });
+    }
+
+    /**
+     * Length of a polyline
+     * @param {Array} points - `{lat, lng}` points
+     * @returns {number} Distance in meters
+     */
+    static measure(points) {
+        let distance = 0;
+        for (let i = 1; i < points.length; i++) {
+            distance += Utils.calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+        }
+        return distance;
+    }
+
+    /**
+     * Simplify a polyline with the Douglas-Peucker algorithm, keeping the
+     * first and last points
+     * @param {Array} points - `{lat, lng}` points
+     * @param {number} [tolerance] - Largest distance in meters a dropped point may be from the line
+     * @returns {Array} Points
+     */
+    static simplify(points, tolerance = ROUTE_IMPORT_LIMITS.tolerance) {
+        if (points.length <= 2) return points;
+
+        // Project to meters around the first point; fine at route scale
+        const origin = points[0];
+        const metersPerLng = 111320 * Math.cos(origin.lat * Math.PI / 180);
+        const xy = points.map(point => ({
+            x: (point.lng - origin.lng) * metersPerLng,
+            y: (point.lat - origin.lat) * 110540
+        }));
+
+        const keep = new Array(points.length).fill(false);
+        keep[0] = keep[points.length - 1] = true;
+        const stack = [[0, points.length - 1]];
+
+        while (stack.length) {
+            const [first, last] = stack.pop();
+            let farthest = -1;
+            let maxDistance = tolerance;
+            for (let i = first + 1; i < last; i++) {
+                const distance = RouteImport.distanceToSegment(xy[i], xy[first], xy[last]);
+                if (distance > maxDistance) {
+                    farthest = i;
+                    maxDistance = distance;
+                }
+            }
+            if (farthest !== -1) {
+                keep[farthest] = true;
+                stack.push([first, farthest], [farthest, last]);
+            }
+        }
+
+        const simplified = points.filter((point, i) => keep[i]);
+        return simplified.length > ROUTE_IMPORT_LIMITS.maxPoints
+            ? RouteImport.simplify(points, tolerance * 2)
+            : simplified;
+    }
+
+    /**
+     * Distance from a point to a segment, in projected meters
+     * @param {Object} p - `{x, y}`
+     * @param {Object} a - Segment start
+     * @param {Object} b - Segment end
+     * @returns {number} Distance
+     */
+    static distanceToSegment(p, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lengthSquared)) : 0;
+        return Math.hypot(p.x - a.x - t * dx, p.y - a.y - t * dy);
+    }
+}
+
+self.RouteImport = RouteImport;
@@ -0,0 +1,510 @@
+// ===== ROUTING ENGINE =====
+
+/**
+ * Departures further ahead than this (ms) are timed with the forecast
+ * instead of live traffic
+ */
+const LIVE_TRAFFIC_HORIZON = 5 * 60 * 1000;
+
+/**
+ * Binary min-heap keyed by `priority`
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(item) {
+        this.items.push(item);
+        let index = this.items.length - 1;
+
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.items[parent].priority <= this.items[index].priority) break;
+            [this.items[parent], this.items[index]] = [this.items[index], this.items[parent]];
+            index = parent;
+        }
+    }
+
+    pop() {
+        const top = this.items[0];
+        const last = this.items.pop();
+
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let index = 0;
+
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let smallest = index;
+
+                if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) {
+                    smallest = left;
+                }
+                if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) {
+                    smallest = right;
+                }
+                if (smallest === index) break;
+
+                [this.items[smallest], this.items[index]] = [this.items[index], this.items[smallest]];
+                index = smallest;
+            }
+        }
+
+        return top;
+    }
+}
+
+/**
+ * Shortest-path routing over a RoadGraph using A* with congestion-aware
+ * travel times as edge weights
+ */
+class RoutingEngine {
+    /**
+     * @param {RoadGraph} graph - Road graph
+     * @param {Object} options - Engine options
+     * @param {number} [options.maxSnapDistance] - Max distance (m) from a location to the network
+     * @param {number} [options.alternativePenalty] - Weight multiplier for edges of found routes
+     * @param {number} [options.maxOverlap] - Max shared length ratio for an alternative to be kept
+     * @param {ForecastModel} [options.forecast] - Trained model used for ETA ranges and future departures
+     */
+    constructor(graph, options = {}) {
+        this.graph = graph;
+        this.forecast = options.forecast && options.forecast.isTrained() ? options.forecast : null;
+        this.maxSnapDistance = options.maxSnapDistance || 2000;
+        this.alternativePenalty = options.alternativePenalty || 1.5;
+        this.maxOverlap = options.maxOverlap || 0.8;
+    }
+
+    /**
+     * Compute route suggestions between two locations
+     * @param {Object} from - Start `{lat, lng}`
+     * @param {Object} to - Destination `{lat, lng}`
+     * @param {Object} options - Route options
+     * @param {Date|number} [options.departureTime] - Departure time (defaults to now)
+     * @param {number} [options.alternatives] - Number of routes to return
+     * @returns {Array} Routes sorted by duration
+     */
+    route(from, to, options = {}) {
+        const departure = new Date(options.departureTime || Date.now());
+        const count = options.alternatives || 3;
+
+        const start = this.snap(from);
+        const end = this.snap(to);
+
+        const penalties = new Map();
+        const paths = [];
+
+        // Penalty method: after each search make the edges already used more
+        // expensive so the next search is pushed onto a different corridor
+        for (let attempt = 0; attempt < count * 2 && paths.length < count; attempt++) {
+            const edgeIds = this.findPath(start.node.id, end.node.id, penalties);
+            if (!edgeIds) break;
+
+            if (paths.every(path => this.overlap(path, edgeIds) <= this.maxOverlap)) {
+                paths.push(edgeIds);
+            }
+
+            edgeIds.forEach(id => {
+                penalties.set(id, (penalties.get(id) || 1) * this.alternativePenalty);
+            });
+        }
+
+        if (!paths.length) {
+            throw new Error(I18n.t('noRouteFound'));
+        }
+
+        const routes = paths
+            .map(edgeIds => this.buildRoute(edgeIds, from, to, departure))
+            .sort((a, b) => a.duration - b.duration);
+
+        // Name each route after its longest road not already naming a faster one
+        const usedNames = new Set();
+        return routes.map((route, index) => {
+            const road = route.roads.find(name => !usedNames.has(name));
+            usedNames.add(road);
+
+            return {
+                ...route,
+                id: `route_${index}`,
+                name: road ? I18n.t('routeVia', { road }) : I18n.t('routeNumber', { number: Utils.formatNumber(index + 1) })
+            };
+        });
+    }
+
+    /**
+     * Find the departure with the shortest forecast travel time, timing the
+     * corridor that is fastest now
+     * @param {Object} from - Start `{lat, lng}`
+     * @param {Object} to - Destination `{lat, lng}`
+     * @param {Object} options - Options passed to Utils.getOptimalDepartureTime
+     * @returns {Date} Departure time (now without a trained forecast)
+     */
+    findOptimalDeparture(from, to, options = {}) {
+        if (!this.forecast) {
+            return new Date(options.earliest || Date.now());
+        }
+
+        const [fastest] = this.route(from, to, { alternatives: 1 });
+        return Utils.getOptimalDepartureTime({
+            ...options,
+            predict: (time) => this.forecast.predictRoute(this.graph, fastest.edgeIds, time)?.duration.value
+        });
+    }
+
+    /**
+     * Forecast the trip for candidate departures across a window, either
+     * leaving at or after a time ('depart') or arriving by one ('arrive').
+     * Each candidate is timed on whichever current corridor the forecast
+     * says is fastest when leaving then.
+     * @param {Object} from - Start `{lat, lng}`
+     * @param {Object} to - Destination `{lat, lng}`
+     * @param {Object} options - Plan options
+     * @param {string} [options.mode] - 'depart' (default) or 'arrive'
+     * @param {Date|number} [options.time] - Departure or arrival time (defaults to now)
+     * @param {number} [options.windowMinutes] - Span of candidate departures
+     * @param {number} [options.stepMinutes] - Spacing between candidates
+     * @returns {Object} Plan `{mode, time, windowMinutes, stepMinutes, candidates, recommended, onTime}`;
+     *   candidates are `{departure, arrival, duration, congestion, status, route, late}` and
+     *   recommended is a candidate index
+     */
+    planDeparture(from, to, options = {}) {
+        if (!this.forecast) {
+            throw new Error(I18n.t('notEnoughHistory'));
+        }
+
+        const mode = options.mode === 'arrive' ? 'arrive' : 'depart';
+        const target = new Date(options.time || Date.now()).getTime();
+        const windowMinutes = options.windowMinutes || 120;
+        const stepMinutes = options.stepMinutes || 10;
+        const now = Date.now();
+
+        // Arrive-by plans look back from the arrival time, never before now
+        const start = mode === 'arrive' ? Math.max(target - windowMinutes * 60000, now) : Math.max(target, now);
+        const end = mode === 'arrive' ? target : start + windowMinutes * 60000;
+        if (end <= start) {
+            throw new Error(I18n.t('arrivalPassed'));
+        }
+
+        const routes = this.route(from, to, { departureTime: start });
+        const candidates = [];
+
+        for (let time = start; time <= end; time += stepMinutes * 60000) {
+            const best = routes
+                .map(route => ({ route, forecast: this.forecast.predictRoute(this.graph, route.edgeIds, time) }))
+                .reduce((a, b) => b.forecast.duration.value < a.forecast.duration.value ? b : a);
+
+            candidates.push({
+                departure: new Date(time),
+                arrival: best.forecast.eta,
+                duration: best.forecast.duration,
+                congestion: best.forecast.congestion.value,
+                status: Utils.getTrafficColor(best.forecast.congestion.value),
+                route: best.route.name,
+                // Only the pessimistic end of the range counts as on time
+                late: mode === 'arrive' && time + best.forecast.duration.high * 60000 > target
+            });
+        }
+
+        let recommended = 0;
+        if (mode === 'arrive') {
+            // Latest departure that still arrives on time, else the earliest arrival
+            const onTime = candidates.map(c => !c.late).lastIndexOf(true);
+            recommended = onTime >= 0 ? onTime : candidates.reduce((best, c, i) =>
+                c.arrival < candidates[best].arrival ? i : best, 0);
+        } else {
+            // Strictly shorter, so ties keep the earlier departure
+            candidates.forEach((c, i) => {
+                if (c.duration.value < candidates[recommended].duration.value) recommended = i;
+            });
+        }
+
+        return {
+            mode: mode,
+            time: new Date(target),
+            windowMinutes: windowMinutes,
+            stepMinutes: stepMinutes,
+            candidates: candidates,
+            recommended: recommended,
+            onTime: !candidates[recommended].late
+        };
+    }
+
+    /**
+     * Check whether a location is close enough to the road network to route
+     * from or to
+     * @param {Object|null} location - `{lat, lng}`
+     * @returns {boolean} True if it is
+     */
+    covers(location) {
+        if (!location || !Utils.isValidCoordinates(location.lat, location.lng)) return false;
+
+        const nearest = this.graph.nearestNode(location.lat, location.lng);
+        return Boolean(nearest) && nearest.distance <= this.maxSnapDistance;
+    }
+
+    /**
+     * Snap a location to the closest graph node
+     * @param {Object} location - `{lat, lng}`
+     * @returns {{node: Object, distance: number}} Snapped node
+     */
+    snap(location) {
+        if (!location || !Utils.isValidCoordinates(location.lat, location.lng)) {
+            throw new Error(I18n.t('invalidEndpoints'));
+        }
+
+        const nearest = this.graph.nearestNode(location.lat, location.lng);
+        if (!nearest || nearest.distance > this.maxSnapDistance) {
+            throw new Error(I18n.t('outsideNetwork'));
+        }
+        return nearest;
+    }
+
+    /**
+     * A* search between two nodes
+     * @param {string} startId - Start node ID
+     * @param {string} goalId - Goal node ID
+     * @param {Map} penalties - Edge ID -> weight multiplier
+     * @returns {Array|null} Edge IDs of the path, or null if unreachable
+     */
+    findPath(startId, goalId, penalties = new Map()) {
+        const graph = this.graph;
+        const goal = graph.nodes.get(goalId);
+        const maxSpeed = graph.getMaxSpeed() / 3.6; // m/s
+
+        // Straight-line distance at the network's top speed never overestimates
+        const heuristic = (node) =>
+            Utils.calculateDistance(node.lat, node.lng, goal.lat, goal.lng) / maxSpeed;
+
+        const costs = new Map([[startId, 0]]);
+        const previous = new Map();
+        const closed = new Set();
+        const open = new MinHeap();
+        open.push({ id: startId, priority: heuristic(graph.nodes.get(startId)) });
+
+        while (open.size) {
+            const { id } = open.pop();
+            if (id === goalId) break;
+            if (closed.has(id)) continue;
+            closed.add(id);
+
+            graph.adjacency.get(id).forEach(edgeId => {
+                const edge = graph.edges[edgeId];
+                if (closed.has(edge.to) || edge.closed) return;
+
+                const weight = graph.getTravelTime(edge) * (penalties.get(edgeId) || 1);
+                const cost = costs.get(id) + weight;
+
+                if (!costs.has(edge.to) || cost < costs.get(edge.to)) {
+                    costs.set(edge.to, cost);
+                    previous.set(edge.to, edgeId);
+                    open.push({ id: edge.to, priority: cost + heuristic(graph.nodes.get(edge.to)) });
+                }
+            });
+        }
+
+        if (startId !== goalId && !previous.has(goalId)) return null;
+
+        const edgeIds = [];
+        let current = goalId;
+        while (current !== startId) {
+            const edgeId = previous.get(current);
+            edgeIds.unshift(edgeId);
+            current = graph.edges[edgeId].from;
+        }
+        return edgeIds;
+    }
+
+    /**
+     * Share of a candidate path's length that is already used by another path
+     * @param {Array} path - Edge IDs of an accepted path
+     * @param {Array} candidate - Edge IDs of the candidate path
+     * @returns {number} Overlap ratio (0-1)
+     */
+    overlap(path, candidate) {
+        const used = new Set(path);
+        let shared = 0;
+        let total = 0;
+
+        candidate.forEach(id => {
+            const length = this.graph.edges[id].length;
+            total += length;
+            if (used.has(id)) shared += length;
+        });
+
+        return total ? shared / total : 1;
+    }
+
+    /**
+     * Build a route suggestion from a path
+     * @param {Array} edgeIds - Edge IDs
+     * @param {Object} from - Requested start location
+     * @param {Object} to - Requested destination
+     * @param {Date} departure - Departure time
+     * @returns {Object} Route suggestion
+     */
+    buildRoute(edgeIds, from, to, departure) {
+        const graph = this.graph;
+        const edges = edgeIds.map(id => graph.edges[id]);
+
+        let distance = 0;
+        let travelTime = 0;
+        let freeFlowTime = 0;
+        let weightedCongestion = 0;
+        const lengthByName = new Map();
+
+        edges.forEach(edge => {
+            distance += edge.length;
+            travelTime += graph.getTravelTime(edge);
+            freeFlowTime += edge.length / (edge.freeFlowSpeed / 3.6);
+            weightedCongestion += graph.getCongestion(edge) * edge.length;
+
+            if (edge.name) {
+                lengthByName.set(edge.name, (lengthByName.get(edge.name) || 0) + edge.length);
+            }
+        });
+
+        const polyline = [{ lat: from.lat, lng: from.lng }];
+        edges.forEach((edge, index) => {
+            if (index === 0) {
+                const start = graph.nodes.get(edge.from);
+                polyline.push({ lat: start.lat, lng: start.lng });
+            }
+            const node = graph.nodes.get(edge.to);
+            polyline.push({ lat: node.lat, lng: node.lng });
+        });
+        polyline.push({ lat: to.lat, lng: to.lng });
+
+        // Time lost to each incident on the way; an edge's slowdown is
+        // credited to its worst incident (sorted first)
+        const incidents = new Map();
+        edges.forEach(edge => {
+            if (!edge.incidents) return;
+
+            const worst = edge.incidents[0];
+            const lost = graph.getTravelTime(edge) * (1 - edge.incidentFactor);
+            edge.incidents.forEach(incident => {
+                if (!incidents.has(incident.id)) {
+                    incidents.set(incident.id, { ...incident, estimatedDelay: 0 });
+                }
+                if (incident === worst) incidents.get(incident.id).estimatedDelay += lost / 60;
+            });
+        });
+
+        const roads = [...lengthByName.entries()]
+            .sort((a, b) => b[1] - a[1])
+            .map(([name]) => name);
+        let congestion = distance ? weightedCongestion / distance : 0;
+        let duration = travelTime / 60;
+        let eta = new Date(departure.getTime() + travelTime * 1000);
+
+        const forecast = this.forecast ? this.forecast.predictRoute(graph, edgeIds, departure) : null;
+        if (forecast && departure.getTime() - Date.now() > LIVE_TRAFFIC_HORIZON) {
+            // Live readings say little about traffic by a later departure
+            duration = forecast.duration.value;
+            congestion = forecast.congestion.value;
+            eta = forecast.eta;
+        }
+
+        return {
+            roads: roads,
+            distance: Math.round(distance),
+            duration: Math.max(1, Math.round(duration)),
+            freeFlowDuration: Math.max(1, Math.round(freeFlowTime / 60)),
+            congestion: Math.round(congestion * 100) / 100,
+            status: Utils.getTrafficColor(congestion),
+            departureTime: departure,
+            eta: eta,
+            forecast: forecast,
+            polyline: polyline,
+            steps: this.buildSteps(edges, polyline),
+            edgeIds: edgeIds,
+            incidents: Incidents.sort([...incidents.values()]).map(incident => ({
+                id: incident.id,
+                type: incident.type,
+                severity: incident.severity,
+                closed: incident.closed,
+                title: incident.title,
+                road: incident.road,
+                location: incident.location,
+                // Prefer the delay the feed reports over the estimate
+                delay: incident.delay !== null ? incident.delay : Math.round(incident.estimatedDelay)
+            }))
+        };
+    }
+
+    /**
+     * Turn-by-turn steps: one per stretch of the same road, starting with the
+     * maneuver onto it, then the arrival
+     * @param {Array} edges - Route edges
+     * @param {Array} polyline - Route polyline (requested start, edge nodes, requested end)
+     * @returns {Array} Steps `{maneuver, road, distance, location, index}`; index is the polyline vertex of the maneuver
+     */
+    buildSteps(edges, polyline) {
+        const graph = this.graph;
+        const steps = [];
+
+        edges.forEach((edge, i) => {
+            const road = edge.name || '';
+            const last = steps[steps.length - 1];
+            if (last && last.road === road) {
+                last.distance += edge.length;
+                return;
+            }
+
+            const node = graph.nodes.get(edge.from);
+            const next = graph.nodes.get(edge.to);
+            let maneuver = 'depart';
+            if (i > 0) {
+                const previous = graph.nodes.get(edges[i - 1].from);
+                maneuver = RoutingEngine.classifyTurn(
+                    Utils.calculateBearing(previous.lat, previous.lng, node.lat, node.lng),
+                    Utils.calculateBearing(node.lat, node.lng, next.lat, next.lng)
+                );
+            }
+
+            // polyline[0] is the requested start, so edge i starts at vertex i + 1
+            steps.push({
+                maneuver: maneuver,
+                road: road,
+                distance: edge.length,
+                location: { lat: node.lat, lng: node.lng },
+                index: i + 1
+            });
+        });
+
+        steps.push({
+            maneuver: 'arrive',
+            road: '',
+            distance: 0,
+            location: polyline[polyline.length - 1],
+            index: polyline.length - 1
+        });
+
+        return steps.map(step => ({ ...step, distance: Math.round(step.distance) }));
+    }
+
+    /**
+     * Name the turn between two headings
+     * @param {number} bearingIn - Heading before the turn (degrees)
+     * @param {number} bearingOut - Heading after the turn (degrees)
+     * @returns {string} 'continue', 'slight-left', 'slight-right', 'left', 'right' or 'uturn'
+     */
+    static classifyTurn(bearingIn, bearingOut) {
+        // Signed change in heading, positive clockwise (to the right)
+        const delta = ((bearingOut - bearingIn + 540) % 360) - 180;
+        const angle = Math.abs(delta);
+
+        if (angle < 25) return 'continue';
+        if (angle > 155) return 'uturn';
+        const side = delta > 0 ? 'right' : 'left';
+        return angle < 60 ? `slight-${side}` : side;
+    }
+}
+
+self.RoutingEngine = RoutingEngine;
@@ -0,0 +1,425 @@
+// ===== SETTINGS =====
+
+/**
+ * Version of the stored settings layout; bump it and add a migration when
+ * a stored value changes meaning
+ */
+const SETTINGS_VERSION = 2;
+
+/**
+ * Every setting with its type, default and allowed values.
+ * Types: boolean, string, enum (one of `values`), object, array and
+ * location (`{lat, lng, label}`). Settings with `local: true` are secrets
+ * kept in chrome.storage.local on this device instead of being synced.
+ */
+const SETTINGS_SCHEMA = {
+    // Appearance
+    theme: { type: 'enum', values: ['light', 'dark', 'auto'], default: 'auto' },
+    units: { type: 'enum', values: ['metric', 'imperial'], default: 'metric' },
+    clock: { type: 'enum', values: ['auto', '12h', '24h'], default: 'auto' }, // auto follows the locale
+
+    // Traffic data
+    refreshInterval: { type: 'enum', values: [30000, 60000, 300000, 0], default: 60000 }, // ms, 0 = off
+    trafficProvider: { type: 'string', default: 'local' },
+    providerApiKeys: { type: 'object', default: {}, local: true },
+    geocoder: { type: 'string', default: 'gazetteer' },
+    historyRetentionDays: { type: 'enum', values: [7, 30, 90], default: 30 },
+
+    // Map and navigation
+    defaultLocation: { type: 'location', default: { lat: 40.7128, lng: -74.0060, label: 'New York, NY' } },
+    heatmapRadius: { type: 'enum', values: [15, 25, 40], default: 25 },
+    navigationSource: { type: 'enum', values: ['device', 'replay'], default: 'device' },
+
+    // Notifications
+    notifications: { type: 'boolean', default: true },
+    badgeContext: { type: 'enum', values: ['location', 'commute', 'tab'], default: 'location' },
+    commuteAlerts: { type: 'array', default: [] },
+
+    // Privacy
+    useDeviceLocation: { type: 'boolean', default: true },
+    saveRecentPlaces: { type: 'boolean', default: true },
+    analyzePages: { type: 'boolean', default: true }
+};
+
+/**
+ * Migrations keyed by the version they upgrade to. Each gets the stored
+ * values and returns `{changes, removed}`.
+ */
+const SETTINGS_MIGRATIONS = {
+    // Refresh intervals were written in seconds by the popup; install-time
+    // keys that were never read are dropped
+    2: (stored) => {
+        const changes = {};
+        if (typeof stored.refreshInterval === 'number' && stored.refreshInterval > 0 && stored.refreshInterval < 1000) {
+            changes.refreshInterval = stored.refreshInterval * 1000;
+        }
+        return { changes, removed: ['firstTime', 'favoriteRoutes'] };
+    }
+};
+
+/**
+ * Settings content scripts use; they run on every page, so they load
+ * nothing else
+ */
+const CONTENT_SCRIPT_SETTINGS = ['analyzePages', 'units', 'clock'];
+
+/**
+ * Popup localStorage keys from before settings were synced, with the
+ * setting each one moves to
+ */
+const LEGACY_SETTINGS = {
+    refresh_interval: { key: 'refreshInterval', convert: (seconds) => seconds * 1000 },
+    heatmap_radius: { key: 'heatmapRadius' },
+    navigation_source: { key: 'navigationSource' },
+    traffic_analyzer_theme: { key: 'theme' }
+};
+
+/**
+ * Typed settings stored in chrome.storage.sync (or chrome.storage.local for
+ * secrets) and shared by the popup, the background worker and content
+ * scripts. Every context keeps a loaded copy of the settings it uses that
+ * follows changes made anywhere.
+ *
+ * Writes that the background worker must act on before the caller goes on
+ * (a new traffic provider, say) are sent as UPDATE_SETTINGS; the worker
+ * validates and stores them.
+ */
+class SettingsStore {
+    /**
+     * @param {Object} [options] - Store options
+     * @param {Object} [options.storage] - chrome.storage area for synced settings (defaults to chrome.storage.sync, or memory)
+     * @param {Object} [options.localStorage] - chrome.storage area for local settings (defaults to chrome.storage.local)
+     * @param {Array<string>} [options.keys] - Settings to load (defaults to all); the rest keep their defaults
+     */
+    constructor(options = {}) {
+        const chromeStorage = typeof chrome !== 'undefined' ? chrome.storage : null;
+        this.storage = options.storage || chromeStorage?.sync || null;
+        this.localStorage = options.localStorage || chromeStorage?.local || null;
+        this.keys = options.keys || Object.keys(SETTINGS_SCHEMA);
+        this.values = SettingsStore.defaults();
+        this.listeners = [];
+
+        if (this.storage && chromeStorage?.onChanged) {
+            chromeStorage.onChanged.addListener((changes, area) => {
+                if (area === 'sync' || area === 'local') this.handleStorageChange(changes, area);
+            });
+        }
+
+        this.ready = this.load();
+    }
+
+    /**
+     * Check whether a setting is kept in chrome.storage.local
+     * @param {string} key - Setting name
+     * @returns {boolean} True if it is
+     */
+    static isLocal(key) {
+        return Boolean(SETTINGS_SCHEMA[key]?.local);
+    }
+
+    /**
+     * Whether this copy loads every setting; only such copies migrate stored settings
+     * @returns {boolean} True if it does
+     */
+    get complete() {
+        return this.keys.length === Object.keys(SETTINGS_SCHEMA).length;
+    }
+
+    /**
+     * Default value of every setting
+     * @returns {Object} Settings
+     */
+    static defaults() {
+        const values = {};
+        Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+            values[key] = structuredClone(field.default);
+        });
+        return values;
+    }
+
+    /**
+     * Check a value against the schema, converting form strings to the setting's type
+     * @param {string} key - Setting name
+     * @param {*} value - Value to check
+     * @returns {*} Valid value
+     * @throws {Error} If the setting is unknown or the value invalid
+     */
+    static validate(key, value) {
+        const field = SETTINGS_SCHEMA[key];
+        if (!field) {
+            throw new Error(`Unknown setting "${key}"`);
+        }
+
+        const invalid = () => new Error(`Invalid value for setting "${key}"`);
+        switch (field.type) {
+            case 'boolean':
+                if (typeof value !== 'boolean') throw invalid();
+                return value;
+
+            case 'string':
+                if (typeof value !== 'string' || !value.trim()) throw invalid();
+                return value.trim();
+
+            case 'enum': {
+                // Select elements report numbers as strings
+                const match = field.values.find(allowed => String(allowed) === String(value));
+                if (match === undefined) throw invalid();
+                return match;
+            }
+
+            case 'object':
+                if (!value || typeof value !== 'object' || Array.isArray(value)) throw invalid();
+                return value;
+
+            case 'array':
+                if (!Array.isArray(value)) throw invalid();
+                return value;
+
+            case 'location': {
+                const lat = Number(value?.lat);
+                const lng = Number(value?.lng);
+                if (!value || !isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+                    throw invalid();
+                }
+                return { lat, lng, label: String(value.label || `${lat.toFixed(4)}, ${lng.toFixed(4)}`) };
+            }
+
+            default:
+                throw invalid();
+        }
+    }
+
+    /**
+     * Bring stored settings up to the current version
+     * @param {Object} stored - Stored settings, with the keys migrations remove
+     * @returns {{changes: Object, removed: Array}} Writes needed to upgrade the stored copy
+     */
+    static migrate(stored) {
+        const result = { changes: {}, removed: [] };
+        const values = { ...stored };
+
+        for (let version = (stored.settingsVersion || 1) + 1; version <= SETTINGS_VERSION; version++) {
+            const { changes, removed } = SETTINGS_MIGRATIONS[version](values);
+            Object.assign(values, changes);
+            Object.assign(result.changes, changes);
+            removed.forEach(key => {
+                delete values[key];
+                delete result.changes[key];
+                result.removed.push(key);
+            });
+        }
+
+        if ((stored.settingsVersion || 1) < SETTINGS_VERSION) {
+            result.changes.settingsVersion = SETTINGS_VERSION;
+        }
+        return result;
+    }
+
+    /**
+     * Load, migrating stored settings if they are from an older version.
+     * Stored values that fail validation fall back to their default.
+     * Listeners already subscribed hear about values that differ from the defaults.
+     * @returns {Promise<Object>} Settings
+     */
+    async load() {
+        if (!this.storage) return this.values;
+
+        // Only settings are read, never the favorites synced beside them
+        const syncKeys = this.keys.filter(key => !SettingsStore.isLocal(key));
+        const localKeys = this.keys.filter(key => SettingsStore.isLocal(key));
+        let changes = {};
+        let stored;
+
+        if (this.complete) {
+            const migrationKeys = Object.values(SETTINGS_MIGRATIONS).flatMap(migration => migration({}).removed);
+            stored = await this.storage.get(['settingsVersion', ...migrationKeys, ...this.keys]);
+
+            const migration = SettingsStore.migrate(stored);
+            if (migration.removed.length) await this.storage.remove(migration.removed);
+            if (Object.keys(migration.changes).length) await this.storage.set(migration.changes);
+            changes = migration.changes;
+
+            await this.moveLocalSettings(stored, localKeys);
+        } else {
+            stored = syncKeys.length ? await this.storage.get(syncKeys) : {};
+        }
+
+        if (localKeys.length && this.localStorage) {
+            Object.assign(stored, await this.localStorage.get(localKeys));
+        }
+
+        const values = SettingsStore.defaults();
+        this.keys.forEach(key => {
+            const value = key in changes ? changes[key] : stored[key];
+            if (value === undefined) return;
+            try {
+                values[key] = SettingsStore.validate(key, value);
+            } catch (error) {
+                console.warn(error.message);
+            }
+        });
+
+        // Not awaited, as listeners may themselves wait for `ready`
+        this.apply(values).catch(error => console.error('Error applying settings:', error));
+        return this.values;
+    }
+
+    /**
+     * Move local settings an older version synced out of chrome.storage.sync,
+     * unless this device already has its own
+     * @param {Object} stored - Values read from chrome.storage.sync
+     * @param {Array<string>} localKeys - Local settings
+     */
+    async moveLocalSettings(stored, localKeys) {
+        const synced = localKeys.filter(key => stored[key] !== undefined);
+        if (!synced.length || !this.localStorage) return;
+
+        const existing = await this.localStorage.get(synced);
+        const moved = {};
+        synced.forEach(key => {
+            if (existing[key] === undefined) moved[key] = stored[key];
+        });
+
+        if (Object.keys(moved).length) await this.localStorage.set(moved);
+        await this.storage.remove(synced);
+        synced.forEach(key => delete stored[key]);
+    }
+
+    /**
+     * Get a setting; wait for `ready` before relying on stored values
+     * @param {string} key - Setting name
+     * @returns {*} Value
+     */
+    get(key) {
+        return this.values[key];
+    }
+
+    /**
+     * Validate and store settings
+     * @param {Object} changes - Settings to change
+     * @returns {Promise<Object>} The validated values that were stored
+     * @throws {Error} If any setting is unknown or invalid; nothing is stored then
+     */
+    async set(changes) {
+        const validated = {};
+        Object.entries(changes).forEach(([key, value]) => {
+            validated[key] = SettingsStore.validate(key, value);
+        });
+
+        if (this.storage) {
+            const synced = {};
+            const local = {};
+            Object.entries(validated).forEach(([key, value]) => {
+                (SettingsStore.isLocal(key) ? local : synced)[key] = value;
+            });
+
+            if (Object.keys(synced).length) await this.storage.set(synced);
+            if (Object.keys(local).length) await this.localStorage?.set(local);
+        }
+        await this.apply(validated);
+        return validated;
+    }
+
+    /**
+     * Restore defaults
+     * @param {Array} [keys] - Settings to reset (defaults to all but local ones, such as API keys)
+     * @returns {Promise<Object>} The default values that were stored
+     */
+    async reset(keys = Object.keys(SETTINGS_SCHEMA).filter(key => !SettingsStore.isLocal(key))) {
+        const defaults = SettingsStore.defaults();
+        const changes = {};
+        keys.forEach(key => {
+            changes[key] = defaults[key];
+        });
+        return this.set(changes);
+    }
+
+    /**
+     * Move settings the popup kept in localStorage into synced settings
+     * @param {Storage} legacy - The popup's localStorage
+     * @returns {Promise<Object>} Imported settings
+     */
+    async importLegacy(legacy) {
+        await this.ready;
+
+        const changes = {};
+        Object.entries(LEGACY_SETTINGS).forEach(([legacyKey, { key, convert }]) => {
+            const raw = legacy.getItem(legacyKey);
+            if (raw === null) return;
+
+            try {
+                const value = JSON.parse(raw);
+                changes[key] = SettingsStore.validate(key, convert ? convert(value) : value);
+            } catch (error) {
+                console.warn(`Ignoring legacy setting ${legacyKey}:`, error.message);
+            }
+            legacy.removeItem(legacyKey);
+        });
+
+        return Object.keys(changes).length ? this.set(changes) : changes;
+    }
+
+    /**
+     * Observe setting changes made in any context
+     * @param {Function} callback - Called with `{key: value}` of the settings that changed
+     * @returns {Function} Unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+
+    /**
+     * Update the loaded copy and notify listeners of values that differ
+     * @param {Object} values - Validated settings
+     */
+    async apply(values) {
+        const changed = {};
+        Object.entries(values).forEach(([key, value]) => {
+            if (JSON.stringify(this.values[key]) !== JSON.stringify(value)) {
+                this.values[key] = value;
+                changed[key] = value;
+            }
+        });
+
+        if (Object.keys(changed).length) {
+            await Promise.all(this.listeners.map(listener => listener(changed)));
+        }
+    }
+
+    /**
+     * Apply chrome.storage changes made by another context
+     * @param {Object} changes - `{key: {oldValue, newValue}}`
+     * @param {string} [area] - Storage area that changed, 'sync' or 'local'
+     */
+    handleStorageChange(changes, area = 'sync') {
+        const values = {};
+        Object.entries(changes).forEach(([key, { newValue }]) => {
+            if (!SETTINGS_SCHEMA[key] || !this.keys.includes(key)) return;
+            if (SettingsStore.isLocal(key) !== (area === 'local')) return;
+            try {
+                values[key] = newValue === undefined
+                    ? structuredClone(SETTINGS_SCHEMA[key].default)
+                    : SettingsStore.validate(key, newValue);
+            } catch (error) {
+                console.warn(error.message);
+            }
+        });
+
+        this.apply(values).catch(error => console.error('Error applying settings change:', error));
+    }
+}
+
+// One loaded copy per context; content scripts run in web pages, not on an
+// extension URL, and load only what they use
+const appSettings = new SettingsStore({
+    keys: typeof chrome !== 'undefined' && chrome.runtime?.getURL && self.location &&
+        !self.location.href.startsWith(chrome.runtime.getURL(''))
+        ? CONTENT_SCRIPT_SETTINGS
+        : undefined
+});
+
+self.SettingsStore = SettingsStore;
+self.appSettings = appSettings;
@@ -0,0 +1,393 @@
+// ===== SLIPPY MAP =====
+
+/**
+ * Size of a map tile in pixels
+ */
+const TILE_SIZE = 256;
+
+/**
+ * Default raster tile layer
+ */
+const DEFAULT_TILE_LAYER = {
+    url: 'https://tile.openstreetmap.org/{z}/{x}/{y}.png',
+    attribution: '© OpenStreetMap contributors',
+    maxZoom: 19
+};
+
+/**
+ * Minimal tiled web map (Web Mercator) with drag panning and zoom.
+ * Overlays are drawn by the owner in `overlayPane` using latLngToPoint().
+ */
+class SlippyMap {
+    /**
+     * @param {HTMLElement} container - Element the map fills
+     * @param {Object} options - Map options
+     * @param {Object} [options.center] - Initial `{lat, lng}`
+     * @param {number} [options.zoom] - Initial zoom level
+     * @param {number} [options.minZoom] - Minimum zoom level
+     * @param {number} [options.maxZoom] - Maximum zoom level
+     * @param {Object} [options.tileLayer] - `{url, attribution, maxZoom}`
+     * @param {Function} [options.onViewChange] - Called with `{center, zoom}` after each redraw
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.center = options.center || { lat: 40.7128, lng: -74.0060 };
+        this.tileLayer = options.tileLayer || DEFAULT_TILE_LAYER;
+        this.minZoom = options.minZoom || 2;
+        this.maxZoom = Math.min(options.maxZoom || 18, this.tileLayer.maxZoom);
+        this.zoom = this.clampZoom(options.zoom || 12);
+        this.onViewChange = options.onViewChange || (() => {});
+        this.tiles = new Map(); // "z/x/y" -> img
+        this.dragStart = null;
+        this.renderPending = false;
+
+        this.init();
+    }
+
+    /**
+     * Build the map panes
+     */
+    init() {
+        this.element = Utils.createElement('div', { className: 'slippy-map' });
+        this.tilePane = Utils.createElement('div', { className: 'map-tile-pane' });
+        this.overlayPane = Utils.createElement('div', { className: 'map-overlay-pane' });
+
+        const attribution = Utils.createElement('div', { className: 'map-attribution' }, this.tileLayer.attribution);
+
+        this.element.appendChild(this.tilePane);
+        this.element.appendChild(this.overlayPane);
+        this.element.appendChild(attribution);
+
+        this.container.innerHTML = '';
+        this.container.appendChild(this.element);
+
+        this.setupEventListeners();
+        this.render();
+    }
+
+    /**
+     * Setup drag, wheel and resize handling
+     */
+    setupEventListeners() {
+        this.element.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || e.target.closest('.map-control')) return;
+
+            this.dragStart = { x: e.clientX, y: e.clientY, moved: false };
+            this.element.setPointerCapture(e.pointerId);
+            this.element.classList.add('dragging');
+        });
+
+        this.element.addEventListener('pointermove', (e) => {
+            if (!this.dragStart) return;
+
+            const dx = e.clientX - this.dragStart.x;
+            const dy = e.clientY - this.dragStart.y;
+            if (!dx && !dy) return;
+
+            this.dragStart.x = e.clientX;
+            this.dragStart.y = e.clientY;
+            this.dragStart.moved = true;
+            this.panBy(-dx, -dy);
+        });
+
+        const endDrag = (e) => {
+            if (!this.dragStart) return;
+
+            // Swallow the click that ends a drag so overlays don't treat it as a selection
+            if (this.dragStart.moved) {
+                const swallow = (event) => event.stopImmediatePropagation();
+                this.element.addEventListener('click', swallow, { capture: true, once: true });
+                setTimeout(() => this.element.removeEventListener('click', swallow, { capture: true }), 0);
+            }
+
+            this.dragStart = null;
+            this.element.releasePointerCapture(e.pointerId);
+            this.element.classList.remove('dragging');
+        };
+        this.element.addEventListener('pointerup', endDrag);
+        this.element.addEventListener('pointercancel', endDrag);
+
+        this.element.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const rect = this.element.getBoundingClientRect();
+            const anchor = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+            this.setZoom(this.zoom + (e.deltaY < 0 ? 1 : -1), anchor);
+        }, { passive: false });
+
+        this.element.addEventListener('dblclick', (e) => {
+            const rect = this.element.getBoundingClientRect();
+            this.setZoom(this.zoom + 1, { x: e.clientX - rect.left, y: e.clientY - rect.top });
+        });
+
+        // The popup section may be hidden when the map is created
+        this.resizeObserver = new ResizeObserver(() => this.scheduleRender());
+        this.resizeObserver.observe(this.element);
+    }
+
+    /**
+     * Project a coordinate to world pixels at a zoom level
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @param {number} zoom - Zoom level
+     * @returns {{x: number, y: number}} World pixel coordinates
+     */
+    static project(lat, lng, zoom) {
+        const scale = TILE_SIZE * Math.pow(2, zoom);
+        const sinLat = Math.min(Math.max(Math.sin(lat * Math.PI / 180), -0.9999), 0.9999);
+
+        return {
+            x: (lng + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * scale
+        };
+    }
+
+    /**
+     * Convert world pixels back to a coordinate
+     * @param {number} x - World pixel x
+     * @param {number} y - World pixel y
+     * @param {number} zoom - Zoom level
+     * @returns {{lat: number, lng: number}} Coordinate
+     */
+    static unproject(x, y, zoom) {
+        const scale = TILE_SIZE * Math.pow(2, zoom);
+        const n = Math.PI - 2 * Math.PI * y / scale;
+
+        return {
+            lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+            lng: x / scale * 360 - 180
+        };
+    }
+
+    /**
+     * Get the map size in pixels
+     * @returns {{width: number, height: number}} Size
+     */
+    getSize() {
+        return { width: this.element.clientWidth, height: this.element.clientHeight };
+    }
+
+    /**
+     * Get the world pixel at the top-left corner of the map
+     * @returns {{x: number, y: number}} World pixel coordinates
+     */
+    getOrigin() {
+        const center = SlippyMap.project(this.center.lat, this.center.lng, this.zoom);
+        const size = this.getSize();
+        return { x: center.x - size.width / 2, y: center.y - size.height / 2 };
+    }
+
+    /**
+     * Convert a coordinate to a pixel position within the map
+     * @param {number} lat - Latitude
+     * @param {number} lng - Longitude
+     * @returns {{x: number, y: number}} Container pixel position
+     */
+    latLngToPoint(lat, lng) {
+        const point = SlippyMap.project(lat, lng, this.zoom);
+        const origin = this.getOrigin();
+        return { x: point.x - origin.x, y: point.y - origin.y };
+    }
+
+    /**
+     * Convert a pixel position within the map to a coordinate
+     * @param {number} x - Container pixel x
+     * @param {number} y - Container pixel y
+     * @returns {{lat: number, lng: number}} Coordinate
+     */
+    pointToLatLng(x, y) {
+        const origin = this.getOrigin();
+        return SlippyMap.unproject(origin.x + x, origin.y + y, this.zoom);
+    }
+
+    /**
+     * Get the visible bounds
+     * @returns {{north: number, south: number, east: number, west: number}} Bounds
+     */
+    getBounds() {
+        const size = this.getSize();
+        const northWest = this.pointToLatLng(0, 0);
+        const southEast = this.pointToLatLng(size.width, size.height);
+        return { north: northWest.lat, west: northWest.lng, south: southEast.lat, east: southEast.lng };
+    }
+
+    /**
+     * Clamp a zoom level to the allowed range
+     * @param {number} zoom - Zoom level
+     * @returns {number} Integer zoom level
+     */
+    clampZoom(zoom) {
+        return Math.round(Math.min(Math.max(zoom, this.minZoom), this.maxZoom));
+    }
+
+    /**
+     * Set the map center and zoom
+     * @param {Object} center - `{lat, lng}`
+     * @param {number} zoom - Zoom level
+     */
+    setView(center, zoom = this.zoom) {
+        this.center = { lat: center.lat, lng: center.lng };
+        this.zoom = this.clampZoom(zoom);
+        this.scheduleRender();
+    }
+
+    /**
+     * Change the zoom level, keeping the coordinate under `anchor` in place
+     * @param {number} zoom - Zoom level
+     * @param {Object} [anchor] - Container pixel `{x, y}`; defaults to the center
+     */
+    setZoom(zoom, anchor) {
+        const nextZoom = this.clampZoom(zoom);
+        if (nextZoom === this.zoom) return;
+
+        if (anchor) {
+            const size = this.getSize();
+            const anchorLatLng = this.pointToLatLng(anchor.x, anchor.y);
+            const anchorPoint = SlippyMap.project(anchorLatLng.lat, anchorLatLng.lng, nextZoom);
+
+            this.center = SlippyMap.unproject(
+                anchorPoint.x - anchor.x + size.width / 2,
+                anchorPoint.y - anchor.y + size.height / 2,
+                nextZoom
+            );
+        }
+
+        this.zoom = nextZoom;
+        this.scheduleRender();
+    }
+
+    /**
+     * Pan the map by a pixel offset
+     * @param {number} dx - Horizontal offset
+     * @param {number} dy - Vertical offset
+     */
+    panBy(dx, dy) {
+        const center = SlippyMap.project(this.center.lat, this.center.lng, this.zoom);
+        this.center = SlippyMap.unproject(center.x + dx, center.y + dy, this.zoom);
+        this.scheduleRender();
+    }
+
+    /**
+     * Center and zoom the map so that all points are visible
+     * @param {Array} points - `{lat, lng}` points
+     * @param {number} padding - Padding in pixels
+     */
+    fitBounds(points, padding = 24) {
+        const valid = points.filter(p => Utils.isValidCoordinates(p.lat, p.lng));
+        if (!valid.length) return;
+
+        const lats = valid.map(p => p.lat);
+        const lngs = valid.map(p => p.lng);
+        const north = Math.max(...lats);
+        const south = Math.min(...lats);
+        const east = Math.max(...lngs);
+        const west = Math.min(...lngs);
+
+        const size = this.getSize();
+        const width = Math.max(size.width - padding * 2, 1);
+        const height = Math.max(size.height - padding * 2, 1);
+
+        let zoom = this.maxZoom;
+        while (zoom > this.minZoom) {
+            const topLeft = SlippyMap.project(north, west, zoom);
+            const bottomRight = SlippyMap.project(south, east, zoom);
+            if (bottomRight.x - topLeft.x <= width && bottomRight.y - topLeft.y <= height) break;
+            zoom--;
+        }
+
+        const topLeft = SlippyMap.project(north, west, zoom);
+        const bottomRight = SlippyMap.project(south, east, zoom);
+        this.setView(SlippyMap.unproject(
+            (topLeft.x + bottomRight.x) / 2,
+            (topLeft.y + bottomRight.y) / 2,
+            zoom
+        ), zoom);
+    }
+
+    /**
+     * Redraw on the next animation frame
+     */
+    scheduleRender() {
+        if (this.renderPending) return;
+
+        this.renderPending = true;
+        requestAnimationFrame(() => {
+            this.renderPending = false;
+            this.render();
+        });
+    }
+
+    /**
+     * Position visible tiles and notify the owner so overlays can be redrawn
+     */
+    render() {
+        const size = this.getSize();
+        if (!size.width || !size.height) return;
+
+        const origin = this.getOrigin();
+        const tileCount = Math.pow(2, this.zoom);
+        const minX = Math.floor(origin.x / TILE_SIZE);
+        const maxX = Math.floor((origin.x + size.width) / TILE_SIZE);
+        const minY = Math.max(0, Math.floor(origin.y / TILE_SIZE));
+        const maxY = Math.min(tileCount - 1, Math.floor((origin.y + size.height) / TILE_SIZE));
+        const visible = new Set();
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let y = minY; y <= maxY; y++) {
+                // Wrap horizontally around the antimeridian
+                const wrappedX = ((x % tileCount) + tileCount) % tileCount;
+                const key = `${this.zoom}/${x}/${y}`;
+                visible.add(key);
+
+                let tile = this.tiles.get(key);
+                if (!tile) {
+                    tile = Utils.createElement('img', {
+                        className: 'map-tile',
+                        alt: '',
+                        draggable: 'false',
+                        src: this.getTileUrl(wrappedX, y, this.zoom)
+                    });
+                    tile.addEventListener('error', () => tile.classList.add('map-tile-error'));
+                    this.tiles.set(key, tile);
+                    this.tilePane.appendChild(tile);
+                }
+
+                tile.style.transform = `translate(${Math.round(x * TILE_SIZE - origin.x)}px, ${Math.round(y * TILE_SIZE - origin.y)}px)`;
+            }
+        }
+
+        this.tiles.forEach((tile, key) => {
+            if (!visible.has(key)) {
+                tile.remove();
+                this.tiles.delete(key);
+            }
+        });
+
+        this.onViewChange({ center: this.center, zoom: this.zoom });
+    }
+
+    /**
+     * Build a tile URL from the layer template
+     * @param {number} x - Tile column
+     * @param {number} y - Tile row
+     * @param {number} z - Zoom level
+     * @returns {string} Tile URL
+     */
+    getTileUrl(x, y, z) {
+        return this.tileLayer.url
+            .replace('{z}', z)
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+
+    /**
+     * Detach listeners and remove the map
+     */
+    destroy() {
+        this.resizeObserver?.disconnect();
+        this.element.remove();
+        this.tiles.clear();
+    }
+}
+
+// Make globally available
+window.SlippyMap = SlippyMap;
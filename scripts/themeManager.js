@@ -3,7 +3,8 @@
 class ThemeManager {
     constructor() {
         this.currentTheme = 'light';
-        this.storageKey = 'traffic_analyzer_theme';
+        this.preference = 'auto';
+        this.storageKey = 'traffic_analyzer_theme_cache';
         this.body = document.body;
         this.themeToggle = null;
         
@@ -17,22 +18,50 @@ class ThemeManager {
         this.loadSavedTheme();
         this.setupEventListeners();
         this.applyTheme();
+
+        appSettings.ready.then(() => this.usePreference(appSettings.get('theme')));
+        appSettings.onChange((changes) => {
+            if (changes.theme !== undefined) {
+                this.usePreference(changes.theme);
+            }
+        });
     }
 
     /**
-     * Load theme from storage or detect system preference
+     * Load the theme shown last time, so the popup doesn't flash before settings load
      */
     loadSavedTheme() {
-        const savedTheme = Utils.storage.get(this.storageKey);
-        
-        if (savedTheme) {
-            this.currentTheme = savedTheme;
-        } else {
-            // Detect system preference
-            if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-                this.currentTheme = 'dark';
-            }
-        }
+        this.currentTheme = Utils.storage.get(this.storageKey) || this.resolveTheme('auto');
+    }
+
+    /**
+     * Turn a theme preference into the theme to show
+     * @param {string} preference - 'light', 'dark' or 'auto'
+     * @returns {string} 'light' or 'dark'
+     */
+    resolveTheme(preference) {
+        if (preference !== 'auto') return preference;
+
+        // Follow the system preference
+        return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Show the theme for a preference
+     * @param {string} preference - 'light', 'dark' or 'auto'
+     */
+    usePreference(preference) {
+        this.preference = preference;
+        const theme = this.resolveTheme(preference);
+        if (theme === this.currentTheme) return;
+
+        this.currentTheme = theme;
+        this.applyTheme();
+        this.saveTheme();
+
+        Utils.events.emit('themeChanged', {
+            theme: this.currentTheme
+        });
     }
 
     /**
@@ -53,10 +82,8 @@ class ThemeManager {
             if (window.matchMedia) {
                 window.matchMedia('(prefers-color-scheme: dark)').addListener((e) => {
                     // Only auto-switch if user hasn't manually set a preference
-                    const savedTheme = Utils.storage.get(this.storageKey);
-                    if (!savedTheme) {
-                        this.currentTheme = e.matches ? 'dark' : 'light';
-                        this.applyTheme();
+                    if (this.preference === 'auto') {
+                        this.usePreference('auto');
                     }
                 });
             }
@@ -67,14 +94,7 @@ class ThemeManager {
      * Toggle between light and dark themes
      */
     toggleTheme() {
-        this.currentTheme = this.currentTheme === 'light' ? 'dark' : 'light';
-        this.applyTheme();
-        this.saveTheme();
-        
-        // Emit theme change event
-        Utils.events.emit('themeChanged', {
-            theme: this.currentTheme
-        });
+        this.setTheme(this.currentTheme === 'light' ? 'dark' : 'light');
 
         // Show toast notification
         this.showThemeChangeToast();
@@ -123,7 +143,7 @@ class ThemeManager {
         }
         
         // Update tooltip
-        this.themeToggle.title = `Switch to ${this.currentTheme === 'light' ? 'dark' : 'light'} theme`;
+        this.themeToggle.title = I18n.t(this.currentTheme === 'light' ? 'switchToDark' : 'switchToLight');
     }
 
     /**
@@ -148,7 +168,7 @@ class ThemeManager {
     }
 
     /**
-     * Save current theme to storage
+     * Remember the shown theme for the next popup; the preference itself is a setting
      */
     saveTheme() {
         Utils.storage.set(this.storageKey, this.currentTheme);
@@ -158,7 +178,7 @@ class ThemeManager {
      * Show theme change toast notification
      */
     showThemeChangeToast() {
-        const message = `Switched to ${this.currentTheme} theme`;
+        const message = I18n.t(this.currentTheme === 'light' ? 'switchedToLight' : 'switchedToDark');
         const icon = this.currentTheme === 'light' ? 'fa-sun' : 'fa-moon';
         
         if (window.ToastManager) {
@@ -179,18 +199,24 @@ class ThemeManager {
         return this.currentTheme;
     }
 
+    /**
+     * Get the theme preference
+     * @returns {string} 'light', 'dark' or 'auto'
+     */
+    getPreference() {
+        return this.preference;
+    }
+
     /**
      * Set specific theme
-     * @param {string} theme - Theme name ('light' or 'dark')
+     * @param {string} theme - Theme name ('light', 'dark' or 'auto')
      */
     setTheme(theme) {
-        if (theme === 'light' || theme === 'dark') {
-            this.currentTheme = theme;
-            this.applyTheme();
-            this.saveTheme();
-            
-            Utils.events.emit('themeChanged', {
-                theme: this.currentTheme
+        if (theme === 'light' || theme === 'dark' || theme === 'auto') {
+            this.usePreference(theme);
+
+            appSettings.set({ theme }).catch(error => {
+                console.error('Error saving theme:', error);
             });
         }
     }
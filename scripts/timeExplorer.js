@@ -0,0 +1,194 @@
+// ===== TIME EXPLORER =====
+
+class TimeExplorer {
+    /**
+     * Time cursor driven by a range input whose value is an hour offset from
+     * now (negative = past, positive = forecast), with step and playback controls.
+     * @param {HTMLInputElement} slider - Range input
+     * @param {Object} options - Explorer options
+     * @param {HTMLElement} [options.label] - Element showing the cursor time
+     * @param {HTMLElement} [options.playButton] - Play/pause button
+     * @param {HTMLElement} [options.stepBackButton] - Step back button
+     * @param {HTMLElement} [options.stepForwardButton] - Step forward button
+     * @param {HTMLElement} [options.nowButton] - Button returning to the present
+     * @param {Function} [options.onChange] - Called with `{offset, timestamp, mode}` once the cursor settles
+     * @param {number} [options.playInterval] - Milliseconds between playback steps
+     */
+    constructor(slider, options = {}) {
+        this.slider = slider;
+        this.label = options.label || null;
+        this.playButton = options.playButton || null;
+        this.stepBackButton = options.stepBackButton || null;
+        this.stepForwardButton = options.stepForwardButton || null;
+        this.nowButton = options.nowButton || null;
+        this.onChange = options.onChange || (() => {});
+        this.playInterval = options.playInterval || 1000;
+        this.playTimer = null;
+        this.offset = 0;
+
+        this.min = parseFloat(slider.min);
+        this.max = parseFloat(slider.max);
+        this.step = parseFloat(slider.step) || 0.5;
+
+        // Dragging fires many input events; only the settled position loads data
+        this.notifyChange = Utils.debounce(() => this.onChange(this.getCursor()), 200);
+
+        this.setupEventListeners();
+        this.setOffset(parseFloat(slider.value) || 0, { notify: false });
+    }
+
+    /**
+     * Setup event listeners
+     */
+    setupEventListeners() {
+        this.slider.addEventListener('input', () => {
+            this.pause();
+            this.setOffset(parseFloat(this.slider.value));
+        });
+
+        this.slider.addEventListener('keydown', (e) => {
+            if (e.key === ' ') {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+
+        this.playButton?.addEventListener('click', () => this.toggle());
+        this.stepBackButton?.addEventListener('click', () => {
+            this.pause();
+            this.stepBy(-1);
+        });
+        this.stepForwardButton?.addEventListener('click', () => {
+            this.pause();
+            this.stepBy(1);
+        });
+        this.nowButton?.addEventListener('click', () => {
+            this.pause();
+            this.setOffset(0);
+        });
+    }
+
+    /**
+     * Move the cursor
+     * @param {number} offset - Hours from now
+     * @param {Object} options - Options
+     * @param {boolean} [options.notify] - Call onChange (default true)
+     */
+    setOffset(offset, options = {}) {
+        this.offset = Math.min(Math.max(offset, this.min), this.max);
+        this.slider.value = this.offset;
+        this.slider.setAttribute('aria-valuetext', this.describe());
+
+        if (this.label) {
+            this.label.textContent = this.describe();
+        }
+        if (this.nowButton) {
+            this.nowButton.disabled = this.offset === 0;
+        }
+
+        if (options.notify !== false) {
+            this.notifyChange();
+        }
+    }
+
+    /**
+     * Move the cursor by whole slider steps
+     * @param {number} steps - Steps to move (negative = back)
+     */
+    stepBy(steps) {
+        this.setOffset(this.offset + steps * this.step);
+    }
+
+    /**
+     * Start or stop playback
+     */
+    toggle() {
+        if (this.playTimer) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Advance the cursor one step per interval until the end of the range
+     */
+    play() {
+        if (this.playTimer) return;
+
+        // Replaying from the end starts over from the earliest time
+        if (this.offset >= this.max) {
+            this.setOffset(this.min);
+        }
+
+        this.playTimer = setInterval(() => {
+            this.stepBy(1);
+            if (this.offset >= this.max) this.pause();
+        }, this.playInterval);
+        this.updatePlayButton();
+    }
+
+    /**
+     * Stop playback
+     */
+    pause() {
+        if (!this.playTimer) return;
+
+        clearInterval(this.playTimer);
+        this.playTimer = null;
+        this.updatePlayButton();
+    }
+
+    /**
+     * Sync the play button icon and label with the playback state
+     */
+    updatePlayButton() {
+        if (!this.playButton) return;
+
+        const playing = !!this.playTimer;
+        this.playButton.innerHTML = `<i class="fas ${playing ? 'fa-pause' : 'fa-play'}"></i>`;
+        const label = I18n.t(playing ? 'pause' : 'play');
+        this.playButton.setAttribute('aria-label', label);
+        this.playButton.title = label;
+        this.playButton.classList.toggle('active', playing);
+    }
+
+    /**
+     * Current cursor
+     * @returns {{offset: number, timestamp: number, mode: string}} Cursor; mode is 'past', 'live' or 'forecast'
+     */
+    getCursor() {
+        return {
+            offset: this.offset,
+            timestamp: Date.now() + this.offset * 3600000,
+            mode: this.offset < 0 ? 'past' : this.offset > 0 ? 'forecast' : 'live'
+        };
+    }
+
+    /**
+     * Human-readable cursor position
+     * @returns {string} Label such as "2h 30m ago · 14:30"
+     */
+    describe() {
+        if (this.offset === 0) return I18n.t('timePresent');
+
+        const minutes = Math.round(Math.abs(this.offset) * 60);
+        const hours = Math.floor(minutes / 60);
+        const rest = minutes % 60;
+        const unit = (value, name) => Utils.formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'narrow' });
+        const span = hours ? (rest ? `${unit(hours, 'hour')} ${unit(rest, 'minute')}` : unit(hours, 'hour')) : unit(rest, 'minute');
+        const time = Utils.formatTime(this.getCursor().timestamp);
+
+        return I18n.t(this.offset < 0 ? 'timeAgo' : 'timeAhead', { span, time });
+    }
+
+    /**
+     * Stop playback and timers
+     */
+    destroy() {
+        this.pause();
+    }
+}
+
+// Make globally available
+window.TimeExplorer = TimeExplorer;
@@ -0,0 +1,296 @@
+// ===== TRAFFIC AGGREGATOR =====
+
+/**
+ * Meters per degree of latitude
+ */
+const METERS_PER_DEGREE = 111320;
+
+/**
+ * Aggregations of a traffic payload (`{points, summary}`) for the heatmap
+ * views: per road segment, per grid cell and per district.
+ */
+class TrafficAggregator {
+    /**
+     * Snap points to road edges and color each road block by speed.
+     * Every block takes the nearest reading snapped to the same road.
+     * @param {Array} points - Traffic points
+     * @param {RoadGraph} graph - Road graph
+     * @param {Object} options - Options
+     * @param {number} [options.snapDistance] - Max distance (m) from a point to its road
+     * @param {number} [options.maxSpread] - Max distance (m) a reading is extended along its road
+     * @returns {Array} Segments `{id, name, line, speed, freeFlowSpeed, congestion, status}`
+     */
+    static byRoad(points, graph, options = {}) {
+        const snapDistance = options.snapDistance || 60;
+        const maxSpread = options.maxSpread || 300;
+        const readingsByRoad = new Map();
+
+        TrafficAggregator.validPoints(points).forEach(point => {
+            const hit = graph.nearestEdge(point.lat, point.lng, snapDistance);
+            if (!hit || !hit.edge.name) return;
+
+            if (!readingsByRoad.has(hit.edge.name)) readingsByRoad.set(hit.edge.name, []);
+            readingsByRoad.get(hit.edge.name).push(point);
+        });
+
+        const segments = [];
+        const seen = new Set();
+
+        graph.edges.forEach(edge => {
+            // Two-way roads have an edge per direction; draw each block once
+            const key = edge.from < edge.to ? `${edge.from}|${edge.to}` : `${edge.to}|${edge.from}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            const readings = readingsByRoad.get(edge.name);
+            if (!readings) return;
+
+            const a = graph.nodes.get(edge.from);
+            const b = graph.nodes.get(edge.to);
+            const midLat = (a.lat + b.lat) / 2;
+            const midLng = (a.lng + b.lng) / 2;
+
+            let nearest = null;
+            let nearestDistance = maxSpread;
+            readings.forEach(point => {
+                const distance = Utils.calculateDistance(midLat, midLng, point.lat, point.lng);
+                if (distance <= nearestDistance) {
+                    nearest = point;
+                    nearestDistance = distance;
+                }
+            });
+            if (!nearest) return;
+
+            const freeFlowSpeed = nearest.freeFlowSpeed || edge.freeFlowSpeed;
+            const speed = typeof nearest.speed === 'number'
+                ? nearest.speed
+                : freeFlowSpeed * (1 - nearest.congestion);
+            const congestion = Math.min(Math.max(1 - speed / freeFlowSpeed, 0), 1);
+
+            segments.push({
+                id: key,
+                name: edge.name,
+                line: [{ lat: a.lat, lng: a.lng }, { lat: b.lat, lng: b.lng }],
+                speed: Math.round(speed),
+                freeFlowSpeed: Math.round(freeFlowSpeed),
+                congestion: congestion,
+                status: Utils.getTrafficColor(congestion)
+            });
+        });
+
+        return segments;
+    }
+
+    /**
+     * Bin points into a hexagonal or square grid
+     * @param {Array} points - Traffic points
+     * @param {Object} options - Options
+     * @param {number} [options.cellSize] - Distance (m) between neighboring cell centers
+     * @param {string} [options.shape] - 'hex' or 'square'
+     * @returns {Array} Cells `{id, center, polygons, count, congestion, speed, status}`
+     */
+    static byGrid(points, options = {}) {
+        const cellSize = options.cellSize || 250;
+        const shape = options.shape || 'hex';
+        const valid = TrafficAggregator.validPoints(points);
+        if (!valid.length) return [];
+
+        // Flat projection around the data's mean latitude
+        const originLat = valid.reduce((sum, p) => sum + p.lat, 0) / valid.length;
+        const metersPerLng = METERS_PER_DEGREE * Math.cos(originLat * Math.PI / 180);
+        const toXY = (p) => ({ x: p.lng * metersPerLng, y: p.lat * METERS_PER_DEGREE });
+        const toLatLng = (x, y) => ({ lat: y / METERS_PER_DEGREE, lng: x / metersPerLng });
+
+        const cellFor = shape === 'square'
+            ? (x, y) => TrafficAggregator.squareCell(x, y, cellSize)
+            : (x, y) => TrafficAggregator.hexCell(x, y, cellSize);
+
+        const cells = new Map();
+        valid.forEach(point => {
+            const { x, y } = toXY(point);
+            const cell = cellFor(x, y);
+
+            if (!cells.has(cell.id)) {
+                cells.set(cell.id, { ...cell, points: [] });
+            }
+            cells.get(cell.id).points.push(point);
+        });
+
+        return [...cells.values()].map(cell => {
+            const stats = TrafficAggregator.summarize(cell.points);
+            return {
+                id: `${shape}_${cell.id}`,
+                center: toLatLng(cell.x, cell.y),
+                polygons: [[cell.vertices.map(([x, y]) => toLatLng(x, y))]],
+                ...stats
+            };
+        });
+    }
+
+    /**
+     * Find the pointy-top hexagon containing a projected point
+     * @param {number} x - Easting in meters
+     * @param {number} y - Northing in meters
+     * @param {number} cellSize - Distance between neighboring centers
+     * @returns {Object} Cell `{id, x, y, vertices}`
+     */
+    static hexCell(x, y, cellSize) {
+        const size = cellSize / Math.sqrt(3); // center-to-corner distance
+
+        // Fractional axial coordinates, rounded in cube space
+        const q = (Math.sqrt(3) / 3 * x - y / 3) / size;
+        const r = (2 / 3 * y) / size;
+        let rq = Math.round(q);
+        let rr = Math.round(r);
+        const rs = Math.round(-q - r);
+
+        const dq = Math.abs(rq - q);
+        const dr = Math.abs(rr - r);
+        const ds = Math.abs(rs + q + r);
+        if (dq > dr && dq > ds) {
+            rq = -rr - rs;
+        } else if (dr > ds) {
+            rr = -rq - rs;
+        }
+
+        const cx = size * Math.sqrt(3) * (rq + rr / 2);
+        const cy = size * 1.5 * rr;
+        const vertices = [];
+        for (let i = 0; i < 6; i++) {
+            const angle = Math.PI / 180 * (60 * i - 30);
+            vertices.push([cx + size * Math.cos(angle), cy + size * Math.sin(angle)]);
+        }
+
+        return { id: `${rq},${rr}`, x: cx, y: cy, vertices };
+    }
+
+    /**
+     * Find the square containing a projected point
+     * @param {number} x - Easting in meters
+     * @param {number} y - Northing in meters
+     * @param {number} cellSize - Square side
+     * @returns {Object} Cell `{id, x, y, vertices}`
+     */
+    static squareCell(x, y, cellSize) {
+        const col = Math.floor(x / cellSize);
+        const row = Math.floor(y / cellSize);
+        const left = col * cellSize;
+        const bottom = row * cellSize;
+
+        return {
+            id: `${col},${row}`,
+            x: left + cellSize / 2,
+            y: bottom + cellSize / 2,
+            vertices: [
+                [left, bottom],
+                [left + cellSize, bottom],
+                [left + cellSize, bottom + cellSize],
+                [left, bottom + cellSize]
+            ]
+        };
+    }
+
+    /**
+     * Roll points up to district polygons
+     * @param {Array} points - Traffic points
+     * @param {Object} districts - GeoJSON FeatureCollection of Polygon/MultiPolygon features
+     * @returns {Array} Districts `{id, name, polygons, count, congestion, speed, status, heavyShare, slowest}`
+     */
+    static byDistrict(points, districts) {
+        const areas = districts.features.map((feature, index) => {
+            const geometry = feature.geometry;
+            const polygons = (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates)
+                .map(rings => rings.map(ring => ring.map(([lng, lat]) => ({ lat, lng }))));
+
+            return {
+                id: feature.properties?.id || `district_${index}`,
+                name: feature.properties?.name || I18n.t('districtNumber', { number: Utils.formatNumber(index + 1) }),
+                polygons: polygons,
+                points: []
+            };
+        });
+
+        TrafficAggregator.validPoints(points).forEach(point => {
+            const area = areas.find(a => a.polygons.some(rings =>
+                TrafficAggregator.pointInPolygon(point, rings)
+            ));
+            if (area) area.points.push(point);
+        });
+
+        return areas.map(area => {
+            const slowest = area.points.reduce((min, p) =>
+                !min || (p.speed ?? Infinity) < (min.speed ?? Infinity) ? p : min, null);
+
+            return {
+                id: area.id,
+                name: area.name,
+                polygons: area.polygons,
+                ...TrafficAggregator.summarize(area.points),
+                heavyShare: area.points.length
+                    ? area.points.filter(p => Utils.getTrafficColor(p.congestion) === 'heavy').length / area.points.length
+                    : 0,
+                slowest: slowest ? { name: slowest.name, speed: Math.round(slowest.speed) } : null
+            };
+        });
+    }
+
+    /**
+     * Test whether a point lies in a polygon (even-odd rule, holes supported)
+     * @param {Object} point - `{lat, lng}`
+     * @param {Array} rings - Outer ring followed by holes, each an array of `{lat, lng}`
+     * @returns {boolean} Whether the point is inside
+     */
+    static pointInPolygon(point, rings) {
+        let inside = false;
+
+        rings.forEach(ring => {
+            for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                const a = ring[i];
+                const b = ring[j];
+                if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+                    point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng) {
+                    inside = !inside;
+                }
+            }
+        });
+
+        return inside;
+    }
+
+    /**
+     * Summary statistics for a set of points
+     * @param {Array} points - Traffic points
+     * @returns {{count: number, congestion: number, speed: number|null, status: string}} Stats
+     */
+    static summarize(points) {
+        if (!points.length) {
+            return { count: 0, congestion: 0, speed: null, status: 'unknown' };
+        }
+
+        const congestion = points.reduce((sum, p) => sum + p.congestion, 0) / points.length;
+        const withSpeed = points.filter(p => typeof p.speed === 'number');
+        const speed = withSpeed.length
+            ? Math.round(withSpeed.reduce((sum, p) => sum + p.speed, 0) / withSpeed.length)
+            : null;
+
+        return {
+            count: points.length,
+            congestion: Math.round(congestion * 100) / 100,
+            speed: speed,
+            status: Utils.getTrafficColor(congestion)
+        };
+    }
+
+    /**
+     * Keep points with usable coordinates and congestion
+     * @param {Array} points - Traffic points
+     * @returns {Array} Valid points
+     */
+    static validPoints(points) {
+        return (points || []).filter(p =>
+            Utils.isValidCoordinates(p.lat, p.lng) && typeof p.congestion === 'number'
+        );
+    }
+}
+
+self.TrafficAggregator = TrafficAggregator;
@@ -0,0 +1,396 @@
+// ===== TRAFFIC PROVIDERS =====
+
+/**
+ * Default area queried when a request does not specify a center
+ */
+const DEFAULT_TRAFFIC_CENTER = { lat: 40.7549, lng: -73.9840 }; // Midtown Manhattan, where the bundled sample data is
+const DEFAULT_TRAFFIC_RADIUS = 5000; // meters
+
+/**
+ * Base class for traffic data sources.
+ *
+ * A provider fetches the raw response of its upstream service in
+ * `fetchTraffic()` and converts it into the `{points, summary}` shape used by
+ * the rest of the extension in `normalize()`.
+ */
+class TrafficProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} [options.apiKey] - API key or access token
+     * @param {Function} [options.fetch] - fetch implementation (defaults to global fetch)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.fetchImpl = options.fetch || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Provider identifier used in settings
+     * @returns {string} Provider ID
+     */
+    static get id() {
+        return 'base';
+    }
+
+    /**
+     * Human readable provider name
+     * @returns {string} Provider label
+     */
+    static get label() {
+        return I18n.t('providerGeneric');
+    }
+
+    /**
+     * Whether the provider needs an API key to work
+     * @returns {boolean} True if an API key is required
+     */
+    static get requiresApiKey() {
+        return false;
+    }
+
+    /**
+     * Get normalized traffic data
+     * @param {Object} params - Request parameters
+     * @returns {Promise<Object>} Traffic data in `{points, summary}` shape
+     */
+    async getTraffic(params = {}) {
+        const request = {
+            center: params.center || DEFAULT_TRAFFIC_CENTER,
+            radius: params.radius || DEFAULT_TRAFFIC_RADIUS
+        };
+
+        if (this.constructor.requiresApiKey && !this.options.apiKey) {
+            throw new Error(I18n.t('apiKeyRequired', { service: this.constructor.label }));
+        }
+
+        const raw = await this.fetchTraffic(request);
+        return this.normalize(raw, request);
+    }
+
+    /**
+     * Fetch the raw provider response
+     * @param {Object} request - Request with `center` and `radius`
+     * @returns {Promise<*>} Raw response
+     */
+    async fetchTraffic(request) {
+        throw new Error(`${this.constructor.name} must implement fetchTraffic()`);
+    }
+
+    /**
+     * Convert a raw provider response into `{points, summary}`
+     * @param {*} raw - Raw response
+     * @param {Object} request - Request with `center` and `radius`
+     * @returns {Object} Traffic data
+     */
+    normalize(raw, request) {
+        throw new Error(`${this.constructor.name} must implement normalize()`);
+    }
+
+    /**
+     * Fetch JSON from the upstream service
+     * @param {string} url - Request URL
+     * @returns {Promise<Object>} Parsed JSON body
+     */
+    async fetchJson(url) {
+        const response = await this.fetchImpl(url);
+        if (!response.ok) {
+            throw new Error(I18n.t('serviceRequestFailed', { service: this.constructor.label, status: response.status }));
+        }
+        return response.json();
+    }
+
+    /**
+     * Build the `{points, summary}` result from normalized points
+     * @param {Array} points - Normalized traffic points
+     * @param {Object} extra - Additional summary fields
+     * @returns {Object} Traffic data
+     */
+    buildResult(points, extra = {}) {
+        const totalPoints = points.length;
+        const averageCongestion = totalPoints
+            ? points.reduce((sum, p) => sum + p.congestion, 0) / totalPoints
+            : 0;
+        const averageSpeed = totalPoints
+            ? points.reduce((sum, p) => sum + p.speed, 0) / totalPoints
+            : 0;
+
+        return {
+            points: points,
+            summary: {
+                averageCongestion: Math.round(averageCongestion * 100) / 100,
+                averageSpeed: Math.round(averageSpeed),
+                totalPoints: totalPoints,
+                lastUpdated: Date.now(),
+                provider: this.constructor.id,
+                ...extra
+            }
+        };
+    }
+
+    /**
+     * Derive a 0-1 congestion level from current and free-flow speed
+     * @param {number} currentSpeed - Current speed
+     * @param {number} freeFlowSpeed - Free-flow speed in the same unit
+     * @returns {number} Congestion level (0-1)
+     */
+    static congestionFromSpeed(currentSpeed, freeFlowSpeed) {
+        if (!freeFlowSpeed || freeFlowSpeed <= 0) return 0;
+        return Math.max(0, Math.min(1, 1 - currentSpeed / freeFlowSpeed));
+    }
+
+    /**
+     * Offset a coordinate by a distance along a bearing
+     * @param {Object} origin - Start point `{lat, lng}`
+     * @param {number} distance - Distance in meters
+     * @param {number} bearing - Bearing in degrees from north
+     * @returns {Object} Destination point `{lat, lng}`
+     */
+    static offset(origin, distance, bearing) {
+        const rad = bearing * Math.PI / 180;
+        const dLat = (distance * Math.cos(rad)) / 111320;
+        const dLng = (distance * Math.sin(rad)) / (111320 * Math.cos(origin.lat * Math.PI / 180));
+        return { lat: origin.lat + dLat, lng: origin.lng + dLng };
+    }
+}
+
+/**
+ * Offline provider backed by a bundled flow fixture.
+ * Useful for development and for testing without network access. Only the
+ * readings inside the requested area are returned, so areas the fixture does
+ * not cover have no traffic rather than Midtown's.
+ */
+class LocalFixtureProvider extends TrafficProvider {
+    static get id() {
+        return 'local';
+    }
+
+    static get label() {
+        return I18n.t('providerLocal');
+    }
+
+    async fetchTraffic(request) {
+        if (this.options.fixture) {
+            return this.options.fixture;
+        }
+
+        const path = this.options.fixturePath || 'data/fixtures/traffic-flow.json';
+        const url = typeof chrome !== 'undefined' && chrome.runtime?.getURL
+            ? chrome.runtime.getURL(path)
+            : path;
+        return this.fetchJson(url);
+    }
+
+    normalize(raw, request) {
+        const now = Date.now();
+        const segments = Array.isArray(raw?.segments) ? raw.segments : [];
+
+        const points = segments.map(segment => {
+            const [lng, lat] = segment.location;
+            return {
+                id: segment.id,
+                name: segment.name,
+                lat: lat,
+                lng: lng,
+                congestion: TrafficProvider.congestionFromSpeed(
+                    segment.currentSpeedKmh,
+                    segment.freeFlowSpeedKmh
+                ),
+                speed: Math.round(segment.currentSpeedKmh),
+                freeFlowSpeed: segment.freeFlowSpeedKmh,
+                roadType: segment.roadClass,
+                timestamp: now
+            };
+        }).filter(point => Utils.calculateDistance(
+            request.center.lat, request.center.lng, point.lat, point.lng
+        ) <= request.radius);
+
+        return this.buildResult(points, {
+            region: raw?.region,
+            capturedAt: raw?.capturedAt ? Date.parse(raw.capturedAt) : null
+        });
+    }
+}
+
+/**
+ * Mapbox Directions API provider.
+ * Samples congestion and speed annotations along probe routes through the
+ * requested area using the `driving-traffic` profile.
+ */
+class MapboxTrafficProvider extends TrafficProvider {
+    static get id() {
+        return 'mapbox';
+    }
+
+    static get label() {
+        return 'Mapbox Traffic';
+    }
+
+    static get requiresApiKey() {
+        return true;
+    }
+
+    async fetchTraffic(request) {
+        const probes = [0, 45, 90, 135].map(bearing => [
+            TrafficProvider.offset(request.center, request.radius, bearing),
+            TrafficProvider.offset(request.center, request.radius, bearing + 180)
+        ]);
+
+        return Promise.all(probes.map(([from, to]) => {
+            const coordinates = `${from.lng},${from.lat};${to.lng},${to.lat}`;
+            const url = `https://api.mapbox.com/directions/v5/mapbox/driving-traffic/${coordinates}` +
+                '?annotations=congestion_numeric,speed&overview=full&geometries=geojson' +
+                `&access_token=${encodeURIComponent(this.options.apiKey)}`;
+            return this.fetchJson(url);
+        }));
+    }
+
+    normalize(raw, request) {
+        const now = Date.now();
+        const points = [];
+        const sampleEvery = this.options.sampleEvery || 5;
+
+        raw.forEach((response, probeIndex) => {
+            const route = response?.routes?.[0];
+            if (!route) return;
+
+            const coordinates = route.geometry.coordinates;
+            const annotation = route.legs?.[0]?.annotation || {};
+            const speeds = annotation.speed || [];
+            const congestion = annotation.congestion_numeric || [];
+
+            for (let i = 0; i < coordinates.length - 1; i += sampleEvery) {
+                const [lng1, lat1] = coordinates[i];
+                const [lng2, lat2] = coordinates[i + 1];
+                const speed = (speeds[i] || 0) * 3.6; // m/s to km/h
+
+                points.push({
+                    id: `mapbox_${probeIndex}_${i}`,
+                    lat: (lat1 + lat2) / 2,
+                    lng: (lng1 + lng2) / 2,
+                    congestion: congestion[i] != null ? congestion[i] / 100 : 0,
+                    speed: Math.round(speed),
+                    timestamp: now
+                });
+            }
+        });
+
+        return this.buildResult(points);
+    }
+}
+
+/**
+ * Google Maps Distance Matrix provider.
+ * Compares free-flow and in-traffic durations of spokes radiating from the
+ * requested center and reports one point per spoke.
+ */
+class GoogleMapsTrafficProvider extends TrafficProvider {
+    static get id() {
+        return 'google';
+    }
+
+    static get label() {
+        return 'Google Maps';
+    }
+
+    static get requiresApiKey() {
+        return true;
+    }
+
+    getSpokes(request) {
+        const bearings = [0, 45, 90, 135, 180, 225, 270, 315];
+        return bearings.map(bearing => TrafficProvider.offset(request.center, request.radius, bearing));
+    }
+
+    async fetchTraffic(request) {
+        const origin = `${request.center.lat},${request.center.lng}`;
+        const destinations = this.getSpokes(request)
+            .map(point => `${point.lat},${point.lng}`)
+            .join('|');
+
+        const url = 'https://maps.googleapis.com/maps/api/distancematrix/json' +
+            `?origins=${encodeURIComponent(origin)}` +
+            `&destinations=${encodeURIComponent(destinations)}` +
+            `&departure_time=now&key=${encodeURIComponent(this.options.apiKey)}`;
+
+        const response = await this.fetchJson(url);
+        if (response.status !== 'OK') {
+            throw new Error(I18n.t('googleMapsError', { error: response.error_message || response.status }));
+        }
+        return response;
+    }
+
+    normalize(raw, request) {
+        const now = Date.now();
+        const spokes = this.getSpokes(request);
+        const elements = raw.rows?.[0]?.elements || [];
+        const points = [];
+
+        elements.forEach((element, index) => {
+            if (element.status !== 'OK' || !element.duration_in_traffic) return;
+
+            const distance = element.distance.value; // meters
+            const freeFlow = element.duration.value; // seconds
+            const inTraffic = element.duration_in_traffic.value;
+            const spoke = spokes[index];
+
+            points.push({
+                id: `google_${index}`,
+                lat: (request.center.lat + spoke.lat) / 2,
+                lng: (request.center.lng + spoke.lng) / 2,
+                congestion: TrafficProvider.congestionFromSpeed(distance / inTraffic, distance / freeFlow),
+                speed: Math.round((distance / inTraffic) * 3.6),
+                freeFlowSpeed: Math.round((distance / freeFlow) * 3.6),
+                timestamp: now
+            });
+        });
+
+        return this.buildResult(points);
+    }
+}
+
+/**
+ * Registry of available traffic providers
+ */
+const TrafficProviders = {
+    defaultProvider: LocalFixtureProvider.id,
+
+    registry: {
+        [LocalFixtureProvider.id]: LocalFixtureProvider,
+        [MapboxTrafficProvider.id]: MapboxTrafficProvider,
+        [GoogleMapsTrafficProvider.id]: GoogleMapsTrafficProvider
+    },
+
+    /**
+     * Register an additional provider
+     * @param {Function} ProviderClass - TrafficProvider subclass
+     */
+    register(ProviderClass) {
+        this.registry[ProviderClass.id] = ProviderClass;
+    },
+
+    /**
+     * Create a provider instance
+     * @param {string} id - Provider ID
+     * @param {Object} options - Provider options
+     * @returns {TrafficProvider} Provider instance
+     */
+    create(id, options = {}) {
+        const ProviderClass = this.registry[id] || this.registry[this.defaultProvider];
+        return new ProviderClass(options);
+    },
+
+    /**
+     * List available providers for settings UIs
+     * @returns {Array} Provider descriptors
+     */
+    list() {
+        return Object.values(this.registry).map(ProviderClass => ({
+            id: ProviderClass.id,
+            label: ProviderClass.label,
+            requiresApiKey: ProviderClass.requiresApiKey
+        }));
+    }
+};
+
+self.TrafficProvider = TrafficProvider;
+self.TrafficProviders = TrafficProviders;
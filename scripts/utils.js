@@ -52,39 +52,198 @@ class Utils {
         };
     }
 
+    /**
+     * Units shown for each unit system. Distances below `shortLimit` meters
+     * use the short unit; `speedFactor` converts km/h to the speed unit.
+     */
+    static unitSystems = {
+        metric: {
+            distance: 'kilometer',
+            shortDistance: 'meter',
+            metersPerUnit: 1000,
+            metersPerShortUnit: 1,
+            shortLimit: 1000,
+            speed: 'kilometer-per-hour',
+            speedFactor: 1
+        },
+        imperial: {
+            distance: 'mile',
+            shortDistance: 'foot',
+            metersPerUnit: 1609.344,
+            metersPerShortUnit: 0.3048,
+            shortLimit: 160.9344, // 0.1 mi
+            speed: 'mile-per-hour',
+            speedFactor: 1 / 1.609344
+        }
+    };
+
+    static formatters = new Map();
+
+    /**
+     * Get the locale used for formatting: the language text is shown in
+     * @returns {string} BCP 47 language tag
+     */
+    static getLocale() {
+        if (typeof I18n !== 'undefined') return I18n.getLanguage();
+        return (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+    }
+
+    /**
+     * Get the units chosen in settings
+     * @returns {Object} Entry of Utils.unitSystems
+     */
+    static getUnits() {
+        const units = typeof appSettings !== 'undefined' ? appSettings.get('units') : 'metric';
+        return Utils.unitSystems[units] || Utils.unitSystems.metric;
+    }
+
+    /**
+     * Get a cached Intl formatter for the current locale
+     * @param {string} type - Intl constructor name, such as 'NumberFormat' or 'RelativeTimeFormat'
+     * @param {Object} options - Formatter options
+     * @returns {Object} Formatter
+     */
+    static getFormatter(type, options) {
+        const key = `${type}|${Utils.getLocale()}|${JSON.stringify(options)}`;
+        if (!Utils.formatters.has(key)) {
+            Utils.formatters.set(key, new Intl[type](Utils.getLocale(), options));
+        }
+        return Utils.formatters.get(key);
+    }
+
+    /**
+     * Format a number for the current locale
+     * @param {number} value - Number
+     * @param {Object} [options] - Intl.NumberFormat options
+     * @returns {string} Formatted number
+     */
+    static formatNumber(value, options = {}) {
+        return Utils.getFormatter('NumberFormat', options).format(value);
+    }
+
     /**
      * Format time duration
      * @param {number} minutes - Duration in minutes
      * @returns {string} Formatted duration
      */
     static formatDuration(minutes) {
-        if (minutes < 60) {
-            return `${Math.round(minutes)} min`;
+        const unit = (value, name) => Utils.formatNumber(value, {
+            style: 'unit',
+            unit: name,
+            maximumFractionDigits: 0
+        });
+
+        if (Math.round(minutes) < 60) {
+            return unit(minutes, 'minute');
         }
-        const hours = Math.floor(minutes / 60);
-        const mins = Math.round(minutes % 60);
-        return `${hours}h ${mins}min`;
+        const hours = Math.floor(Math.round(minutes) / 60);
+        const mins = Math.round(minutes) % 60;
+        return mins ? `${unit(hours, 'hour')} ${unit(mins, 'minute')}` : unit(hours, 'hour');
+    }
+
+    /**
+     * Format a range of durations, such as a forecast interval
+     * @param {number} low - Shortest duration in minutes
+     * @param {number} high - Longest duration in minutes
+     * @returns {string} Formatted range
+     */
+    static formatDurationRange(low, high) {
+        return Utils.getFormatter('NumberFormat', {
+            style: 'unit',
+            unit: 'minute',
+            maximumFractionDigits: 0
+        }).formatRange(Math.round(low), Math.round(high));
     }
 
     /**
-     * Format distance
+     * Format distance in the chosen units
      * @param {number} meters - Distance in meters
      * @returns {string} Formatted distance
      */
     static formatDistance(meters) {
-        if (meters < 1000) {
-            return `${Math.round(meters)} m`;
+        const units = Utils.getUnits();
+        if (meters < units.shortLimit) {
+            return Utils.formatNumber(meters / units.metersPerShortUnit, {
+                style: 'unit',
+                unit: units.shortDistance,
+                maximumFractionDigits: 0
+            });
         }
-        return `${(meters / 1000).toFixed(1)} km`;
+        return Utils.formatNumber(meters / units.metersPerUnit, {
+            style: 'unit',
+            unit: units.distance,
+            minimumFractionDigits: 1,
+            maximumFractionDigits: 1
+        });
+    }
+
+    /**
+     * Convert a speed to the chosen units
+     * @param {number} kmh - Speed in km/h
+     * @returns {number} Speed in km/h or mph, rounded
+     */
+    static convertSpeed(kmh) {
+        return Math.round(kmh * Utils.getUnits().speedFactor);
+    }
+
+    /**
+     * Get the label of the chosen speed unit
+     * @returns {string} e.g. "km/h" or "mph"
+     */
+    static getSpeedUnit() {
+        const parts = Utils.getFormatter('NumberFormat', {
+            style: 'unit',
+            unit: Utils.getUnits().speed
+        }).formatToParts(0);
+        return parts.find(part => part.type === 'unit')?.value || '';
     }
 
     /**
-     * Format speed
+     * Format speed in the chosen units
      * @param {number} kmh - Speed in km/h
      * @returns {string} Formatted speed
      */
     static formatSpeed(kmh) {
-        return `${Math.round(kmh)} km/h`;
+        return Utils.formatNumber(Utils.convertSpeed(kmh), {
+            style: 'unit',
+            unit: Utils.getUnits().speed
+        });
+    }
+
+    /**
+     * Convert a delay per 10 km to a delay per 10 of the chosen distance unit
+     * @param {number} minutes - Minutes lost per 10 km
+     * @returns {number} Minutes lost per 10 km or 10 mi, to one decimal
+     */
+    static convertDelayRate(minutes) {
+        return Math.round(minutes * Utils.getUnits().metersPerUnit / 1000 * 10) / 10;
+    }
+
+    /**
+     * Get the distance delays are reported over
+     * @returns {string} e.g. "10 km" or "10 mi"
+     */
+    static getDelayRateDistance() {
+        return Utils.formatNumber(10, { style: 'unit', unit: Utils.getUnits().distance });
+    }
+
+    /**
+     * Format a money amount
+     * @param {number} amount - Amount
+     * @param {string} [currency] - ISO 4217 currency code
+     * @returns {string} Formatted amount
+     */
+    static formatCurrency(amount, currency = 'USD') {
+        return Utils.formatNumber(amount, { style: 'currency', currency });
+    }
+
+    /**
+     * Format a fraction as a percentage
+     * @param {number} fraction - Value between 0 and 1
+     * @returns {string} Formatted percentage
+     */
+    static formatPercent(fraction) {
+        return Utils.formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 });
     }
 
     /**
@@ -100,16 +259,27 @@ class Utils {
     }
 
     /**
-     * Format timestamp
+     * Format timestamp as a time of day, on the clock chosen in settings
      * @param {Date|number} timestamp - Timestamp
      * @returns {string} Formatted time
      */
     static formatTime(timestamp) {
-        const date = new Date(timestamp);
-        return date.toLocaleTimeString([], { 
-            hour: '2-digit', 
-            minute: '2-digit' 
-        });
+        const clock = typeof appSettings !== 'undefined' ? appSettings.get('clock') : 'auto';
+        const options = { hour: 'numeric', minute: '2-digit' };
+        if (clock !== 'auto') {
+            options.hourCycle = clock === '12h' ? 'h12' : 'h23';
+        }
+        return Utils.getFormatter('DateTimeFormat', options).format(new Date(timestamp));
+    }
+
+    /**
+     * Format timestamp as a date
+     * @param {Date|number} timestamp - Timestamp
+     * @param {Object} [options] - Intl.DateTimeFormat options
+     * @returns {string} Formatted date
+     */
+    static formatDate(timestamp, options = { month: 'short', day: 'numeric' }) {
+        return Utils.getFormatter('DateTimeFormat', options).format(new Date(timestamp));
     }
 
     /**
@@ -125,40 +295,35 @@ class Utils {
 
     /**
      * Get optimal departure time
-     * @param {Object} routeData - Route data with historical patterns
+     * @param {Object} routeData - Route data
+     * @param {Function} [routeData.predict] - `(departure: Date) => number` predicted cost (e.g. duration) of leaving at a time
+     * @param {Date|number} [routeData.earliest] - Earliest departure (defaults to now)
+     * @param {number} [routeData.windowHours] - Hours after the earliest departure to consider
+     * @param {number} [routeData.stepMinutes] - Spacing between candidate departures
      * @returns {Date} Optimal departure time
      */
-    static getOptimalDepartureTime(routeData) {
-        // Simple algorithm - find the time with lowest congestion
-        const now = new Date();
-        const currentHour = now.getHours();
-        
-        // Traffic patterns (0-1, where 1 is heavy traffic)
-        const trafficPatterns = {
-            0: 0.1, 1: 0.1, 2: 0.1, 3: 0.1, 4: 0.1, 5: 0.2,
-            6: 0.4, 7: 0.8, 8: 0.9, 9: 0.7, 10: 0.5, 11: 0.6,
-            12: 0.7, 13: 0.6, 14: 0.5, 15: 0.6, 16: 0.7, 17: 0.9,
-            18: 0.8, 19: 0.6, 20: 0.4, 21: 0.3, 22: 0.2, 23: 0.1
-        };
+    static getOptimalDepartureTime(routeData = {}) {
+        const earliest = new Date(routeData.earliest || Date.now());
+        if (typeof routeData.predict !== 'function') {
+            // Without a forecast there is nothing to improve on leaving now
+            return earliest;
+        }
 
-        let optimalHour = currentHour;
-        let minTraffic = trafficPatterns[currentHour];
+        const windowHours = routeData.windowHours || 4;
+        const stepMinutes = routeData.stepMinutes || 15;
 
-        // Look for better times in the next 4 hours
-        for (let i = 1; i <= 4; i++) {
-            const hour = (currentHour + i) % 24;
-            if (trafficPatterns[hour] < minTraffic) {
-                minTraffic = trafficPatterns[hour];
-                optimalHour = hour;
-            }
-        }
+        let optimalTime = earliest;
+        let minCost = Infinity;
 
-        const optimalTime = new Date();
-        optimalTime.setHours(optimalHour, 0, 0, 0);
-        
-        // If the optimal time is in the past, add a day
-        if (optimalTime <= now) {
-            optimalTime.setDate(optimalTime.getDate() + 1);
+        for (let minutes = 0; minutes <= windowHours * 60; minutes += stepMinutes) {
+            const departure = new Date(earliest.getTime() + minutes * 60000);
+            const cost = routeData.predict(departure);
+
+            // Strictly lower, so ties keep the earlier departure
+            if (typeof cost === 'number' && cost < minCost) {
+                minCost = cost;
+                optimalTime = departure;
+            }
         }
 
         return optimalTime;
@@ -194,6 +359,21 @@ class Utils {
         requestAnimationFrame(update);
     }
 
+    /**
+     * Escape text for use in HTML markup
+     * @param {*} text - Text from an untrusted source
+     * @returns {string} Escaped text
+     */
+    static escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        })[char]);
+    }
+
     /**
      * Create DOM element with attributes and content
      * @param {string} tag - HTML tag name
@@ -240,7 +420,7 @@ class Utils {
      * @param {HTMLElement} element - Target element
      * @param {string} message - Loading message
      */
-    static showLoading(element, message = 'Loading...') {
+    static showLoading(element, message = I18n.t('loading')) {
         const loader = Utils.createElement('div', {
             className: 'loading-state'
         }, [
@@ -345,6 +525,48 @@ class Utils {
         );
     }
 
+    /**
+     * Parse "lat, lng" text
+     * @param {string} text - Text to parse
+     * @returns {{lat: number, lng: number}|null} Coordinates
+     */
+    static parseCoordinates(text) {
+        const match = String(text || '').match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+        if (!match) return null;
+
+        const lat = parseFloat(match[1]);
+        const lng = parseFloat(match[2]);
+        return Utils.isValidCoordinates(lat, lng) ? { lat, lng } : null;
+    }
+
+    /**
+     * Find coordinates written in text, e.g. "40.75273, -73.97723". Both
+     * numbers need decimals and can't be part of a longer number, so counts
+     * like "1,000" or "12,500, 3" aren't read as places.
+     * @param {string} text - Text to search
+     * @returns {Array<{lat: number, lng: number, text: string}>} Coordinates found
+     */
+    static findCoordinates(text) {
+        const pattern = /(?<![\d.,-])(-?\d{1,3}\.\d{3,}),\s?(-?\d{1,3}\.\d{3,})(?![\d.,])/g;
+        return Array.from(String(text || '').matchAll(pattern))
+            .map(match => ({ lat: parseFloat(match[1]), lng: parseFloat(match[2]), text: match[0] }))
+            .filter(({ lat, lng }) => Utils.isValidCoordinates(lat, lng) && (lat !== 0 || lng !== 0));
+    }
+
+    /**
+     * Find street addresses written in text, e.g. "350 Fifth Avenue" or
+     * "12 W 42nd St": a house number, one to four capitalized or numbered
+     * words, then a street type
+     * @param {string} text - Text to search
+     * @returns {Array<string>} Addresses found
+     */
+    static findAddresses(text) {
+        const word = "(?:[A-Z][\\w.'-]*|\\d+(?:st|nd|rd|th))";
+        const type = '(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Drive|Dr|Lane|Ln|Way|Circle|Cir|Court|Ct|Place|Pl)';
+        const pattern = new RegExp(`\\b\\d{1,5}[A-Za-z]?[ \\t]+(?:${word}[ \\t]+){1,4}${type}\\b`, 'g');
+        return (String(text || '').match(pattern) || []).map(address => address.trim());
+    }
+
     /**
      * Calculate distance between two points (Haversine formula)
      * @param {number} lat1 - First point latitude
@@ -365,6 +587,23 @@ class Utils {
         return R * c;
     }
 
+    /**
+     * Calculate the initial bearing from one point to another
+     * @param {number} lat1 - First point latitude
+     * @param {number} lng1 - First point longitude
+     * @param {number} lat2 - Second point latitude
+     * @param {number} lng2 - Second point longitude
+     * @returns {number} Bearing in degrees clockwise from north (0-360)
+     */
+    static calculateBearing(lat1, lng1, lat2, lng2) {
+        const toRad = Math.PI / 180;
+        const dLng = (lng2 - lng1) * toRad;
+        const y = Math.sin(dLng) * Math.cos(lat2 * toRad);
+        const x = Math.cos(lat1 * toRad) * Math.sin(lat2 * toRad) -
+            Math.sin(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.cos(dLng);
+        return (Math.atan2(y, x) / toRad + 360) % 360;
+    }
+
     /**
      * Get user's current location
      * @returns {Promise<{lat: number, lng: number}>} User coordinates
@@ -372,7 +611,7 @@ class Utils {
     static async getCurrentLocation() {
         return new Promise((resolve, reject) => {
             if (!navigator.geolocation) {
-                reject(new Error('Geolocation is not supported'));
+                reject(new Error(I18n.t('geolocationUnsupported')));
                 return;
             }
 
@@ -384,7 +623,7 @@ class Utils {
                     });
                 },
                 (error) => {
-                    reject(new Error(`Geolocation error: ${error.message}`));
+                    reject(new Error(I18n.t('geolocationError', { error: error.message })));
                 },
                 {
                     enableHighAccuracy: true,
@@ -0,0 +1,67 @@
+// ===== DATA EXPORT TESTS =====
+// Exports routes from the routing engine as they reach the popup: after a
+// runtime message, so their times are ISO strings.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFile, loadScripts, serialize } = require('./helpers');
+
+const window = loadScripts([
+    'scripts/i18n.js',
+    'scripts/utils.js',
+    'scripts/incidents.js',
+    'scripts/roadGraph.js',
+    'scripts/routingEngine.js',
+    'scripts/dataExport.js'
+]);
+const { DataExport } = window;
+
+/**
+ * Route across the bundled road network, copied like a runtime message reply
+ * @returns {Object} Route
+ */
+function messageRoute() {
+    const graph = window.RoadGraph.fromData(JSON.parse(readFile('data/road-network.geojson')));
+    const engine = new window.RoutingEngine(graph);
+    const [route] = engine.route(
+        { lat: 40.7527, lng: -73.9772 }, // Grand Central
+        { lat: 40.7580, lng: -73.9855 }, // Times Square
+        { departureTime: Date.parse('2025-03-11T12:00:00Z'), alternatives: 1 }
+    );
+    return serialize(route);
+}
+
+test('GPX track points are timed from the departure to the ETA', () => {
+    const route = messageRoute();
+    assert.equal(typeof route.departureTime, 'string');
+
+    const gpx = DataExport.routesToGPX([route]);
+    const times = [...gpx.matchAll(/<trkpt lat="[-\d.]+" lon="[-\d.]+"><time>([^<]+)<\/time><\/trkpt>/g)]
+        .map(match => match[1]);
+
+    assert.equal(times.length, route.polyline.length);
+    assert.equal(times[0], '2025-03-11T12:00:00.000Z');
+    assert.equal(times[times.length - 1], new Date(route.eta).toISOString());
+    assert.deepEqual([...times].sort(), times);
+    assert.doesNotMatch(gpx, /null|NaN/);
+});
+
+test('GPX track points without times leave the time out', () => {
+    const route = { ...messageRoute(), departureTime: null };
+    const gpx = DataExport.routesToGPX([route]);
+
+    assert.equal(DataExport.interpolateTimes(route.polyline, route.departureTime, route.eta), null);
+    assert.equal(gpx.match(/<trkpt [^>]+\/>/g).length, route.polyline.length);
+    assert.doesNotMatch(gpx, /<time>null<\/time>/);
+});
+
+test('Times are interpolated by the distance covered', () => {
+    const points = [{ lat: 40.75, lng: -73.98 }, { lat: 40.76, lng: -73.98 }, { lat: 40.78, lng: -73.98 }];
+    const start = new Date('2025-03-11T12:00:00Z');
+
+    assert.deepEqual(serialize(DataExport.interpolateTimes(points, start, '2025-03-11T12:30:00.000Z')), [
+        start.getTime(),
+        start.getTime() + 10 * 60000,
+        start.getTime() + 30 * 60000
+    ]);
+});
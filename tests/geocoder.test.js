@@ -0,0 +1,112 @@
+// ===== GEOCODER TESTS =====
+// Searches the bundled gazetteer (data/gazetteer.json) and checks that
+// Nominatim requests are spaced out and kept out of type-ahead.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFile, loadScripts, serialize } = require('./helpers');
+
+const window = loadScripts(['scripts/i18n.js', 'scripts/utils.js', 'scripts/geocoder.js']);
+const { Geocoders } = window;
+const GazetteerGeocoder = Geocoders.registry.gazetteer;
+const NominatimGeocoder = Geocoders.registry.nominatim;
+
+const gazetteer = Geocoders.create('gazetteer', { gazetteer: JSON.parse(readFile('data/gazetteer.json')) });
+
+/**
+ * Labels of the places found for a query
+ * @param {string} query - Query
+ * @returns {Promise<Array<string>>} Labels, best match first
+ */
+async function search(query) {
+    return serialize((await gazetteer.search(query)).map(place => place.label));
+}
+
+test('Gazetteer: spelled-out names and abbreviations match', async () => {
+    assert.deepEqual(
+        serialize(GazetteerGeocoder.tokenize('Fifth Avenue and 34th Street')),
+        serialize(GazetteerGeocoder.tokenize('5th Ave & 34th St'))
+    );
+    assert.deepEqual(serialize(GazetteerGeocoder.tokenize('Lex Av @ E. 42nd Str')), ['lexington', 'ave', 'e', '42nd', 'st']);
+
+    assert.equal((await search('Fifth Avenue and 34th Street'))[0], '5th Ave & 34th St');
+    assert.equal((await search('Lexington Ave at 34th St'))[0], 'Lexington Ave & 34th St');
+    assert.equal((await search('34th St and Fifth Avenue'))[0], '5th Ave & 34th St');
+});
+
+test('Gazetteer: bare numbers get ordinal suffixes', async () => {
+    assert.deepEqual(serialize(GazetteerGeocoder.tokenize('5 Ave & 34 St')), ['5th', 'ave', '34th', 'st']);
+    assert.deepEqual(
+        serialize([1, 2, 3, 4, 11, 12, 13, 21, 22, 23, 101, 111, 112].map(n => GazetteerGeocoder.ordinalSuffix(n))),
+        ['st', 'nd', 'rd', 'th', 'th', 'th', 'th', 'st', 'nd', 'rd', 'st', 'th', 'th']
+    );
+
+    assert.equal((await search('5 Ave & 34 St'))[0], '5th Ave & 34th St');
+    assert.equal((await search('2 Ave 42'))[0], '2nd Ave & 42nd St');
+});
+
+test('Gazetteer: full-word and in-order matches rank higher', async () => {
+    const tokens = GazetteerGeocoder.tokenize;
+    const name = tokens('5th Ave & 34th St');
+
+    assert.equal(GazetteerGeocoder.score(tokens('7th Ave'), name), 0);
+    assert.equal(GazetteerGeocoder.score(tokens('5th Av'), name), GazetteerGeocoder.score(tokens('5th Ave'), name));
+    assert.ok(GazetteerGeocoder.score(tokens('5th Ave'), name) > GazetteerGeocoder.score(tokens('5th A'), name));
+    assert.ok(GazetteerGeocoder.score(tokens('5th Ave 34th'), name) > GazetteerGeocoder.score(tokens('34th 5th Ave'), name));
+    assert.ok(GazetteerGeocoder.score(tokens('5th Ave 34th St'), name) > GazetteerGeocoder.score(tokens('5th Ave 34th'), name));
+    assert.ok(GazetteerGeocoder.score(tokens('Empire'), tokens('Empire State Building')) >
+        GazetteerGeocoder.score(tokens('Emp'), tokens('Empire State Building')));
+
+    assert.deepEqual(await search('Empire State'), ['Empire State Building']);
+    assert.deepEqual(await search('Nowhere Plaza'), []);
+    assert.deepEqual(serialize(await gazetteer.search('40.7484, -73.9857')), [{
+        label: '40.74840, -73.98570', lat: 40.7484, lng: -73.9857, type: 'coordinates', source: 'input'
+    }]);
+});
+
+test('Nominatim: no type-ahead, requests a second apart, biased to the user', async () => {
+    assert.equal(GazetteerGeocoder.supportsAutocomplete, true);
+    assert.equal(NominatimGeocoder.supportsAutocomplete, false);
+    assert.equal(serialize(Geocoders.list()).find(geocoder => geocoder.id === 'nominatim').supportsAutocomplete, false);
+
+    // Record the waits instead of sitting through them
+    const waits = [];
+    const setTimeout = window.setTimeout;
+    window.setTimeout = (callback, delay) => {
+        waits.push(delay);
+        return setTimeout(callback, 0);
+    };
+
+    const requests = [];
+    const fetch = async (url) => {
+        requests.push({ url: new window.URL(url) });
+        return {
+            ok: true,
+            json: async () => [{ display_name: 'Times Square, Manhattan', lat: '40.7579', lon: '-73.9855', type: 'square' }]
+        };
+    };
+
+    // Two instances share the one request slot
+    const near = { lat: 40.75, lng: -73.98 };
+    const results = await Promise.all([
+        Geocoders.create('nominatim', { fetch, near }).search('Times Square'),
+        Geocoders.create('nominatim', { fetch }).search('Bryant Park', { limit: 1 })
+    ]).finally(() => {
+        window.setTimeout = setTimeout;
+    });
+
+    // The first request goes out at once; the second waits for the rest of the interval
+    assert.equal(requests.length, 2);
+    assert.equal(waits.length, 1);
+    assert.ok(waits[0] > 950 && waits[0] <= 1000, `waited ${waits[0]} ms`);
+
+    assert.equal(requests[0].url.searchParams.get('q'), 'Times Square');
+    assert.equal(requests[0].url.searchParams.get('limit'), '5');
+    assert.equal(requests[0].url.searchParams.get('viewbox'), '-74.28,40.95,-73.68,40.55');
+    assert.equal(requests[1].url.searchParams.get('limit'), '1');
+    assert.equal(requests[1].url.searchParams.get('viewbox'), null);
+
+    assert.deepEqual(serialize(results[0]), [{
+        label: 'Times Square, Manhattan', lat: 40.7579, lng: -73.9855, type: 'square', source: 'nominatim'
+    }]);
+});
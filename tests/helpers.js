@@ -0,0 +1,56 @@
+// ===== TEST HELPERS =====
+// Loads extension scripts into a jsdom window, the way a page or the popup
+// would, with chrome.i18n reading the English catalog.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+
+const root = path.join(__dirname, '..');
+const messages = JSON.parse(fs.readFileSync(path.join(root, '_locales/en/messages.json'), 'utf8'));
+
+/**
+ * Read a file of the extension
+ * @param {string} file - Path from the repository root
+ * @returns {string} File contents
+ */
+function readFile(file) {
+    return fs.readFileSync(path.join(root, file), 'utf8');
+}
+
+/**
+ * Create a window running the given scripts
+ * @param {Array<string>} files - Script paths from the repository root, in load order
+ * @param {Object} [options] - Page options
+ * @param {string} [options.html] - Page markup
+ * @param {string} [options.url] - Page URL
+ * @returns {Window} Window
+ */
+function loadScripts(files, { html = '<!DOCTYPE html><html><head></head><body></body></html>', url = 'https://example.com/' } = {}) {
+    const dom = new JSDOM(html, { url, runScripts: 'dangerously' });
+    dom.window.chrome = {
+        i18n: {
+            getMessage: (key) => messages[key]?.message || '',
+            getUILanguage: () => 'en'
+        }
+    };
+
+    // As script elements, so the scripts share globals like extension pages do
+    files.forEach(file => {
+        const script = dom.window.document.createElement('script');
+        script.textContent = readFile(file);
+        dom.window.document.head.appendChild(script);
+    });
+    return dom.window;
+}
+
+/**
+ * Copy a value the way chrome.runtime.sendMessage does: as JSON
+ * @param {*} value - Value
+ * @returns {*} Copy
+ */
+function serialize(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { readFile, loadScripts, serialize };
@@ -0,0 +1,117 @@
+// ===== NAVIGATION SESSION TESTS =====
+// Replays the recorded commute trace (data/fixtures/commute-trace.json)
+// through a NavigationSession on a route over the bundled road network.
+// The driver misses the turn onto 40th St and keeps going up 8th Ave.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFile, loadScripts } = require('./helpers');
+
+const window = loadScripts([
+    'scripts/i18n.js',
+    'scripts/utils.js',
+    'scripts/incidents.js',
+    'scripts/roadGraph.js',
+    'scripts/routingEngine.js',
+    'scripts/navigationSession.js',
+    'scripts/positionSources.js'
+]);
+const { NavigationSession, TraceReplaySource } = window;
+
+const engine = new window.RoutingEngine(window.RoadGraph.fromData(JSON.parse(readFile('data/road-network.geojson'))));
+const trace = TraceReplaySource.parse(JSON.parse(readFile('data/fixtures/commute-trace.json')));
+const destination = trace[trace.length - 1];
+const OFF_ROUTE_FIXES = 3;
+
+/**
+ * Fastest route from a position to the end of the trace
+ * @param {Object} from - `{lat, lng}`
+ * @returns {Object} Route
+ */
+function routeFrom(from) {
+    return engine.route(from, destination, { alternatives: 1 })[0];
+}
+
+/**
+ * Drop consecutive repeats
+ * @param {Array} values - Values
+ * @returns {Array} Values without runs
+ */
+function runs(values) {
+    return values.filter((value, i) => i === 0 || value !== values[i - 1]);
+}
+
+/**
+ * Replay the whole trace through a session
+ * @returns {Promise<Object>} `{states, reroutes, arrivals}`
+ */
+function replay() {
+    return new Promise((resolve) => {
+        const states = [];
+        const reroutes = [];
+        const arrivals = [];
+
+        const session = new NavigationSession(routeFrom(trace[0]), {
+            offRouteFixes: OFF_ROUTE_FIXES,
+            onUpdate: (state) => states.push(state),
+            onReroute: async (position) => {
+                reroutes.push(position);
+                return routeFrom(position);
+            },
+            onArrive: (state) => {
+                arrivals.push(state);
+                // Let the replay finish its last timer before checking
+                setTimeout(() => resolve({ session, states, reroutes, arrivals }), 20);
+            }
+        });
+
+        // Fast enough to replay the five-minute drive in well under a second
+        session.start(new TraceReplaySource(trace, { speed: 1000 }));
+    });
+}
+
+test('Replayed trace: steps, off-route fixes, reroute and arrival', async () => {
+    const { session, states, reroutes, arrivals } = await replay();
+    const statuses = states.map(state => state.status);
+    const rerouteAt = statuses.indexOf('rerouting');
+
+    assert.deepEqual(runs(statuses), ['navigating', 'off-route', 'rerouting', 'navigating', 'arrived']);
+
+    // Steps of the first route, up to the missed turn
+    assert.deepEqual(runs(states.slice(0, rerouteAt).map(state => state.step.road)), ['8th Ave', '40th St', '6th Ave']);
+    assert.equal(states.find(state => state.step.road === '40th St').step.maneuver, 'right');
+
+    // Rerouted on the third off-route fix, from that fix
+    const offRoute = statuses.slice(0, rerouteAt).filter(status => status === 'off-route');
+    assert.equal(offRoute.length, OFF_ROUTE_FIXES - 1);
+    assert.equal(reroutes.length, 1);
+    assert.deepEqual(
+        [reroutes[0].lat, reroutes[0].lng],
+        [states[rerouteAt].position.lat, states[rerouteAt].position.lng]
+    );
+    assert.ok(states[rerouteAt].distanceFromRoute > 40);
+
+    // Steps of the new route
+    const after = states.slice(rerouteAt + 1).filter(state => state.status === 'navigating');
+    assert.deepEqual(runs(after.map(state => state.step?.road)).slice(0, 3), ['8th Ave', '42nd St', 'Park Ave']);
+    assert.ok(after.every(state => state.distanceFromRoute <= 40));
+
+    // Arrived once, at the end of the trace
+    assert.equal(arrivals.length, 1);
+    assert.equal(arrivals[0].remainingDistance, 0);
+    assert.equal(arrivals[0].progress, 1);
+    assert.equal(session.source, null);
+});
+
+test('A route without a segment to follow counts as arrived', () => {
+    const route = { polyline: [{ lat: destination.lat, lng: destination.lng }], steps: [], duration: 0 };
+    const arrivals = [];
+    const session = new NavigationSession(route, { onArrive: (state) => arrivals.push(state) });
+
+    assert.equal(session.state.status, 'arrived');
+    assert.equal(session.update({ lat: 40.75, lng: -73.99, accuracy: 10, timestamp: 0 }).status, 'arrived');
+
+    session.start(new TraceReplaySource(trace));
+    assert.equal(session.source, null);
+    assert.equal(arrivals.length, 1);
+});
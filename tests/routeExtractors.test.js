@@ -0,0 +1,131 @@
+// ===== ROUTE EXTRACTOR TESTS =====
+// Runs each site's extractor on a saved directions page (data/fixtures/pages).
+// Run with `npm test`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFile, loadScripts } = require('./helpers');
+
+/**
+ * Load a saved page with the extension's scripts, at the URL it was saved from
+ * @param {string} name - Fixture file name
+ * @returns {Object} `{window, url}`
+ */
+function loadPage(name) {
+    const html = readFile(`data/fixtures/pages/${name}`);
+    const url = html.match(/<!-- saved from url=\(\d+\)(\S+) -->/)[1];
+    return { window: loadScripts(['scripts/utils.js', 'scripts/routeExtractors.js'], { html, url }), url };
+}
+
+/**
+ * Read the directions on a saved page as plain data
+ * @param {string} name - Fixture file name
+ * @returns {Object|null} Directions
+ */
+function extract(name) {
+    const { window, url } = loadPage(name);
+    const directions = window.RouteExtractors.extract(window.document, new window.URL(url));
+    return JSON.parse(JSON.stringify(directions));
+}
+
+/**
+ * The route the ETA is timed from: the selected one, or the first
+ * @param {Object} directions - Directions
+ * @returns {Object} Route
+ */
+function timedRoute(directions) {
+    const timed = directions.routes.filter(route => route.duration);
+    return timed.find(route => route.selected) || timed[0];
+}
+
+test('Google Maps: stops from the path, coordinates from the data segment', () => {
+    const directions = extract('google-maps.html');
+
+    assert.equal(directions.source, 'google_maps');
+    assert.deepEqual(directions.origin, {
+        lat: 40.7527262,
+        lng: -73.9772294,
+        label: 'Grand Central Terminal, East 42nd Street, New York, NY'
+    });
+    assert.deepEqual(directions.stops, [{ lat: 40.7535965, lng: -73.9832326, label: 'Bryant Park, New York, NY' }]);
+    assert.deepEqual(directions.destination, { lat: 40.7579747, lng: -73.9855426, label: 'Times Square, Manhattan, NY' });
+
+    assert.deepEqual(directions.routes.map(route => [route.name, route.duration, route.distance]), [
+        ['via 6th Ave', 14, 1770],
+        ['via FDR Dr and W 42nd St', 62, 5472]
+    ]);
+    assert.equal(timedRoute(directions).id, 'google_maps_0');
+    assert.equal(timedRoute(directions).durationText, '14 min');
+});
+
+test('Waze: a place ID takes its label from the directions input', () => {
+    const directions = extract('waze.html');
+
+    assert.equal(directions.source, 'waze');
+    assert.deepEqual(directions.origin, { lat: 40.7527262, lng: -73.9772294, label: 'Grand Central Terminal' });
+    assert.deepEqual(directions.stops, []);
+    assert.equal(directions.destination, 'Times Square, New York, NY');
+
+    assert.deepEqual(directions.routes.map(route => [route.name, route.duration, route.distance]), [
+        ['W 42nd St', 12, 1931],
+        ['Park Ave; W 45th St', 17, 2575]
+    ]);
+    assert.equal(timedRoute(directions).id, 'waze_0');
+    assert.equal(timedRoute(directions).durationText, '12 min');
+});
+
+test('Bing Maps: address and position stops from rtp', () => {
+    const directions = extract('bing-maps.html');
+
+    assert.equal(directions.source, 'bing_maps');
+    assert.equal(directions.origin, 'Grand Central Terminal, New York, NY');
+    assert.deepEqual(directions.stops, [{ lat: 40.7535965, lng: -73.9832326, label: 'Bryant Park' }]);
+    assert.deepEqual(directions.destination, { lat: 40.7579747, lng: -73.9855426, label: 'Times Square' });
+
+    assert.deepEqual(directions.routes.map(route => [route.name, route.duration, route.distance]), [
+        ['Madison Ave, W 42nd St', 16, 2253],
+        ['E 42nd St, 7th Ave', 13, 1770]
+    ]);
+    assert.equal(timedRoute(directions).id, 'bing_maps_1');
+    assert.equal(timedRoute(directions).durationText, '13 min');
+});
+
+test('HERE WeGo: named stops with coordinates from the path', () => {
+    const directions = extract('here-wego.html');
+
+    assert.equal(directions.source, 'here_wego');
+    assert.deepEqual(directions.origin, { lat: 40.75273, lng: -73.97723, label: 'Grand Central Terminal' });
+    assert.deepEqual(directions.stops, [{ lat: 40.7536, lng: -73.98323, label: 'Bryant Park' }]);
+    assert.deepEqual(directions.destination, { lat: 40.75797, lng: -73.98554, label: 'Times Square' });
+
+    assert.deepEqual(directions.routes.map(route => [route.name, route.duration, route.distance]), [
+        ['E 42nd St', 15, 1800],
+        ['Madison Ave', 19, 2300]
+    ]);
+    assert.equal(timedRoute(directions).id, 'here_wego_0');
+    assert.equal(timedRoute(directions).durationText, '15 min');
+});
+
+test('Pages without directions give nothing', () => {
+    const { window } = loadPage('google-maps.html');
+
+    assert.equal(window.RouteExtractors.extract(window.document, new window.URL('https://www.example.com/')), null);
+    assert.equal(window.RouteExtractors.find(new window.URL('https://www.bing.com/search?q=maps')), null);
+});
+
+test('Google Maps: stops from the api=1 and saddr/daddr query forms', () => {
+    const { window } = loadPage('google-maps.html');
+    const extractor = new (window.RouteExtractors.find(new window.URL('https://www.google.com/maps')))();
+    const parse = (url) => JSON.parse(JSON.stringify(extractor.parseUrl(new window.URL(url))));
+
+    assert.deepEqual(parse('https://www.google.com/maps/dir/?api=1&origin=Grand+Central&waypoints=Bryant+Park%7C40.7536,-73.9832&destination=Times+Square'), {
+        origin: 'Grand Central',
+        destination: 'Times Square',
+        stops: ['Bryant Park', { lat: 40.7536, lng: -73.9832, label: '40.7536,-73.9832' }]
+    });
+    assert.deepEqual(parse('https://maps.google.com/maps?saddr=Grand+Central&daddr=Bryant+Park+to:Times+Square'), {
+        origin: 'Grand Central',
+        destination: 'Times Square',
+        stops: ['Bryant Park']
+    });
+});
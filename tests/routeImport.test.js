@@ -0,0 +1,39 @@
+// ===== ROUTE IMPORT TESTS =====
+// Builds favorites' routes from recorded tracks.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const window = loadScripts(['scripts/i18n.js', 'scripts/utils.js', 'scripts/routeImport.js']);
+const { RouteImport } = window;
+
+test('A multi-day 1 Hz recording is timed from its first to its last fix', () => {
+    // Two and a half days, one fix a second, up and down Broadway
+    const count = 216000;
+    const start = Date.parse('2025-03-10T00:00:00Z');
+    const points = Array.from({ length: count }, (_, i) => ({
+        lat: 40.75 + 0.01 * Math.sin(i / 3600),
+        lng: -73.98,
+        time: start + i * 1000
+    }));
+    points[10].time = NaN;
+
+    const [route] = RouteImport.toRoutes([{ name: 'Recording', points }], 'file');
+
+    assert.equal(route.name, 'Recording');
+    assert.equal(route.duration, Math.round((count - 1) / 60));
+    assert.ok(route.polyline.length <= 500);
+});
+
+test('Tracks without times have no duration', () => {
+    const points = [
+        { lat: 40.75, lng: -73.98, time: NaN },
+        { lat: 40.76, lng: -73.98, time: NaN }
+    ];
+
+    const [route] = RouteImport.toRoutes([{ points }], 'Commute');
+    assert.equal(route.name, 'Commute');
+    assert.equal(route.duration, null);
+    assert.ok(Math.abs(route.distance - 1112) <= 1);
+});
@@ -0,0 +1,156 @@
+// ===== TRAFFIC PROVIDER TESTS =====
+// Normalizes the bundled flow readings and saved upstream responses
+// (data/fixtures/providers) into `{points, summary}`.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readFile, loadScripts, serialize } = require('./helpers');
+
+const window = loadScripts(['scripts/i18n.js', 'scripts/utils.js', 'scripts/trafficProviders.js']);
+const { TrafficProviders } = window;
+// Declared as a class, so a global binding rather than a window property
+const Utils = window.eval('Utils');
+
+const MIDTOWN = { lat: 40.7549, lng: -73.9840 };
+
+/**
+ * fetch that answers with fixtures in order and records the URLs asked for
+ * @param {Array} bodies - Response bodies
+ * @returns {Function} fetch, with the requested URLs in `urls`
+ */
+function fakeFetch(bodies) {
+    const fetch = async (url) => {
+        fetch.urls.push(url);
+        const body = bodies[fetch.urls.length - 1];
+        return { ok: true, status: 200, json: async () => body };
+    };
+    fetch.urls = [];
+    return fetch;
+}
+
+/**
+ * Round to a number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimals kept
+ * @returns {number} Rounded value
+ */
+function round(value, decimals = 6) {
+    return Math.round(value * 10 ** decimals) / 10 ** decimals;
+}
+
+test('Local sample: only readings within the requested radius', async () => {
+    const flow = JSON.parse(readFile('data/fixtures/traffic-flow.json'));
+    const fetch = fakeFetch([flow, flow]);
+    const provider = TrafficProviders.create('local', { fetch });
+
+    const all = await provider.getTraffic();
+    assert.equal(all.points.length, flow.segments.length);
+    assert.equal(fetch.urls[0], 'data/fixtures/traffic-flow.json');
+
+    const near = await provider.getTraffic({ center: MIDTOWN, radius: 1000 });
+    assert.ok(near.points.length > 0 && near.points.length < flow.segments.length);
+    near.points.forEach(point => {
+        assert.ok(Utils.calculateDistance(MIDTOWN.lat, MIDTOWN.lng, point.lat, point.lng) <= 1000);
+    });
+    assert.equal(near.summary.totalPoints, near.points.length);
+    assert.equal(near.summary.region, flow.region);
+
+    const elsewhere = provider.normalize(flow, { center: { lat: 48.8566, lng: 2.3522 }, radius: 5000 });
+    assert.deepEqual(serialize(elsewhere.points), []);
+});
+
+test('Local sample: congestion from current against free-flow speed', () => {
+    const provider = TrafficProviders.create('local');
+    const segment = (id, freeFlowSpeedKmh, currentSpeedKmh) => ({
+        id, name: id, roadClass: 'arterial', location: [MIDTOWN.lng, MIDTOWN.lat], freeFlowSpeedKmh, currentSpeedKmh
+    });
+
+    const { points, summary } = provider.normalize({
+        segments: [
+            segment('slow', 40, 29),
+            segment('free', 50, 50),
+            segment('faster', 40, 48),
+            segment('stopped', 40, 0),
+            segment('unknown', 0, 20)
+        ]
+    }, { center: MIDTOWN, radius: 100 });
+
+    assert.deepEqual(serialize(points.map(point => [point.id, round(point.congestion, 3), point.speed])), [
+        ['slow', 0.275, 29],
+        ['free', 0, 50],
+        ['faster', 0, 48],
+        ['stopped', 1, 0],
+        ['unknown', 0, 20]
+    ]);
+    assert.equal(summary.averageCongestion, 0.26);
+    assert.equal(summary.provider, 'local');
+});
+
+test('Mapbox: sampled midpoints with speed in km/h and congestion out of 1', async () => {
+    const { responses } = JSON.parse(readFile('data/fixtures/providers/mapbox-directions.json'));
+    const fetch = fakeFetch(responses);
+    const provider = TrafficProviders.create('mapbox', { apiKey: 'pk.test', fetch });
+
+    const { points, summary } = await provider.getTraffic({ center: MIDTOWN, radius: 2000 });
+
+    assert.equal(fetch.urls.length, 4);
+    fetch.urls.forEach(url => {
+        assert.match(url, /^https:\/\/api\.mapbox\.com\/directions\/v5\/mapbox\/driving-traffic\/[-\d.]+,[-\d.]+;[-\d.]+,[-\d.]+\?/);
+        assert.match(url, /annotations=congestion_numeric,speed/);
+        assert.match(url, /access_token=pk\.test/);
+    });
+
+    // Every fifth segment of each probe; the probe without a route adds nothing
+    assert.deepEqual(serialize(points.map(point => [point.id, round(point.lat), round(point.lng), point.speed, point.congestion])), [
+        ['mapbox_0_0', 40.732, -73.9845, 36, 0.2],
+        ['mapbox_0_5', 40.742, -73.9895, 20, 0],
+        ['mapbox_1_0', 40.7695, -73.961, 45, 0.63],
+        ['mapbox_3_0', 40.7505, -74.009, 15, 0.81]
+    ]);
+    assert.equal(summary.averageCongestion, 0.41);
+    assert.equal(summary.averageSpeed, 29);
+    assert.equal(summary.provider, 'mapbox');
+});
+
+test('Google Maps: a point halfway along each spoke with a traffic time', async () => {
+    const matrix = JSON.parse(readFile('data/fixtures/providers/google-distance-matrix.json'));
+    const fetch = fakeFetch([matrix]);
+    const provider = TrafficProviders.create('google', { apiKey: 'AIza-test', fetch });
+    const center = { lat: 40.758, lng: -73.9855 };
+
+    const { points } = await provider.getTraffic({ center, radius: 4000 });
+
+    const url = new window.URL(fetch.urls[0]);
+    assert.equal(url.searchParams.get('origins'), '40.758,-73.9855');
+    assert.equal(url.searchParams.get('destinations').split('|').length, 8);
+    assert.equal(url.searchParams.get('departure_time'), 'now');
+
+    // Spokes without a traffic time (2) or a route (5) are left out
+    assert.deepEqual(serialize(points.map(point => [point.id, round(point.congestion, 3), point.speed, point.freeFlowSpeed])), [
+        ['google_0', 0.5, 12, 23],
+        ['google_1', 0, 27, 27],
+        ['google_3', 0.2, 18, 23],
+        ['google_4', 0.185, 24, 29],
+        ['google_6', 0.391, 18, 30],
+        ['google_7', 0.25, 21, 28]
+    ]);
+
+    // Spoke 0 points north and spoke 4 south; points are halfway along, 2 km out
+    const distanceOf = (id) => {
+        const point = points.find(p => p.id === id);
+        return Utils.calculateDistance(center.lat, center.lng, point.lat, point.lng);
+    };
+    assert.equal(round(points[0].lng), center.lng);
+    assert.ok(points[0].lat > center.lat && points[3].lat < center.lat);
+    assert.ok(Math.abs(distanceOf('google_0') - 2000) < 5);
+    assert.ok(Math.abs(distanceOf('google_4') - 2000) < 5);
+});
+
+test('Google Maps: an error status is reported', async () => {
+    const provider = TrafficProviders.create('google', {
+        apiKey: 'AIza-test',
+        fetch: fakeFetch([{ status: 'REQUEST_DENIED', error_message: 'The provided API key is invalid.', rows: [] }])
+    });
+
+    await assert.rejects(provider.getTraffic({ center: MIDTOWN }), { message: 'Google Maps error: The provided API key is invalid.' });
+});